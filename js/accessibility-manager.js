@@ -80,7 +80,10 @@ class AccessibilityManager {
         if (event.shiftKey) parts.push('shift');
         if (event.metaKey) parts.push('meta');
         
-        const key = event.key.toLowerCase();
+        // Option+digit types characters such as "¡" on macOS, so Alt+digit is read from the physical key
+        const key = event.altKey && /^Digit\d$/.test(event.code || '')
+            ? event.code.slice('Digit'.length)
+            : event.key.toLowerCase();
         if (key !== 'control' && key !== 'alt' && key !== 'shift' && key !== 'meta') {
             parts.push(key);
         }
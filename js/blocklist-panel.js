@@ -0,0 +1,86 @@
+/**
+ * BlocklistPanel Class
+ * Options for downloading results as a blocklist: whether to block each
+ * host or its registrable domain, whether to collapse subdomains under a
+ * shared parent, and the file format.
+ */
+class BlocklistPanel {
+    /**
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     */
+    constructor(statisticsManager = null) {
+        this.statisticsManager = statisticsManager;
+
+        this.bindElements();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.levelSelect = document.getElementById('blocklist-level-select');
+        this.collapseCheckbox = document.getElementById('blocklist-collapse-checkbox');
+        this.formatSelect = document.getElementById('blocklist-format-select');
+        this.downloadButton = document.getElementById('download-blocklist-btn');
+    }
+
+    /**
+     * Enable/disable the options while processing
+     * @param {boolean} enabled - Whether the options can be used
+     */
+    setEnabled(enabled) {
+        [this.levelSelect, this.collapseCheckbox, this.formatSelect, this.downloadButton].forEach(control => {
+            if (control) {
+                control.disabled = !enabled;
+            }
+        });
+    }
+
+    /**
+     * Get the selected options
+     * @returns {Object} format, level and collapse, as Blocklist.build() takes them
+     */
+    getOptions() {
+        return {
+            format: this.formatSelect ? this.formatSelect.value : 'hosts',
+            level: this.levelSelect ? this.levelSelect.value : 'host',
+            collapse: this.collapseCheckbox ? this.collapseCheckbox.checked : false
+        };
+    }
+
+    /**
+     * Download results as a blocklist
+     * @param {string[]} urls - Output URLs, hosts or domains
+     * @returns {string|null} Written content, or null if there was nothing to write
+     */
+    downloadBlocklist(urls) {
+        if (urls.length === 0) {
+            this.statisticsManager?.showWarning('There are no results to download');
+            return null;
+        }
+
+        const options = this.getOptions();
+        const { content, count, skipped } = Blocklist.build(urls, options);
+        if (count === 0) {
+            this.statisticsManager?.showWarning('None of the results has a domain name to block');
+            return null;
+        }
+
+        const name = Blocklist.FORMATS[options.format].filename;
+        const blob = new Blob([content], { type: Blocklist.FORMATS[options.format].mime });
+        DownloadMenu.saveBlob(blob, name);
+
+        const written = `Downloaded ${name} with ${count} domain${count === 1 ? '' : 's'}`;
+        if (skipped > 0) {
+            this.statisticsManager?.showWarning(`${written}; skipped ${skipped} line${skipped === 1 ? '' : 's'} without a domain name (IP addresses, single-label hosts and public suffixes)`);
+        } else {
+            this.statisticsManager?.showSuccessMessage(written);
+        }
+        return content;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BlocklistPanel;
+}
@@ -0,0 +1,168 @@
+/**
+ * Blocklist - Writing domains as DNS and ad blocker blocklists
+ * Results are reduced to their hosts or registrable domains, the same keys
+ * Deduplicate by Domain and Extract Domain use, in ASCII (punycode) form.
+ * Domains can be collapsed under a shared parent: the hosts of one
+ * registrable domain become a single rule for their closest common parent,
+ * never above the registrable domain, so a public suffix such as github.io
+ * is never blocked as a whole.
+ */
+
+// URLParser is loaded globally via script tag
+// In Node.js environment it is required from url-parser.js
+
+class Blocklist {
+    /**
+     * Get the unique domains of results
+     * IP addresses and single-label hosts such as localhost are not domain names and are skipped.
+     * @param {string[]} urls - Results: URLs, hosts or domains
+     * @param {string} level - 'host' (full host name) or 'registrable' (registrable domain)
+     * @returns {Object} domains ({name, registrable} in first-seen order) and skipped (lines that have no domain)
+     */
+    static collectDomains(urls, level = 'host') {
+        const parser = Blocklist.getParser();
+        const domains = new Map();
+        let skipped = 0;
+
+        for (const url of urls) {
+            const parsed = url && url.trim() ? parser.parse(url.trim()) : null;
+            if (!parsed || !parsed.valid || parsed.hostType !== 'dns' || !parsed.registrableDomain) {
+                skipped++;
+                continue;
+            }
+
+            const registrable = parsed.registrableDomain.replace(/\.$/, '');
+            const name = level === 'registrable' ? registrable : parsed.hostname.replace(/\.$/, '');
+            if (!domains.has(name)) {
+                domains.set(name, { name, registrable });
+            }
+        }
+
+        return { domains: Array.from(domains.values()), skipped };
+    }
+
+    /**
+     * Group domains under their registrable domain's closest common parent
+     * @param {Object[]} domains - From collectDomains()
+     * @param {boolean} collapse - Whether to group; otherwise every domain is its own group
+     * @returns {Object[]} {parent, names} per group, in first-seen order
+     */
+    static group(domains, collapse) {
+        if (!collapse) {
+            return domains.map(({ name }) => ({ parent: name, names: [name] }));
+        }
+
+        const groups = new Map();
+        for (const { name, registrable } of domains) {
+            if (!groups.has(registrable)) {
+                groups.set(registrable, []);
+            }
+            groups.get(registrable).push(name);
+        }
+
+        return Array.from(groups.values()).map(names => ({ parent: Blocklist.getCommonParent(names), names }));
+    }
+
+    /**
+     * Closest domain that all names are equal to or below
+     * @private
+     */
+    static getCommonParent(names) {
+        const labels = names.map(name => name.split('.').reverse());
+        const common = [];
+        for (let index = 0; labels.every(parts => index < parts.length && parts[index] === labels[0][index]); index++) {
+            common.push(labels[0][index]);
+        }
+        return common.reverse().join('.');
+    }
+
+    /**
+     * Write a blocklist
+     * Ad blocker, dnsmasq and RPZ rules also block subdomains. Hosts files have
+     * no wildcards, so collapsed hosts are written as one line per parent
+     * listing each name instead.
+     * @param {string[]} urls - Results: URLs, hosts or domains
+     * @param {Object} options - Options
+     * @param {string} options.format - One of the keys of Blocklist.FORMATS
+     * @param {string} options.level - 'host' or 'registrable'
+     * @param {boolean} options.collapse - Whether to collapse subdomains under a shared parent
+     * @returns {Object} content, count (domains or parents written) and skipped (lines without a domain)
+     * @throws {Error} If the format is unknown
+     */
+    static build(urls, options = {}) {
+        const { domains, skipped } = Blocklist.collectDomains(urls, options.level);
+        const groups = Blocklist.group(domains, options.collapse === true);
+
+        let lines;
+        let count = groups.length;
+        switch (options.format) {
+            case 'hosts':
+                lines = [`# Blocklist: ${Blocklist.describeCount(domains.length, 'host')}`];
+                count = domains.length;
+                for (const { names } of groups) {
+                    for (let start = 0; start < names.length; start += Blocklist.HOSTS_PER_LINE) {
+                        lines.push(`${Blocklist.SINKHOLE} ${names.slice(start, start + Blocklist.HOSTS_PER_LINE).join(' ')}`);
+                    }
+                }
+                break;
+            case 'adblock':
+                lines = ['[Adblock Plus 2.0]', `! Blocklist: ${Blocklist.describeCount(count, 'domain')}`, ...groups.map(({ parent }) => `||${parent}^`)];
+                break;
+            case 'dnsmasq':
+                lines = [`# Blocklist: ${Blocklist.describeCount(count, 'domain')}`, ...groups.map(({ parent }) => `address=/${parent}/${Blocklist.SINKHOLE}`)];
+                break;
+            case 'rpz':
+                // Names are relative to the policy zone; "CNAME ." answers NXDOMAIN
+                lines = [`; Blocklist: ${Blocklist.describeCount(count, 'domain')}`];
+                for (const { parent } of groups) {
+                    lines.push(`${parent} CNAME .`, `*.${parent} CNAME .`);
+                }
+                break;
+            default:
+                throw new Error(`Unknown blocklist format: ${options.format}`);
+        }
+
+        return { content: count > 0 ? `${lines.join('\n')}\n` : '', count, skipped };
+    }
+
+    /**
+     * Count for the header comment
+     * @private
+     */
+    static describeCount(count, noun) {
+        return `${count} ${noun}${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Get the URL parser
+     * @private
+     */
+    static getParser() {
+        return typeof URLParser !== 'undefined' ? URLParser : require('./url-parser.js');
+    }
+}
+
+/**
+ * Blocklist formats with their downloaded file name and MIME type
+ */
+Blocklist.FORMATS = {
+    hosts: { filename: 'hosts.txt', mime: 'text/plain' },
+    adblock: { filename: 'blocklist-adblock.txt', mime: 'text/plain' },
+    dnsmasq: { filename: 'blocklist-dnsmasq.conf', mime: 'text/plain' },
+    rpz: { filename: 'blocklist-rpz.zone', mime: 'text/plain' }
+};
+
+/**
+ * Address that blocked names resolve to in hosts and dnsmasq files
+ */
+Blocklist.SINKHOLE = '0.0.0.0';
+
+/**
+ * Most host names per hosts file line; Windows reads at most nine
+ */
+Blocklist.HOSTS_PER_LINE = 9;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Blocklist;
+}
@@ -0,0 +1,200 @@
+/**
+ * BookmarksHTML - Reading and writing Netscape bookmark files
+ * This is the bookmarks.html format Firefox, Chrome, Edge and Safari export
+ * and import: nested <DL> lists of <H3> folders and <A> bookmarks. Each
+ * bookmark keeps its folder path, title and add date, and the input line its
+ * <A> tag is on. Writing rebuilds the folders from the bookmarks' paths.
+ */
+
+// URLExtractor is loaded globally via script tag
+// In Node.js environment it is required from url-extractor.js
+
+class BookmarksHTML {
+    /**
+     * Read the bookmarks of a bookmark file
+     * Separators, empty folders and folder dates are not kept.
+     * @param {string} text - Bookmark file HTML
+     * @returns {Object[]} {url, line (1-based), metadata: {folder, folders, title, added}} per bookmark;
+     *                     folder is the path joined with "/", added an ISO 8601 date
+     */
+    static parse(text) {
+        const source = text || '';
+        const entries = [];
+        // Open <DL> lists, each with the folder it belongs to (null for the top level)
+        const lists = [];
+        let pendingFolder = null;
+        let line = 1;
+        let position = 0;
+        let found;
+
+        BookmarksHTML.TAG.lastIndex = 0;
+        while ((found = BookmarksHTML.TAG.exec(source)) !== null) {
+            const [, closing, folderName, attributeText, content] = found;
+
+            if (folderName !== undefined) {
+                pendingFolder = BookmarksHTML.readText(folderName);
+            } else if (attributeText === undefined && closing) {
+                lists.pop();
+            } else if (attributeText === undefined) {
+                lists.push(pendingFolder);
+                pendingFolder = null;
+            } else {
+                for (let newline = source.indexOf('\n', position); newline !== -1 && newline < found.index; newline = source.indexOf('\n', position)) {
+                    line++;
+                    position = newline + 1;
+                }
+
+                const attributes = BookmarksHTML.readAttributes(attributeText);
+                const folders = lists.filter(folder => folder !== null);
+                const metadata = {};
+                if (folders.length > 0) {
+                    metadata.folder = folders.join('/');
+                    metadata.folders = folders;
+                }
+                const title = BookmarksHTML.readText(content);
+                if (title) {
+                    metadata.title = title;
+                }
+                const added = parseInt(attributes.ADD_DATE, 10);
+                if (added > 0) {
+                    metadata.added = new Date(added * 1000).toISOString();
+                }
+
+                entries.push({ url: BookmarksHTML.getExtractor().decodeEntities(attributes.HREF || '').trim(), line, metadata });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Write a bookmark file
+     * Folders appear in the order their first bookmark does; bookmarks keep their order.
+     * @param {Object[]} entries - {url, metadata} per bookmark; metadata is optional
+     * @returns {string} Bookmark file HTML
+     */
+    static build(entries) {
+        const root = { folders: new Map(), children: [] };
+
+        for (const entry of entries) {
+            const metadata = entry.metadata || {};
+            const folders = metadata.folders || (metadata.folder ? metadata.folder.split('/') : []);
+
+            let node = root;
+            for (const name of folders) {
+                if (!node.folders.has(name)) {
+                    const folder = { name, folders: new Map(), children: [] };
+                    node.folders.set(name, folder);
+                    node.children.push(folder);
+                }
+                node = node.folders.get(name);
+            }
+            node.children.push(entry);
+        }
+
+        return `${BookmarksHTML.HEADER}${BookmarksHTML.formatList(root.children, 0)}\n`;
+    }
+
+    /**
+     * Format the contents of a folder as a <DL> list
+     * @private
+     */
+    static formatList(children, depth) {
+        const indent = '    '.repeat(depth);
+        const lines = [`${indent}<DL><p>`];
+
+        for (const child of children) {
+            if (child.children) {
+                lines.push(`${indent}    <DT><H3>${BookmarksHTML.escape(child.name)}</H3>`);
+                lines.push(BookmarksHTML.formatList(child.children, depth + 1));
+            } else {
+                const metadata = child.metadata || {};
+                const added = Date.parse(metadata.added);
+                const addDate = isNaN(added) ? '' : ` ADD_DATE="${Math.floor(added / 1000)}"`;
+                lines.push(`${indent}    <DT><A HREF="${BookmarksHTML.escape(child.url)}"${addDate}>${BookmarksHTML.escape(metadata.title || child.url)}</A>`);
+            }
+        }
+
+        lines.push(`${indent}</DL><p>`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Read NAME="value" attributes; names are upper-cased
+     * @private
+     */
+    static readAttributes(text) {
+        const attributes = {};
+        let found;
+        BookmarksHTML.ATTRIBUTE.lastIndex = 0;
+        while ((found = BookmarksHTML.ATTRIBUTE.exec(text)) !== null) {
+            attributes[found[1].toUpperCase()] = found[2] ?? found[3] ?? found[4];
+        }
+        return attributes;
+    }
+
+    /**
+     * Text of a title or folder name: tags dropped, entities decoded, whitespace collapsed
+     * @private
+     */
+    static readText(html) {
+        const text = html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+        return BookmarksHTML.getExtractor().decodeEntities(text);
+    }
+
+    /**
+     * Escape text for HTML content and double-quoted attributes
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     */
+    static escape(value) {
+        return String(value).replace(/[&<>"]/g, char => BookmarksHTML.ESCAPES[char]);
+    }
+
+    /**
+     * Get the entity decoder
+     * @private
+     */
+    static getExtractor() {
+        return typeof URLExtractor !== 'undefined' ? URLExtractor : require('./url-extractor.js');
+    }
+}
+
+/**
+ * The tags that give a bookmark file its structure: <DL> or </DL>, <H3>name</H3>, <A attributes>title</A>
+ */
+BookmarksHTML.TAG = /<(\/?)DL\b[^>]*>|<H3\b[^>]*>([\s\S]*?)<\/H3\s*>|<A\b([^>]*)>([\s\S]*?)<\/A\s*>/gi;
+
+/**
+ * An attribute with a double-quoted, single-quoted or unquoted value
+ */
+BookmarksHTML.ATTRIBUTE = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+
+/**
+ * Start of a bookmark file, as browsers write it
+ */
+BookmarksHTML.HEADER = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    ''
+].join('\n');
+
+/**
+ * File name used when downloading results
+ */
+BookmarksHTML.FILENAME = 'bookmarks.html';
+
+/**
+ * Characters escaped in written HTML
+ */
+BookmarksHTML.ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookmarksHTML;
+}
@@ -0,0 +1,106 @@
+/**
+ * BookmarksPanel Class
+ * Imports browser bookmark files into the input and exports results as one.
+ * Results of a run over bookmark input go back into their folders with
+ * their titles and add dates; other URLs are written at the top level.
+ */
+class BookmarksPanel {
+    /**
+     * @param {TextAreaManager} textAreaManager - Input text area, for file import
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     */
+    constructor(textAreaManager, statisticsManager = null) {
+        this.textAreaManager = textAreaManager;
+        this.statisticsManager = statisticsManager;
+        this.importCallback = null;
+
+        this.bindElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.importButton = document.getElementById('import-bookmarks-btn');
+        this.importInput = document.getElementById('import-bookmarks-input');
+        this.downloadButton = document.getElementById('download-bookmarks-btn');
+    }
+
+    /**
+     * Attach event listeners to the import button
+     */
+    attachEventListeners() {
+        if (this.importButton && this.importInput) {
+            this.importButton.addEventListener('click', () => {
+                this.importInput.click();
+            });
+            this.importInput.addEventListener('change', () => {
+                const file = this.importInput.files[0];
+                if (file) {
+                    this.importFile(file);
+                }
+                // Allow importing the same file again
+                this.importInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * Set callback for when a bookmark file has been imported, e.g. to switch the input mode
+     * @param {Function} callback - Called without arguments
+     */
+    onImport(callback) {
+        this.importCallback = callback;
+    }
+
+    /**
+     * Enable/disable the buttons while processing
+     * @param {boolean} enabled - Whether the buttons can be used
+     */
+    setEnabled(enabled) {
+        [this.importButton, this.downloadButton].forEach(control => {
+            if (control) {
+                control.disabled = !enabled;
+            }
+        });
+    }
+
+    /**
+     * Read a bookmark file into the input
+     * @param {File} file - Selected file
+     */
+    async importFile(file) {
+        try {
+            await this.textAreaManager.setInputText(await file.text());
+            this.importCallback?.();
+            this.statisticsManager?.showSuccessMessage(`Imported ${file.name}`);
+        } catch (error) {
+            this.statisticsManager?.showError(`Failed to read ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download URLs as a bookmark file
+     * @param {Object[]} entries - {url, metadata} per output URL
+     * @returns {string|null} Written HTML, or null if there was nothing to write
+     */
+    downloadBookmarks(entries) {
+        if (entries.length === 0) {
+            this.statisticsManager?.showWarning('There are no results to download');
+            return null;
+        }
+
+        const html = BookmarksHTML.build(entries);
+        const blob = new Blob([html], { type: 'text/html' });
+        DownloadMenu.saveBlob(blob, BookmarksHTML.FILENAME);
+
+        this.statisticsManager?.showSuccessMessage(`Downloaded ${BookmarksHTML.FILENAME}`);
+        return html;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookmarksPanel;
+}
@@ -5,6 +5,7 @@
 class ClipboardUtilityManager {
     constructor(textAreaManager) {
         this.textAreaManager = textAreaManager;
+        this.historyManager = null;
         this.feedbackTimeout = null;
         
         // Initialize event listeners
@@ -12,6 +13,14 @@ class ClipboardUtilityManager {
         this.initializeKeyboardShortcuts();
     }
 
+    /**
+     * Record pastes and clears in the undo history
+     * @param {HistoryManager} historyManager - Undo/redo history
+     */
+    setHistoryManager(historyManager) {
+        this.historyManager = historyManager;
+    }
+
     /**
      * Initialize button event listeners
      */
@@ -139,9 +148,11 @@ class ClipboardUtilityManager {
         this.setButtonState(pasteBtn, 'processing', 'Pasting...');
 
         try {
+            this.historyManager?.checkpoint();
             const success = await this.textAreaManager.pasteFromClipboard();
             
             if (success) {
+                this.historyManager?.record('Paste');
                 this.setButtonState(pasteBtn, 'success', 'Pasted!');
                 this.showFeedback('Content pasted from clipboard', 'success');
                 
@@ -181,7 +192,9 @@ class ClipboardUtilityManager {
         this.setButtonState(clearBtn, 'processing', 'Clearing...');
         
         setTimeout(async () => {
+            this.historyManager?.checkpoint();
             await this.textAreaManager.clearInput();
+            this.historyManager?.record('Clear input', { input: '' });
             this.setButtonState(clearBtn, 'success', 'Cleared!');
             this.showFeedback('Input cleared', 'success');
             
@@ -207,7 +220,9 @@ class ClipboardUtilityManager {
         this.setButtonState(clearBtn, 'processing', 'Clearing...');
         
         setTimeout(async () => {
+            this.historyManager?.checkpoint();
             await this.textAreaManager.clearOutput();
+            this.historyManager?.record('Clear output', { output: '' });
             this.setButtonState(clearBtn, 'success', 'Cleared!');
             this.showFeedback('Output cleared', 'success');
             
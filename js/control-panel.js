@@ -17,6 +17,7 @@ class ControlPanel {
         this.buttonText = null;
         
         this.processCallback = null;
+        this.inputModeCallback = null;
         
         this.init();
     }
@@ -39,9 +40,33 @@ class ControlPanel {
         this.deduplicateSelect = document.getElementById('deduplicate-select');
         this.filterSelect = document.getElementById('filter-select');
         this.sortSelect = document.getElementById('sort-select');
+        this.compareSelect = document.getElementById('compare-select');
+        this.hostDisplaySelect = document.getElementById('host-display-select');
+        this.inputModeSelect = document.getElementById('input-mode-select');
         
         this.filterInputGroup = document.querySelector('.filter-input-group');
         this.filterInput = document.getElementById('filter-input');
+        this.filterTargetSelect = document.getElementById('filter-target-select');
+        this.filterModeSelect = document.getElementById('filter-mode-select');
+        this.filterFlagsGroup = document.querySelector('.filter-flags-group');
+        this.filterFlagsInput = document.getElementById('filter-flags-input');
+        this.filterExpressionGroup = document.querySelector('.filter-expression-group');
+        this.filterExpressionInput = document.getElementById('filter-expression-input');
+        this.parameterListGroup = document.querySelector('.parameter-list-group');
+        this.parameterListInput = document.getElementById('parameter-list-input');
+        this.normalizeOptionsGroup = document.querySelector('.normalize-options-group');
+        this.normalizeStepCheckboxes = Array.from(document.querySelectorAll('input[name="normalize-step"]'));
+        this.trackingOptionsGroup = document.querySelector('.tracking-options-group');
+        this.trackingRuleSetList = document.getElementById('tracking-rule-sets');
+        this.trackingCustomRules = document.getElementById('tracking-custom-rules');
+        this.renderTrackingRuleSets();
+        this.compareOptionsGroup = document.querySelector('.compare-options-group');
+        this.compareKeySelect = document.getElementById('compare-key-select');
+        this.addStepButton = document.getElementById('add-step-btn');
+        this.runPipelineButton = document.getElementById('run-pipeline-btn');
+        this.clearPipelineButton = document.getElementById('clear-pipeline-btn');
+        const pipelineList = document.getElementById('pipeline-steps');
+        this.pipelineBuilder = window.PipelineBuilder && pipelineList ? new PipelineBuilder(pipelineList) : null;
         this.processAllCheckbox = document.getElementById('process-all-checkbox');
         this.processButton = document.getElementById('process-btn');
         this.errorMessage = document.getElementById('error-message');
@@ -54,7 +79,7 @@ class ControlPanel {
         }
         
         // Store all select elements for easier iteration
-        this.allSelects = [this.cleanModifySelect, this.deduplicateSelect, this.filterSelect, this.sortSelect];
+        this.allSelects = [this.cleanModifySelect, this.deduplicateSelect, this.filterSelect, this.sortSelect, this.compareSelect].filter(Boolean);
     }
     
     /**
@@ -90,6 +115,78 @@ class ControlPanel {
             });
         }
         
+        // Filter mode and regex flags change how the filter string is validated
+        if (this.filterModeSelect) {
+            this.filterModeSelect.addEventListener('change', () => {
+                this.handleFilterModeChange();
+            });
+        }
+        if (this.filterFlagsInput) {
+            this.filterFlagsInput.addEventListener('input', () => {
+                this.validateFilterInput();
+            });
+        }
+        
+        // Advanced filter expressions are parsed as they are typed
+        if (this.filterExpressionInput) {
+            this.filterExpressionInput.addEventListener('input', () => {
+                this.validateFilterExpression();
+                this.updateProcessButtonState();
+            });
+        }
+        
+        // Parameter list input enables the process button
+        if (this.parameterListInput) {
+            this.parameterListInput.addEventListener('input', () => {
+                this.updateProcessButtonState();
+            });
+        }
+        
+        // Tracking rule changes are saved as they are made
+        if (this.trackingOptionsGroup) {
+            this.trackingOptionsGroup.addEventListener('change', () => {
+                this.saveTrackingRules();
+            });
+        }
+        if (this.trackingCustomRules) {
+            this.trackingCustomRules.addEventListener('input', () => {
+                this.validateTrackingRules();
+            });
+        }
+        
+        // Pipeline steps are built from the current selection
+        if (this.addStepButton) {
+            this.addStepButton.addEventListener('click', () => {
+                this.handleAddStepClick();
+            });
+        }
+        if (this.runPipelineButton) {
+            this.runPipelineButton.addEventListener('click', () => {
+                this.handleRunPipelineClick();
+            });
+        }
+        if (this.clearPipelineButton) {
+            this.clearPipelineButton.addEventListener('click', () => {
+                this.pipelineBuilder?.clear();
+            });
+        }
+        if (this.pipelineBuilder) {
+            this.pipelineBuilder.onChange(() => {
+                this.updateProcessButtonState();
+            });
+            this.pipelineBuilder.onEdit((options) => {
+                this.applyStepOptions(options);
+                this.updateProcessButtonState();
+            });
+        }
+        
+        // Input mode change
+        if (this.inputModeSelect) {
+            this.inputModeSelect.addEventListener('change', () => {
+                this.inputModeCallback?.(this.getInputMode());
+            });
+        }
+        
         // Process all checkbox change
         if (this.processAllCheckbox) {
             this.processAllCheckbox.addEventListener('change', () => {
@@ -113,6 +210,24 @@ class ControlPanel {
         // Show/hide filter input based on operation
         this.toggleFilterInput(requiresFilter);
         
+        if (this.filterExpressionGroup) {
+            this.filterExpressionGroup.style.display = this.operationRequiresExpression(operation) ? 'flex' : 'none';
+        }
+        if (this.parameterListGroup) {
+            this.parameterListGroup.style.display = this.operationRequiresParameterList(operation) ? 'flex' : 'none';
+        }
+        
+        // Normalization steps are only relevant to the normalize operation
+        if (this.normalizeOptionsGroup) {
+            this.normalizeOptionsGroup.style.display = operation === 'normalize' ? 'flex' : 'none';
+        }
+        if (this.trackingOptionsGroup) {
+            this.trackingOptionsGroup.style.display = operation === 'removeTracking' ? 'flex' : 'none';
+        }
+        if (this.compareOptionsGroup) {
+            this.compareOptionsGroup.style.display = this.operationComparesLists(operation) ? 'flex' : 'none';
+        }
+        
         // Update process button state
         this.updateProcessButtonState();
         
@@ -120,6 +235,25 @@ class ControlPanel {
         this.hideError();
     }
     
+    /**
+     * Handle filter mode change
+     */
+    handleFilterModeChange() {
+        const mode = this.getFilterMode();
+        
+        if (this.filterFlagsGroup) {
+            this.filterFlagsGroup.style.display = mode === 'regex' ? 'flex' : 'none';
+        }
+        if (this.filterInput) {
+            this.filterInput.placeholder = ControlPanel.FILTER_PLACEHOLDERS[mode] || ControlPanel.FILTER_PLACEHOLDERS.substring;
+        }
+        
+        // Re-check a pattern that was typed before the mode was switched
+        if (this.getFilterString().trim()) {
+            this.validateFilterInput();
+        }
+    }
+    
     /**
      * Handle process button click
      */
@@ -130,6 +264,41 @@ class ControlPanel {
         }
     }
     
+    /**
+     * Add the current selection to the pipeline, or update the step being edited
+     */
+    handleAddStepClick() {
+        if (!this.pipelineBuilder || !this.validateInput()) {
+            return;
+        }
+        
+        const options = this.getStepOptions();
+        if (this.pipelineBuilder.isEditing()) {
+            this.pipelineBuilder.updateStep(this.pipelineBuilder.editingIndex, options);
+        } else {
+            this.pipelineBuilder.addStep(options);
+        }
+    }
+    
+    /**
+     * Handle run pipeline button click
+     */
+    handleRunPipelineClick() {
+        if (!this.processCallback || !this.pipelineBuilder?.hasEnabledSteps()) {
+            return;
+        }
+        
+        this.pipelineBuilder.cancelEditing();
+        this.hideError();
+        this.processCallback({
+            operation: 'pipeline',
+            pipeline: this.pipelineBuilder.getEnabledSteps(),
+            processAll: this.isProcessAllEnabled(),
+            hostDisplay: this.getHostDisplay(),
+            inputMode: this.getInputMode()
+        });
+    }
+    
     /**
      * Handle process all checkbox change
      */
@@ -150,7 +319,7 @@ class ControlPanel {
             // Use InputValidator if available
             if (window.InputValidator) {
                 const validator = new InputValidator();
-                const result = validator.validateFilterString(filterString, { required: true });
+                const result = validator.validateFilterString(filterString, this.getFilterValidationOptions());
                 
                 if (!result.isValid && result.errors.length > 0) {
                     this.showError(result.errors[0].message);
@@ -175,6 +344,28 @@ class ControlPanel {
         return true;
     }
     
+    /**
+     * Validate the advanced filter expression and report syntax errors with their column
+     * @returns {boolean} True if the expression parses (or is not needed)
+     */
+    validateFilterExpression() {
+        if (!this.operationRequiresExpression(this.getOperation()) || !window.InputValidator) {
+            return true;
+        }
+        
+        const validator = new InputValidator();
+        const result = validator.validateFilterExpression(this.getFilterExpression(), { required: true });
+        this.filterExpressionInput?.setAttribute('aria-invalid', String(!result.isValid));
+        
+        if (!result.isValid && result.errors.length > 0) {
+            this.showError(result.errors[0].message);
+            return false;
+        }
+        
+        this.hideError();
+        return true;
+    }
+    
     /**
      * Validate all input before processing
      */
@@ -192,9 +383,18 @@ class ControlPanel {
                 return false;
             }
             
+            if (this.operationRequiresParameterList(operation) && this.getParameterList().length === 0) {
+                this.showError('Enter at least one parameter name');
+                return false;
+            }
+            
+            if (operationResult.requiresExpression && !this.validateFilterExpression()) {
+                return false;
+            }
+            
             // Validate filter if required
             if (operationResult.requiresFilter) {
-                const filterResult = validator.validateFilterString(this.getFilterString(), { required: true });
+                const filterResult = validator.validateFilterString(this.getFilterString(), this.getFilterValidationOptions());
                 if (!filterResult.isValid && filterResult.errors.length > 0) {
                     this.showError(filterResult.errors[0].message);
                     return false;
@@ -214,6 +414,16 @@ class ControlPanel {
                     return false;
                 }
             }
+            
+            if (this.operationRequiresParameterList(operation) && this.getParameterList().length === 0) {
+                this.showError('Enter at least one parameter name');
+                return false;
+            }
+            
+            if (this.operationRequiresExpression(operation) && !this.getFilterExpression().trim()) {
+                this.showError('Filter expression is required for this operation');
+                return false;
+            }
         }
         
         this.hideError();
@@ -227,6 +437,27 @@ class ControlPanel {
         return operation === 'filterRemove' || operation === 'filterKeep';
     }
     
+    /**
+     * Check if operation requires a filter expression
+     */
+    operationRequiresExpression(operation) {
+        return operation === 'filterAdvanced';
+    }
+    
+    /**
+     * Check if operation requires a list of parameter names
+     */
+    operationRequiresParameterList(operation) {
+        return operation === 'keepParamsList' || operation === 'removeParamsList';
+    }
+    
+    /**
+     * Check if operation combines the input with list B
+     */
+    operationComparesLists(operation) {
+        return ControlPanel.LIST_OPERATIONS.includes(operation);
+    }
+    
     /**
      * Toggle filter input visibility
      */
@@ -250,8 +481,12 @@ class ControlPanel {
         const operation = this.getOperation();
         const hasValidFilter = !this.operationRequiresFilter(operation) || 
                               (this.getFilterString() && this.getFilterString().trim());
+        const hasParameterList = !this.operationRequiresParameterList(operation) ||
+                                this.getParameterList().length > 0;
+        const hasExpression = !this.operationRequiresExpression(operation) ||
+                             this.getFilterExpression().trim() !== '';
         
-        const shouldBeEnabled = operation && hasValidFilter;
+        const shouldBeEnabled = operation && hasValidFilter && hasParameterList && hasExpression;
         this.processButton.disabled = !shouldBeEnabled;
         
         // Debug logging to help identify issues
@@ -267,6 +502,8 @@ class ControlPanel {
             });
         }
         
+        this.updatePipelineButtonState(shouldBeEnabled);
+        
         // Force the button state if there's a mismatch
         if (shouldBeEnabled && this.processButton.disabled) {
             console.warn('Button should be enabled but is disabled - forcing enable');
@@ -277,6 +514,27 @@ class ControlPanel {
         }
     }
     
+    /**
+     * Update the pipeline buttons
+     * @param {boolean} canAddStep - Whether the current selection is complete
+     * @private
+     */
+    updatePipelineButtonState(canAddStep) {
+        if (!this.pipelineBuilder) return;
+        
+        const hasSteps = this.pipelineBuilder.getSteps().length > 0;
+        if (this.addStepButton) {
+            this.addStepButton.disabled = !canAddStep;
+            this.addStepButton.textContent = this.pipelineBuilder.isEditing() ? 'Update Step' : 'Add to Pipeline';
+        }
+        if (this.runPipelineButton) {
+            this.runPipelineButton.disabled = !this.pipelineBuilder.hasEnabledSteps();
+        }
+        if (this.clearPipelineButton) {
+            this.clearPipelineButton.disabled = !hasSteps;
+        }
+    }
+    
     /**
      * Update overall UI state
      */
@@ -307,17 +565,38 @@ class ControlPanel {
         // Find the appropriate select menu for this operation and set it
         const operationMap = {
             'removeParams': this.cleanModifySelect,
+            'removeTracking': this.cleanModifySelect,
+            'keepParamsList': this.cleanModifySelect,
+            'removeParamsList': this.cleanModifySelect,
             'trimLastPath': this.cleanModifySelect,
+            'normalize': this.cleanModifySelect,
             'extractTLD': this.cleanModifySelect,
             'keepTLD': this.cleanModifySelect,
+            'hostsToUnicode': this.cleanModifySelect,
+            'hostsToPunycode': this.cleanModifySelect,
             'deduplicateTLD': this.deduplicateSelect,
             'deduplicateDomain': this.deduplicateSelect,
             'deduplicateFull': this.deduplicateSelect,
             'filterKeep': this.filterSelect,
             'filterRemove': this.filterSelect,
+            'keepIPHosts': this.filterSelect,
+            'removeIPHosts': this.filterSelect,
+            'keepPrivateHosts': this.filterSelect,
+            'removePrivateHosts': this.filterSelect,
+            'filterAdvanced': this.filterSelect,
             'sortByDomain': this.sortSelect,
             'sortByLength': this.sortSelect,
-            'sortByFilename': this.sortSelect
+            'sortByFilename': this.sortSelect,
+            'sortByLastmod': this.sortSelect,
+            'sortByPriority': this.sortSelect,
+            'sortByFolder': this.sortSelect,
+            'sortBySize': this.sortSelect,
+            'sortByTime': this.sortSelect,
+            'compareUnion': this.compareSelect,
+            'compareIntersection': this.compareSelect,
+            'compareAMinusB': this.compareSelect,
+            'compareBMinusA': this.compareSelect,
+            'compareSymmetricDifference': this.compareSelect
         };
         
         const targetSelect = operationMap[operation];
@@ -344,6 +623,245 @@ class ControlPanel {
         }
     }
     
+    /**
+     * Get the URL component the filter is matched against
+     * @returns {string} One of URLFilter.TARGETS, 'url' for the whole URL
+     */
+    getFilterTarget() {
+        return this.filterTargetSelect?.value || 'url';
+    }
+    
+    /**
+     * Set the URL component the filter is matched against
+     */
+    setFilterTarget(target) {
+        if (this.filterTargetSelect) {
+            this.filterTargetSelect.value = target || 'url';
+        }
+    }
+    
+    /**
+     * Get the filter match mode
+     * @returns {string} 'substring', 'case-sensitive', 'glob' or 'regex'
+     */
+    getFilterMode() {
+        return this.filterModeSelect?.value || 'substring';
+    }
+    
+    /**
+     * Set the filter match mode
+     */
+    setFilterMode(mode) {
+        if (this.filterModeSelect) {
+            this.filterModeSelect.value = mode || 'substring';
+            this.handleFilterModeChange();
+        }
+    }
+    
+    /**
+     * Get the regular expression flags (only used in regex mode)
+     */
+    getFilterFlags() {
+        return this.getFilterMode() === 'regex' ? (this.filterFlagsInput?.value || '').trim() : '';
+    }
+    
+    /**
+     * Options for InputValidator.validateFilterString
+     * @private
+     */
+    getFilterValidationOptions() {
+        return { required: true, mode: this.getFilterMode(), flags: this.getFilterFlags() };
+    }
+    
+    /**
+     * Get the advanced filter expression text
+     */
+    getFilterExpression() {
+        return this.filterExpressionInput?.value || '';
+    }
+    
+    /**
+     * Get the parameter names entered for the keep/remove parameter operations
+     * @returns {string[]} Parameter names or wildcard patterns
+     */
+    getParameterList() {
+        return (this.parameterListInput?.value || '').split(/[\s,]+/).filter(Boolean);
+    }
+    
+    /**
+     * Get what list comparisons compare
+     * @returns {string} One of the keys of URLProcessor.LIST_COMPARISONS
+     */
+    getCompareKey() {
+        return this.compareKeySelect?.value || 'full';
+    }
+    
+    /**
+     * Set what list comparisons compare
+     */
+    setCompareKey(key) {
+        if (this.compareKeySelect) {
+            this.compareKeySelect.value = key || 'full';
+        }
+    }
+    
+    /**
+     * Get host display mode ('unicode' or 'ascii')
+     */
+    getHostDisplay() {
+        return this.hostDisplaySelect?.value || 'unicode';
+    }
+    
+    /**
+     * Set host display mode
+     */
+    setHostDisplay(mode) {
+        if (this.hostDisplaySelect) {
+            this.hostDisplaySelect.value = mode === 'ascii' ? 'ascii' : 'unicode';
+        }
+    }
+    
+    /**
+     * Get input mode ('lines': one URL per line, 'extract': find URLs in text, HTML and Markdown,
+     * 'csv': a CSV/TSV table with a URL column, 'sitemap': sitemap or sitemap index XML,
+     * 'bookmarks': a Netscape bookmark file, 'har': a HAR network log)
+     */
+    getInputMode() {
+        return this.inputModeSelect?.value || 'lines';
+    }
+    
+    /**
+     * Set input mode
+     */
+    setInputMode(mode) {
+        if (this.inputModeSelect) {
+            const inputMode = ['extract', 'csv', 'sitemap', 'bookmarks', 'har'].includes(mode) ? mode : 'lines';
+            if (this.inputModeSelect.value !== inputMode) {
+                this.inputModeSelect.value = inputMode;
+                this.inputModeCallback?.(inputMode);
+            }
+        }
+    }
+    
+    /**
+     * Get the enabled/disabled state of each normalization step
+     * @returns {Object} Map of step name to boolean
+     */
+    getNormalizeSteps() {
+        const steps = {};
+        this.normalizeStepCheckboxes.forEach(checkbox => {
+            steps[checkbox.value] = checkbox.checked;
+        });
+        return steps;
+    }
+    
+    /**
+     * Render one checkbox per bundled tracking rule set, restoring saved choices
+     * @private
+     */
+    renderTrackingRuleSets() {
+        if (!this.trackingRuleSetList || !window.TrackingParameterStripper) {
+            return;
+        }
+        
+        const settings = TrackingParameterStripper.loadSettings();
+        const disabled = new Set(settings.disabledRuleSets);
+        
+        this.trackingRuleSetList.innerHTML = '';
+        TrackingParameterStripper.getRuleSetSummaries().forEach(ruleSet => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'tracking-rule-set';
+            checkbox.value = ruleSet.id;
+            checkbox.checked = !disabled.has(ruleSet.id);
+            
+            const text = document.createElement('span');
+            text.className = 'checkbox-text';
+            text.textContent = ruleSet.name;
+            
+            label.append(checkbox, text);
+            this.trackingRuleSetList.appendChild(label);
+        });
+        
+        if (this.trackingCustomRules) {
+            this.trackingCustomRules.value = settings.customRules;
+        }
+    }
+    
+    /**
+     * Set the normalization step checkboxes
+     * @param {Object} steps - Map of step name to boolean; missing steps are enabled
+     */
+    setNormalizeSteps(steps = {}) {
+        this.normalizeStepCheckboxes.forEach(checkbox => {
+            checkbox.checked = steps[checkbox.value] !== false;
+        });
+    }
+    
+    /**
+     * Get the tracking rule settings from the form
+     * @returns {Object} Settings with disabledRuleSets and customRules
+     */
+    getTrackingRules() {
+        const checkboxes = this.trackingRuleSetList
+            ? Array.from(this.trackingRuleSetList.querySelectorAll('input[name="tracking-rule-set"]'))
+            : [];
+        
+        return {
+            disabledRuleSets: checkboxes.filter(checkbox => !checkbox.checked).map(checkbox => checkbox.value),
+            customRules: this.trackingCustomRules?.value || ''
+        };
+    }
+    
+    /**
+     * Set the tracking rule checkboxes and custom rules without saving them
+     * @param {Object} rules - Settings with disabledRuleSets and customRules
+     */
+    setTrackingRules(rules = {}) {
+        const disabled = new Set(rules.disabledRuleSets || []);
+        if (this.trackingRuleSetList) {
+            this.trackingRuleSetList.querySelectorAll('input[name="tracking-rule-set"]').forEach(checkbox => {
+                checkbox.checked = !disabled.has(checkbox.value);
+            });
+        }
+        if (this.trackingCustomRules) {
+            this.trackingCustomRules.value = rules.customRules || '';
+        }
+    }
+    
+    /**
+     * Persist the tracking rule settings in localStorage
+     * @private
+     */
+    saveTrackingRules() {
+        if (window.TrackingParameterStripper && this.validateTrackingRules()) {
+            TrackingParameterStripper.saveSettings(this.getTrackingRules());
+        }
+    }
+    
+    /**
+     * Validate the custom tracking rules and show the first problem
+     * @returns {boolean} True if the rules are valid
+     * @private
+     */
+    validateTrackingRules() {
+        if (!window.TrackingParameterStripper || !this.trackingCustomRules) {
+            return true;
+        }
+        
+        const errors = TrackingParameterStripper.validateCustomRules(this.trackingCustomRules.value);
+        if (errors.length > 0) {
+            this.showError(`Custom rules: ${errors[0]}`);
+            return false;
+        }
+        
+        this.hideError();
+        return true;
+    }
+    
     /**
      * Check if process all text is enabled
      */
@@ -367,10 +885,120 @@ class ControlPanel {
         return {
             operation: this.getOperation(),
             filterString: this.getFilterString(),
-            processAll: this.isProcessAllEnabled()
+            filterTarget: this.getFilterTarget(),
+            filterMode: this.getFilterMode(),
+            filterFlags: this.getFilterFlags(),
+            filterExpression: this.getFilterExpression(),
+            processAll: this.isProcessAllEnabled(),
+            hostDisplay: this.getHostDisplay(),
+            inputMode: this.getInputMode(),
+            parameterList: this.getParameterList(),
+            normalizeSteps: this.getNormalizeSteps(),
+            trackingRules: this.getTrackingRules(),
+            compareKey: this.getCompareKey()
         };
     }
     
+    /**
+     * Get the options of the current selection as a pipeline step
+     * Only the settings the operation uses are kept, so steps stay small and
+     * describe themselves.
+     * @returns {Object} Control panel options for one operation
+     */
+    getStepOptions() {
+        const operation = this.getOperation();
+        const options = { operation };
+        
+        if (this.operationRequiresFilter(operation)) {
+            options.filterString = this.getFilterString();
+            options.filterTarget = this.getFilterTarget();
+            options.filterMode = this.getFilterMode();
+            options.filterFlags = this.getFilterFlags();
+        } else if (this.operationRequiresExpression(operation)) {
+            options.filterExpression = this.getFilterExpression();
+        } else if (this.operationRequiresParameterList(operation)) {
+            options.parameterList = this.getParameterList();
+        } else if (operation === 'normalize') {
+            options.normalizeSteps = this.getNormalizeSteps();
+        } else if (operation === 'removeTracking') {
+            options.trackingRules = this.getTrackingRules();
+        } else if (this.operationComparesLists(operation)) {
+            options.compareKey = this.getCompareKey();
+        }
+        
+        return options;
+    }
+    
+    /**
+     * Load the options of a pipeline step into the controls
+     * @param {Object} options - Control panel options for one operation
+     */
+    applyStepOptions(options) {
+        this.setOperation(options.operation);
+        
+        if (this.operationRequiresFilter(options.operation)) {
+            this.setFilterTarget(options.filterTarget);
+            this.setFilterMode(options.filterMode);
+            if (this.filterFlagsInput) {
+                this.filterFlagsInput.value = options.filterFlags || '';
+            }
+            this.setFilterString(options.filterString || '');
+        } else if (this.operationRequiresExpression(options.operation) && this.filterExpressionInput) {
+            this.filterExpressionInput.value = options.filterExpression || '';
+        } else if (this.operationRequiresParameterList(options.operation) && this.parameterListInput) {
+            this.parameterListInput.value = (options.parameterList || []).join(', ');
+        } else if (options.operation === 'normalize') {
+            this.setNormalizeSteps(options.normalizeSteps);
+        } else if (options.operation === 'removeTracking') {
+            this.setTrackingRules(options.trackingRules);
+        } else if (this.operationComparesLists(options.operation)) {
+            this.setCompareKey(options.compareKey);
+        }
+    }
+    
+    /**
+     * Get everything a saved recipe restores: the processing options plus the pipeline steps
+     * @returns {Object} Control panel options with pipeline ({options, enabled} per step)
+     */
+    getRecipeOptions() {
+        return {
+            ...this.getProcessingOptions(),
+            pipeline: this.pipelineBuilder ? this.pipelineBuilder.getSteps() : []
+        };
+    }
+    
+    /**
+     * Restore the controls from a saved recipe
+     * @param {Object} options - Options as returned by getRecipeOptions()
+     */
+    applyRecipeOptions(options) {
+        this.applyStepOptions(options);
+        if (!options.operation) {
+            this.handleOperationChange();
+        }
+        
+        // The recipe's tracking rules become the saved rule settings
+        if (options.operation === 'removeTracking' && options.trackingRules) {
+            this.saveTrackingRules();
+        }
+        
+        this.setProcessAll(options.processAll === true);
+        this.setHostDisplay(options.hostDisplay);
+        this.setInputMode(options.inputMode);
+        if (this.pipelineBuilder && Array.isArray(options.pipeline)) {
+            this.pipelineBuilder.setSteps(options.pipeline);
+        }
+        this.updateProcessButtonState();
+    }
+    
+    /**
+     * Show the input/output counts of the last pipeline run next to its steps
+     * @param {Object[]} stepCounts - Counts per enabled step
+     */
+    showPipelineCounts(stepCounts) {
+        this.pipelineBuilder?.showStepCounts(stepCounts);
+    }
+    
     /**
      * Set callback for process button click
      */
@@ -378,6 +1006,14 @@ class ControlPanel {
         this.processCallback = callback;
     }
     
+    /**
+     * Set callback for input mode changes
+     * @param {Function} callback - Called with the new mode
+     */
+    onInputModeChange(callback) {
+        this.inputModeCallback = callback;
+    }
+    
     /**
      * Show loading state
      * @param {string} message - Optional loading message
@@ -508,10 +1144,28 @@ class ControlPanel {
     reset() {
         this.setOperation('');
         this.setFilterString('');
+        this.setFilterTarget('url');
+        this.setFilterMode('substring');
         this.setProcessAll(false);
+        this.setHostDisplay('unicode');
         this.hideError();
         this.hideLoading();
         this.toggleFilterInput(false);
+        if (this.filterExpressionGroup) {
+            this.filterExpressionGroup.style.display = 'none';
+        }
+        if (this.parameterListGroup) {
+            this.parameterListGroup.style.display = 'none';
+        }
+        if (this.normalizeOptionsGroup) {
+            this.normalizeOptionsGroup.style.display = 'none';
+        }
+        if (this.trackingOptionsGroup) {
+            this.trackingOptionsGroup.style.display = 'none';
+        }
+        if (this.compareOptionsGroup) {
+            this.compareOptionsGroup.style.display = 'none';
+        }
     }
     
     /**
@@ -549,13 +1203,66 @@ class ControlPanel {
         if (this.filterInput) {
             this.filterInput.disabled = !enabled;
         }
+        if (this.filterTargetSelect) {
+            this.filterTargetSelect.disabled = !enabled;
+        }
+        if (this.filterModeSelect) {
+            this.filterModeSelect.disabled = !enabled;
+        }
+        if (this.filterFlagsInput) {
+            this.filterFlagsInput.disabled = !enabled;
+        }
+        if (this.hostDisplaySelect) {
+            this.hostDisplaySelect.disabled = !enabled;
+        }
+        if (this.inputModeSelect) {
+            this.inputModeSelect.disabled = !enabled;
+        }
+        if (this.filterExpressionInput) {
+            this.filterExpressionInput.disabled = !enabled;
+        }
+        if (this.parameterListInput) {
+            this.parameterListInput.disabled = !enabled;
+        }
+        this.normalizeStepCheckboxes.forEach(checkbox => {
+            checkbox.disabled = !enabled;
+        });
+        if (this.trackingOptionsGroup) {
+            this.trackingOptionsGroup.disabled = !enabled;
+        }
+        if (this.compareKeySelect) {
+            this.compareKeySelect.disabled = !enabled;
+        }
         if (this.processAllCheckbox) {
             this.processAllCheckbox.disabled = !enabled;
         }
+        if (this.pipelineBuilder) {
+            this.pipelineBuilder.setEnabled(enabled);
+            if (!enabled) {
+                [this.addStepButton, this.runPipelineButton, this.clearPipelineButton].forEach(button => {
+                    if (button) button.disabled = true;
+                });
+            }
+        }
         if (this.processButton && enabled) {
             this.updateProcessButtonState();
         } else if (this.processButton) {
             this.processButton.disabled = true;
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Filter input placeholder for each match mode
+ */
+ControlPanel.FILTER_PLACEHOLDERS = {
+    'substring': 'Enter filter text...',
+    'case-sensitive': 'Enter filter text...',
+    'glob': 'e.g. *.example.com/*/products/*',
+    'regex': 'e.g. /tag/\\d+$'
+};
+
+/**
+ * Operations that combine the input (list A) with list B
+ */
+ControlPanel.LIST_OPERATIONS = ['compareUnion', 'compareIntersection', 'compareAMinusB', 'compareBMinusA', 'compareSymmetricDifference'];
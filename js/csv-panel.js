@@ -0,0 +1,273 @@
+/**
+ * CSVPanel Class
+ * Options for the CSV/TSV input mode: delimiter, header row and the URL
+ * column. Operations run on the URL column; the other columns of each row
+ * are put back around the results, so the output is the same table with
+ * the processed rows.
+ */
+class CSVPanel {
+    /**
+     * @param {TextAreaManager} textAreaManager - Input text area, for the column list and file import
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     */
+    constructor(textAreaManager, statisticsManager = null) {
+        this.textAreaManager = textAreaManager;
+        this.statisticsManager = statisticsManager;
+        this.isVisible = false;
+        this.refreshTimer = null;
+        this.lastDelimiter = ',';
+        this.columnsCallback = null;
+
+        this.bindElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.group = document.querySelector('.csv-options-group');
+        this.delimiterSelect = document.getElementById('csv-delimiter-select');
+        this.headerCheckbox = document.getElementById('csv-header-checkbox');
+        this.columnSelect = document.getElementById('csv-column-select');
+        this.importButton = document.getElementById('import-csv-btn');
+        this.importInput = document.getElementById('import-csv-input');
+        this.downloadButton = document.getElementById('download-csv-btn');
+    }
+
+    /**
+     * Attach event listeners to the CSV options
+     */
+    attachEventListeners() {
+        this.textAreaManager.onInputChange(() => {
+            if (this.isVisible) {
+                clearTimeout(this.refreshTimer);
+                this.refreshTimer = setTimeout(() => this.refreshColumns(), CSVPanel.REFRESH_DELAY);
+            }
+        });
+
+        [this.delimiterSelect, this.headerCheckbox].forEach(control => {
+            if (control) {
+                control.addEventListener('change', () => this.refreshColumns());
+            }
+        });
+
+        if (this.importButton && this.importInput) {
+            this.importButton.addEventListener('click', () => {
+                this.importInput.click();
+            });
+            this.importInput.addEventListener('change', () => {
+                const file = this.importInput.files[0];
+                if (file) {
+                    this.importFile(file);
+                }
+                // Allow importing the same file again
+                this.importInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * Show or hide the options
+     * @param {boolean} visible - Whether the CSV input mode is selected
+     */
+    setVisible(visible) {
+        this.isVisible = visible;
+
+        if (this.group) {
+            this.group.style.display = visible ? '' : 'none';
+        }
+        if (visible) {
+            this.refreshColumns();
+        }
+    }
+
+    /**
+     * Enable/disable the options while processing
+     * @param {boolean} enabled - Whether the options can be changed
+     */
+    setEnabled(enabled) {
+        [this.delimiterSelect, this.headerCheckbox, this.columnSelect, this.importButton, this.downloadButton].forEach(control => {
+            if (control) {
+                control.disabled = !enabled;
+            }
+        });
+    }
+
+    /**
+     * Get the delimiter to use for a text
+     * @param {string} text - CSV or TSV text
+     * @returns {string} Field delimiter
+     */
+    getDelimiter(text) {
+        const value = this.delimiterSelect ? this.delimiterSelect.value : 'auto';
+        return value === 'auto' ? CSVTable.detectDelimiter(text) : CSVPanel.DELIMITERS[value];
+    }
+
+    /**
+     * Whether the first row holds column names
+     * @returns {boolean} True if there is a header row
+     */
+    hasHeader() {
+        return this.headerCheckbox ? this.headerCheckbox.checked : true;
+    }
+
+    /**
+     * List the columns of the input in the URL column menu
+     * The selected column is kept while the input has it; otherwise the URL column is guessed.
+     */
+    refreshColumns() {
+        if (!this.columnSelect) return;
+
+        const text = this.textAreaManager.getInputText(true);
+        const delimiter = this.getDelimiter(text);
+        const { records } = CSVTable.parse(text, delimiter, CSVTable.SAMPLE_SIZE + 1);
+        const hasHeader = this.hasHeader();
+        const columnCount = records.reduce((count, record) => Math.max(count, record.length), 0);
+
+        const previous = this.columnSelect.options.length === columnCount ? this.columnSelect.selectedIndex : -1;
+        const selected = previous >= 0 ? previous : CSVTable.guessURLColumn(records, hasHeader);
+
+        const fragment = document.createDocumentFragment();
+        for (let column = 0; column < columnCount; column++) {
+            const option = document.createElement('option');
+            option.value = String(column);
+            option.textContent = this.describeColumn(records, column, hasHeader);
+            fragment.appendChild(option);
+        }
+
+        this.columnSelect.innerHTML = '';
+        this.columnSelect.appendChild(fragment);
+        if (columnCount > 0) {
+            this.columnSelect.value = String(selected);
+        }
+        this.columnsCallback?.(Array.from(this.columnSelect.options, option => option.textContent));
+    }
+
+    /**
+     * Set callback for when the column list changes, e.g. to offer the columns elsewhere
+     * @param {Function} callback - Called with the column labels
+     */
+    onColumnsChange(callback) {
+        this.columnsCallback = callback;
+    }
+
+    /**
+     * Menu label of a column: its header name, or its number and first value
+     * @private
+     */
+    describeColumn(records, column, hasHeader) {
+        const name = hasHeader ? (records[0][column] || '').trim() : '';
+        if (name) return name;
+
+        const sample = (records[hasHeader ? 1 : 0] || [])[column] || '';
+        const preview = sample.length > 30 ? `${sample.slice(0, 30)}…` : sample;
+        return preview ? `Column ${column + 1} (${preview})` : `Column ${column + 1}`;
+    }
+
+    /**
+     * Parse the input with the current options
+     * @param {string} text - CSV or TSV text
+     * @returns {Object} delimiter, header (or null), records, column, and entries ({url, line} per record)
+     */
+    readTable(text) {
+        const delimiter = this.getDelimiter(text);
+        const parsed = CSVTable.parse(text, delimiter);
+        const hasHeader = this.hasHeader() && parsed.records.length > 0;
+
+        const records = hasHeader ? parsed.records.slice(1) : parsed.records;
+        const lines = hasHeader ? parsed.lines.slice(1) : parsed.lines;
+        const selected = this.columnSelect ? parseInt(this.columnSelect.value, 10) : NaN;
+        const column = Number.isInteger(selected) ? selected : CSVTable.guessURLColumn(parsed.records.slice(0, CSVTable.SAMPLE_SIZE + 1), hasHeader);
+
+        this.lastDelimiter = delimiter;
+
+        return {
+            delimiter,
+            header: hasHeader ? parsed.records[0] : null,
+            records,
+            lines,
+            column,
+            // Line breaks inside a quoted URL cell must not split it into two URLs
+            entries: records.map((record, index) => ({
+                url: (record[column] || '').replace(/[\r\n]+/g, ' '),
+                line: lines[index]
+            }))
+        };
+    }
+
+    /**
+     * Put processed URLs back into their rows
+     * @param {Object} table - readTable() result
+     * @param {string[]} results - Processed URLs
+     * @param {number[]|null} resultLines - Input line of each result
+     * @returns {string[]|null} Formatted rows with the header first, or null if the rows are unknown
+     */
+    static formatResults(table, results, resultLines) {
+        if (!resultLines || resultLines.length !== results.length) return null;
+
+        const recordsByLine = new Map(table.lines.map((line, index) => [line, table.records[index]]));
+        const rows = table.header ? [CSVTable.formatRecord(table.header, table.delimiter)] : [];
+
+        for (const [index, url] of results.entries()) {
+            const record = recordsByLine.get(resultLines[index]);
+            if (!record) return null;
+
+            const fields = record.slice();
+            fields[table.column] = url;
+            rows.push(CSVTable.formatRecord(fields, table.delimiter));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Read a CSV/TSV file into the input
+     * @param {File} file - Selected file
+     */
+    async importFile(file) {
+        try {
+            await this.textAreaManager.setInputText(await file.text());
+            this.refreshColumns();
+            this.statisticsManager?.showSuccessMessage(`Imported ${file.name}`);
+        } catch (error) {
+            this.statisticsManager?.showError(`Failed to read ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download a table as a CSV or TSV file
+     * @param {string} text - Table text, usually the output
+     */
+    downloadTable(text) {
+        if (!text) {
+            this.statisticsManager?.showWarning('There are no results to download');
+            return;
+        }
+
+        const isTSV = this.lastDelimiter === '\t';
+        const blob = new Blob([text], { type: isTSV ? 'text/tab-separated-values' : 'text/csv' });
+        DownloadMenu.saveBlob(blob, isTSV ? CSVPanel.TSV_FILENAME : CSVPanel.CSV_FILENAME);
+    }
+}
+
+/**
+ * Delimiter menu values
+ */
+CSVPanel.DELIMITERS = { comma: ',', tab: '\t', semicolon: ';' };
+
+/**
+ * Delay after the last keystroke before the column list is refreshed, in milliseconds
+ */
+CSVPanel.REFRESH_DELAY = 300;
+
+/**
+ * File names used when downloading results
+ */
+CSVPanel.CSV_FILENAME = 'urls.csv';
+CSVPanel.TSV_FILENAME = 'urls.tsv';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVPanel;
+}
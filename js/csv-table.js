@@ -0,0 +1,166 @@
+/**
+ * CSVTable - Reading and writing CSV/TSV records
+ * Follows RFC 4180: fields may be quoted, quotes inside quoted fields are
+ * doubled, and quoted fields may contain delimiters and line breaks. Each
+ * record remembers the input line it starts on, so results can be traced
+ * back to their rows.
+ */
+class CSVTable {
+    /**
+     * Guess the delimiter from the first line outside quotes
+     * @param {string} text - CSV or TSV text
+     * @returns {string} ',', '\t' or ';'
+     */
+    static detectDelimiter(text) {
+        const counts = { ',': 0, '\t': 0, ';': 0 };
+        let inQuotes = false;
+
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && char in counts) {
+                counts[char]++;
+            }
+        }
+
+        return Object.keys(counts).reduce((best, delimiter) => counts[delimiter] > counts[best] ? delimiter : best, ',');
+    }
+
+    /**
+     * Split text into records
+     * Blank lines are skipped. An unterminated quoted field runs to the end of the text.
+     * @param {string} text - CSV or TSV text
+     * @param {string} delimiter - Field delimiter
+     * @param {number} maxRecords - Stop after this many records
+     * @returns {Object} records (arrays of fields) and lines (1-based start line of each record)
+     */
+    static parse(text, delimiter = ',', maxRecords = Infinity) {
+        const records = [];
+        const lines = [];
+        let record = [];
+        let field = '';
+        let line = 1;
+        let recordLine = 1;
+        let inQuotes = false;
+        let quoted = false;
+
+        const endRecord = () => {
+            record.push(field);
+            // A blank line is one unquoted empty field
+            if (record.length > 1 || field !== '' || quoted) {
+                records.push(record);
+                lines.push(recordLine);
+            }
+            record = [];
+            field = '';
+            quoted = false;
+            recordLine = line;
+        };
+
+        for (let index = 0; index < text.length && records.length < maxRecords; index++) {
+            const char = text[index];
+
+            if (inQuotes) {
+                if (char === '"' && text[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n' || (char === '\r' && text[index + 1] !== '\n')) {
+                        line++;
+                    }
+                    field += char;
+                }
+            } else if (char === '"' && field === '' && !quoted) {
+                inQuotes = true;
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+                quoted = false;
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[index + 1] === '\n') {
+                    index++;
+                }
+                line++;
+                endRecord();
+            } else {
+                field += char;
+            }
+        }
+
+        if (records.length < maxRecords && (field !== '' || record.length > 0 || quoted)) {
+            endRecord();
+        }
+
+        return { records, lines };
+    }
+
+    /**
+     * Format one record, quoting fields that need it
+     * @param {string[]} fields - Field values
+     * @param {string} delimiter - Field delimiter
+     * @returns {string} CSV line (may contain line breaks inside quoted fields)
+     */
+    static formatRecord(fields, delimiter = ',') {
+        return fields.map(field => {
+            const value = field ?? '';
+            const needsQuotes = value.includes(delimiter) || /["\r\n]/.test(value) || value !== value.trim();
+            return needsQuotes ? `"${value.replace(/"/g, '""')}"` : value;
+        }).join(delimiter);
+    }
+
+    /**
+     * Guess which column holds the URLs
+     * A header named like "url" or "link" wins; otherwise the column with the most URL-looking values.
+     * @param {string[][]} records - Records, header first if there is one
+     * @param {boolean} hasHeader - Whether the first record is a header
+     * @returns {number} Column index
+     */
+    static guessURLColumn(records, hasHeader) {
+        if (records.length === 0) return 0;
+
+        if (hasHeader) {
+            const named = records[0].findIndex(name => CSVTable.URL_HEADER.test(name.trim()));
+            if (named !== -1) return named;
+        }
+
+        const rows = records.slice(hasHeader ? 1 : 0, CSVTable.SAMPLE_SIZE + 1);
+        const columnCount = records.reduce((count, record) => Math.max(count, record.length), 0);
+        let best = 0;
+        let bestScore = -1;
+
+        for (let column = 0; column < columnCount; column++) {
+            const score = rows.filter(row => CSVTable.URL_VALUE.test((row[column] || '').trim())).length;
+            if (score > bestScore) {
+                best = column;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+}
+
+/**
+ * Header names taken to mean the URL column
+ */
+CSVTable.URL_HEADER = /^(url|urls|link|links|href|address|website|web site|page|uri)$/i;
+
+/**
+ * Cell values that look like URLs or hosts
+ */
+CSVTable.URL_VALUE = /^((https?|ftp):\/\/|www\.)\S+$|^[a-z0-9-]+(\.[a-z0-9-]+)+([/?#]\S*)?$/i;
+
+/**
+ * Records looked at when guessing the URL column
+ */
+CSVTable.SAMPLE_SIZE = 50;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVTable;
+}
@@ -0,0 +1,196 @@
+/**
+ * DiffView Class
+ * Shows the last run side by side: every input URL with its result, marked
+ * as kept, changed (old → new) or removed. The comparison itself is done by
+ * URLDiff when the view is first opened.
+ */
+class DiffView {
+    constructor() {
+        this.run = null;
+        this.comparison = null;
+        this.isVisible = false;
+
+        this.bindElements();
+        this.attachEventListeners();
+        this.updateButtonState();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.toggleButton = document.getElementById('show-diff-btn');
+        this.section = document.getElementById('diff-section');
+        this.summary = document.getElementById('diff-summary');
+        this.statusFilter = document.getElementById('diff-status-filter');
+        this.tableBody = document.getElementById('diff-table-body');
+    }
+
+    /**
+     * Attach event listeners to the diff controls
+     */
+    attachEventListeners() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.setVisible(!this.isVisible);
+            });
+        }
+
+        if (this.statusFilter) {
+            this.statusFilter.addEventListener('change', () => {
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Remember the lines of a finished run
+     * @param {string[]} inputLines - URLs that were processed
+     * @param {string[]} outputLines - Results
+     * @param {Array<number|null>|null} resultLines - Input line number of each result, or null if unknown
+     * @param {number[]|null} lineNumbers - Line number of each input URL
+     */
+    setRun(inputLines, outputLines, resultLines = null, lineNumbers = null) {
+        this.run = { inputLines, outputLines, resultLines, lineNumbers };
+        this.comparison = null;
+        this.updateButtonState();
+
+        if (this.isVisible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Forget the last run and close the view
+     */
+    clear() {
+        this.run = null;
+        this.comparison = null;
+        this.setVisible(false);
+        this.updateButtonState();
+    }
+
+    /**
+     * Open or close the view
+     * @param {boolean} visible - Whether to show the diff
+     */
+    setVisible(visible) {
+        this.isVisible = visible && this.run !== null;
+
+        if (this.section) {
+            this.section.style.display = this.isVisible ? '' : 'none';
+        }
+        if (this.toggleButton) {
+            this.toggleButton.textContent = this.isVisible ? 'Hide Diff' : 'Show Diff';
+            this.toggleButton.setAttribute('aria-expanded', String(this.isVisible));
+        }
+
+        if (this.isVisible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Compare the last run, once
+     * @returns {Object|null} URLDiff comparison
+     */
+    getComparison() {
+        if (!this.comparison && this.run) {
+            this.comparison = URLDiff.compare(this.run.inputLines, this.run.outputLines, this.run.resultLines, this.run.lineNumbers);
+        }
+        return this.comparison;
+    }
+
+    /**
+     * Render the summary and the rows matching the status filter
+     * @private
+     */
+    render() {
+        const comparison = this.getComparison();
+        if (!comparison || !this.tableBody) return;
+
+        if (this.summary) {
+            const parts = ['kept', 'changed', 'removed', 'added']
+                .filter(status => status !== 'added' || comparison.counts.added > 0)
+                .map(status => `${comparison.counts[status]} ${DiffView.STATUS_LABELS[status].toLowerCase()}`);
+            this.summary.textContent = parts.join(' • ');
+        }
+
+        const status = this.statusFilter ? this.statusFilter.value : 'all';
+        const rows = status === 'all'
+            ? comparison.rows
+            : comparison.rows.filter(row => row.status === status);
+
+        const fragment = document.createDocumentFragment();
+        rows.slice(0, DiffView.MAX_ROWS).forEach(row => {
+            fragment.appendChild(this.renderRow(row));
+        });
+
+        if (rows.length > DiffView.MAX_ROWS) {
+            const note = document.createElement('tr');
+            note.className = 'diff-row-note';
+            const cell = document.createElement('td');
+            cell.colSpan = 3;
+            cell.textContent = `Showing the first ${DiffView.MAX_ROWS} of ${rows.length} rows`;
+            note.appendChild(cell);
+            fragment.appendChild(note);
+        }
+
+        this.tableBody.innerHTML = '';
+        this.tableBody.appendChild(fragment);
+    }
+
+    /**
+     * Render one table row
+     * @private
+     */
+    renderRow(row) {
+        const tr = document.createElement('tr');
+        tr.className = `diff-row diff-row-${row.status}`;
+
+        const statusCell = document.createElement('td');
+        statusCell.className = 'diff-status';
+        statusCell.textContent = DiffView.STATUS_LABELS[row.status];
+
+        const inputCell = document.createElement('td');
+        inputCell.className = 'diff-input';
+        inputCell.textContent = row.input ?? '';
+
+        const outputCell = document.createElement('td');
+        outputCell.className = 'diff-output';
+        outputCell.textContent = row.output ?? '';
+
+        tr.append(statusCell, inputCell, outputCell);
+        return tr;
+    }
+
+    /**
+     * Enable the toggle button when there is a run to show
+     * @private
+     */
+    updateButtonState() {
+        if (this.toggleButton) {
+            this.toggleButton.disabled = this.run === null;
+        }
+    }
+}
+
+/**
+ * Most rows rendered at once; larger runs can be narrowed with the status filter
+ */
+DiffView.MAX_ROWS = 2000;
+
+/**
+ * Row status labels
+ */
+DiffView.STATUS_LABELS = {
+    kept: 'Kept',
+    changed: 'Changed',
+    removed: 'Removed',
+    added: 'Added'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiffView;
+}
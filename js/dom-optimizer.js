@@ -152,8 +152,8 @@ class DOMOptimizer {
         let debounceTimer = null;
         
         return (newValue, immediate = false) => {
-            // Skip if value hasn't changed
-            if (newValue === lastValue) {
+            // Skip if value hasn't changed (the text area may have been edited since)
+            if (newValue === lastValue && newValue === textArea.value) {
                 return Promise.resolve();
             }
             
@@ -0,0 +1,166 @@
+/**
+ * DownloadMenu Class
+ * The "Download" menu of the output section. It saves every result of the
+ * output, not just the part the output text area shows, in the format picked
+ * from the menu, optionally gzipped.
+ */
+class DownloadMenu {
+    /**
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     */
+    constructor(statisticsManager = null) {
+        this.statisticsManager = statisticsManager;
+        this.source = null;
+
+        this.bindElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.button = document.getElementById('download-results-btn');
+        this.menu = document.getElementById('download-menu');
+        this.gzipCheckbox = document.getElementById('download-gzip-checkbox');
+        this.formatButtons = this.menu ? Array.from(this.menu.querySelectorAll('[data-format]')) : [];
+    }
+
+    /**
+     * Attach event listeners to the menu button and format buttons
+     */
+    attachEventListeners() {
+        if (this.button) {
+            this.button.addEventListener('click', () => {
+                this.setOpen(!this.isOpen());
+            });
+        }
+
+        this.formatButtons.forEach(formatButton => {
+            formatButton.addEventListener('click', () => {
+                this.setOpen(false);
+                this.downloadResults(formatButton.dataset.format, this.gzipCheckbox?.checked === true);
+            });
+        });
+
+        if (this.menu) {
+            this.menu.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') {
+                    this.setOpen(false);
+                    this.button?.focus();
+                }
+            });
+        }
+
+        // Close when clicking anywhere else
+        document.addEventListener('click', (event) => {
+            if (this.isOpen() && !this.menu.contains(event.target) && !this.button.contains(event.target)) {
+                this.setOpen(false);
+            }
+        });
+    }
+
+    /**
+     * Set where the results come from
+     * @param {Function} source - Returns {url, metadata} per output URL
+     */
+    setSource(source) {
+        this.source = source;
+    }
+
+    /**
+     * Enable/disable the menu while processing
+     * @param {boolean} enabled - Whether the menu can be used
+     */
+    setEnabled(enabled) {
+        if (this.button) {
+            this.button.disabled = !enabled;
+        }
+        if (!enabled) {
+            this.setOpen(false);
+        }
+    }
+
+    /**
+     * Whether the format list is shown
+     * @returns {boolean} True if the menu is open
+     */
+    isOpen() {
+        return this.menu ? !this.menu.hidden : false;
+    }
+
+    /**
+     * Show or hide the format list
+     * @param {boolean} open - Whether to show it
+     */
+    setOpen(open) {
+        if (!this.menu || !this.button) {
+            return;
+        }
+        this.menu.hidden = !open;
+        this.button.setAttribute('aria-expanded', open ? 'true' : 'false');
+        if (open) {
+            this.formatButtons[0]?.focus();
+        }
+    }
+
+    /**
+     * Download the results in a format
+     * @param {string} format - One of the keys of ResultExporter.FORMATS
+     * @param {boolean} gzip - Whether to gzip the file
+     * @returns {Promise<string|null>} Downloaded file name, or null if nothing was downloaded
+     */
+    async downloadResults(format, gzip = false) {
+        const entries = this.source ? this.source() : [];
+        if (entries.length === 0) {
+            this.statisticsManager?.showWarning('There are no results to download');
+            return null;
+        }
+
+        const { mime } = ResultExporter.FORMATS[format];
+        const name = ResultExporter.getFileName(format, gzip);
+
+        let blob;
+        try {
+            const text = ResultExporter.build(entries, format);
+            blob = gzip ? await ResultExporter.compress(text) : new Blob([text], { type: mime });
+        } catch (error) {
+            this.statisticsManager?.showError(`Failed to create ${name}: ${error.message}`);
+            return null;
+        }
+
+        DownloadMenu.saveBlob(blob, name);
+
+        this.statisticsManager?.showSuccessMessage(`Downloaded ${entries.length.toLocaleString()} results as ${name}`);
+        return name;
+    }
+
+    /**
+     * Save a file through a temporary link
+     * Shared by every panel that downloads a file.
+     * @param {Blob} blob - File content
+     * @param {string} name - File name
+     */
+    static saveBlob(blob, name) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Firefox and Safari read the blob after click() returns, so it is kept a while
+        setTimeout(() => URL.revokeObjectURL(url), DownloadMenu.REVOKE_DELAY);
+    }
+}
+
+/**
+ * Milliseconds a downloaded file's blob URL stays valid
+ */
+DownloadMenu.REVOKE_DELAY = 40000;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DownloadMenu;
+}
@@ -602,17 +602,39 @@ class ErrorHandler {
 
         const validOperations = [
             'removeParams',
+            'removeTracking',
+            'keepParamsList',
+            'removeParamsList',
             'deduplicateTLD',
             'deduplicateDomain', 
             'deduplicateFull',
             'filterRemove',
             'filterKeep',
+            'filterAdvanced',
+            'keepIPHosts',
+            'removeIPHosts',
+            'keepPrivateHosts',
+            'removePrivateHosts',
             'keepTLD',
             'trimLastPath',
+            'normalize',
             'extractTLD',
+            'hostsToUnicode',
+            'hostsToPunycode',
             'sortByDomain',
             'sortByLength',
-            'sortByFilename'
+            'sortByFilename',
+            'sortByLastmod',
+            'sortByPriority',
+            'sortByFolder',
+            'sortBySize',
+            'sortByTime',
+            'compareUnion',
+            'compareIntersection',
+            'compareAMinusB',
+            'compareBMinusA',
+            'compareSymmetricDifference',
+            'pipeline'
         ];
 
         if (!input || typeof input !== 'string') {
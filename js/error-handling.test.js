@@ -183,6 +183,71 @@ runner.test('InputValidator - Validate filter strings', () => {
     runner.assertTrue(optionalResult.isValid);
 });
 
+runner.test('InputValidator - Validate filter patterns by mode', () => {
+    const validator = new InputValidator();
+    
+    // Regular expressions are compiled before processing
+    const validRegex = validator.validateFilterString('/tag/\\d+$', { required: true, mode: 'regex', flags: 'i' });
+    runner.assertTrue(validRegex.isValid);
+    
+    const invalidRegex = validator.validateFilterString('(unclosed', { required: true, mode: 'regex' });
+    runner.assertFalse(invalidRegex.isValid);
+    runner.assertEqual(invalidRegex.errors[0].code, 'FILTER_INVALID_REGEX');
+    
+    const invalidFlags = validator.validateFilterString('example', { required: true, mode: 'regex', flags: 'g' });
+    runner.assertFalse(invalidFlags.isValid);
+    
+    // Special characters are expected in glob mode
+    const globResult = validator.validateFilterString('*.example.com/*', { required: true, mode: 'glob' });
+    runner.assertTrue(globResult.isValid);
+    runner.assertFalse(globResult.warnings.some(w => w.code === 'FILTER_CONTAINS_SPECIAL_CHARS'));
+});
+
+runner.test('InputValidator - Validate filter expressions', () => {
+    const validator = new InputValidator();
+    
+    const validResult = validator.validateFilterExpression('host ends ".example.com" AND param:page exists', { required: true });
+    runner.assertTrue(validResult.isValid);
+    
+    const syntaxResult = validator.validateFilterExpression('host ends', { required: true });
+    runner.assertFalse(syntaxResult.isValid);
+    runner.assertEqual(syntaxResult.errors[0].code, 'FILTER_EXPRESSION_SYNTAX');
+    runner.assertEqual(syntaxResult.errors[0].column, 10);
+    
+    const emptyResult = validator.validateFilterExpression('', { required: true });
+    runner.assertFalse(emptyResult.isValid);
+    
+    runner.assertTrue(validator.validateOperation('filterAdvanced').requiresExpression);
+});
+
+runner.test('InputValidator - Validate pipelines', () => {
+    const validator = new InputValidator();
+
+    const validResult = validator.validatePipeline([
+        { operation: 'removeTracking' },
+        { operation: 'filterKeep', filterString: 'shop', filterMode: 'substring' },
+        { operation: 'deduplicateFull' }
+    ]);
+    runner.assertTrue(validResult.isValid);
+
+    const emptyResult = validator.validatePipeline([]);
+    runner.assertFalse(emptyResult.isValid);
+    runner.assertEqual(emptyResult.errors[0].code, 'PIPELINE_EMPTY');
+
+    const stepResult = validator.validatePipeline([
+        { operation: 'normalize' },
+        { operation: 'filterKeep', filterString: '(', filterMode: 'regex' }
+    ]);
+    runner.assertFalse(stepResult.isValid);
+    runner.assertEqual(stepResult.errors[0].code, 'FILTER_INVALID_REGEX');
+    runner.assertTrue(stepResult.errors[0].message.startsWith('Step 2: '));
+
+    const nestedResult = validator.validatePipeline([{ operation: 'pipeline' }]);
+    runner.assertEqual(nestedResult.errors[0].code, 'PIPELINE_NESTED');
+
+    runner.assertTrue(validator.validateOperation('pipeline').requiresPipeline);
+});
+
 runner.test('InputValidator - Validate operations', () => {
     const validator = new InputValidator();
     
@@ -0,0 +1,297 @@
+/**
+ * FileDropPanel Class
+ * Loads .txt, .csv and .gz files dropped on the input area or chosen with
+ * "Open File". Files are streamed with LineStreamReader and their lines are
+ * handed to a target (the web worker, or a list kept by the page) in chunks,
+ * so the text never goes into the input text area. While a file is loaded,
+ * processing runs on its lines instead of the input text.
+ */
+class FileDropPanel {
+    /**
+     * @param {HTMLElement} dropZone - Element that accepts dropped files
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     */
+    constructor(dropZone, statisticsManager = null) {
+        this.dropZone = dropZone;
+        this.statisticsManager = statisticsManager;
+        this.target = null;
+        this.file = null;
+        this.loading = null;
+        this.changeCallback = null;
+
+        this.bindElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.openButton = document.getElementById('open-file-btn');
+        this.openInput = document.getElementById('open-file-input');
+        this.bar = document.getElementById('file-load-bar');
+        this.status = document.getElementById('file-load-status');
+        this.progressBar = document.getElementById('file-load-progress');
+        this.progressFill = document.getElementById('file-load-fill');
+        this.unloadButton = document.getElementById('unload-file-btn');
+    }
+
+    /**
+     * Attach event listeners to the drop zone and buttons
+     */
+    attachEventListeners() {
+        if (this.openButton && this.openInput) {
+            this.openButton.addEventListener('click', () => {
+                this.openInput.click();
+            });
+            this.openInput.addEventListener('change', () => {
+                const file = this.openInput.files[0];
+                if (file) {
+                    this.loadFile(file);
+                }
+                // Allow loading the same file again
+                this.openInput.value = '';
+            });
+        }
+
+        if (this.unloadButton) {
+            this.unloadButton.addEventListener('click', () => this.unload());
+        }
+
+        if (this.dropZone) {
+            this.dropZone.addEventListener('dragover', (event) => {
+                if (this.hasFiles(event)) {
+                    event.preventDefault();
+                    event.dataTransfer.dropEffect = 'copy';
+                    this.dropZone.classList.add('drag-over');
+                }
+            });
+            this.dropZone.addEventListener('dragleave', (event) => {
+                if (!this.dropZone.contains(event.relatedTarget)) {
+                    this.dropZone.classList.remove('drag-over');
+                }
+            });
+            this.dropZone.addEventListener('drop', (event) => {
+                this.dropZone.classList.remove('drag-over');
+                const file = event.dataTransfer?.files[0];
+                if (file) {
+                    event.preventDefault();
+                    this.loadFile(file);
+                }
+            });
+        }
+    }
+
+    /**
+     * Whether a drag carries files, as opposed to selected text
+     * @private
+     */
+    hasFiles(event) {
+        return Array.from(event.dataTransfer?.types || []).includes('Files');
+    }
+
+    /**
+     * Set where loaded lines go
+     * @param {Object} target - {start(), append(lines, lineNumbers), clear()}
+     */
+    setTarget(target) {
+        this.target = target;
+    }
+
+    /**
+     * Set callback for when a file has been loaded or unloaded
+     * @param {Function} callback - Called with the loaded file's {name, size, lineCount}, or null
+     */
+    onChange(callback) {
+        this.changeCallback = callback;
+    }
+
+    /**
+     * Enable/disable the buttons while processing
+     * @param {boolean} enabled - Whether the buttons can be used
+     */
+    setEnabled(enabled) {
+        [this.openButton, this.unloadButton].forEach(control => {
+            if (control) {
+                control.disabled = !enabled;
+            }
+        });
+    }
+
+    /**
+     * Whether a file is loaded and processing should use it
+     * @returns {boolean} True once a file has been read completely
+     */
+    hasFile() {
+        return this.file !== null;
+    }
+
+    /**
+     * Get the loaded file
+     * @returns {Object|null} {name, size, lineCount}
+     */
+    getFile() {
+        return this.file;
+    }
+
+    /**
+     * Stream a file to the target
+     * A file that is still loading is cancelled first.
+     * @param {File} file - Dropped or chosen file
+     * @returns {Promise<boolean>} True if the file was loaded
+     */
+    async loadFile(file) {
+        if (!this.target) {
+            this.statisticsManager?.showError('File loading is not available yet');
+            return false;
+        }
+
+        this.cancelLoading();
+        this.clearFile();
+
+        const loading = new AbortController();
+        this.loading = loading;
+        this.target.start();
+        this.showProgress(file, 0);
+
+        try {
+            const { lineCount } = await LineStreamReader.read(file, {
+                // A cancelled read may still finish the chunk it was on
+                onLines: (lines, lineNumbers) => {
+                    if (!loading.signal.aborted) {
+                        this.target.append(lines, lineNumbers);
+                    }
+                },
+                onProgress: (bytesRead) => {
+                    if (!loading.signal.aborted) {
+                        this.showProgress(file, bytesRead);
+                    }
+                },
+                signal: loading.signal
+            });
+
+            this.file = { name: file.name, size: file.size, lineCount };
+            this.showLoaded();
+            this.changeCallback?.(this.file);
+            this.statisticsManager?.showSuccessMessage(`Loaded ${lineCount.toLocaleString()} lines from ${file.name}`);
+            return true;
+        } catch (error) {
+            // A cancelled load has already been cleared, and its target may hold the next file
+            if (!loading.signal.aborted) {
+                this.target.clear();
+                this.hideBar();
+                this.statisticsManager?.showError(`Failed to read ${file.name}: ${error.message}`);
+            }
+            return false;
+        } finally {
+            if (this.loading === loading) {
+                this.loading = null;
+            }
+        }
+    }
+
+    /**
+     * Stop loading and forget the loaded file
+     */
+    unload() {
+        const hadFile = this.file !== null || this.loading !== null;
+        this.cancelLoading();
+        this.clearFile();
+        this.hideBar();
+        if (hadFile) {
+            this.changeCallback?.(null);
+        }
+    }
+
+    /**
+     * Abort a load in progress and drop the lines it handed on
+     * @private
+     */
+    cancelLoading() {
+        if (this.loading) {
+            this.loading.abort();
+            this.loading = null;
+            this.target?.clear();
+        }
+    }
+
+    /**
+     * Forget the loaded lines
+     * @private
+     */
+    clearFile() {
+        if (this.file) {
+            this.file = null;
+            this.target?.clear();
+        }
+    }
+
+    /**
+     * Show how much of a file has been read
+     * @private
+     */
+    showProgress(file, bytesRead) {
+        const percentage = file.size > 0 ? Math.round((bytesRead / file.size) * 100) : 100;
+
+        if (this.bar) {
+            this.bar.style.display = '';
+        }
+        if (this.status) {
+            this.status.textContent = `Reading ${file.name}: ${FileDropPanel.formatBytes(bytesRead)} of ${FileDropPanel.formatBytes(file.size)}`;
+        }
+        if (this.progressBar) {
+            this.progressBar.style.display = '';
+            this.progressBar.setAttribute('aria-valuenow', String(percentage));
+        }
+        if (this.progressFill) {
+            this.progressFill.style.width = `${percentage}%`;
+        }
+    }
+
+    /**
+     * Show the loaded file in place of the progress bar
+     * @private
+     */
+    showLoaded() {
+        if (this.status) {
+            this.status.textContent = `${this.file.name}: ${this.file.lineCount.toLocaleString()} lines loaded; Process URLs runs on this file`;
+        }
+        if (this.progressBar) {
+            this.progressBar.style.display = 'none';
+        }
+    }
+
+    /**
+     * Hide the file status
+     * @private
+     */
+    hideBar() {
+        if (this.bar) {
+            this.bar.style.display = 'none';
+        }
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Byte count
+     * @returns {string} Size such as "512 B", "1.5 KB" or "80.0 MB"
+     */
+    static formatBytes(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(1)} ${units[unit]}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileDropPanel;
+}
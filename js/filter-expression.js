@@ -0,0 +1,518 @@
+/**
+ * FilterExpression - Boolean filter expressions over parsed URL components
+ * Parses expressions such as
+ *   host ends ".example.com" AND NOT path ~ /\/tag\// AND param:page exists
+ * into a plain-object syntax tree. The tree can be posted to a worker as is
+ * and compiled there into a predicate over URLParser.parse() results and the
+ * metadata that came with each URL (sitemap lastmod, changefreq and priority;
+ * bookmark folder, title and add date; HAR method, status, type, mime, size
+ * and time).
+ */
+
+// URLFilter is loaded globally via script tag / importScripts
+// In Node.js environment it is required from url-filter.js
+
+class FilterExpression {
+    /**
+     * Parse an expression into a syntax tree
+     * Grammar (keywords and operators are case-insensitive):
+     *   expression := term (OR term)*
+     *   term       := factor (AND factor)*
+     *   factor     := NOT factor | "(" expression ")" | predicate
+     *   predicate  := field exists | field operator value
+     * @param {string} text - Expression text
+     * @returns {Object} Syntax tree of 'or', 'and', 'not' and 'predicate' nodes
+     * @throws {Error} Syntax error with a column property (1-based)
+     */
+    static parse(text) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw this.syntaxError('Expression is empty', 1);
+        }
+
+        const state = { text, pos: 0 };
+        const tree = this.parseOr(state);
+
+        this.skipWhitespace(state);
+        if (state.pos < text.length) {
+            const rest = text.slice(state.pos).match(/^\S+/)[0];
+            throw this.syntaxError(`Unexpected "${rest}", expected AND, OR or the end of the expression`, state.pos + 1);
+        }
+
+        return tree;
+    }
+
+    /**
+     * Check an expression without throwing
+     * @param {string} text - Expression text
+     * @returns {Object} Object with isValid and, if invalid, error message and column
+     */
+    static validate(text) {
+        try {
+            this.parse(text);
+            return { isValid: true, error: null, column: null };
+        } catch (error) {
+            return { isValid: false, error: error.message, column: error.column || null };
+        }
+    }
+
+    /**
+     * Compile a syntax tree into a predicate function
+     * Regular expressions and globs are built once here, not per URL.
+     * @param {Object|string} tree - Tree from parse(), or expression text
+     * @returns {Function} Function taking a valid URLParser.parse() result and the URL's metadata
+     *                     (or null), and returning a boolean
+     */
+    static compile(tree) {
+        const node = typeof tree === 'string' ? this.parse(tree) : tree;
+
+        switch (node.type) {
+            case 'or': {
+                const operands = node.operands.map(operand => this.compile(operand));
+                return (parsed, metadata) => operands.some(operand => operand(parsed, metadata));
+            }
+            case 'and': {
+                const operands = node.operands.map(operand => this.compile(operand));
+                return (parsed, metadata) => operands.every(operand => operand(parsed, metadata));
+            }
+            case 'not': {
+                const operand = this.compile(node.operand);
+                return (parsed, metadata) => !operand(parsed, metadata);
+            }
+            case 'predicate':
+                return this.compilePredicate(node);
+            default:
+                throw new Error(`Unknown expression node: ${node.type}`);
+        }
+    }
+
+    /**
+     * Compile a single field predicate
+     * A multi-valued field (query keys, param:name, ...) matches when any value
+     * matches; != and !~ match when no value does. Metadata fields have no
+     * value for URLs that came without metadata.
+     * @private
+     */
+    static compilePredicate(node) {
+        let getValues;
+        if (node.field === 'param') {
+            getValues = (parsed) => (parsed.parameterList || []).filter(parameter => parameter.key === node.param).map(parameter => parameter.value);
+        } else if (this.METADATA_FIELDS.includes(node.field)) {
+            getValues = (parsed, metadata) => metadata && metadata[node.field] !== undefined && metadata[node.field] !== null && metadata[node.field] !== ''
+                ? [String(metadata[node.field])]
+                : [];
+        } else {
+            getValues = (parsed) => this.getURLFilter().getTargetValues(parsed, node.field);
+        }
+
+        if (node.operator === 'exists') {
+            return (parsed, metadata) => getValues(parsed, metadata).length > 0;
+        }
+
+        const test = this.compileTest(node.operator, node.value);
+        const negated = node.operator === 'notEquals' || node.operator === 'notMatches';
+
+        return (parsed, metadata) => {
+            const matched = getValues(parsed, metadata).some(test);
+            return negated ? !matched : matched;
+        };
+    }
+
+    /**
+     * Build the value test for an operator
+     * Text comparisons ignore case; regular expressions use their own flags.
+     * @private
+     */
+    static compileTest(operator, value) {
+        if (operator === 'matches' || operator === 'notMatches') {
+            const regex = this.getURLFilter().createRegExp(value.source, value.flags);
+            return (text) => regex.test(text);
+        }
+        if (operator === 'glob') {
+            const regex = this.getURLFilter().globToRegExp(value);
+            return (text) => regex.test(text);
+        }
+        if (this.COMPARISONS[operator]) {
+            return this.compileComparison(operator, value);
+        }
+
+        const needle = value.toLowerCase();
+        switch (operator) {
+            case 'equals':
+            case 'notEquals':
+                return (text) => text.toLowerCase() === needle;
+            case 'contains':
+                return (text) => text.toLowerCase().includes(needle);
+            case 'starts':
+                return (text) => text.toLowerCase().startsWith(needle);
+            case 'ends':
+                return (text) => text.toLowerCase().endsWith(needle);
+            default:
+                throw new Error(`Unknown expression operator: ${operator}`);
+        }
+    }
+
+    /**
+     * Build the test for <, <=, >, >=, before and after
+     * Two numbers compare as numbers and two dates (such as lastmod values) as
+     * points in time; before and after always compare dates. An operand that is
+     * neither compares as text, ignoring case. Values that cannot be compared
+     * with the operand never match.
+     * @private
+     */
+    static compileComparison(operator, value) {
+        const accepts = this.COMPARISONS[operator];
+        const number = operator === 'before' || operator === 'after' || value.trim() === '' ? NaN : Number(value);
+        const date = Date.parse(value);
+
+        if (isNaN(number) && isNaN(date)) {
+            const needle = value.toLowerCase();
+            return (text) => {
+                const key = text.toLowerCase();
+                return accepts(key < needle ? -1 : key > needle ? 1 : 0);
+            };
+        }
+
+        return (text) => {
+            if (!isNaN(number) && text.trim() !== '' && !isNaN(Number(text))) {
+                return accepts(Math.sign(Number(text) - number));
+            }
+            const time = isNaN(date) ? NaN : Date.parse(text);
+            return !isNaN(time) && accepts(Math.sign(time - date));
+        };
+    }
+
+    /**
+     * expression := term (OR term)*
+     * @private
+     */
+    static parseOr(state) {
+        const operands = [this.parseAnd(state)];
+        while (this.acceptKeyword(state, 'or')) {
+            operands.push(this.parseAnd(state));
+        }
+        return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    }
+
+    /**
+     * term := factor (AND factor)*
+     * @private
+     */
+    static parseAnd(state) {
+        const operands = [this.parseNot(state)];
+        while (this.acceptKeyword(state, 'and')) {
+            operands.push(this.parseNot(state));
+        }
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    }
+
+    /**
+     * factor := NOT factor | "(" expression ")" | predicate
+     * @private
+     */
+    static parseNot(state) {
+        if (this.acceptKeyword(state, 'not')) {
+            return { type: 'not', operand: this.parseNot(state) };
+        }
+
+        this.skipWhitespace(state);
+        if (state.text[state.pos] === '(') {
+            const openColumn = state.pos + 1;
+            state.pos++;
+            const expression = this.parseOr(state);
+            this.skipWhitespace(state);
+            if (state.text[state.pos] !== ')') {
+                throw this.syntaxError(`Missing ")" for "(" at column ${openColumn}`, state.pos + 1);
+            }
+            state.pos++;
+            return expression;
+        }
+
+        return this.parsePredicate(state);
+    }
+
+    /**
+     * predicate := field exists | field operator value
+     * @private
+     */
+    static parsePredicate(state) {
+        const column = state.pos + 1;
+        const fieldMatch = /^[A-Za-z_][\w-]*(?::[^\s()]*)?/.exec(state.text.slice(state.pos));
+        if (!fieldMatch) {
+            const found = state.pos < state.text.length ? `"${state.text[state.pos]}"` : 'end of expression';
+            throw this.syntaxError(`Expected a field name but found ${found}`, column);
+        }
+
+        const fieldName = fieldMatch[0];
+        if (/^(?:and|or|not)$/i.test(fieldName)) {
+            throw this.syntaxError(`Expected a field name but found ${fieldName.toUpperCase()}`, column);
+        }
+
+        const node = { type: 'predicate', column };
+
+        const paramMatch = /^param:(.*)$/i.exec(fieldName);
+        if (paramMatch) {
+            if (!paramMatch[1]) {
+                throw this.syntaxError('Expected a parameter name after "param:"', column + 6);
+            }
+            node.field = 'param';
+            node.param = paramMatch[1];
+        } else if (this.FIELDS[fieldName.toLowerCase()]) {
+            node.field = this.FIELDS[fieldName.toLowerCase()];
+        } else {
+            throw this.syntaxError(`Unknown field "${fieldName}"`, column);
+        }
+        state.pos += fieldName.length;
+
+        this.skipWhitespace(state);
+        const operatorColumn = state.pos + 1;
+        const operatorMatch = /^(?:!~|~|!=|==|<=|>=|<|>|=|(?:contains|is|starts|ends|glob|before|after|exists)(?![\w-]))/i.exec(state.text.slice(state.pos));
+        if (!operatorMatch) {
+            throw this.syntaxError(`Expected an operator after "${fieldName}" (contains, is, =, !=, starts, ends, glob, ~, !~, <, <=, >, >=, before, after or exists)`, operatorColumn);
+        }
+
+        const operatorText = operatorMatch[0];
+        node.operator = this.OPERATORS[operatorText.toLowerCase()];
+        state.pos += operatorText.length;
+
+        if (node.operator !== 'exists') {
+            node.value = this.parseValue(state, node.operator, operatorText);
+        }
+
+        return node;
+    }
+
+    /**
+     * Parse a quoted string, a bare word or (for ~ and !~) a /regex/flags literal
+     * @private
+     */
+    static parseValue(state, operator, operatorText) {
+        this.skipWhitespace(state);
+        const column = state.pos + 1;
+        const char = state.text[state.pos];
+
+        if (char === undefined || char === ')') {
+            throw this.syntaxError(`Expected a value after "${operatorText}"`, column);
+        }
+
+        const isRegexOperator = operator === 'matches' || operator === 'notMatches';
+
+        if (isRegexOperator && char === '/') {
+            return this.parseRegexLiteral(state);
+        }
+
+        let value;
+        if (char === '"' || char === "'") {
+            value = this.parseQuotedString(state);
+        } else {
+            value = /^[^\s()]+/.exec(state.text.slice(state.pos))[0];
+            if (/^(?:and|or|not)$/i.test(value)) {
+                throw this.syntaxError(`Expected a value after "${operatorText}" but found ${value.toUpperCase()}`, column);
+            }
+            state.pos += value.length;
+        }
+
+        if (isRegexOperator) {
+            return this.checkRegex(value, '', column);
+        }
+        if ((operator === 'before' || operator === 'after') && isNaN(Date.parse(value))) {
+            throw this.syntaxError(`Expected a date after "${operatorText}" but found "${value}"`, column);
+        }
+        return value;
+    }
+
+    /**
+     * Parse a "double" or 'single' quoted string; backslash escapes the next character
+     * @private
+     */
+    static parseQuotedString(state) {
+        const quote = state.text[state.pos];
+        const column = state.pos + 1;
+        let value = '';
+
+        for (let i = state.pos + 1; i < state.text.length; i++) {
+            const char = state.text[i];
+            if (char === '\\' && i + 1 < state.text.length) {
+                value += state.text[++i];
+            } else if (char === quote) {
+                state.pos = i + 1;
+                return value;
+            } else {
+                value += char;
+            }
+        }
+
+        throw this.syntaxError(`Unterminated string starting at column ${column}`, state.text.length + 1);
+    }
+
+    /**
+     * Parse a /regex/flags literal; "/" inside [...] or after "\" does not end it
+     * @private
+     */
+    static parseRegexLiteral(state) {
+        const column = state.pos + 1;
+        let inClass = false;
+
+        for (let i = state.pos + 1; i < state.text.length; i++) {
+            const char = state.text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            } else if (char === '/' && !inClass) {
+                const source = state.text.slice(state.pos + 1, i);
+                const flags = /^[A-Za-z]*/.exec(state.text.slice(i + 1))[0];
+                state.pos = i + 1 + flags.length;
+                return this.checkRegex(source, flags, column);
+            }
+        }
+
+        throw this.syntaxError(`Unterminated regular expression starting at column ${column}`, state.text.length + 1);
+    }
+
+    /**
+     * Make sure a regular expression compiles, reporting its column if not
+     * @private
+     */
+    static checkRegex(source, flags, column) {
+        try {
+            this.getURLFilter().createRegExp(source, flags);
+        } catch (error) {
+            throw this.syntaxError(error.message, column);
+        }
+        return { source, flags };
+    }
+
+    /**
+     * Consume a keyword (AND, OR, NOT) if it comes next
+     * @private
+     */
+    static acceptKeyword(state, keyword) {
+        this.skipWhitespace(state);
+        const candidate = state.text.slice(state.pos, state.pos + keyword.length);
+        const next = state.text[state.pos + keyword.length];
+
+        if (candidate.toLowerCase() === keyword && (next === undefined || /[\s(]/.test(next))) {
+            state.pos += keyword.length;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    static skipWhitespace(state) {
+        while (state.pos < state.text.length && /\s/.test(state.text[state.pos])) {
+            state.pos++;
+        }
+    }
+
+    /**
+     * Create a syntax error that carries the 1-based column
+     * @private
+     */
+    static syntaxError(message, column) {
+        const error = new Error(`Column ${column}: ${message}`);
+        error.column = column;
+        return error;
+    }
+
+    /**
+     * Get the filter pattern matcher
+     * @private
+     */
+    static getURLFilter() {
+        return typeof URLFilter !== 'undefined' ? URLFilter : require('./url-filter.js');
+    }
+}
+
+/**
+ * Field names accepted in expressions, mapped to URLFilter targets
+ * param:<name> is handled separately and matches the values of one parameter.
+ */
+FilterExpression.FIELDS = {
+    url: 'url',
+    host: 'hostname',
+    hostname: 'hostname',
+    domain: 'registrableDomain',
+    subdomain: 'subdomain',
+    tld: 'tld',
+    path: 'path',
+    file: 'filename',
+    filename: 'filename',
+    ext: 'extension',
+    extension: 'extension',
+    key: 'queryKey',
+    value: 'queryValue',
+    fragment: 'fragment',
+    scheme: 'scheme',
+    port: 'port',
+    lastmod: 'lastmod',
+    changefreq: 'changefreq',
+    priority: 'priority',
+    folder: 'folder',
+    title: 'title',
+    added: 'added',
+    method: 'method',
+    status: 'status',
+    type: 'type',
+    mime: 'mime',
+    size: 'size',
+    time: 'time'
+};
+
+/**
+ * Fields read from the metadata passed with each URL (sitemap <lastmod>,
+ * <changefreq> and <priority>; bookmark folder path, title and add date;
+ * HAR request method, status, resource type, MIME type, size and time)
+ * rather than from the URL itself
+ */
+FilterExpression.METADATA_FIELDS = ['lastmod', 'changefreq', 'priority', 'folder', 'title', 'added', 'method', 'status', 'type', 'mime', 'size', 'time'];
+
+/**
+ * Operator spellings mapped to their names in the syntax tree
+ */
+FilterExpression.OPERATORS = {
+    'contains': 'contains',
+    'is': 'equals',
+    '=': 'equals',
+    '==': 'equals',
+    '!=': 'notEquals',
+    'starts': 'starts',
+    'ends': 'ends',
+    'glob': 'glob',
+    '~': 'matches',
+    '!~': 'notMatches',
+    '<': 'less',
+    '<=': 'lessOrEqual',
+    '>': 'greater',
+    '>=': 'greaterOrEqual',
+    'before': 'before',
+    'after': 'after',
+    'exists': 'exists'
+};
+
+/**
+ * Comparison operators, mapped to a check of the sign of (field value - operand)
+ */
+FilterExpression.COMPARISONS = {
+    less: (sign) => sign < 0,
+    lessOrEqual: (sign) => sign <= 0,
+    greater: (sign) => sign > 0,
+    greaterOrEqual: (sign) => sign >= 0,
+    before: (sign) => sign < 0,
+    after: (sign) => sign > 0
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FilterExpression;
+} else if (typeof self !== 'undefined') {
+    // Make available in web worker environment
+    self.FilterExpression = FilterExpression;
+} else if (typeof window !== 'undefined') {
+    // Make available in browser environment
+    window.FilterExpression = FilterExpression;
+}
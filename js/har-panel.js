@@ -0,0 +1,84 @@
+/**
+ * HARPanel Class
+ * Imports HAR files (browser network logs) into the input. The requests are
+ * read when the input is processed, in the web worker when there is one, so
+ * multi-megabyte logs do not block the page.
+ */
+class HARPanel {
+    /**
+     * @param {TextAreaManager} textAreaManager - Input text area, for file import
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     */
+    constructor(textAreaManager, statisticsManager = null) {
+        this.textAreaManager = textAreaManager;
+        this.statisticsManager = statisticsManager;
+        this.importCallback = null;
+
+        this.bindElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.importButton = document.getElementById('import-har-btn');
+        this.importInput = document.getElementById('import-har-input');
+    }
+
+    /**
+     * Attach event listeners to the import button
+     */
+    attachEventListeners() {
+        if (this.importButton && this.importInput) {
+            this.importButton.addEventListener('click', () => {
+                this.importInput.click();
+            });
+            this.importInput.addEventListener('change', () => {
+                const file = this.importInput.files[0];
+                if (file) {
+                    this.importFile(file);
+                }
+                // Allow importing the same file again
+                this.importInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * Set callback for when a HAR file has been imported, e.g. to switch the input mode
+     * @param {Function} callback - Called without arguments
+     */
+    onImport(callback) {
+        this.importCallback = callback;
+    }
+
+    /**
+     * Enable/disable the import button while processing
+     * @param {boolean} enabled - Whether the button can be used
+     */
+    setEnabled(enabled) {
+        if (this.importButton) {
+            this.importButton.disabled = !enabled;
+        }
+    }
+
+    /**
+     * Read a HAR file into the input
+     * @param {File} file - Selected file
+     */
+    async importFile(file) {
+        try {
+            await this.textAreaManager.setInputText(await file.text());
+            this.importCallback?.();
+            this.statisticsManager?.showSuccessMessage(`Imported ${file.name}`);
+        } catch (error) {
+            this.statisticsManager?.showError(`Failed to read ${file.name}: ${error.message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HARPanel;
+}
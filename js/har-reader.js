@@ -0,0 +1,117 @@
+/**
+ * HARReader - Reading HTTP Archive (HAR 1.2) files
+ * This is the network log browser developer tools export ("Save all as HAR").
+ * Each request becomes one entry with its method, response status, resource
+ * type, MIME type, response size and total time. A HAR file is a single JSON
+ * document, so entries are numbered in log order instead of by input line.
+ * The reader has no DOM dependencies and also runs inside the web worker, so
+ * large logs can be parsed off the main thread.
+ */
+class HARReader {
+    /**
+     * Read the requests of a HAR file
+     * @param {string} text - HAR JSON
+     * @returns {Object[]} {url, line (entry number, 1-based), metadata: {method, status, type, mime, size, time}}
+     *                     per request; size is in bytes, time in milliseconds
+     * @throws {Error} If the text is not JSON or has no log.entries list
+     */
+    static parse(text) {
+        let har;
+        try {
+            har = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a HAR file: ${error.message}`);
+        }
+
+        const entries = har && har.log && har.log.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error('Not a HAR file: log.entries is missing');
+        }
+
+        return entries.map((entry, index) => {
+            const request = (entry && entry.request) || {};
+            return {
+                url: typeof request.url === 'string' ? request.url.trim() : '',
+                line: index + 1,
+                metadata: HARReader.readMetadata(entry || {})
+            };
+        });
+    }
+
+    /**
+     * Read the metadata of one log entry; values the log does not have are left out
+     * @private
+     */
+    static readMetadata(entry) {
+        const request = entry.request || {};
+        const response = entry.response || {};
+        const content = response.content || {};
+        const metadata = {};
+
+        if (request.method) {
+            metadata.method = String(request.method).toUpperCase();
+        }
+        // Blocked and failed requests are logged with status 0
+        if (typeof response.status === 'number') {
+            metadata.status = response.status;
+        }
+
+        const mime = String(content.mimeType || '').split(';')[0].trim().toLowerCase();
+        if (mime) {
+            metadata.mime = mime;
+        }
+        // Chrome records the resource type; other browsers' types are derived from the MIME type
+        const type = entry._resourceType ? String(entry._resourceType).toLowerCase() : HARReader.getResourceType(mime);
+        if (type) {
+            metadata.type = type;
+        }
+
+        // Uncompressed content size, or the transferred body size when the content size is unknown (-1)
+        const size = [content.size, response.bodySize].find(value => typeof value === 'number' && value >= 0);
+        if (size !== undefined) {
+            metadata.size = size;
+        }
+        if (typeof entry.time === 'number' && entry.time >= 0) {
+            metadata.time = Math.round(entry.time * 100) / 100;
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Resource type for a MIME type, using Chrome's names
+     * @param {string} mime - MIME type without parameters, lower-case
+     * @returns {string|null} Resource type, 'other' for unknown types, or null without a MIME type
+     */
+    static getResourceType(mime) {
+        if (!mime) {
+            return null;
+        }
+        const match = HARReader.RESOURCE_TYPES.find(([pattern]) => pattern.test(mime));
+        return match ? match[1] : 'other';
+    }
+}
+
+/**
+ * MIME type patterns and the resource type they map to, checked in order
+ */
+HARReader.RESOURCE_TYPES = [
+    [/^text\/html$|^application\/xhtml\+xml$/, 'document'],
+    [/^text\/css$/, 'stylesheet'],
+    [/javascript|ecmascript/, 'script'],
+    [/^image\//, 'image'],
+    [/^font\/|^application\/(x-)?font-|^application\/vnd\.ms-fontobject$/, 'font'],
+    [/^(audio|video)\//, 'media'],
+    [/^application\/manifest\+json$/, 'manifest']
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HARReader;
+} else if (typeof self !== 'undefined') {
+    // Make available in web worker environment
+    self.HARReader = HARReader;
+} else if (typeof window !== 'undefined') {
+    // Make available in browser environment
+    window.HARReader = HARReader;
+}
@@ -0,0 +1,248 @@
+/**
+ * HistoryManager Class
+ * Records input/output snapshots around every change the application makes
+ * (processing, clearing, pasting) and restores them with the undo/redo
+ * buttons and Ctrl+Z / Ctrl+Shift+Z. Snapshots live in a SnapshotHistory;
+ * old ones are evicted when MemoryManager runs its cleanup callbacks.
+ */
+class HistoryManager {
+    /**
+     * @param {TextAreaManager} textAreaManager - Text areas to snapshot and restore
+     * @param {MemoryManager} memoryManager - Memory monitor to coordinate eviction with
+     * @param {SnapshotHistory} history - Snapshot storage
+     */
+    constructor(textAreaManager, memoryManager = null, history = new SnapshotHistory()) {
+        this.textAreaManager = textAreaManager;
+        this.memoryManager = memoryManager;
+        this.history = history;
+        this.isRestoring = false;
+
+        this.bindElements();
+        this.attachEventListeners();
+
+        // Memory pressure: keep a quarter of the budget, current snapshot always survives
+        this.cleanupCallback = () => {
+            this.history.evict(Math.floor(this.history.maxBytes / 4));
+            this.updateButtonState();
+        };
+        this.memoryManager?.registerCleanupCallback(this.cleanupCallback);
+
+        this.record('Initial state', {
+            input: this.textAreaManager.getInputText(true),
+            output: this.textAreaManager.getOutputText()
+        });
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.undoButton = document.getElementById('undo-btn');
+        this.redoButton = document.getElementById('redo-btn');
+    }
+
+    /**
+     * Attach event listeners to the undo/redo buttons
+     */
+    attachEventListeners() {
+        if (this.undoButton) {
+            this.undoButton.addEventListener('click', () => this.undo());
+        }
+        if (this.redoButton) {
+            this.redoButton.addEventListener('click', () => this.redo());
+        }
+    }
+
+    /**
+     * Register Ctrl+Z (undo) and Ctrl+Shift+Z (redo)
+     * @param {AccessibilityManager} accessibilityManager - Shortcut registry
+     */
+    registerShortcuts(accessibilityManager) {
+        if (!accessibilityManager) return;
+
+        accessibilityManager.registerShortcut('ctrl+z', (event) => {
+            if (!this.shouldUseNativeUndo()) {
+                event.preventDefault();
+                this.undo();
+            }
+        });
+        accessibilityManager.registerShortcut('ctrl+shift+z', (event) => {
+            if (!this.shouldUseNativeUndo()) {
+                event.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    /**
+     * Leave Ctrl+Z to the browser in single-line fields, and in the input
+     * text area while it has typing that is not in the history yet
+     * @private
+     */
+    shouldUseNativeUndo() {
+        const activeElement = document.activeElement;
+        if (!activeElement) return false;
+
+        if (activeElement.tagName === 'INPUT' || activeElement.tagName === 'SELECT') {
+            return true;
+        }
+
+        const elements = this.textAreaManager.getElements();
+        return activeElement === elements.input && this.hasUnrecordedInput();
+    }
+
+    /**
+     * Full text of the current output
+     * The output text area may show a truncated rendering of large results.
+     * @returns {string} Output text
+     */
+    getCurrentOutput() {
+        const current = this.history.current();
+        return current ? current.output : this.textAreaManager.getOutputText();
+    }
+
+    /**
+     * Check whether the input text area was edited since the last snapshot
+     */
+    hasUnrecordedInput() {
+        const current = this.history.current();
+        return current !== null && current.input !== this.textAreaManager.getInputText(true);
+    }
+
+    /**
+     * Record typing in the input text area before the application changes it
+     * The output is read-only, so only the input can change without being recorded.
+     */
+    checkpoint() {
+        if (this.hasUnrecordedInput()) {
+            this.record('Edit input');
+        }
+    }
+
+    /**
+     * Record a snapshot after a change
+     * Fields that are not given keep the input text area's contents and the
+     * last recorded output (the output area may show a truncated rendering).
+     * @param {string} label - Description of the change, e.g. 'Process URLs'
+     * @param {Object} state - Optional input and/or output text
+     */
+    record(label, state = {}) {
+        if (this.isRestoring) return;
+
+        const current = this.history.current();
+        const snapshot = {
+            input: state.input !== undefined ? state.input : this.textAreaManager.getInputText(true),
+            output: state.output !== undefined ? state.output : (current ? current.output : this.textAreaManager.getOutputText())
+        };
+
+        this.history.push(snapshot, label);
+        this.relieveMemoryPressure();
+        this.updateButtonState();
+    }
+
+    /**
+     * Restore the previous snapshot
+     * @returns {Promise<boolean>} True if there was something to undo
+     */
+    async undo() {
+        this.checkpoint();
+        const state = this.history.undo();
+        if (!state) return false;
+
+        await this.restore(state, `Undid ${state.label.toLowerCase()}`);
+        return true;
+    }
+
+    /**
+     * Restore the next snapshot
+     * @returns {Promise<boolean>} True if there was something to redo
+     */
+    async redo() {
+        if (this.hasUnrecordedInput()) {
+            // New typing replaces the redo branch, as in any editor
+            this.checkpoint();
+            return false;
+        }
+
+        const state = this.history.redo();
+        if (!state) return false;
+
+        await this.restore(state, `Redid ${state.label.toLowerCase()}`);
+        return true;
+    }
+
+    /**
+     * Write a snapshot back to the text areas
+     * @private
+     */
+    async restore(state, message) {
+        this.isRestoring = true;
+        try {
+            await Promise.all([
+                this.textAreaManager.setInputText(state.input),
+                this.textAreaManager.setOutputText(state.output)
+            ]);
+        } finally {
+            this.isRestoring = false;
+        }
+
+        this.updateButtonState();
+        this.announce(message);
+    }
+
+    /**
+     * Shrink the history early when the page is already using a lot of memory
+     * @private
+     */
+    relieveMemoryPressure() {
+        if (!this.memoryManager) return;
+
+        const { usageRatio } = this.memoryManager.getMemoryInfo();
+        if (usageRatio >= this.memoryManager.thresholds.warning) {
+            this.history.evict(Math.floor(this.history.maxBytes / 2));
+        }
+    }
+
+    /**
+     * Enable the buttons and describe what they will undo or redo
+     * @private
+     */
+    updateButtonState() {
+        if (this.undoButton) {
+            this.undoButton.disabled = !this.history.canUndo();
+            this.undoButton.title = this.history.canUndo()
+                ? `Undo ${this.history.getUndoLabel().toLowerCase()} (Ctrl+Z)`
+                : 'Nothing to undo';
+        }
+        if (this.redoButton) {
+            this.redoButton.disabled = !this.history.canRedo();
+            this.redoButton.title = this.history.canRedo()
+                ? `Redo ${this.history.getRedoLabel().toLowerCase()} (Ctrl+Shift+Z)`
+                : 'Nothing to redo';
+        }
+    }
+
+    /**
+     * Announce a restored state to screen readers
+     * @private
+     */
+    announce(message) {
+        const urlManager = window.urlManagerInstance;
+        if (urlManager && urlManager.accessibilityManager) {
+            urlManager.accessibilityManager.announce(message, 'polite');
+        }
+    }
+
+    /**
+     * Stop listening to memory cleanups and drop all snapshots
+     */
+    destroy() {
+        this.memoryManager?.unregisterCleanupCallback(this.cleanupCallback);
+        this.history.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+}
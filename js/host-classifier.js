@@ -0,0 +1,199 @@
+/**
+ * HostClassifier - Classification of URL hosts
+ * Tells IP literals apart from DNS names and recognises loopback, private
+ * and link-local address ranges so domain-based operations can handle them
+ * deliberately instead of splitting IP addresses on dots.
+ */
+class HostClassifier {
+    /**
+     * Determine the type of a hostname as returned by the URL API
+     * @param {string} hostname - Lowercase hostname (IPv6 literals keep their brackets)
+     * @returns {string} 'ipv4', 'ipv6', 'dns', 'single-label', or '' for an empty host
+     */
+    static getHostType(hostname) {
+        if (!hostname || typeof hostname !== 'string') {
+            return '';
+        }
+
+        if (hostname.startsWith('[') || hostname.includes(':')) {
+            return this.parseIPv6(hostname) ? 'ipv6' : 'dns';
+        }
+
+        if (this.parseIPv4(hostname)) {
+            return 'ipv4';
+        }
+
+        return hostname.replace(/\.$/, '').includes('.') ? 'dns' : 'single-label';
+    }
+
+    /**
+     * Check whether a host type is an IP literal
+     * @param {string} hostType - Host type from getHostType()
+     * @returns {boolean} True for 'ipv4' and 'ipv6'
+     */
+    static isIP(hostType) {
+        return hostType === 'ipv4' || hostType === 'ipv6';
+    }
+
+    /**
+     * Determine the address scope of a hostname
+     * localhost names are loopback (RFC 6761); other single-label names only
+     * resolve inside a local network and are treated as private.
+     * @param {string} hostname - Lowercase hostname
+     * @param {string} hostType - Host type, computed when omitted
+     * @returns {string} 'loopback', 'private', 'link-local', 'public', or '' for an empty host
+     */
+    static getScope(hostname, hostType = this.getHostType(hostname)) {
+        switch (hostType) {
+            case 'ipv4':
+                return this.getIPv4Scope(this.parseIPv4(hostname));
+            case 'ipv6':
+                return this.getIPv6Scope(this.parseIPv6(hostname));
+            case 'single-label':
+                return hostname.replace(/\.$/, '') === 'localhost' ? 'loopback' : 'private';
+            case 'dns':
+                return /(^|\.)localhost\.?$/.test(hostname) ? 'loopback' : 'public';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Check whether a hostname is loopback, private or link-local
+     * @param {string} hostname - Lowercase hostname
+     * @param {string} hostType - Host type, computed when omitted
+     * @returns {boolean} True if the host is not publicly routable
+     */
+    static isPrivate(hostname, hostType) {
+        const scope = this.getScope(hostname, hostType);
+        return scope === 'loopback' || scope === 'private' || scope === 'link-local';
+    }
+
+    /**
+     * Build a key that sorts IP addresses numerically and names alphabetically
+     * @param {string} hostname - Lowercase hostname
+     * @param {string} hostType - Host type, computed when omitted
+     * @returns {string} Sort key
+     */
+    static getSortKey(hostname, hostType = this.getHostType(hostname)) {
+        if (hostType === 'ipv4') {
+            return this.parseIPv4(hostname).map(octet => String(octet).padStart(3, '0')).join('.');
+        }
+        if (hostType === 'ipv6') {
+            return this.parseIPv6(hostname).map(group => group.toString(16).padStart(4, '0')).join(':');
+        }
+        return hostname || '';
+    }
+
+    /**
+     * Parse a dotted-decimal IPv4 address
+     * @private
+     * @param {string} hostname - Hostname to parse
+     * @returns {number[]|null} Four octets or null if not an IPv4 address
+     */
+    static parseIPv4(hostname) {
+        const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.exec(hostname);
+        if (!match) {
+            return null;
+        }
+
+        const octets = match.slice(1).map(Number);
+        return octets.every(octet => octet <= 255) ? octets : null;
+    }
+
+    /**
+     * Parse an IPv6 address, with or without brackets
+     * @private
+     * @param {string} hostname - Hostname to parse
+     * @returns {number[]|null} Eight 16-bit groups or null if not an IPv6 address
+     */
+    static parseIPv6(hostname) {
+        let address = hostname.replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+
+        // Embedded IPv4 (::ffff:1.2.3.4) becomes two hex groups
+        const embedded = /(\d{1,3}(?:\.\d{1,3}){3})$/.exec(address);
+        if (embedded) {
+            const octets = this.parseIPv4(embedded[1]);
+            if (!octets) {
+                return null;
+            }
+            address = address.slice(0, embedded.index) +
+                ((octets[0] << 8) | octets[1]).toString(16) + ':' +
+                ((octets[2] << 8) | octets[3]).toString(16);
+        }
+
+        const halves = address.split('::');
+        if (halves.length > 2) {
+            return null;
+        }
+
+        const toGroups = (part) => part === '' ? [] : part.split(':');
+        const head = toGroups(halves[0]);
+        const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+        const missing = 8 - head.length - tail.length;
+
+        if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) {
+            return null;
+        }
+
+        const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+        if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) {
+            return null;
+        }
+
+        return groups.map(group => parseInt(group, 16));
+    }
+
+    /**
+     * Scope of an IPv4 address
+     * @private
+     */
+    static getIPv4Scope(octets) {
+        const [a, b] = octets;
+
+        if (a === 127) {
+            return 'loopback';
+        }
+        if (a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168)) {
+            return 'private';
+        }
+        if (a === 169 && b === 254) {
+            return 'link-local';
+        }
+        return 'public';
+    }
+
+    /**
+     * Scope of an IPv6 address
+     * @private
+     */
+    static getIPv6Scope(groups) {
+        const leadingZeros = groups.slice(0, 5).every(group => group === 0);
+
+        if (leadingZeros && groups[5] === 0 && groups[6] === 0 && groups[7] === 1) {
+            return 'loopback';
+        }
+        // IPv4-mapped addresses (::ffff:a.b.c.d) take the scope of the IPv4 address
+        if (leadingZeros && groups[5] === 0xffff) {
+            return this.getIPv4Scope([groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff]);
+        }
+        if ((groups[0] & 0xfe00) === 0xfc00) {
+            return 'private';
+        }
+        if ((groups[0] & 0xffc0) === 0xfe80) {
+            return 'link-local';
+        }
+        return 'public';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HostClassifier;
+} else if (typeof self !== 'undefined') {
+    // Make available in web worker environment
+    self.HostClassifier = HostClassifier;
+} else if (typeof window !== 'undefined') {
+    // Make available in browser environment
+    window.HostClassifier = HostClassifier;
+}
@@ -0,0 +1,388 @@
+/**
+ * InputGutter Class
+ * Line numbers and inline validation markers for the input text area.
+ * Lines are validated with InputValidator.validateSingleURL in small chunks
+ * between frames, and only the line numbers and markers in view are drawn,
+ * so 100,000-line inputs stay responsive while typing and scrolling.
+ */
+class InputGutter {
+    /**
+     * @param {TextAreaManager} textAreaManager - Owner of the input text area
+     * @param {InputValidator} inputValidator - Per-line URL validation
+     */
+    constructor(textAreaManager, inputValidator) {
+        this.textAreaManager = textAreaManager;
+        this.inputValidator = inputValidator;
+
+        this.lines = [''];
+        this.invalidLines = new Map(); // Line index -> error message
+        this.validationCache = new Map(); // Line text -> error message or null
+        this.validationRun = 0;
+        this.isValidating = false;
+        this.isValidationEnabled = true;
+        this.changeTimer = null;
+        this.renderFrame = null;
+
+        this.bindElements();
+        this.attachEventListeners();
+        this.handleInputChange();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.textarea = this.textAreaManager.getElements().input;
+        this.gutter = document.getElementById('input-gutter');
+        this.highlights = document.getElementById('input-highlights');
+        this.status = document.getElementById('invalid-lines-status');
+        this.nextInvalidButton = document.getElementById('next-invalid-btn');
+        this.removeInvalidButton = document.getElementById('remove-invalid-btn');
+    }
+
+    /**
+     * Attach event listeners to the text area and commands
+     */
+    attachEventListeners() {
+        this.textAreaManager.onInputChange(() => {
+            this.scheduleInputChange();
+        });
+
+        if (this.textarea) {
+            this.textarea.addEventListener('scroll', () => {
+                this.scheduleRender();
+            });
+
+            // Show the validation error of the line under the pointer
+            this.textarea.addEventListener('mousemove', (event) => {
+                const message = this.invalidLines.get(this.getLineAtPoint(event.clientY));
+                if (message) {
+                    this.textarea.title = message;
+                } else {
+                    this.textarea.removeAttribute('title');
+                }
+            });
+        }
+
+        if (typeof ResizeObserver !== 'undefined' && this.textarea) {
+            new ResizeObserver(() => this.scheduleRender()).observe(this.textarea);
+        }
+
+        if (this.nextInvalidButton) {
+            this.nextInvalidButton.addEventListener('click', () => {
+                this.jumpToNextInvalid();
+            });
+        }
+
+        if (this.removeInvalidButton) {
+            this.removeInvalidButton.addEventListener('click', () => {
+                this.removeInvalidLines();
+            });
+        }
+    }
+
+    /**
+     * Register F8 to jump to the next invalid line
+     * @param {AccessibilityManager} accessibilityManager - Shortcut registry
+     */
+    registerShortcuts(accessibilityManager) {
+        if (!accessibilityManager) return;
+
+        accessibilityManager.registerShortcut('f8', (event) => {
+            event.preventDefault();
+            this.jumpToNextInvalid();
+        });
+    }
+
+    /**
+     * Set the history to record "remove invalid lines" in
+     * @param {HistoryManager} historyManager - Undo/redo history
+     */
+    setHistoryManager(historyManager) {
+        this.historyManager = historyManager;
+    }
+
+    /**
+     * Turn invalid line markers on or off; line numbers are always shown
+     * @param {boolean} enabled - Whether each line should be a URL
+     */
+    setValidationEnabled(enabled) {
+        if (this.isValidationEnabled === enabled) return;
+
+        this.isValidationEnabled = enabled;
+        this.handleInputChange();
+    }
+
+    /**
+     * Debounce re-validation while typing
+     * @private
+     */
+    scheduleInputChange() {
+        clearTimeout(this.changeTimer);
+        this.changeTimer = setTimeout(() => this.handleInputChange(), InputGutter.INPUT_DEBOUNCE);
+    }
+
+    /**
+     * Split the input into lines and start validating them
+     * @private
+     */
+    handleInputChange() {
+        this.lines = this.textarea ? this.textarea.value.split('\n') : [''];
+        this.scheduleRender();
+        return this.validate();
+    }
+
+    /**
+     * Validate all lines, yielding between chunks; a newer run cancels an older one
+     * @returns {Promise<void>} Resolves when this run has finished or was replaced
+     */
+    async validate() {
+        const run = ++this.validationRun;
+        const lines = this.lines;
+        const invalidLines = new Map();
+        // With markers turned off no line is checked
+        const count = this.isValidationEnabled ? lines.length : 0;
+        this.isValidating = count > 0;
+
+        for (let start = 0; start < count; start += InputGutter.CHUNK_SIZE) {
+            const end = Math.min(start + InputGutter.CHUNK_SIZE, count);
+            for (let index = start; index < end; index++) {
+                const message = this.validateLine(lines[index], index);
+                if (message) {
+                    invalidLines.set(index, message);
+                }
+            }
+
+            if (end < count) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (run !== this.validationRun) return;
+            }
+        }
+
+        if (this.validationCache.size > InputGutter.MAX_CACHE_SIZE) {
+            this.validationCache.clear();
+        }
+
+        this.invalidLines = invalidLines;
+        this.isValidating = false;
+        this.updateStatus();
+        this.scheduleRender();
+    }
+
+    /**
+     * Validate one line
+     * @param {string} line - Line text
+     * @param {number} index - Line index
+     * @returns {string|null} Error message, or null for valid and empty lines
+     * @private
+     */
+    validateLine(line, index) {
+        const text = line.trim();
+        if (text === '') return null;
+
+        let error = this.validationCache.get(text);
+        if (error === undefined) {
+            const result = this.inputValidator.validateSingleURL(text, 0);
+            error = result.isValid ? null : result.errors[result.errors.length - 1].message.replace(/^Line \d+: /, '');
+            this.validationCache.set(text, error);
+        }
+
+        return error ? `Line ${index + 1}: ${error}` : null;
+    }
+
+    /**
+     * Get the sorted indexes of invalid lines
+     * @returns {number[]} Line indexes
+     */
+    getInvalidLineIndexes() {
+        return [...this.invalidLines.keys()].sort((a, b) => a - b);
+    }
+
+    /**
+     * Select the next invalid line after the caret, wrapping around
+     * @returns {number} Selected line index, or -1 if there are none
+     */
+    jumpToNextInvalid() {
+        const indexes = this.getInvalidLineIndexes();
+        if (indexes.length === 0 || !this.textarea) {
+            this.announce(this.isValidating ? 'Still checking lines' : 'No invalid lines');
+            return -1;
+        }
+
+        const caretLine = this.textarea.value.slice(0, this.textarea.selectionEnd).split('\n').length - 1;
+        const next = indexes.find(index => index > caretLine) ?? indexes[0];
+
+        let start = 0;
+        for (let index = 0; index < next; index++) {
+            start += this.lines[index].length + 1;
+        }
+
+        this.textarea.focus();
+        this.textarea.setSelectionRange(start, start + this.lines[next].length);
+
+        // Centre the line in view
+        const metrics = this.getMetrics();
+        this.textarea.scrollTop = Math.max(0, next * metrics.lineHeight - this.textarea.clientHeight / 2);
+        this.scheduleRender();
+
+        this.announce(this.invalidLines.get(next));
+        return next;
+    }
+
+    /**
+     * Delete every invalid line from the input
+     * @returns {Promise<number>} Number of lines removed
+     */
+    async removeInvalidLines() {
+        // Make sure the markers describe the current text
+        clearTimeout(this.changeTimer);
+        await this.handleInputChange();
+
+        const count = this.invalidLines.size;
+        if (count === 0) {
+            this.announce('No invalid lines');
+            return 0;
+        }
+
+        this.historyManager?.checkpoint();
+        const kept = this.lines.filter((line, index) => !this.invalidLines.has(index));
+        await this.textAreaManager.setInputText(kept.join('\n'));
+        this.historyManager?.record('Remove invalid lines');
+
+        this.announce(`Removed ${count} invalid line${count === 1 ? '' : 's'}`);
+        return count;
+    }
+
+    /**
+     * Update the invalid line count and command state
+     * @private
+     */
+    updateStatus() {
+        const count = this.invalidLines.size;
+
+        if (this.status) {
+            this.status.textContent = count === 0
+                ? ''
+                : `${count.toLocaleString()} invalid line${count === 1 ? '' : 's'}`;
+        }
+        if (this.nextInvalidButton) {
+            this.nextInvalidButton.disabled = count === 0;
+        }
+        if (this.removeInvalidButton) {
+            this.removeInvalidButton.disabled = count === 0;
+        }
+    }
+
+    /**
+     * Redraw on the next animation frame
+     * @private
+     */
+    scheduleRender() {
+        if (this.renderFrame !== null) return;
+
+        const schedule = typeof requestAnimationFrame !== 'undefined'
+            ? requestAnimationFrame
+            : (callback) => setTimeout(callback, 16);
+        this.renderFrame = schedule(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Draw the line numbers and markers of the lines in view
+     * @private
+     */
+    render() {
+        if (!this.textarea || !this.gutter) return;
+
+        const metrics = this.getMetrics();
+        const scrollTop = this.textarea.scrollTop;
+        const first = Math.max(0, Math.floor((scrollTop - metrics.paddingTop) / metrics.lineHeight));
+        const last = Math.min(this.lines.length - 1, first + Math.ceil(this.textarea.clientHeight / metrics.lineHeight) + 1);
+
+        const numbers = document.createDocumentFragment();
+        const markers = document.createDocumentFragment();
+
+        for (let index = first; index <= last; index++) {
+            const top = `${metrics.offsetTop + index * metrics.lineHeight - scrollTop}px`;
+            const message = this.invalidLines.get(index);
+
+            const number = document.createElement('div');
+            number.className = message ? 'gutter-line gutter-line-invalid' : 'gutter-line';
+            number.style.top = top;
+            number.style.height = `${metrics.lineHeight}px`;
+            number.textContent = index + 1;
+            if (message) {
+                number.title = message;
+            }
+            numbers.appendChild(number);
+
+            if (message && this.highlights) {
+                const marker = document.createElement('div');
+                marker.className = 'input-highlight-invalid';
+                marker.style.top = top;
+                marker.style.height = `${metrics.lineHeight}px`;
+                markers.appendChild(marker);
+            }
+        }
+
+        // Wide enough for the largest line number
+        this.gutter.style.width = `${String(this.lines.length).length + 2}ch`;
+        this.gutter.replaceChildren(numbers);
+        this.highlights?.replaceChildren(markers);
+    }
+
+    /**
+     * Line index under a viewport y coordinate
+     * @private
+     */
+    getLineAtPoint(clientY) {
+        const metrics = this.getMetrics();
+        const y = clientY - this.textarea.getBoundingClientRect().top - metrics.offsetTop + this.textarea.scrollTop;
+        return Math.floor(y / metrics.lineHeight);
+    }
+
+    /**
+     * Line height and the offset of the first line inside the text area
+     * @private
+     */
+    getMetrics() {
+        const style = getComputedStyle(this.textarea);
+        const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.4;
+        const paddingTop = parseFloat(style.paddingTop) || 0;
+        const borderTop = parseFloat(style.borderTopWidth) || 0;
+        return { lineHeight, paddingTop, offsetTop: paddingTop + borderTop };
+    }
+
+    /**
+     * Announce a message to screen readers
+     * @private
+     */
+    announce(message) {
+        const urlManager = window.urlManagerInstance;
+        if (urlManager && urlManager.accessibilityManager) {
+            urlManager.accessibilityManager.announce(message, 'polite');
+        }
+    }
+}
+
+/**
+ * Lines validated between two yields to the browser
+ */
+InputGutter.CHUNK_SIZE = 2000;
+
+/**
+ * Delay after the last keystroke before re-validating, in milliseconds
+ */
+InputGutter.INPUT_DEBOUNCE = 200;
+
+/**
+ * Distinct line texts remembered between validations
+ */
+InputGutter.MAX_CACHE_SIZE = 200000;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputGutter;
+}
@@ -31,17 +31,39 @@ class InputValidator {
             operation: {
                 allowedValues: [
                     'removeParams',
+                    'removeTracking',
+                    'keepParamsList',
+                    'removeParamsList',
                     'deduplicateTLD',
                     'deduplicateDomain',
                     'deduplicateFull',
                     'filterRemove',
                     'filterKeep',
+                    'filterAdvanced',
+                    'keepIPHosts',
+                    'removeIPHosts',
+                    'keepPrivateHosts',
+                    'removePrivateHosts',
                     'keepTLD',
                     'trimLastPath',
+                    'normalize',
                     'extractTLD',
+                    'hostsToUnicode',
+                    'hostsToPunycode',
                     'sortByDomain',
                     'sortByLength',
-                    'sortByFilename'
+                    'sortByFilename',
+                    'sortByLastmod',
+                    'sortByPriority',
+                    'sortByFolder',
+                    'sortBySize',
+                    'sortByTime',
+                    'compareUnion',
+                    'compareIntersection',
+                    'compareAMinusB',
+                    'compareBMinusA',
+                    'compareSymmetricDifference',
+                    'pipeline'
                 ]
             }
         };
@@ -239,10 +261,10 @@ class InputValidator {
             } else if (url.startsWith('//')) {
                 // Protocol-relative URL
                 new URL('http:' + url);
-            } else if (url.includes('.')) {
-                // Domain-based URL validation
-                const domain = url.split('/')[0];
-                if (!this.isValidDomain(domain)) {
+            } else if (url.includes('.') || url.startsWith('[') || /^localhost([:/?#]|$)/i.test(url)) {
+                // Domain-based URL validation (also accepts IP addresses and localhost)
+                const host = url.split(/[/?#]/)[0];
+                if (!this.isValidDomain(host) && !this.isValidIPOrLocalHost(host)) {
                     return { isValid: false, reason: 'Invalid domain format' };
                 }
             } else {
@@ -263,6 +285,11 @@ class InputValidator {
      * @private
      */
     isValidDomain(domain) {
+        // Internationalized domains are checked in their punycode form
+        if (typeof Punycode !== 'undefined') {
+            domain = Punycode.toASCII(domain);
+        }
+
         // Basic domain pattern
         const domainPattern = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*/;
         
@@ -277,7 +304,26 @@ class InputValidator {
         }
 
         const tld = parts[parts.length - 1];
-        return /^[a-zA-Z]{2,}$/.test(tld);
+        return /^([a-zA-Z]{2,}|xn--[a-zA-Z0-9-]+)$/.test(tld);
+    }
+
+    /**
+     * Validate an IP address or localhost host, with optional port
+     * @param {string} host - Host to validate, e.g. 192.168.1.10:8080 or [::1]
+     * @returns {boolean} True if host is an IPv4/IPv6 literal or localhost
+     * @private
+     */
+    isValidIPOrLocalHost(host) {
+        const hostname = host.replace(/:\d+$/, '').toLowerCase();
+        if (hostname === 'localhost') {
+            return true;
+        }
+
+        if (typeof HostClassifier === 'undefined') {
+            return false;
+        }
+        const hostType = HostClassifier.getHostType(hostname);
+        return hostType === 'ipv4' || (hostType === 'ipv6' && hostname.startsWith('['));
     }
 
     /**
@@ -331,6 +377,9 @@ class InputValidator {
      * Validate filter string input
      * @param {string} input - Filter string to validate
      * @param {Object} options - Validation options
+     * @param {boolean} options.required - Whether an empty filter is an error
+     * @param {string} options.mode - Filter mode: 'substring', 'case-sensitive', 'glob' or 'regex'
+     * @param {string} options.flags - Regular expression flags for regex mode
      * @returns {Object} Validation result
      */
     validateFilterString(input, options = {}) {
@@ -387,27 +436,171 @@ class InputValidator {
             result.sanitized = trimmed;
         }
 
+        // Regular expressions must compile before they are sent to the worker
+        if (trimmed.length > 0 && options.mode === 'regex') {
+            const pattern = this.getURLFilter().validatePattern(trimmed, { mode: 'regex', flags: options.flags || '' });
+            if (!pattern.isValid) {
+                result.isValid = false;
+                result.errors.push({
+                    code: 'FILTER_INVALID_REGEX',
+                    message: pattern.error,
+                    severity: 'error'
+                });
+                return result;
+            }
+        }
+
         // Check for potentially problematic patterns
         if (trimmed.length > 0) {
-            this.validateFilterStringContent(trimmed, result);
+            this.validateFilterStringContent(trimmed, result, options.mode || 'substring');
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate an advanced filter expression
+     * Syntax errors carry the 1-based column where they occur.
+     * @param {string} input - Expression text
+     * @param {Object} options - Validation options
+     * @param {boolean} options.required - Whether an empty expression is an error
+     * @returns {Object} Validation result
+     */
+    validateFilterExpression(input, options = {}) {
+        const result = {
+            isValid: true,
+            errors: [],
+            warnings: [],
+            sanitized: typeof input === 'string' ? input.trim() : ''
+        };
+
+        if (!result.sanitized) {
+            if (options.required) {
+                result.isValid = false;
+                result.errors.push({
+                    code: 'FILTER_EXPRESSION_REQUIRED',
+                    message: 'Filter expression is required for this operation',
+                    severity: 'error'
+                });
+            }
+            return result;
+        }
+
+        const Expression = typeof FilterExpression !== 'undefined' ? FilterExpression : require('./filter-expression.js');
+        const syntax = Expression.validate(result.sanitized);
+        if (!syntax.isValid) {
+            result.isValid = false;
+            result.errors.push({
+                code: 'FILTER_EXPRESSION_SYNTAX',
+                message: `Filter expression error: ${syntax.error}`,
+                column: syntax.column,
+                severity: 'error'
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate the steps of a pipeline
+     * Each step is checked like a single operation; messages are prefixed
+     * with the 1-based step number.
+     * @param {Object[]} steps - Control panel options per step
+     * @returns {Object} Validation result
+     */
+    validatePipeline(steps) {
+        const result = {
+            isValid: true,
+            errors: [],
+            warnings: [],
+            sanitized: Array.isArray(steps) ? steps : []
+        };
+
+        if (result.sanitized.length === 0) {
+            result.isValid = false;
+            result.errors.push({
+                code: 'PIPELINE_EMPTY',
+                message: 'Add at least one enabled step to the pipeline',
+                severity: 'error'
+            });
+            return result;
         }
 
+        result.sanitized.forEach((step, index) => {
+            const prefix = `Step ${index + 1}: `;
+            const stepResults = [];
+
+            const operationResult = this.validateOperation(step && step.operation);
+            if (operationResult.isValid && operationResult.requiresPipeline) {
+                operationResult.isValid = false;
+                operationResult.errors.push({
+                    code: 'PIPELINE_NESTED',
+                    message: 'Pipelines cannot contain pipelines',
+                    severity: 'error'
+                });
+            }
+            stepResults.push(operationResult);
+
+            if (operationResult.isValid) {
+                if (operationResult.requiresFilter) {
+                    stepResults.push(this.validateFilterString(step.filterString, {
+                        required: true,
+                        mode: step.filterMode,
+                        flags: step.filterFlags
+                    }));
+                }
+                if (operationResult.requiresExpression) {
+                    stepResults.push(this.validateFilterExpression(step.filterExpression, { required: true }));
+                }
+                if (['keepParamsList', 'removeParamsList'].includes(step.operation) &&
+                    (!Array.isArray(step.parameterList) || step.parameterList.length === 0)) {
+                    stepResults.push({
+                        isValid: false,
+                        errors: [{
+                            code: 'PARAMETER_LIST_REQUIRED',
+                            message: 'Enter at least one parameter name',
+                            severity: 'error'
+                        }],
+                        warnings: []
+                    });
+                }
+            }
+
+            stepResults.forEach(stepResult => {
+                if (!stepResult.isValid) {
+                    result.isValid = false;
+                }
+                result.errors.push(...stepResult.errors.map(error => ({ ...error, message: prefix + error.message })));
+                result.warnings.push(...stepResult.warnings.map(warning => ({ ...warning, message: prefix + warning.message })));
+            });
+        });
+
         return result;
     }
 
+    /**
+     * Get the filter pattern matcher
+     * @private
+     */
+    getURLFilter() {
+        return typeof URLFilter !== 'undefined' ? URLFilter : require('./url-filter.js');
+    }
+
     /**
      * Validate filter string content for potential issues
      * @param {string} filterString - Filter string to validate
      * @param {Object} result - Result object to update
+     * @param {string} mode - Filter mode
      * @private
      */
-    validateFilterStringContent(filterString, result) {
+    validateFilterStringContent(filterString, result, mode = 'substring') {
         // Check for regex special characters that might cause confusion
         const regexChars = /[.*+?^${}()|[\]\\]/;
-        if (regexChars.test(filterString)) {
+        const isTextMode = mode === 'substring' || mode === 'case-sensitive';
+        if (isTextMode && regexChars.test(filterString)) {
             result.warnings.push({
                 code: 'FILTER_CONTAINS_SPECIAL_CHARS',
-                message: 'Filter string contains special characters. Filtering uses simple text matching, not regular expressions.',
+                message: 'Filter string contains special characters. Substring modes use simple text matching; choose the Glob or Regular expression mode for patterns.',
                 severity: 'info'
             });
         }
@@ -444,7 +637,9 @@ class InputValidator {
             errors: [],
             warnings: [],
             sanitized: operation,
-            requiresFilter: false
+            requiresFilter: false,
+            requiresExpression: false,
+            requiresPipeline: false
         };
 
         const rules = this.validationRules.operation;
@@ -474,6 +669,8 @@ class InputValidator {
         // Check if operation requires filter string
         const filterOperations = ['filterRemove', 'filterKeep'];
         result.requiresFilter = filterOperations.includes(operation);
+        result.requiresExpression = operation === 'filterAdvanced';
+        result.requiresPipeline = operation === 'pipeline';
 
         // Add operation-specific warnings
         this.addOperationSpecificWarnings(operation, result);
@@ -509,6 +706,8 @@ class InputValidator {
 
     /**
      * Validate complete form input
+     * URLs are not validated when formData.urls is null, as for a streamed file
+     * whose lines are checked as they are processed.
      * @param {Object} formData - Complete form data
      * @returns {Object} Complete validation result
      */
@@ -532,7 +731,11 @@ class InputValidator {
 
         // Validate filter string if required
         if (operationResult.requiresFilter) {
-            const filterResult = this.validateFilterString(formData.filterString, { required: true });
+            const filterResult = this.validateFilterString(formData.filterString, {
+                required: true,
+                mode: formData.filterMode,
+                flags: formData.filterFlags
+            });
             result.fieldResults.filterString = filterResult;
             
             if (!filterResult.isValid) {
@@ -542,15 +745,40 @@ class InputValidator {
             result.warnings.push(...filterResult.warnings);
         }
 
+        // Validate advanced filter expression if required
+        if (operationResult.requiresExpression) {
+            const expressionResult = this.validateFilterExpression(formData.filterExpression, { required: true });
+            result.fieldResults.filterExpression = expressionResult;
+            
+            if (!expressionResult.isValid) {
+                result.isValid = false;
+                result.errors.push(...expressionResult.errors);
+            }
+        }
+
+        // Validate pipeline steps if required
+        if (operationResult.requiresPipeline) {
+            const pipelineResult = this.validatePipeline(formData.pipeline);
+            result.fieldResults.pipeline = pipelineResult;
+            
+            if (!pipelineResult.isValid) {
+                result.isValid = false;
+                result.errors.push(...pipelineResult.errors);
+            }
+            result.warnings.push(...pipelineResult.warnings);
+        }
+
         // Validate URLs
-        const urlsResult = this.validateURLs(formData.urls);
-        result.fieldResults.urls = urlsResult;
-        
-        if (!urlsResult.isValid) {
-            result.isValid = false;
-            result.errors.push(...urlsResult.errors);
+        if (formData.urls !== null) {
+            const urlsResult = this.validateURLs(formData.urls);
+            result.fieldResults.urls = urlsResult;
+            
+            if (!urlsResult.isValid) {
+                result.isValid = false;
+                result.errors.push(...urlsResult.errors);
+            }
+            result.warnings.push(...urlsResult.warnings);
         }
-        result.warnings.push(...urlsResult.warnings);
 
         // Add form-level validations
         this.addFormLevelValidations(formData, result);
@@ -0,0 +1,221 @@
+/**
+ * LineStreamReader - Reading large files line by line without loading them whole
+ * Files are read through File.stream(), decompressed with DecompressionStream
+ * when they are gzipped, and decoded as UTF-8 a chunk at a time. Each chunk
+ * is cut after its last complete line and handed on as an array of lines with
+ * their 1-based line numbers. CSV/TSV files are cut after their last complete
+ * record instead, and only the URL column is handed on.
+ */
+
+// CSVTable is loaded globally via script tag
+// In Node.js environment it is required from csv-table.js
+
+class LineStreamReader {
+    /**
+     * @param {Object} options - Options
+     * @param {Object} options.csv - Read CSV/TSV records instead of lines: {delimiter (null to detect), hasHeader}
+     */
+    constructor(options = {}) {
+        this.csv = options.csv || null;
+        this.pending = '';
+        this.line = 1;
+        // How much of the pending text has been scanned for quotes, and whether it ends inside quotes
+        this.scanned = 0;
+        this.inQuotes = false;
+        this.delimiter = this.csv ? this.csv.delimiter || null : null;
+        this.column = null;
+    }
+
+    /**
+     * Read a chunk of text
+     * @param {string} text - Next chunk of the file
+     * @returns {Object} lines (or URL cells) completed by this chunk and their lineNumbers
+     */
+    push(text) {
+        // A trailing \r may be the first half of \r\n, so it waits for the next chunk
+        const source = this.pending + text;
+        const held = source.endsWith('\r') ? '\r' : '';
+        const body = held ? source.slice(0, -1) : source;
+
+        const cut = this.csv ? this.findRecordEnd(body) : LineStreamReader.findLineEnd(body);
+        this.pending = body.slice(cut) + held;
+
+        return this.read(body.slice(0, cut), false);
+    }
+
+    /**
+     * Read what is left after the last chunk
+     * @returns {Object} lines (or URL cells) and their lineNumbers
+     */
+    end() {
+        // A held \r ends the last line
+        const rest = this.pending.replace(/\r$/, '');
+        this.pending = '';
+        this.scanned = 0;
+        this.inQuotes = false;
+        return this.read(rest, true);
+    }
+
+    /**
+     * Split complete text into lines or URL cells
+     * @private
+     */
+    read(text, isLast) {
+        if (text === '') {
+            return { lines: [], lineNumbers: [] };
+        }
+        if (this.csv) {
+            return this.readRecords(text);
+        }
+
+        const lines = text.split(/\r\n|\r|\n/);
+        // Complete text ends with a line break, which does not start another line
+        if (!isLast) {
+            lines.pop();
+        }
+        const lineNumbers = lines.map((line, index) => this.line + index);
+        this.line += lines.length;
+        return { lines, lineNumbers };
+    }
+
+    /**
+     * Take the URL column out of complete CSV/TSV records
+     * The delimiter and URL column are settled by the first records read.
+     * @private
+     */
+    readRecords(text) {
+        const table = LineStreamReader.getTable();
+        if (this.delimiter === null) {
+            this.delimiter = table.detectDelimiter(text);
+        }
+
+        let { records, lines } = table.parse(text, this.delimiter);
+        const firstLine = this.line;
+        this.line += (text.match(/\r\n|\r|\n/g) || []).length;
+
+        if (this.column === null && records.length > 0) {
+            this.column = table.guessURLColumn(records.slice(0, table.SAMPLE_SIZE + 1), this.csv.hasHeader);
+            if (this.csv.hasHeader) {
+                records = records.slice(1);
+                lines = lines.slice(1);
+            }
+        }
+
+        return {
+            // Line breaks inside a quoted URL cell must not split it into two URLs
+            lines: records.map(record => (record[this.column] || '').replace(/[\r\n]+/g, ' ')),
+            lineNumbers: lines.map(line => firstLine + line - 1)
+        };
+    }
+
+    /**
+     * Position after the last line break
+     * @private
+     */
+    static findLineEnd(text) {
+        const last = Math.max(text.lastIndexOf('\n'), text.lastIndexOf('\r'));
+        return last + 1;
+    }
+
+    /**
+     * Position after the last line break outside quotes
+     * Text carried over from earlier chunks is not scanned again, so a stray
+     * quote cannot make reading slow down as the file goes on.
+     * @private
+     */
+    findRecordEnd(text) {
+        let inQuotes = this.inQuotes;
+        let end = 0;
+        for (let index = this.scanned; index < text.length; index++) {
+            const char = text[index];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                end = index + 1;
+            }
+        }
+        // Quotes are balanced at a record end, so the state carries over to the pending text
+        this.inQuotes = inQuotes;
+        this.scanned = text.length - end;
+        return end;
+    }
+
+    /**
+     * Stream a file, handing on its lines chunk by chunk
+     * @param {File|Blob} file - File to read; names ending in .gz are decompressed
+     * @param {Object} options - Options
+     * @param {Object} options.csv - See the constructor; defaults to reading .csv and .tsv files as tables
+     * @param {Function} options.onLines - Called with (lines, lineNumbers) for each chunk
+     * @param {Function} options.onProgress - Called with (bytesRead, totalBytes) as the file is read
+     * @param {AbortSignal} options.signal - Stops reading when aborted
+     * @returns {Promise<Object>} lineCount and bytesRead
+     * @throws {Error} If the file cannot be read or decompressed, or reading was aborted
+     */
+    static async read(file, options = {}) {
+        const name = file.name || '';
+        const gzipped = /\.gz$/i.test(name);
+        if (gzipped && typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress .gz files');
+        }
+
+        const reader = new LineStreamReader({
+            csv: options.csv !== undefined ? options.csv : LineStreamReader.isTable(name) ? { delimiter: null, hasHeader: true } : null
+        });
+
+        let bytesRead = 0;
+        let stream = file.stream().pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                bytesRead += chunk.byteLength;
+                options.onProgress?.(bytesRead, file.size);
+                controller.enqueue(chunk);
+            }
+        }));
+        if (gzipped) {
+            stream = stream.pipeThrough(new DecompressionStream('gzip'));
+        }
+        const textReader = stream.pipeThrough(new TextDecoderStream()).getReader();
+
+        let lineCount = 0;
+        const handOn = ({ lines, lineNumbers }) => {
+            if (lines.length > 0) {
+                lineCount += lines.length;
+                options.onLines?.(lines, lineNumbers);
+            }
+        };
+
+        for (;;) {
+            if (options.signal?.aborted) {
+                await textReader.cancel();
+                throw new Error('Reading was cancelled');
+            }
+            const { done, value } = await textReader.read();
+            if (done) break;
+            handOn(reader.push(value));
+        }
+        handOn(reader.end());
+
+        return { lineCount, bytesRead };
+    }
+
+    /**
+     * Whether a file name is a CSV or TSV table, possibly gzipped
+     * @param {string} name - File name
+     * @returns {boolean} True for .csv, .tsv, .csv.gz and .tsv.gz
+     */
+    static isTable(name) {
+        return /\.(csv|tsv)(\.gz)?$/i.test(name || '');
+    }
+
+    /**
+     * Get the CSV parser
+     * @private
+     */
+    static getTable() {
+        return typeof CSVTable !== 'undefined' ? CSVTable : require('./csv-table.js');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LineStreamReader;
+}
@@ -0,0 +1,79 @@
+/**
+ * ListComparePanel Class
+ * The second input list (list B) for the Compare Lists operations, and the
+ * member counts per bucket of the last comparison. The input area is list A.
+ * List B is sent to the processor with each run rather than stored in steps
+ * or recipes, so a long list never ends up in localStorage.
+ */
+class ListComparePanel {
+    constructor() {
+        this.bindElements();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.listInput = document.getElementById('list-b-input');
+        this.countsOutput = document.getElementById('list-compare-counts');
+    }
+
+    /**
+     * Enable/disable list B while processing
+     * @param {boolean} enabled - Whether list B can be edited
+     */
+    setEnabled(enabled) {
+        if (this.listInput) {
+            this.listInput.disabled = !enabled;
+        }
+    }
+
+    /**
+     * Get the lines of list B
+     * Blank lines are kept; the processor skips them.
+     * @returns {string[]} Lines, empty if the list is empty
+     */
+    getList() {
+        const text = this.listInput ? this.listInput.value : '';
+        return text.trim() === '' ? [] : text.split(/\r\n|\r|\n/);
+    }
+
+    /**
+     * Show the member counts of the last comparison
+     * @param {Object|null} listCounts - onlyA, both, onlyB and invalidB, or null to clear them
+     */
+    showCounts(listCounts) {
+        if (!this.countsOutput) return;
+
+        if (!listCounts) {
+            this.countsOutput.textContent = '';
+            this.countsOutput.hidden = true;
+            return;
+        }
+
+        this.countsOutput.textContent = ListComparePanel.formatCounts(listCounts);
+        this.countsOutput.hidden = false;
+    }
+
+    /**
+     * Describe the member counts per bucket
+     * @param {Object} listCounts - onlyA, both, onlyB and invalidB
+     * @returns {string} Summary such as "Only in A: 12 · In both: 80 · Only in B: 5"
+     */
+    static formatCounts(listCounts) {
+        const parts = [
+            `Only in A: ${listCounts.onlyA.toLocaleString()}`,
+            `In both: ${listCounts.both.toLocaleString()}`,
+            `Only in B: ${listCounts.onlyB.toLocaleString()}`
+        ];
+        if (listCounts.invalidB > 0) {
+            parts.push(`Skipped in B: ${listCounts.invalidB.toLocaleString()} invalid`);
+        }
+        return parts.join(' · ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ListComparePanel;
+}
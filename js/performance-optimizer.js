@@ -45,8 +45,15 @@ class PerformanceOptimizer {
             outputCount: 0,
             removedCount: 0,
             invalidCount: 0,
-            processingTime: 0
+            processingTime: 0,
+            parameterCounts: {},
+            removedItems: [],
+            resultLines: [],
+            resultMetadata: options.metadata ? [] : null
         };
+        
+        // Each batch reports removed items against the lines of the whole input
+        const lineNumbers = options.lineNumbers || urls.map((url, index) => index + 1);
 
         const startTime = performance.now();
 
@@ -64,7 +71,11 @@ class PerformanceOptimizer {
             const batchResult = await this.processWithCache(
                 batchUrls, 
                 processingFunction, 
-                options
+                {
+                    ...options,
+                    lineNumbers: lineNumbers.slice(startIdx, endIdx),
+                    metadata: options.metadata ? options.metadata.slice(startIdx, endIdx) : null
+                }
             );
             
             // Accumulate results
@@ -73,6 +84,19 @@ class PerformanceOptimizer {
                 totalStats.outputCount += batchResult.outputCount;
                 totalStats.invalidCount += batchResult.invalidCount;
                 totalStats.processingTime += batchResult.processingTime;
+                if (batchResult.removedItems) {
+                    totalStats.removedItems = totalStats.removedItems.concat(batchResult.removedItems);
+                }
+                // Input lines of the results are only known if every batch reports them
+                totalStats.resultLines = totalStats.resultLines && batchResult.resultLines
+                    ? totalStats.resultLines.concat(batchResult.resultLines)
+                    : null;
+                totalStats.resultMetadata = totalStats.resultMetadata && batchResult.resultMetadata
+                    ? totalStats.resultMetadata.concat(batchResult.resultMetadata)
+                    : null;
+                for (const [kind, count] of Object.entries(batchResult.parameterCounts || {})) {
+                    totalStats.parameterCounts[kind] = (totalStats.parameterCounts[kind] || 0) + count;
+                }
             }
             
             this.performanceMetrics.batchesProcessed++;
@@ -112,6 +136,23 @@ class PerformanceOptimizer {
      * @returns {Promise<Object>} Processing results
      */
     async processWithCache(urls, processingFunction, options) {
+        // Operations that report per-URL details (e.g. removed parameter counts)
+        // would lose them on cache hits, so they opt out of caching
+        if (options.cacheResults === false) {
+            const result = await processingFunction(urls, options);
+            return {
+                success: result.success,
+                results: result.results,
+                outputCount: result.results.length,
+                invalidCount: result.invalidCount || 0,
+                processingTime: result.processingTime || 0,
+                parameterCounts: result.parameterCounts,
+                removedItems: result.removedItems,
+                resultLines: result.resultLines,
+                resultMetadata: result.resultMetadata
+            };
+        }
+        
         const cacheKey = this.generateCacheKey(options);
         const cachedResults = new Map();
         const uncachedUrls = [];
@@ -179,6 +220,14 @@ class PerformanceOptimizer {
             options.operation || 'unknown',
             options.type || '',
             options.filterString || '',
+            options.target || '',
+            options.mode || '',
+            options.flags || '',
+            options.hostDisplay || '',
+            JSON.stringify(options.steps || null),
+            JSON.stringify(options.parameters || null),
+            JSON.stringify(options.expression || null),
+            JSON.stringify(options.pipeline || null),
             JSON.stringify(options.caseSensitive || false)
         ];
         return keyParts.join('|');
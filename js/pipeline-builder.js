@@ -0,0 +1,380 @@
+/**
+ * PipelineBuilder Class
+ * Manages the ordered list of pipeline steps shown in the control panel.
+ * Each step holds the control panel options of one operation and can be
+ * reordered, switched off, edited or removed before the pipeline is run.
+ */
+class PipelineBuilder {
+    /**
+     * @param {HTMLElement} listElement - List element the steps are rendered into
+     */
+    constructor(listElement) {
+        this.list = listElement;
+        this.steps = [];
+        this.stepCounts = null;
+        this.editingIndex = -1;
+        this.enabled = true;
+
+        this.changeCallback = null;
+        this.editCallback = null;
+
+        this.attachEventListeners();
+        this.render();
+    }
+
+    /**
+     * Handle step buttons and checkboxes through one delegated listener each
+     */
+    attachEventListeners() {
+        if (!this.list) return;
+
+        this.list.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const index = Number(button.closest('.pipeline-step').dataset.index);
+            switch (button.dataset.action) {
+                case 'up':
+                    this.moveStep(index, -1);
+                    break;
+                case 'down':
+                    this.moveStep(index, 1);
+                    break;
+                case 'edit':
+                    this.startEditing(index);
+                    break;
+                case 'remove':
+                    this.removeStep(index);
+                    break;
+            }
+        });
+
+        this.list.addEventListener('change', (event) => {
+            if (event.target.matches('input[name="pipeline-step-enabled"]')) {
+                const index = Number(event.target.closest('.pipeline-step').dataset.index);
+                this.setStepEnabled(index, event.target.checked);
+            }
+        });
+    }
+
+    /**
+     * Append a step
+     * @param {Object} options - Control panel options for one operation
+     */
+    addStep(options) {
+        this.steps.push({ options: { ...options }, enabled: true });
+        this.handleChange();
+    }
+
+    /**
+     * Replace the options of a step and leave edit mode
+     * @param {number} index - Step index
+     * @param {Object} options - New control panel options
+     */
+    updateStep(index, options) {
+        if (!this.steps[index]) return;
+
+        this.steps[index].options = { ...options };
+        this.editingIndex = -1;
+        this.handleChange();
+    }
+
+    /**
+     * Remove a step
+     * @param {number} index - Step index
+     */
+    removeStep(index) {
+        if (!this.steps[index]) return;
+
+        this.steps.splice(index, 1);
+        if (this.editingIndex === index) {
+            this.editingIndex = -1;
+        } else if (this.editingIndex > index) {
+            this.editingIndex--;
+        }
+        this.handleChange();
+    }
+
+    /**
+     * Move a step up (-1) or down (+1)
+     * @param {number} index - Step index
+     * @param {number} offset - Positions to move
+     */
+    moveStep(index, offset) {
+        const target = index + offset;
+        if (!this.steps[index] || target < 0 || target >= this.steps.length) return;
+
+        const [step] = this.steps.splice(index, 1);
+        this.steps.splice(target, 0, step);
+
+        if (this.editingIndex === index) {
+            this.editingIndex = target;
+        } else if (this.editingIndex === target) {
+            this.editingIndex = index;
+        }
+        this.handleChange();
+    }
+
+    /**
+     * Switch a step on or off without removing it
+     * @param {number} index - Step index
+     * @param {boolean} enabled - Whether the step runs
+     */
+    setStepEnabled(index, enabled) {
+        if (!this.steps[index]) return;
+
+        this.steps[index].enabled = enabled;
+        this.handleChange();
+    }
+
+    /**
+     * Remove all steps
+     */
+    clear() {
+        this.steps = [];
+        this.editingIndex = -1;
+        this.handleChange();
+    }
+
+    /**
+     * Get all steps
+     * @returns {Object[]} Copies of the steps ({options, enabled})
+     */
+    getSteps() {
+        return this.steps.map(step => ({ options: { ...step.options }, enabled: step.enabled }));
+    }
+
+    /**
+     * Replace all steps
+     * @param {Object[]} steps - Steps as returned by getSteps()
+     */
+    setSteps(steps) {
+        this.steps = (steps || []).map(step => ({ options: { ...step.options }, enabled: step.enabled !== false }));
+        this.editingIndex = -1;
+        this.handleChange();
+    }
+
+    /**
+     * Get the options of the steps that are switched on, in order
+     * @returns {Object[]} Control panel options per step
+     */
+    getEnabledSteps() {
+        return this.steps.filter(step => step.enabled).map(step => ({ ...step.options }));
+    }
+
+    /**
+     * Check whether the pipeline has anything to run
+     */
+    hasEnabledSteps() {
+        return this.steps.some(step => step.enabled);
+    }
+
+    /**
+     * Load a step into the controls for editing
+     * @param {number} index - Step index
+     */
+    startEditing(index) {
+        if (!this.steps[index]) return;
+
+        this.editingIndex = index;
+        this.render();
+        if (this.editCallback) {
+            this.editCallback({ ...this.steps[index].options }, index);
+        }
+    }
+
+    /**
+     * Leave edit mode without changing the step
+     */
+    cancelEditing() {
+        if (this.editingIndex === -1) return;
+
+        this.editingIndex = -1;
+        this.render();
+    }
+
+    /**
+     * Check whether a step is being edited
+     */
+    isEditing() {
+        return this.editingIndex !== -1;
+    }
+
+    /**
+     * Show input/output counts next to each step after a run
+     * @param {Object[]} stepCounts - Counts per enabled step ({inputCount, outputCount})
+     */
+    showStepCounts(stepCounts) {
+        this.stepCounts = Array.isArray(stepCounts) ? stepCounts : null;
+        this.render();
+    }
+
+    /**
+     * Enable or disable the step controls (e.g. while processing)
+     * @param {boolean} enabled - Whether the controls can be used
+     */
+    setEnabled(enabled) {
+        if (this.enabled === enabled) return;
+
+        this.enabled = enabled;
+        this.render();
+    }
+
+    /**
+     * Set callback for changes to the steps
+     */
+    onChange(callback) {
+        this.changeCallback = callback;
+    }
+
+    /**
+     * Set callback for the edit button; receives the step options and index
+     */
+    onEdit(callback) {
+        this.editCallback = callback;
+    }
+
+    /**
+     * Re-render and notify after the steps changed
+     * @private
+     */
+    handleChange() {
+        // Counts from the last run no longer line up with the steps
+        this.stepCounts = null;
+        this.render();
+        if (this.changeCallback) {
+            this.changeCallback(this.getSteps());
+        }
+    }
+
+    /**
+     * Render the step list
+     * @private
+     */
+    render() {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+
+        if (this.steps.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'pipeline-empty help-text';
+            empty.textContent = 'No steps yet. Choose an operation and click "Add to Pipeline".';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        let countIndex = 0;
+        this.steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = 'pipeline-step';
+            item.classList.toggle('pipeline-step-disabled', !step.enabled);
+            item.classList.toggle('pipeline-step-editing', index === this.editingIndex);
+            item.dataset.index = String(index);
+
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'pipeline-step-enabled';
+            checkbox.checked = step.enabled;
+            const text = document.createElement('span');
+            text.className = 'pipeline-step-label';
+            text.textContent = `${index + 1}. ${PipelineBuilder.describeStep(step.options)}`;
+            label.append(checkbox, text);
+            item.appendChild(label);
+
+            // Counts are reported for enabled steps only
+            if (step.enabled && this.stepCounts && this.stepCounts[countIndex]) {
+                const counts = this.stepCounts[countIndex];
+                const badge = document.createElement('span');
+                badge.className = 'pipeline-step-counts';
+                badge.textContent = `${counts.inputCount} → ${counts.outputCount}`;
+                badge.title = `${counts.inputCount} URLs in, ${counts.outputCount} URLs out`;
+                item.appendChild(badge);
+            }
+            if (step.enabled) {
+                countIndex++;
+            }
+
+            const actions = document.createElement('span');
+            actions.className = 'pipeline-step-actions';
+            [
+                ['up', '↑', 'Move step up', index === 0],
+                ['down', '↓', 'Move step down', index === this.steps.length - 1],
+                ['edit', '✎', 'Edit step', false],
+                ['remove', '✕', 'Remove step', false]
+            ].forEach(([action, symbol, title, disabled]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'icon-btn';
+                button.dataset.action = action;
+                button.textContent = symbol;
+                button.title = title;
+                button.setAttribute('aria-label', `${title} ${index + 1}`);
+                button.disabled = disabled || !this.enabled;
+                actions.appendChild(button);
+            });
+            item.appendChild(actions);
+
+            checkbox.disabled = !this.enabled;
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Build a short, human-readable description of a step
+     * @param {Object} options - Control panel options for one operation
+     * @returns {string} Description such as 'Keep Only URLs Containing Text "api" (hostname)'
+     */
+    static describeStep(options) {
+        const option = typeof document !== 'undefined'
+            ? document.querySelector(`.control-panel option[value="${options.operation}"]`)
+            : null;
+        let description = option ? option.textContent.trim() : options.operation;
+
+        // Deduplicate and sort options read "By ..." and need their menu's verb
+        const verb = option ? PipelineBuilder.MENU_VERBS[option.parentElement.id] : null;
+        if (verb) {
+            description = `${verb} ${description.charAt(0).toLowerCase()}${description.slice(1)}`;
+        }
+
+        if (options.filterString) {
+            description += ` "${options.filterString}"`;
+            const details = [];
+            if (options.filterTarget && options.filterTarget !== 'url') {
+                details.push(options.filterTarget);
+            }
+            if (options.filterMode && options.filterMode !== 'substring') {
+                details.push(options.filterFlags ? `${options.filterMode} /${options.filterFlags}` : options.filterMode);
+            }
+            if (details.length > 0) {
+                description += ` (${details.join(', ')})`;
+            }
+        } else if (options.filterExpression) {
+            description += `: ${options.filterExpression}`;
+        } else if (Array.isArray(options.parameterList) && options.parameterList.length > 0) {
+            description += `: ${options.parameterList.join(', ')}`;
+        } else if (options.compareKey) {
+            const key = typeof document !== 'undefined'
+                ? document.querySelector(`#compare-key-select option[value="${options.compareKey}"]`)
+                : null;
+            description += ` (by ${key ? key.textContent.trim() : options.compareKey})`;
+        }
+
+        return description;
+    }
+}
+
+/**
+ * Verb prepended to the option text of menus whose options start with "By"
+ */
+PipelineBuilder.MENU_VERBS = {
+    'deduplicate-select': 'Deduplicate',
+    'sort-select': 'Sort'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PipelineBuilder;
+}
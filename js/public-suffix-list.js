@@ -0,0 +1,239 @@
+/**
+ * PublicSuffixList - Lookup of public suffixes and registrable domains
+ * Implements the Public Suffix List algorithm (https://publicsuffix.org/list/)
+ * including wildcard (*.ck) and exception (!www.ck) rules, and keeps track of
+ * whether a rule comes from the ICANN or the private section of the list.
+ */
+
+// PUBLIC_SUFFIX_DATA is loaded globally via script tag / importScripts
+// In Node.js environment it is required from public-suffix-data.js
+
+class PublicSuffixList {
+    /**
+     * Create a list from parsed rules
+     * @param {Object} rules - Parsed rules from PublicSuffixList.parseRules()
+     */
+    constructor(rules) {
+        this.rules = rules.rules;
+        this.wildcards = rules.wildcards;
+        this.exceptions = rules.exceptions;
+        this.ruleCount = rules.count;
+    }
+
+    /**
+     * Build a list from the text of a public_suffix_list.dat file
+     * @param {string} text - Contents of a public suffix list file
+     * @returns {PublicSuffixList} New list instance
+     */
+    static fromText(text) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new Error('Public suffix list text is required');
+        }
+
+        const rules = this.parseRules(text);
+        if (rules.count === 0) {
+            throw new Error('Public suffix list does not contain any rules');
+        }
+
+        return new PublicSuffixList(rules);
+    }
+
+    /**
+     * Get the shared list built from the bundled offline copy
+     * @returns {PublicSuffixList} Default list instance
+     */
+    static getDefault() {
+        if (!this.defaultList) {
+            const data = typeof PUBLIC_SUFFIX_DATA !== 'undefined'
+                ? PUBLIC_SUFFIX_DATA
+                : require('./public-suffix-data.js');
+            this.defaultList = this.fromText(data);
+        }
+        return this.defaultList;
+    }
+
+    /**
+     * Replace the shared list, e.g. with a newer copy loaded from a local file
+     * @param {string|PublicSuffixList} source - List text or list instance
+     * @returns {PublicSuffixList} The new default list
+     */
+    static setDefault(source) {
+        this.defaultList = source instanceof PublicSuffixList ? source : this.fromText(source);
+        return this.defaultList;
+    }
+
+    /**
+     * Parse public suffix list text into rule lookup tables
+     * @private
+     * @param {string} text - Contents of a public suffix list file
+     * @returns {Object} Rule maps keyed by suffix, valued by section
+     */
+    static parseRules(text) {
+        const parsed = {
+            rules: new Map(),
+            wildcards: new Map(),
+            exceptions: new Map(),
+            count: 0
+        };
+        let section = 'icann';
+
+        for (const rawLine of text.split(/\r\n|\r|\n/)) {
+            const line = rawLine.trim();
+
+            if (line.startsWith('//')) {
+                if (line.includes('===BEGIN PRIVATE DOMAINS===')) {
+                    section = 'private';
+                } else if (line.includes('===BEGIN ICANN DOMAINS===')) {
+                    section = 'icann';
+                }
+                continue;
+            }
+
+            // Rules end at the first whitespace
+            const rule = line.split(/\s/)[0].toLowerCase();
+            if (!rule) {
+                continue;
+            }
+
+            if (rule.startsWith('!')) {
+                parsed.exceptions.set(this.toASCII(rule.slice(1)), section);
+            } else if (rule.startsWith('*.')) {
+                parsed.wildcards.set(this.toASCII(rule.slice(2)), section);
+            } else {
+                parsed.rules.set(this.toASCII(rule), section);
+            }
+            parsed.count++;
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Convert a rule to its ASCII (punycode) form so it matches URL hostnames
+     * @private
+     * @param {string} domain - Rule domain, possibly containing Unicode labels
+     * @returns {string} ASCII domain
+     */
+    static toASCII(domain) {
+        if (!/[^\x00-\x7f]/.test(domain)) {
+            return domain;
+        }
+
+        try {
+            return new URL('http://' + domain).hostname;
+        } catch (error) {
+            return domain;
+        }
+    }
+
+    /**
+     * Find the public suffix of a hostname
+     * @param {string} hostname - Lowercase ASCII hostname
+     * @param {Object} options - Lookup options
+     * @param {boolean} options.includePrivate - Whether private-section rules apply (default true)
+     * @returns {Object|null} Object with suffix and section ('icann', 'private' or 'default'), or null
+     */
+    getPublicSuffix(hostname, options = {}) {
+        if (!hostname || typeof hostname !== 'string') {
+            return null;
+        }
+
+        const includePrivate = options.includePrivate !== false;
+        const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+        if (labels.some(label => label === '')) {
+            return null;
+        }
+
+        const applies = (section) => section !== undefined && (includePrivate || section !== 'private');
+
+        // Walk from the longest candidate to the shortest; the first match is the prevailing rule
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+
+            const exceptionSection = this.exceptions.get(candidate);
+            if (applies(exceptionSection)) {
+                return { suffix: labels.slice(i + 1).join('.'), section: exceptionSection };
+            }
+
+            const ruleSection = this.rules.get(candidate);
+            if (applies(ruleSection)) {
+                return { suffix: candidate, section: ruleSection };
+            }
+
+            if (i + 1 < labels.length) {
+                const wildcardSection = this.wildcards.get(labels.slice(i + 1).join('.'));
+                if (applies(wildcardSection)) {
+                    return { suffix: candidate, section: wildcardSection };
+                }
+            }
+        }
+
+        // Default rule "*": the last label is the public suffix
+        return { suffix: labels[labels.length - 1], section: 'default' };
+    }
+
+    /**
+     * Split a hostname into subdomain, registrable domain and public suffix
+     * @param {string} hostname - Lowercase ASCII hostname
+     * @param {Object} options - Lookup options (see getPublicSuffix)
+     * @returns {Object} Object with subdomain, domain (registrable label), publicSuffix,
+     *                   registrableDomain and section
+     */
+    split(hostname, options = {}) {
+        const empty = { subdomain: '', domain: '', publicSuffix: '', registrableDomain: '', section: '' };
+        const match = this.getPublicSuffix(hostname, options);
+        if (!match) {
+            return empty;
+        }
+
+        const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+        const suffixLength = match.suffix.split('.').length;
+
+        // The hostname is itself a public suffix (e.g. "co.uk" or "github.io")
+        if (labels.length <= suffixLength) {
+            return { ...empty, publicSuffix: match.suffix, section: match.section };
+        }
+
+        const domainIndex = labels.length - suffixLength - 1;
+        return {
+            subdomain: labels.slice(0, domainIndex).join('.'),
+            domain: labels[domainIndex],
+            publicSuffix: match.suffix,
+            registrableDomain: labels.slice(domainIndex).join('.'),
+            section: match.section
+        };
+    }
+
+    /**
+     * Get the registrable domain (public suffix plus one label) of a hostname
+     * @param {string} hostname - Lowercase ASCII hostname
+     * @param {Object} options - Lookup options (see getPublicSuffix)
+     * @returns {string|null} Registrable domain or null if the hostname has none
+     */
+    getRegistrableDomain(hostname, options = {}) {
+        const parts = this.split(hostname, options);
+        return parts.registrableDomain || null;
+    }
+
+    /**
+     * Check whether a hostname is exactly a public suffix
+     * @param {string} hostname - Lowercase ASCII hostname
+     * @param {Object} options - Lookup options (see getPublicSuffix)
+     * @returns {boolean} True if hostname is a public suffix
+     */
+    isPublicSuffix(hostname, options = {}) {
+        const match = this.getPublicSuffix(hostname, options);
+        return match !== null && match.suffix === hostname.toLowerCase().replace(/\.$/, '');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PublicSuffixList;
+} else if (typeof self !== 'undefined') {
+    // Make available in web worker environment
+    self.PublicSuffixList = PublicSuffixList;
+} else if (typeof window !== 'undefined') {
+    // Make available in browser environment
+    window.PublicSuffixList = PublicSuffixList;
+}
@@ -0,0 +1,252 @@
+/**
+ * Punycode - Conversion between Unicode and ASCII (punycode) hostnames
+ * Implements the Punycode algorithm from RFC 3492 so internationalized domain
+ * names can be shown in their readable Unicode form; the URL API only exposes
+ * the ASCII form.
+ */
+class Punycode {
+    /**
+     * Convert a punycode string (without the xn-- prefix) to Unicode
+     * @param {string} input - Punycode string
+     * @returns {string} Decoded Unicode string
+     */
+    static decode(input) {
+        const { base, tMin, tMax, initialBias, initialN, maxInt } = this.constants;
+        const output = [];
+        const basicLength = Math.max(0, input.lastIndexOf('-'));
+
+        for (let j = 0; j < basicLength; j++) {
+            if (input.charCodeAt(j) >= 0x80) {
+                throw new Error('Invalid punycode: non-basic code point');
+            }
+            output.push(input.charCodeAt(j));
+        }
+
+        let i = 0;
+        let n = initialN;
+        let bias = initialBias;
+
+        for (let index = basicLength > 0 ? basicLength + 1 : 0; index < input.length;) {
+            const oldi = i;
+
+            for (let w = 1, k = base; ; k += base) {
+                if (index >= input.length) {
+                    throw new Error('Invalid punycode: truncated input');
+                }
+
+                const digit = this.basicToDigit(input.charCodeAt(index++));
+                if (digit >= base || digit > Math.floor((maxInt - i) / w)) {
+                    throw new Error('Invalid punycode: overflow');
+                }
+
+                i += digit * w;
+                const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+                if (digit < t) {
+                    break;
+                }
+
+                if (w > Math.floor(maxInt / (base - t))) {
+                    throw new Error('Invalid punycode: overflow');
+                }
+                w *= base - t;
+            }
+
+            const length = output.length + 1;
+            bias = this.adapt(i - oldi, length, oldi === 0);
+
+            if (Math.floor(i / length) > maxInt - n) {
+                throw new Error('Invalid punycode: overflow');
+            }
+
+            n += Math.floor(i / length);
+            i %= length;
+            output.splice(i++, 0, n);
+        }
+
+        return String.fromCodePoint(...output);
+    }
+
+    /**
+     * Convert a Unicode string to punycode (without the xn-- prefix)
+     * @param {string} input - Unicode string
+     * @returns {string} Punycode string
+     */
+    static encode(input) {
+        const { base, tMin, tMax, initialBias, initialN, maxInt } = this.constants;
+        const codePoints = Array.from(input, char => char.codePointAt(0));
+        const output = [];
+
+        for (const codePoint of codePoints) {
+            if (codePoint < 0x80) {
+                output.push(String.fromCharCode(codePoint));
+            }
+        }
+
+        const basicLength = output.length;
+        let handled = basicLength;
+        if (basicLength > 0) {
+            output.push('-');
+        }
+
+        let n = initialN;
+        let delta = 0;
+        let bias = initialBias;
+
+        while (handled < codePoints.length) {
+            let m = maxInt;
+            for (const codePoint of codePoints) {
+                if (codePoint >= n && codePoint < m) {
+                    m = codePoint;
+                }
+            }
+
+            if (m - n > Math.floor((maxInt - delta) / (handled + 1))) {
+                throw new Error('Punycode overflow');
+            }
+
+            delta += (m - n) * (handled + 1);
+            n = m;
+
+            for (const codePoint of codePoints) {
+                if (codePoint < n && ++delta > maxInt) {
+                    throw new Error('Punycode overflow');
+                }
+
+                if (codePoint === n) {
+                    let q = delta;
+                    for (let k = base; ; k += base) {
+                        const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+                        if (q < t) {
+                            break;
+                        }
+                        output.push(this.digitToBasic(t + (q - t) % (base - t)));
+                        q = Math.floor((q - t) / (base - t));
+                    }
+
+                    output.push(this.digitToBasic(q));
+                    bias = this.adapt(delta, handled + 1, handled === basicLength);
+                    delta = 0;
+                    handled++;
+                }
+            }
+
+            delta++;
+            n++;
+        }
+
+        return output.join('');
+    }
+
+    /**
+     * Convert a hostname's punycode labels (xn--...) to Unicode
+     * Labels that are not valid punycode are left unchanged.
+     * @param {string} domain - ASCII or mixed hostname
+     * @returns {string} Unicode hostname
+     */
+    static toUnicode(domain) {
+        if (!domain || !/xn--/i.test(domain)) {
+            return domain;
+        }
+
+        return domain.split('.').map(label => {
+            if (!/^xn--/i.test(label)) {
+                return label;
+            }
+
+            try {
+                return this.decode(label.slice(4).toLowerCase());
+            } catch (error) {
+                return label;
+            }
+        }).join('.');
+    }
+
+    /**
+     * Convert a hostname's Unicode labels to punycode (xn--...)
+     * Uses the URL API when available so IDNA mapping rules are applied.
+     * @param {string} domain - Unicode or mixed hostname
+     * @returns {string} ASCII hostname
+     */
+    static toASCII(domain) {
+        if (!domain || !/[^\x00-\x7f]/.test(domain)) {
+            return domain;
+        }
+
+        try {
+            return new URL('http://' + domain).hostname;
+        } catch (error) {
+            return domain.split(/[.。．｡]/).map(label => {
+                return /[^\x00-\x7f]/.test(label) ? 'xn--' + this.encode(label.toLowerCase()) : label;
+            }).join('.');
+        }
+    }
+
+    /**
+     * Bias adaptation function from RFC 3492 section 6.1
+     * @private
+     */
+    static adapt(delta, numPoints, firstTime) {
+        const { base, tMin, tMax, skew, damp } = this.constants;
+        let k = 0;
+
+        delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+        delta += Math.floor(delta / numPoints);
+
+        while (delta > ((base - tMin) * tMax) >> 1) {
+            delta = Math.floor(delta / (base - tMin));
+            k += base;
+        }
+
+        return Math.floor(k + (base - tMin + 1) * delta / (delta + skew));
+    }
+
+    /**
+     * Convert a basic code point to its digit value
+     * @private
+     */
+    static basicToDigit(codePoint) {
+        if (codePoint >= 0x30 && codePoint <= 0x39) {
+            return codePoint - 22;
+        }
+        if (codePoint >= 0x41 && codePoint <= 0x5a) {
+            return codePoint - 0x41;
+        }
+        if (codePoint >= 0x61 && codePoint <= 0x7a) {
+            return codePoint - 0x61;
+        }
+        return this.constants.base;
+    }
+
+    /**
+     * Convert a digit value to its (lowercase) basic code point
+     * @private
+     */
+    static digitToBasic(digit) {
+        return String.fromCharCode(digit < 26 ? digit + 0x61 : digit + 22);
+    }
+}
+
+/**
+ * Bootstring parameters for Punycode (RFC 3492 section 5)
+ */
+Punycode.constants = {
+    base: 36,
+    tMin: 1,
+    tMax: 26,
+    skew: 38,
+    damp: 700,
+    initialBias: 72,
+    initialN: 128,
+    maxInt: 2147483647
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Punycode;
+} else if (typeof self !== 'undefined') {
+    // Make available in web worker environment
+    self.Punycode = Punycode;
+} else if (typeof window !== 'undefined') {
+    // Make available in browser environment
+    window.Punycode = Punycode;
+}
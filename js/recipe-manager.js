@@ -0,0 +1,359 @@
+/**
+ * RecipeManager Class
+ * Manages the recipes panel: saving the current control panel settings under
+ * a name, applying, renaming and deleting saved recipes, and sharing them as
+ * JSON files. Storage and the file format live in RecipeStore.
+ */
+class RecipeManager {
+    /**
+     * @param {ControlPanel} controlPanel - Control panel to read and restore settings
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     * @param {RecipeStore} store - Recipe storage (defaults to localStorage)
+     */
+    constructor(controlPanel, statisticsManager = null, store = new RecipeStore()) {
+        this.controlPanel = controlPanel;
+        this.statisticsManager = statisticsManager;
+        this.store = store;
+        this.renamingName = null;
+
+        this.bindElements();
+        this.attachEventListeners();
+        this.render();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.nameInput = document.getElementById('recipe-name-input');
+        this.saveButton = document.getElementById('save-recipe-btn');
+        this.list = document.getElementById('recipe-list');
+        this.exportButton = document.getElementById('export-recipes-btn');
+        this.importButton = document.getElementById('import-recipes-btn');
+        this.importInput = document.getElementById('import-recipes-input');
+    }
+
+    /**
+     * Attach event listeners to the recipe controls
+     */
+    attachEventListeners() {
+        if (this.nameInput) {
+            this.nameInput.addEventListener('input', () => {
+                this.updateButtonState();
+            });
+            this.nameInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this.handleSaveClick();
+                }
+            });
+        }
+
+        if (this.saveButton) {
+            this.saveButton.addEventListener('click', () => {
+                this.handleSaveClick();
+            });
+        }
+
+        if (this.list) {
+            this.list.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action]');
+                if (!button) return;
+
+                const name = button.closest('.recipe-item').dataset.name;
+                switch (button.dataset.action) {
+                    case 'apply':
+                        this.applyRecipe(name);
+                        break;
+                    case 'rename':
+                        this.startRename(name);
+                        break;
+                    case 'delete':
+                        this.deleteRecipe(name);
+                        break;
+                }
+            });
+        }
+
+        if (this.exportButton) {
+            this.exportButton.addEventListener('click', () => {
+                this.exportRecipes();
+            });
+        }
+
+        if (this.importButton && this.importInput) {
+            this.importButton.addEventListener('click', () => {
+                this.importInput.click();
+            });
+            this.importInput.addEventListener('change', () => {
+                const file = this.importInput.files[0];
+                if (file) {
+                    this.importRecipes(file);
+                }
+                // Allow the same file to be picked again
+                this.importInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * Register Alt+1 ... Alt+9 to apply the first nine recipes in list order
+     * @param {AccessibilityManager} accessibilityManager - Shortcut registry
+     */
+    registerShortcuts(accessibilityManager) {
+        if (!accessibilityManager) return;
+
+        for (let number = 1; number <= 9; number++) {
+            accessibilityManager.registerShortcut(`alt+${number}`, (event) => {
+                const recipe = this.store.list()[number - 1];
+                if (recipe) {
+                    event.preventDefault();
+                    this.applyRecipe(recipe.name);
+                }
+            });
+        }
+    }
+
+    /**
+     * Save the current settings under the entered name
+     */
+    handleSaveClick() {
+        const name = this.nameInput?.value || '';
+
+        try {
+            const existed = this.store.get(name) !== null;
+            const recipe = this.store.save(name, this.controlPanel.getRecipeOptions());
+            this.nameInput.value = '';
+            this.render();
+            this.showMessage(existed ? `Recipe "${recipe.name}" updated` : `Recipe "${recipe.name}" saved`);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Restore the control panel from a recipe
+     * @param {string} name - Recipe name
+     */
+    applyRecipe(name) {
+        const recipe = this.store.get(name);
+        if (!recipe) {
+            this.showError(`Recipe "${name}" not found`);
+            return;
+        }
+
+        this.controlPanel.applyRecipeOptions(recipe.options);
+        this.showMessage(`Recipe "${recipe.name}" applied`);
+    }
+
+    /**
+     * Replace a recipe's name with an inline text field
+     * Enter renames, Escape or leaving the field cancels.
+     * @param {string} name - Recipe name
+     */
+    startRename(name) {
+        this.renamingName = name;
+        this.render();
+
+        const input = this.list?.querySelector('.recipe-rename-input');
+        if (!input) return;
+
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) return;
+            finished = true;
+            this.renamingName = null;
+
+            if (commit && input.value.trim() !== name) {
+                try {
+                    this.store.rename(name, input.value);
+                    this.showMessage(`Recipe renamed to "${input.value.trim()}"`);
+                } catch (error) {
+                    this.showError(error.message);
+                }
+            }
+            this.render();
+        };
+
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                finish(true);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(false));
+    }
+
+    /**
+     * Delete a recipe after confirmation
+     * @param {string} name - Recipe name
+     */
+    deleteRecipe(name) {
+        if (typeof window !== 'undefined' && window.confirm && !window.confirm(`Delete recipe "${name}"?`)) {
+            return;
+        }
+
+        if (this.store.delete(name)) {
+            this.render();
+            this.showMessage(`Recipe "${name}" deleted`);
+        }
+    }
+
+    /**
+     * Download all recipes as a JSON file
+     */
+    exportRecipes() {
+        const blob = new Blob([this.store.exportJSON()], { type: 'application/json' });
+        DownloadMenu.saveBlob(blob, RecipeManager.EXPORT_FILENAME);
+    }
+
+    /**
+     * Import recipes from a file chosen by the user
+     * Recipes with a name that already exists are skipped.
+     * @param {File} file - Recipe file
+     * @returns {Promise<Object|null>} Import result, or null if the file was rejected
+     */
+    async importRecipes(file) {
+        try {
+            const result = this.store.importJSON(await file.text());
+            this.render();
+
+            const messages = [`${result.imported.length} recipe${result.imported.length === 1 ? '' : 's'} imported`];
+            if (result.skipped.length > 0) {
+                messages.push(`skipped existing: ${result.skipped.join(', ')}`);
+            }
+            this.showMessage(messages.join(' • '));
+            return result;
+        } catch (error) {
+            this.showError(`Import failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Render the recipe list
+     * @private
+     */
+    render() {
+        if (this.list) {
+            this.list.innerHTML = '';
+
+            const recipes = this.store.list();
+            if (recipes.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'recipe-empty help-text';
+                empty.textContent = 'No saved recipes. Enter a name and click "Save Recipe" to keep the current settings.';
+                this.list.appendChild(empty);
+            }
+
+            recipes.forEach((recipe, index) => {
+                this.list.appendChild(this.renderRecipe(recipe, index));
+            });
+        }
+
+        this.updateButtonState();
+    }
+
+    /**
+     * Render one recipe list item
+     * @private
+     */
+    renderRecipe(recipe, index) {
+        const item = document.createElement('li');
+        item.className = 'recipe-item';
+        item.dataset.name = recipe.name;
+
+        if (recipe.name === this.renamingName) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'filter-input recipe-rename-input';
+            input.value = recipe.name;
+            input.maxLength = RecipeStore.MAX_NAME_LENGTH;
+            input.setAttribute('aria-label', `New name for recipe ${recipe.name}`);
+            item.appendChild(input);
+            return item;
+        }
+
+        const shortcut = index < 9 ? `Alt+${index + 1}` : '';
+        const applyButton = this.createButton('apply', recipe.name, `Apply recipe ${recipe.name}`, 'recipe-apply-btn');
+        if (shortcut) {
+            applyButton.title = `Apply (${shortcut})`;
+            applyButton.setAttribute('aria-keyshortcuts', shortcut);
+        }
+        item.appendChild(applyButton);
+
+        const actions = document.createElement('span');
+        actions.className = 'recipe-actions';
+        actions.append(
+            this.createButton('rename', '✎', `Rename recipe ${recipe.name}`, 'icon-btn'),
+            this.createButton('delete', '✕', `Delete recipe ${recipe.name}`, 'icon-btn')
+        );
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * Create a list action button
+     * @private
+     */
+    createButton(action, text, label, className) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.dataset.action = action;
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        return button;
+    }
+
+    /**
+     * Enable the save and export buttons when they have something to do
+     * @private
+     */
+    updateButtonState() {
+        if (this.saveButton) {
+            this.saveButton.disabled = !(this.nameInput?.value || '').trim();
+        }
+        if (this.exportButton) {
+            this.exportButton.disabled = this.store.list().length === 0;
+        }
+    }
+
+    /**
+     * Show a status message
+     * @private
+     */
+    showMessage(message) {
+        this.statisticsManager?.showSuccessMessage(message);
+    }
+
+    /**
+     * Show an error message
+     * @private
+     */
+    showError(message) {
+        if (this.statisticsManager) {
+            this.statisticsManager.showError(message);
+        } else {
+            this.controlPanel?.showError(message);
+        }
+    }
+}
+
+/**
+ * File name used when exporting recipes
+ */
+RecipeManager.EXPORT_FILENAME = 'url-manager-recipes.json';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeManager;
+}
@@ -0,0 +1,301 @@
+/**
+ * RecipeStore - Saved, named processing configurations
+ * A recipe is the control panel options (operation, filter settings, pipeline
+ * steps, ...) stored under a name in localStorage. Recipes are exported and
+ * imported as a versioned JSON file so a team can share the same presets.
+ */
+class RecipeStore {
+    /**
+     * @param {Storage} storage - Storage to keep recipes in (defaults to localStorage)
+     */
+    constructor(storage = RecipeStore.getStorage()) {
+        this.storage = storage;
+        this.recipes = this.load();
+    }
+
+    /**
+     * List saved recipes, sorted by name
+     * @returns {Object[]} Recipes with name, options, createdAt and updatedAt
+     */
+    list() {
+        return [...this.recipes]
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+            .map(recipe => ({ ...recipe, options: RecipeStore.cloneOptions(recipe.options) }));
+    }
+
+    /**
+     * Get a recipe by name
+     * @param {string} name - Recipe name
+     * @returns {Object|null} Recipe, or null if there is none with that name
+     */
+    get(name) {
+        const recipe = this.find(name);
+        return recipe ? { ...recipe, options: RecipeStore.cloneOptions(recipe.options) } : null;
+    }
+
+    /**
+     * Save options under a name, replacing a recipe with the same name
+     * @param {string} name - Recipe name
+     * @param {Object} options - Control panel options
+     * @returns {Object} Saved recipe
+     * @throws {Error} If the name is empty or the recipes cannot be stored
+     */
+    save(name, options) {
+        const recipeName = RecipeStore.validateName(name);
+        const now = new Date().toISOString();
+        const existing = this.find(recipeName);
+
+        if (existing) {
+            existing.options = RecipeStore.sanitizeOptions(options);
+            existing.updatedAt = now;
+        } else {
+            this.recipes.push({
+                name: recipeName,
+                options: RecipeStore.sanitizeOptions(options),
+                createdAt: now,
+                updatedAt: now
+            });
+        }
+
+        this.persist();
+        return this.get(recipeName);
+    }
+
+    /**
+     * Rename a recipe
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     * @throws {Error} If the recipe does not exist or the new name is taken
+     */
+    rename(name, newName) {
+        const recipe = this.find(name);
+        if (!recipe) {
+            throw new Error(`Recipe "${name}" not found`);
+        }
+
+        const recipeName = RecipeStore.validateName(newName);
+        const clash = this.find(recipeName);
+        if (clash && clash !== recipe) {
+            throw new Error(`A recipe named "${recipeName}" already exists`);
+        }
+
+        recipe.name = recipeName;
+        recipe.updatedAt = new Date().toISOString();
+        this.persist();
+    }
+
+    /**
+     * Delete a recipe
+     * @param {string} name - Recipe name
+     * @returns {boolean} True if a recipe was deleted
+     */
+    delete(name) {
+        const recipe = this.find(name);
+        if (!recipe) {
+            return false;
+        }
+
+        this.recipes.splice(this.recipes.indexOf(recipe), 1);
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Serialize recipes to the versioned file format
+     * @param {string[]} names - Recipes to export (all when omitted)
+     * @returns {string} JSON text
+     */
+    exportJSON(names = null) {
+        const recipes = this.list()
+            .filter(recipe => !names || names.includes(recipe.name))
+            .map(recipe => ({ name: recipe.name, options: recipe.options }));
+
+        return JSON.stringify({
+            format: RecipeStore.FILE_FORMAT,
+            version: RecipeStore.FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            recipes
+        }, null, 2);
+    }
+
+    /**
+     * Add recipes from an exported file
+     * @param {string} text - JSON text produced by exportJSON()
+     * @param {Object} options - Import options
+     * @param {boolean} options.overwrite - Replace recipes with the same name (default false)
+     * @returns {Object} Names of the imported and skipped recipes
+     * @throws {Error} If the file is not a recipe file or has an unsupported version
+     */
+    importJSON(text, options = {}) {
+        const recipes = RecipeStore.parseFile(text);
+        const result = { imported: [], skipped: [] };
+
+        for (const recipe of recipes) {
+            if (this.find(recipe.name) && !options.overwrite) {
+                result.skipped.push(recipe.name);
+                continue;
+            }
+            this.save(recipe.name, recipe.options);
+            result.imported.push(recipe.name);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse and check a recipe file
+     * @param {string} text - JSON text
+     * @returns {Object[]} Recipes with name and options
+     * @throws {Error} Describing why the file cannot be imported
+     */
+    static parseFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Recipe file is not valid JSON');
+        }
+
+        if (!data || typeof data !== 'object' || data.format !== this.FILE_FORMAT) {
+            throw new Error('Not a URL Manager recipe file');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > this.FILE_VERSION) {
+            throw new Error(`Unsupported recipe file version: ${data.version}`);
+        }
+        if (!Array.isArray(data.recipes)) {
+            throw new Error('Recipe file has no recipes');
+        }
+
+        return data.recipes.map((recipe, index) => {
+            if (!recipe || typeof recipe.name !== 'string' || !recipe.name.trim() ||
+                !recipe.options || typeof recipe.options.operation !== 'string') {
+                throw new Error(`Recipe ${index + 1} needs a name and an operation`);
+            }
+            return { name: recipe.name.trim(), options: recipe.options };
+        });
+    }
+
+    /**
+     * Check and trim a recipe name
+     * @private
+     */
+    static validateName(name) {
+        const recipeName = typeof name === 'string' ? name.trim() : '';
+        if (!recipeName) {
+            throw new Error('Recipe name is required');
+        }
+        if (recipeName.length > this.MAX_NAME_LENGTH) {
+            throw new Error(`Recipe name must be at most ${this.MAX_NAME_LENGTH} characters`);
+        }
+        return recipeName;
+    }
+
+    /**
+     * Keep only the known option fields, dropping anything else
+     * @private
+     */
+    static sanitizeOptions(options = {}) {
+        const sanitized = {};
+        for (const key of this.OPTION_KEYS) {
+            if (options[key] !== undefined) {
+                sanitized[key] = options[key];
+            }
+        }
+        return this.cloneOptions(sanitized);
+    }
+
+    /**
+     * Deep-copy options so callers cannot change stored recipes
+     * @private
+     */
+    static cloneOptions(options) {
+        return JSON.parse(JSON.stringify(options || {}));
+    }
+
+    /**
+     * Find a recipe by name, ignoring case
+     * @private
+     */
+    find(name) {
+        const key = typeof name === 'string' ? name.trim().toLowerCase() : '';
+        return this.recipes.find(recipe => recipe.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Read recipes from storage
+     * @private
+     */
+    load() {
+        if (!this.storage) {
+            return [];
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(RecipeStore.STORAGE_KEY) || '[]');
+            return Array.isArray(saved)
+                ? saved.filter(recipe => recipe && typeof recipe.name === 'string' && recipe.options)
+                : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Write recipes to storage
+     * @private
+     * @throws {Error} If storage is full or disabled
+     */
+    persist() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(RecipeStore.STORAGE_KEY, JSON.stringify(this.recipes));
+        } catch (error) {
+            throw new Error('Recipes could not be saved: browser storage is full or disabled');
+        }
+    }
+
+    /**
+     * Get localStorage when available
+     * @private
+     */
+    static getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/**
+ * localStorage key for saved recipes
+ */
+RecipeStore.STORAGE_KEY = 'urlManager.recipes';
+
+/**
+ * Identifier and version written to exported recipe files
+ * Bump the version when the options format changes incompatibly.
+ */
+RecipeStore.FILE_FORMAT = 'url-manager-recipes';
+RecipeStore.FILE_VERSION = 1;
+
+/**
+ * Longest accepted recipe name
+ */
+RecipeStore.MAX_NAME_LENGTH = 80;
+
+/**
+ * Control panel option fields kept in a recipe
+ */
+RecipeStore.OPTION_KEYS = [
+    'operation', 'filterString', 'filterTarget', 'filterMode', 'filterFlags', 'filterExpression',
+    'processAll', 'hostDisplay', 'inputMode', 'parameterList', 'normalizeSteps', 'trackingRules', 'compareKey', 'pipeline'
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeStore;
+}
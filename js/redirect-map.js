@@ -0,0 +1,330 @@
+/**
+ * RedirectMap - Writing old → new URL pairs as server redirect rules
+ * Pairs are checked before anything is written: a loop, or an old URL with
+ * two different targets, stops the export, and chains (A → B → C) are
+ * collapsed so every old URL points straight at its final target. Rules are
+ * written as an nginx map, Apache mod_rewrite or mod_alias lines, a
+ * Netlify/Cloudflare _redirects file, or a JSON object.
+ */
+class RedirectMap {
+    /**
+     * Pair results with their redirect targets
+     * Targets are absolute URLs or paths starting with "/", resolved against the old URL.
+     * @param {Object[]} entries - {url, metadata} per result; the target is metadata.target
+     * @returns {Object} pairs ({from, to} as absolute http(s) URLs), missing (results without a target)
+     *                   and invalid (results whose URL or target cannot be used)
+     */
+    static pair(entries) {
+        const pairs = [];
+        let missing = 0;
+        let invalid = 0;
+
+        for (const entry of entries) {
+            const target = entry.metadata && typeof entry.metadata.target === 'string' ? entry.metadata.target.trim() : '';
+            if (!target) {
+                missing++;
+                continue;
+            }
+
+            const from = RedirectMap.readURL(entry.url);
+            const to = from && (/^[a-z][a-z\d+.-]*:/i.test(target) || target.startsWith('/'))
+                ? RedirectMap.readURL(target, from)
+                : null;
+            if (from && to) {
+                pairs.push({ from: from.href, to: to.href });
+            } else {
+                invalid++;
+            }
+        }
+
+        return { pairs, missing, invalid };
+    }
+
+    /**
+     * Read an http(s) URL
+     * @private
+     */
+    static readURL(text, base) {
+        try {
+            const url = new URL(String(text).trim(), base);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Comparison key of a URL: the fragment is never sent to the server
+     * @private
+     */
+    static getKey(url) {
+        return url.replace(/#.*$/, '');
+    }
+
+    /**
+     * Find loops, chains and old URLs with more than one target
+     * @param {Object[]} pairs - {from, to} from pair()
+     * @returns {Object} loops and chains (each a list of URLs, in redirect order),
+     *                   and conflicts ({from, targets})
+     */
+    static check(pairs) {
+        const targets = new Map();
+        const conflicts = new Map();
+        for (const { from, to } of pairs) {
+            const key = RedirectMap.getKey(from);
+            if (!targets.has(key)) {
+                targets.set(key, to);
+            } else if (RedirectMap.getKey(targets.get(key)) !== RedirectMap.getKey(to)) {
+                const conflict = conflicts.get(key) || { from, targets: [targets.get(key)] };
+                conflict.targets.push(to);
+                conflicts.set(key, conflict);
+            }
+        }
+
+        const loops = [];
+        const chains = [];
+        const inLoop = new Set();
+        for (const [start, first] of targets) {
+            const path = [start];
+            let next = first;
+            while (targets.has(RedirectMap.getKey(next)) && !path.includes(RedirectMap.getKey(next))) {
+                path.push(RedirectMap.getKey(next));
+                next = targets.get(RedirectMap.getKey(next));
+            }
+
+            const loopStart = path.indexOf(RedirectMap.getKey(next));
+            if (loopStart !== -1) {
+                // Report each loop once, from where it was first reached
+                const loop = path.slice(loopStart);
+                if (!loop.some(url => inLoop.has(url))) {
+                    loop.forEach(url => inLoop.add(url));
+                    loops.push([...loop, loop[0]]);
+                }
+            } else if (path.length > 1) {
+                chains.push([...path, next]);
+            }
+        }
+
+        return { loops, chains, conflicts: Array.from(conflicts.values()) };
+    }
+
+    /**
+     * Point every old URL at the end of its chain, dropping repeated pairs
+     * Only call this for pairs without loops or conflicts.
+     * @param {Object[]} pairs - {from, to} from pair()
+     * @returns {Object[]} {from, to} per old URL, in their first order
+     */
+    static flatten(pairs) {
+        const targets = new Map();
+        for (const { from, to } of pairs) {
+            const key = RedirectMap.getKey(from);
+            if (!targets.has(key)) {
+                targets.set(key, { from, to });
+            }
+        }
+
+        return Array.from(targets.values()).map(({ from, to }) => {
+            let final = to;
+            while (targets.has(RedirectMap.getKey(final))) {
+                final = targets.get(RedirectMap.getKey(final)).to;
+            }
+            return { from, to: final };
+        });
+    }
+
+    /**
+     * Write redirect rules
+     * Targets on the old URL's origin are written as paths.
+     * @param {Object[]} pairs - {from, to} from flatten()
+     * @param {string} format - One of the keys of RedirectMap.FORMATS
+     * @returns {Object} content, and skipped ({from, reason}) for pairs the format cannot express
+     * @throws {Error} If the format is unknown
+     */
+    static build(pairs, format) {
+        const rules = pairs.map(({ from, to }) => {
+            const source = new URL(from);
+            const target = new URL(to);
+            return {
+                from,
+                to,
+                source,
+                target: target.origin === source.origin ? target.pathname + target.search + target.hash : target.href
+            };
+        });
+        // Rules for several sites have to say which host they are for
+        const multiHost = new Set(rules.map(rule => rule.source.host)).size > 1;
+
+        switch (format) {
+            case 'nginx':
+                return RedirectMap.buildNginx(rules, multiHost);
+            case 'apacheRewrite':
+                return RedirectMap.buildApacheRewrite(rules, multiHost);
+            case 'apacheRedirect':
+                return RedirectMap.buildApacheRedirect(rules, multiHost);
+            case 'redirects':
+                return RedirectMap.buildRedirectsFile(rules, multiHost);
+            case 'json':
+                return {
+                    content: `${JSON.stringify(Object.fromEntries(rules.map(rule => [rule.from, rule.to])), null, 2)}\n`,
+                    skipped: []
+                };
+            default:
+                throw new Error(`Unknown redirect format: ${format}`);
+        }
+    }
+
+    /**
+     * Write an nginx map from the request URI to the target
+     * @private
+     */
+    static buildNginx(rules, multiHost) {
+        const lines = [
+            '# Use in a server block: if ($redirect_uri) { return 301 $redirect_uri; }',
+            `map ${multiHost ? '$host$request_uri' : '$request_uri'} $redirect_uri {`
+        ];
+        for (const rule of rules) {
+            const uri = rule.source.pathname + rule.source.search;
+            const key = multiHost ? rule.source.hostname + uri : uri;
+            // "$" would start a variable in the value; %24 is the same URL
+            lines.push(`    ${RedirectMap.quoteNginx(key)} ${RedirectMap.quoteNginx(rule.target.replace(/\$/g, '%24'))};`);
+        }
+        lines.push('}');
+        return { content: `${lines.join('\n')}\n`, skipped: [] };
+    }
+
+    /**
+     * Quote an nginx map value when it has characters the config syntax would read
+     * @private
+     */
+    static quoteNginx(value) {
+        return /[\s;{}"'#\\]/.test(value) ? `"${value.replace(/[\\"]/g, '\\$&')}"` : value;
+    }
+
+    /**
+     * Write mod_rewrite rules matching the path, query and, for several sites, host
+     * @private
+     */
+    static buildApacheRewrite(rules, multiHost) {
+        const lines = ['RewriteEngine On'];
+        for (const rule of rules) {
+            lines.push('');
+            if (multiHost) {
+                lines.push(`RewriteCond %{HTTP_HOST} ^${RedirectMap.escapeRegExp(rule.source.hostname)}$ [NC]`);
+            }
+            if (rule.source.search) {
+                lines.push(`RewriteCond %{QUERY_STRING} ${RedirectMap.quoteApache(`^${RedirectMap.escapeRegExp(rule.source.search.slice(1))}$`)}`);
+            }
+            // Patterns match the decoded path, without the leading slash in .htaccess files
+            const path = RedirectMap.decodePath(rule.source.pathname).replace(/^\//, '');
+            const pattern = RedirectMap.quoteApache(`^/?${RedirectMap.escapeRegExp(path)}$`);
+            // $N and %N are back-references in the substitution; NE keeps the target's own escapes
+            const substitution = rule.target.replace(/[$%\\]/g, '\\$&');
+            // QSD drops the old query string when the target has none of its own
+            const flags = rule.target.includes('?') ? 'R=301,L,NE' : 'R=301,L,NE,QSD';
+            lines.push(`RewriteRule ${pattern} ${substitution} [${flags}]`);
+        }
+        return { content: `${lines.join('\n')}\n`, skipped: [] };
+    }
+
+    /**
+     * Write mod_alias RedirectMatch lines, grouped by host when there are several sites
+     * Patterns are anchored so paths below the old one are not redirected too.
+     * RedirectMatch cannot match query strings, so old URLs with one are skipped.
+     * @private
+     */
+    static buildApacheRedirect(rules, multiHost) {
+        const lines = [];
+        const skipped = [];
+        let host = null;
+        for (const rule of rules) {
+            if (rule.source.search) {
+                skipped.push({ from: rule.from, reason: 'RedirectMatch cannot match a query string' });
+                continue;
+            }
+            if (multiHost && rule.source.host !== host) {
+                host = rule.source.host;
+                lines.push(`${lines.length > 0 ? '\n' : ''}# ${host}`);
+            }
+            const pattern = RedirectMap.quoteApache(`^${RedirectMap.escapeRegExp(RedirectMap.decodePath(rule.source.pathname))}$`);
+            // $N is a back-reference in the target
+            const target = rule.target.replace(/[$\\]/g, '\\$&');
+            lines.push(`RedirectMatch 301 ${pattern} ${target}`);
+        }
+        return { content: lines.length > 0 ? `${lines.join('\n')}\n` : '', skipped };
+    }
+
+    /**
+     * Write a Netlify/Cloudflare _redirects file
+     * Sources are paths, or full URLs (which Netlify supports) when there are several sites.
+     * @private
+     */
+    static buildRedirectsFile(rules, multiHost) {
+        const lines = [];
+        const skipped = [];
+        for (const rule of rules) {
+            if (rule.source.search) {
+                skipped.push({ from: rule.from, reason: '_redirects cannot match a literal query string' });
+                continue;
+            }
+            // "*" and ":name" are wildcards in sources; their escapes match the same path
+            const path = rule.source.pathname.replace(/\*/g, '%2A').replace(/:/g, '%3A');
+            const source = multiHost ? rule.source.origin + path : path;
+            lines.push(`${source} ${rule.target} 301`);
+        }
+        return { content: lines.length > 0 ? `${lines.join('\n')}\n` : '', skipped };
+    }
+
+    /**
+     * Quote an Apache config argument when it has spaces or quotes
+     * Apache only unescapes quotes inside quotes; other backslashes are kept as written.
+     * @private
+     */
+    static quoteApache(value) {
+        return /[\s"]/.test(value) ? `"${value.replace(/"/g, '\\"')}"` : value;
+    }
+
+    /**
+     * Escape regular expression characters
+     * @private
+     */
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Decode a URL path the way Apache does before matching, keeping escapes that do not decode
+     * @private
+     */
+    static decodePath(path) {
+        try {
+            return decodeURIComponent(path);
+        } catch (error) {
+            return path;
+        }
+    }
+
+    /**
+     * Name of the downloaded file
+     * @param {string} format - One of the keys of RedirectMap.FORMATS
+     * @returns {string} File name
+     */
+    static getFileName(format) {
+        return RedirectMap.FORMATS[format].filename;
+    }
+}
+
+/**
+ * Redirect formats with their downloaded file name and MIME type
+ */
+RedirectMap.FORMATS = {
+    nginx: { filename: 'redirects-nginx.conf', mime: 'text/plain' },
+    apacheRewrite: { filename: 'redirects-rewrite.conf', mime: 'text/plain' },
+    apacheRedirect: { filename: 'redirects-alias.conf', mime: 'text/plain' },
+    redirects: { filename: '_redirects', mime: 'text/plain' },
+    json: { filename: 'redirects.json', mime: 'application/json' }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RedirectMap;
+}
@@ -0,0 +1,172 @@
+/**
+ * RedirectPanel Class
+ * Options for turning results into redirect rules. Each input URL gets the
+ * new URL on the same line of the target list, or, in CSV/TSV mode, the cell
+ * of a target column in its row. Targets travel with the URLs through every
+ * operation, so the rules are written for the processed old URLs.
+ */
+class RedirectPanel {
+    /**
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     */
+    constructor(statisticsManager = null) {
+        this.statisticsManager = statisticsManager;
+        this.isTable = false;
+
+        this.bindElements();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.targetsInput = document.getElementById('redirect-targets-input');
+        this.columnGroup = document.querySelector('.redirect-column-group');
+        this.columnSelect = document.getElementById('redirect-column-select');
+        this.formatSelect = document.getElementById('redirect-format-select');
+        this.downloadButton = document.getElementById('download-redirects-btn');
+    }
+
+    /**
+     * Show the target column menu in CSV/TSV mode
+     * @param {string} mode - Input mode
+     */
+    setInputMode(mode) {
+        if (this.columnGroup) {
+            this.columnGroup.style.display = mode === 'csv' ? '' : 'none';
+        }
+        this.isTable = mode === 'csv';
+    }
+
+    /**
+     * List the table's columns in the target column menu
+     * The selected column is kept while the table has it; otherwise a column named like "new" or "target" is chosen.
+     * @param {string[]} labels - Column labels, as in the URL column menu
+     */
+    setColumns(labels) {
+        if (!this.columnSelect) return;
+
+        const previous = this.columnSelect.options.length === labels.length + 1 ? this.columnSelect.value : null;
+        const guessed = labels.findIndex(label => RedirectPanel.TARGET_COLUMN.test(label.trim()));
+
+        this.columnSelect.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None (use the list)';
+        this.columnSelect.appendChild(none);
+        labels.forEach((label, column) => {
+            const option = document.createElement('option');
+            option.value = String(column);
+            option.textContent = label;
+            this.columnSelect.appendChild(option);
+        });
+
+        this.columnSelect.value = previous !== null ? previous : guessed >= 0 ? String(guessed) : '';
+    }
+
+    /**
+     * Enable/disable the options while processing
+     * @param {boolean} enabled - Whether the options can be used
+     */
+    setEnabled(enabled) {
+        [this.targetsInput, this.columnSelect, this.formatSelect, this.downloadButton].forEach(control => {
+            if (control) {
+                control.disabled = !enabled;
+            }
+        });
+    }
+
+    /**
+     * Get the target list
+     * @returns {string[]|null} One target per input line, or null if the list is empty
+     */
+    getTargetList() {
+        const text = this.targetsInput ? this.targetsInput.value : '';
+        return text.trim() === '' ? null : text.split(/\r\n|\r|\n/);
+    }
+
+    /**
+     * Get the CSV/TSV column that holds the targets
+     * @returns {number|null} Column index, or null outside CSV/TSV mode or when none is selected
+     */
+    getTargetColumn() {
+        if (!this.isTable || !this.columnSelect || this.columnSelect.value === '') {
+            return null;
+        }
+        return parseInt(this.columnSelect.value, 10);
+    }
+
+    /**
+     * Check the results' redirects and download them as rules
+     * Nothing is written while there are loops or old URLs with two targets.
+     * @param {Object[]} entries - {url, metadata} per output URL; the target is metadata.target
+     * @returns {string|null} Written content, or null if nothing was downloaded
+     */
+    downloadRedirects(entries) {
+        const { pairs, missing, invalid } = RedirectMap.pair(entries);
+        if (pairs.length === 0) {
+            this.statisticsManager?.showWarning('No results have a redirect target; add targets and process the URLs again');
+            return null;
+        }
+
+        const { loops, chains, conflicts } = RedirectMap.check(pairs);
+        if (loops.length > 0 || conflicts.length > 0) {
+            this.statisticsManager?.showError(RedirectPanel.describeProblems(loops, conflicts));
+            return null;
+        }
+
+        const format = this.formatSelect ? this.formatSelect.value : 'nginx';
+        const name = RedirectMap.getFileName(format);
+        const redirects = RedirectMap.flatten(pairs);
+        const { content, skipped } = RedirectMap.build(redirects, format);
+        if (!content) {
+            this.statisticsManager?.showWarning(`None of the redirects can be written to ${name}: ${skipped[0].reason}`);
+            return null;
+        }
+
+        const blob = new Blob([content], { type: RedirectMap.FORMATS[format].mime });
+        DownloadMenu.saveBlob(blob, name);
+
+        const written = redirects.length - skipped.length;
+        const notes = [];
+        if (chains.length > 0) {
+            notes.push(`pointed ${chains.length} redirect chain${chains.length === 1 ? '' : 's'} at the final URL, such as ${chains[0].join(' → ')}`);
+        }
+        if (skipped.length > 0) {
+            notes.push(`skipped ${skipped.length} (${skipped[0].reason})`);
+        }
+        if (missing + invalid > 0) {
+            notes.push(`left out ${missing + invalid} result${missing + invalid === 1 ? '' : 's'} without a usable target`);
+        }
+        const message = `Downloaded ${name} with ${written} redirect${written === 1 ? '' : 's'}`;
+        if (notes.length > 0) {
+            this.statisticsManager?.showWarning(`${message}; ${notes.join('; ')}`);
+        } else {
+            this.statisticsManager?.showSuccessMessage(message);
+        }
+        return content;
+    }
+
+    /**
+     * Describe what stops the export
+     * @private
+     */
+    static describeProblems(loops, conflicts) {
+        const problems = [
+            ...loops.map(loop => `Redirect loop: ${loop.join(' → ')}`),
+            ...conflicts.map(conflict => `${conflict.from} has ${conflict.targets.length} targets: ${conflict.targets.join(', ')}`)
+        ];
+        const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+        return `Nothing was downloaded. ${problems[0]}${more}`;
+    }
+}
+
+/**
+ * Column names guessed to hold redirect targets
+ */
+RedirectPanel.TARGET_COLUMN = /^(new|target|to|destination|redirect)([\s_-]|$)/i;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RedirectPanel;
+}
@@ -0,0 +1,233 @@
+/**
+ * RemovedItemsPane Class
+ * Collapsible pane listing every input line the last run dropped, with the
+ * reason: empty line, invalid URL, duplicate of an earlier line, or filtered
+ * by a rule. The list can be narrowed by reason, copied and downloaded.
+ */
+class RemovedItemsPane {
+    /**
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     */
+    constructor(statisticsManager = null) {
+        this.statisticsManager = statisticsManager;
+        this.items = null;
+        this.isExpanded = false;
+
+        this.bindElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.section = document.getElementById('removed-section');
+        this.toggleButton = document.getElementById('removed-toggle-btn');
+        this.body = document.getElementById('removed-body');
+        this.reasonFilter = document.getElementById('removed-reason-filter');
+        this.copyButton = document.getElementById('copy-removed-btn');
+        this.downloadButton = document.getElementById('download-removed-btn');
+        this.tableBody = document.getElementById('removed-table-body');
+    }
+
+    /**
+     * Attach event listeners to the pane controls
+     */
+    attachEventListeners() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => {
+                this.setExpanded(!this.isExpanded);
+            });
+        }
+
+        if (this.reasonFilter) {
+            this.reasonFilter.addEventListener('change', () => {
+                this.render();
+            });
+        }
+
+        if (this.copyButton) {
+            this.copyButton.addEventListener('click', () => {
+                this.copyItems();
+            });
+        }
+
+        if (this.downloadButton) {
+            this.downloadButton.addEventListener('click', () => {
+                this.downloadItems();
+            });
+        }
+    }
+
+    /**
+     * Show the removed items of a run, in input line order
+     * @param {Object[]} items - Entries with line, url, reason and message
+     */
+    setItems(items) {
+        this.items = [...items].sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+
+        if (this.section) {
+            this.section.style.display = '';
+        }
+        this.render();
+    }
+
+    /**
+     * Forget the last run and hide the pane
+     */
+    clear() {
+        this.items = null;
+        this.setExpanded(false);
+
+        if (this.section) {
+            this.section.style.display = 'none';
+        }
+    }
+
+    /**
+     * Expand or collapse the list
+     * @param {boolean} expanded - Whether to show the list
+     */
+    setExpanded(expanded) {
+        this.isExpanded = expanded;
+
+        if (this.body) {
+            this.body.style.display = expanded ? '' : 'none';
+        }
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', String(expanded));
+        }
+    }
+
+    /**
+     * Items matching the reason filter
+     * @returns {Object[]} Removed items
+     */
+    getVisibleItems() {
+        if (!this.items) return [];
+
+        const reason = this.reasonFilter ? this.reasonFilter.value : 'all';
+        return reason === 'all' ? this.items : this.items.filter(item => item.reason === reason);
+    }
+
+    /**
+     * Format items as tab-separated text with a header row
+     * @param {Object[]} items - Removed items
+     * @returns {string} Text for copying and downloading
+     */
+    static formatItems(items) {
+        const header = ['line', 'url', 'reason', 'message'].join('\t');
+        const rows = items.map(item => [item.line ?? '', item.url, item.reason, item.message].join('\t'));
+        return [header, ...rows].join('\n');
+    }
+
+    /**
+     * Copy the visible items to the clipboard
+     */
+    async copyItems() {
+        const items = this.getVisibleItems();
+        if (items.length === 0) return;
+
+        try {
+            await navigator.clipboard.writeText(RemovedItemsPane.formatItems(items));
+            this.statisticsManager?.showSuccessMessage(`${items.length} removed item${items.length === 1 ? '' : 's'} copied`);
+        } catch (error) {
+            this.statisticsManager?.showError('Failed to copy removed items');
+        }
+    }
+
+    /**
+     * Download the visible items as a TSV file
+     */
+    downloadItems() {
+        const items = this.getVisibleItems();
+        if (items.length === 0) return;
+
+        const blob = new Blob([RemovedItemsPane.formatItems(items)], { type: 'text/tab-separated-values' });
+        DownloadMenu.saveBlob(blob, RemovedItemsPane.EXPORT_FILENAME);
+    }
+
+    /**
+     * Render the toggle label, the table and the button state
+     * @private
+     */
+    render() {
+        const items = this.getVisibleItems();
+        const total = this.items ? this.items.length : 0;
+
+        if (this.toggleButton) {
+            this.toggleButton.textContent = `Removed Items (${total})`;
+        }
+        if (this.copyButton) {
+            this.copyButton.disabled = items.length === 0;
+        }
+        if (this.downloadButton) {
+            this.downloadButton.disabled = items.length === 0;
+        }
+        if (!this.tableBody) return;
+
+        const fragment = document.createDocumentFragment();
+        if (total === 0) {
+            fragment.appendChild(this.renderNote('No lines were removed'));
+        }
+
+        items.slice(0, RemovedItemsPane.MAX_ROWS).forEach(item => {
+            const row = document.createElement('tr');
+            row.className = `removed-row removed-row-${item.reason}`;
+            row.append(
+                this.renderCell(item.line ?? '—', 'removed-line'),
+                this.renderCell(item.url, 'removed-url'),
+                this.renderCell(item.message, 'removed-reason')
+            );
+            fragment.appendChild(row);
+        });
+
+        if (items.length > RemovedItemsPane.MAX_ROWS) {
+            fragment.appendChild(this.renderNote(
+                `Showing the first ${RemovedItemsPane.MAX_ROWS} of ${items.length} items; copy or download for the full list`
+            ));
+        }
+
+        this.tableBody.innerHTML = '';
+        this.tableBody.appendChild(fragment);
+    }
+
+    /**
+     * Render a table cell
+     * @private
+     */
+    renderCell(text, className) {
+        const cell = document.createElement('td');
+        cell.className = className;
+        cell.textContent = text;
+        return cell;
+    }
+
+    /**
+     * Render a full-width note row
+     * @private
+     */
+    renderNote(text) {
+        const row = document.createElement('tr');
+        row.className = 'removed-row-note';
+        const cell = this.renderCell(text, '');
+        cell.colSpan = 3;
+        row.appendChild(cell);
+        return row;
+    }
+}
+
+/**
+ * Most rows rendered at once; copying and downloading include every item
+ */
+RemovedItemsPane.MAX_ROWS = 2000;
+
+/**
+ * File name used when downloading removed items
+ */
+RemovedItemsPane.EXPORT_FILENAME = 'removed-urls.tsv';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RemovedItemsPane;
+}
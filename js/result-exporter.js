@@ -0,0 +1,191 @@
+/**
+ * ResultExporter - Writing results as downloadable files
+ * Results can be written as plain text, as CSV with each URL's parsed
+ * components, as JSON Lines, or as a Markdown link list, and optionally
+ * gzipped. Files are built from the result list itself, since the output
+ * text area only shows the first results of a large run.
+ */
+
+// URLParser and CSVTable are loaded globally via script tag
+// In Node.js environment they are required from url-parser.js and csv-table.js
+
+class ResultExporter {
+    /**
+     * Write results in a file format
+     * @param {Object[]} entries - {url, metadata} per result; metadata is optional
+     * @param {string} format - One of the keys of ResultExporter.FORMATS
+     * @returns {string} File content
+     * @throws {Error} If the format is unknown
+     */
+    static build(entries, format) {
+        switch (format) {
+            case 'text':
+                return ResultExporter.buildLines(entries.map(entry => entry.url));
+            case 'csv':
+                return ResultExporter.buildCSV(entries);
+            case 'jsonl':
+                return ResultExporter.buildLines(entries.map(entry => JSON.stringify(ResultExporter.buildRecord(entry))));
+            case 'markdown':
+                return ResultExporter.buildLines(entries.map(entry => ResultExporter.buildLink(entry)));
+            default:
+                throw new Error(`Unknown download format: ${format}`);
+        }
+    }
+
+    /**
+     * Join lines, ending the file with a line break
+     * @private
+     */
+    static buildLines(lines) {
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+
+    /**
+     * Write a CSV table with a header and one row of components per result
+     * @private
+     */
+    static buildCSV(entries) {
+        const table = ResultExporter.getCSVTable();
+        const rows = entries.map(entry => {
+            const components = ResultExporter.getComponents(entry.url);
+            return table.formatRecord([entry.url, ...ResultExporter.COMPONENTS.map(name => components[name] || '')]);
+        });
+        return ResultExporter.buildLines([table.formatRecord(['url', ...ResultExporter.COMPONENTS]), ...rows]);
+    }
+
+    /**
+     * Build the JSON object of one result: its URL, components and metadata
+     * Lines that are not URLs only have their url.
+     * @private
+     */
+    static buildRecord(entry) {
+        const record = { url: entry.url, ...ResultExporter.getComponents(entry.url) };
+        const metadata = entry.metadata && Object.keys(entry.metadata).length > 0 ? entry.metadata : null;
+        if (metadata) {
+            record.metadata = metadata;
+        }
+        return record;
+    }
+
+    /**
+     * Write one Markdown list item linking a result
+     * Bookmark titles are used as link text; lines that are not URLs are written as text.
+     * @private
+     */
+    static buildLink(entry) {
+        const title = entry.metadata && entry.metadata.title;
+        const text = ResultExporter.escapeMarkdown(title || entry.url);
+        if (!ResultExporter.isURL(entry.url)) {
+            return `- ${text}`;
+        }
+        // Parentheses and angle brackets would end the link destination early
+        const destination = entry.url.trim().replace(/[()<>]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+        return `- [${text}](${destination})`;
+    }
+
+    /**
+     * Escape characters that Markdown would read as formatting
+     * @param {string} text - Plain text
+     * @returns {string} Text safe to use as a link text or list item
+     */
+    static escapeMarkdown(text) {
+        return String(text).replace(/[\\`*_[\]<>|]/g, '\\$&');
+    }
+
+    /**
+     * Get the components written for a URL
+     * @param {string} url - URL
+     * @returns {Object} scheme, host, domain (registrable domain), tld, path, query and fragment;
+     *                   empty if the line is not a URL
+     */
+    static getComponents(url) {
+        if (!ResultExporter.isURL(url)) {
+            return {};
+        }
+        const parsed = ResultExporter.getParser().parse(url);
+        return {
+            scheme: parsed.protocol,
+            host: parsed.hostname,
+            domain: parsed.registrableDomain,
+            tld: parsed.tld,
+            path: parsed.path,
+            query: parsed.query,
+            fragment: parsed.fragment
+        };
+    }
+
+    /**
+     * Whether a result line is a URL
+     * The parser drops whitespace, which would read a line of text as a host name.
+     * @private
+     */
+    static isURL(url) {
+        return typeof url === 'string' && !/\s/.test(url.trim()) && ResultExporter.getParser().isValid(url);
+    }
+
+    /**
+     * Gzip file content
+     * @param {string} text - File content
+     * @returns {Promise<Blob>} Compressed content
+     * @throws {Error} If the browser cannot compress
+     */
+    static async compress(text) {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('This browser cannot create .gz files');
+        }
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Response(stream).blob();
+    }
+
+    /**
+     * Name of the downloaded file
+     * @param {string} format - One of the keys of ResultExporter.FORMATS
+     * @param {boolean} gzip - Whether the file is gzipped
+     * @returns {string} File name such as "urls.csv" or "urls.jsonl.gz"
+     */
+    static getFileName(format, gzip = false) {
+        const name = `${ResultExporter.FILENAME}.${ResultExporter.FORMATS[format].extension}`;
+        return gzip ? `${name}.gz` : name;
+    }
+
+    /**
+     * Get the URL parser
+     * @private
+     */
+    static getParser() {
+        return typeof URLParser !== 'undefined' ? URLParser : require('./url-parser.js');
+    }
+
+    /**
+     * Get the CSV writer
+     * @private
+     */
+    static getCSVTable() {
+        return typeof CSVTable !== 'undefined' ? CSVTable : require('./csv-table.js');
+    }
+}
+
+/**
+ * Download formats with their file extension and MIME type
+ */
+ResultExporter.FORMATS = {
+    text: { extension: 'txt', mime: 'text/plain' },
+    csv: { extension: 'csv', mime: 'text/csv' },
+    jsonl: { extension: 'jsonl', mime: 'application/x-ndjson' },
+    markdown: { extension: 'md', mime: 'text/markdown' }
+};
+
+/**
+ * URL components written to CSV columns and JSON Lines records, in column order
+ */
+ResultExporter.COMPONENTS = ['scheme', 'host', 'domain', 'tld', 'path', 'query', 'fragment'];
+
+/**
+ * Downloaded file name, without extension
+ */
+ResultExporter.FILENAME = 'urls';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultExporter;
+}
@@ -0,0 +1,156 @@
+/**
+ * SitemapPanel Class
+ * Imports sitemap files into the input and exports results as sitemaps.
+ * Results of a run over sitemap input keep their <lastmod>, <changefreq>
+ * and <priority>; other URLs are written with <loc> only. When the results
+ * do not fit in one file, a numbered set and a sitemap index are downloaded
+ * one after another.
+ */
+class SitemapPanel {
+    /**
+     * @param {TextAreaManager} textAreaManager - Input text area, for file import
+     * @param {StatisticsManager} statisticsManager - Used for status and error messages
+     */
+    constructor(textAreaManager, statisticsManager = null) {
+        this.textAreaManager = textAreaManager;
+        this.statisticsManager = statisticsManager;
+        this.importCallback = null;
+
+        this.bindElements();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Bind DOM elements to class properties
+     */
+    bindElements() {
+        this.importButton = document.getElementById('import-sitemap-btn');
+        this.importInput = document.getElementById('import-sitemap-input');
+        this.baseInput = document.getElementById('sitemap-base-input');
+        this.downloadButton = document.getElementById('download-sitemap-btn');
+    }
+
+    /**
+     * Attach event listeners to the import button
+     */
+    attachEventListeners() {
+        if (this.importButton && this.importInput) {
+            this.importButton.addEventListener('click', () => {
+                this.importInput.click();
+            });
+            this.importInput.addEventListener('change', () => {
+                const file = this.importInput.files[0];
+                if (file) {
+                    this.importFile(file);
+                }
+                // Allow importing the same file again
+                this.importInput.value = '';
+            });
+        }
+    }
+
+    /**
+     * Set callback for when a sitemap has been imported, e.g. to switch the input mode
+     * @param {Function} callback - Called without arguments
+     */
+    onImport(callback) {
+        this.importCallback = callback;
+    }
+
+    /**
+     * Enable/disable the buttons while processing
+     * @param {boolean} enabled - Whether the buttons can be used
+     */
+    setEnabled(enabled) {
+        [this.importButton, this.baseInput, this.downloadButton].forEach(control => {
+            if (control) {
+                control.disabled = !enabled;
+            }
+        });
+    }
+
+    /**
+     * Read a sitemap file into the input; .gz files are decompressed
+     * @param {File} file - Selected file
+     */
+    async importFile(file) {
+        try {
+            let text;
+            if (/\.gz$/i.test(file.name) && typeof DecompressionStream !== 'undefined') {
+                text = await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+            } else {
+                text = await file.text();
+            }
+
+            await this.textAreaManager.setInputText(text);
+            this.importCallback?.();
+            this.statisticsManager?.showSuccessMessage(`Imported ${file.name}`);
+        } catch (error) {
+            this.statisticsManager?.showError(`Failed to read ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download URLs as a sitemap, or as a split set of sitemaps and an index
+     * @param {Object[]} candidates - {url, metadata} per output URL
+     * @returns {Object[]} Downloaded files as {name, content}
+     */
+    downloadSitemap(candidates) {
+        const entries = candidates.filter(entry => SitemapXML.isLocation(entry.url));
+        if (entries.length === 0) {
+            this.statisticsManager?.showWarning('There are no http(s) URLs to write to a sitemap');
+            return [];
+        }
+
+        // Split sets are linked from the index by where they will be published
+        const baseUrl = this.baseInput?.value.trim() || `${new URL(entries[0].url).origin}/`;
+
+        let files;
+        try {
+            files = SitemapXML.build(entries, { baseUrl });
+        } catch (error) {
+            this.statisticsManager?.showError(error.message);
+            return [];
+        }
+
+        // Browsers block or ask about each further download started at the same moment,
+        // so the files of a split set are saved one at a time
+        files.forEach((file, index) => {
+            if (index === 0) {
+                this.downloadFile(file);
+            } else {
+                setTimeout(() => this.downloadFile(file), index * SitemapPanel.DOWNLOAD_INTERVAL);
+            }
+        });
+
+        const skipped = candidates.length - entries.length;
+        const written = files.length === 1
+            ? `Downloaded ${SitemapXML.FILENAME}`
+            : `Downloading ${files.length - 1} sitemaps and ${SitemapXML.INDEX_FILENAME} one at a time; allow multiple downloads if the browser asks`;
+        if (skipped > 0) {
+            this.statisticsManager?.showWarning(`${written}; skipped ${skipped} line${skipped === 1 ? '' : 's'} that are not http(s) URLs of up to ${SitemapXML.MAX_URL_LENGTH} characters`);
+        } else {
+            this.statisticsManager?.showSuccessMessage(written);
+        }
+        return files;
+    }
+
+    /**
+     * Save one sitemap file
+     * @private
+     */
+    downloadFile(file) {
+        const blob = new Blob([file.content], { type: 'application/xml' });
+        DownloadMenu.saveBlob(blob, file.name);
+    }
+}
+
+/**
+ * Milliseconds between the downloads of a split sitemap set
+ */
+SitemapPanel.DOWNLOAD_INTERVAL = 1000;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SitemapPanel;
+}
@@ -0,0 +1,259 @@
+/**
+ * SitemapXML - Reading and writing sitemaps (sitemaps.org protocol 0.9)
+ * Reads the <url> entries of a urlset, or the <sitemap> entries of a sitemap
+ * index, with their <lastmod>, <changefreq> and <priority>. Each entry
+ * remembers the input line its element starts on. Writes one sitemap, or a
+ * set of sitemaps plus an index when the URLs do not fit the protocol's
+ * limit of 50,000 URLs and 50 MB per file.
+ */
+class SitemapXML {
+    /**
+     * Read the entries of a sitemap or sitemap index
+     * Elements inside extensions (image:loc, xhtml:link, ...) are ignored.
+     * @param {string} text - Sitemap XML
+     * @returns {Object} type ('urlset', 'sitemapindex' or null) and entries:
+     *                   {url, line (1-based), metadata: {lastmod, changefreq, priority}} per element
+     */
+    static parse(text) {
+        // Comments are blanked out, keeping their line breaks so lines still count right
+        const source = (text || '').replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ''));
+        const type = /<sitemapindex[\s>]/.test(source) ? 'sitemapindex' : /<urlset[\s>]/.test(source) ? 'urlset' : null;
+        const entries = [];
+
+        let line = 1;
+        let position = 0;
+        let found;
+        SitemapXML.ENTRY.lastIndex = 0;
+        while ((found = SitemapXML.ENTRY.exec(source)) !== null) {
+            for (let newline = source.indexOf('\n', position); newline !== -1 && newline < found.index; newline = source.indexOf('\n', position)) {
+                line++;
+                position = newline + 1;
+            }
+
+            const fields = {};
+            let child;
+            SitemapXML.FIELD.lastIndex = 0;
+            while ((child = SitemapXML.FIELD.exec(found[2])) !== null) {
+                // The first occurrence wins
+                if (!(child[1] in fields)) {
+                    fields[child[1]] = SitemapXML.readText(child[2]);
+                }
+            }
+
+            const metadata = {};
+            for (const name of SitemapXML.METADATA_FIELDS) {
+                if (fields[name]) {
+                    metadata[name] = fields[name];
+                }
+            }
+            entries.push({ url: fields.loc || '', line, metadata });
+        }
+
+        return { type, entries };
+    }
+
+    /**
+     * Write sitemaps for a list of URLs
+     * Metadata values that the protocol does not allow are left out.
+     * @param {Object[]} entries - {url, metadata} per URL; metadata is optional
+     * @param {Object} options - Options
+     * @param {string} options.baseUrl - Where the files will be published; needed for the index of a split set
+     * @param {number} options.maxURLs - URLs per file (default 50,000)
+     * @param {number} options.maxBytes - Bytes per file (default 50 MB)
+     * @returns {Object[]} Files as {name, content}: sitemap.xml, or sitemap-1.xml, sitemap-2.xml, ... and sitemap-index.xml
+     * @throws {Error} If the URLs need several files and there is no baseUrl
+     */
+    static build(entries, options = {}) {
+        const maxURLs = options.maxURLs || SitemapXML.MAX_URLS;
+        const maxBytes = options.maxBytes || SitemapXML.MAX_BYTES;
+        const emptySize = SitemapXML.byteLength(SitemapXML.wrap('urlset', []));
+
+        const chunks = [[]];
+        let size = emptySize;
+        for (const entry of entries) {
+            const element = SitemapXML.formatURL(entry);
+            const elementSize = SitemapXML.byteLength(element) + 1;
+            const chunk = chunks[chunks.length - 1];
+
+            if (chunk.length > 0 && (chunk.length >= maxURLs || size + elementSize > maxBytes)) {
+                chunks.push([element]);
+                size = emptySize + elementSize;
+            } else {
+                chunk.push(element);
+                size += elementSize;
+            }
+        }
+
+        if (chunks.length === 1) {
+            return [{ name: SitemapXML.FILENAME, content: SitemapXML.wrap('urlset', chunks[0]) }];
+        }
+
+        if (!options.baseUrl) {
+            throw new Error(`${entries.length.toLocaleString()} URLs need ${chunks.length} sitemaps; enter where they will be published to write the index`);
+        }
+        const baseUrl = options.baseUrl.endsWith('/') ? options.baseUrl : `${options.baseUrl}/`;
+
+        const files = chunks.map((chunk, index) => ({
+            name: `sitemap-${index + 1}.xml`,
+            content: SitemapXML.wrap('urlset', chunk)
+        }));
+        const index = files.map(file => `  <sitemap>\n    <loc>${SitemapXML.escape(baseUrl + file.name)}</loc>\n  </sitemap>`);
+
+        return [...files, { name: SitemapXML.INDEX_FILENAME, content: SitemapXML.wrap('sitemapindex', index) }];
+    }
+
+    /**
+     * Check that a URL can be a sitemap <loc>
+     * @param {string} url - URL
+     * @returns {boolean} True for absolute http(s) URLs within the length limit
+     */
+    static isLocation(url) {
+        return /^https?:\/\/[^/?#\s]/i.test(url) && url.length <= SitemapXML.MAX_URL_LENGTH;
+    }
+
+    /**
+     * Format one <url> element
+     * @private
+     */
+    static formatURL(entry) {
+        const metadata = entry.metadata || {};
+        const lines = [`    <loc>${SitemapXML.escape(entry.url)}</loc>`];
+
+        if (metadata.lastmod && SitemapXML.W3C_DATETIME.test(metadata.lastmod)) {
+            lines.push(`    <lastmod>${metadata.lastmod}</lastmod>`);
+        }
+        const changefreq = String(metadata.changefreq || '').toLowerCase();
+        if (SitemapXML.CHANGEFREQ.includes(changefreq)) {
+            lines.push(`    <changefreq>${changefreq}</changefreq>`);
+        }
+        const priority = String(metadata.priority ?? '').trim();
+        if (SitemapXML.PRIORITY.test(priority)) {
+            lines.push(`    <priority>${priority}</priority>`);
+        }
+
+        return `  <url>\n${lines.join('\n')}\n  </url>`;
+    }
+
+    /**
+     * Put elements inside a urlset or sitemapindex document
+     * @private
+     */
+    static wrap(root, elements) {
+        const body = elements.map(element => `${element}\n`).join('');
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<${root} xmlns="${SitemapXML.NAMESPACE}">\n${body}</${root}>\n`;
+    }
+
+    /**
+     * Text content of an element: CDATA sections as is, character references decoded
+     * @private
+     */
+    static readText(value) {
+        return value.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map(part => {
+            if (part.startsWith('<![CDATA[')) {
+                return part.slice(9, -3);
+            }
+            return part.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+                if (name[0] === '#') {
+                    const code = name[1] === 'x' || name[1] === 'X'
+                        ? parseInt(name.slice(2), 16)
+                        : parseInt(name.slice(1), 10);
+                    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+                }
+                return SitemapXML.ENTITIES[name] ?? entity;
+            });
+        }).join('').trim();
+    }
+
+    /**
+     * Escape text for XML content
+     * @param {string} value - Text
+     * @returns {string} Escaped text
+     */
+    static escape(value) {
+        return String(value).replace(/[&<>"']/g, char => SitemapXML.ESCAPES[char]);
+    }
+
+    /**
+     * Size of a string in UTF-8
+     * @private
+     */
+    static byteLength(text) {
+        let bytes = text.length;
+        for (let index = 0; index < text.length; index++) {
+            const code = text.charCodeAt(index);
+            if (code >= 0xD800 && code <= 0xDBFF) {
+                // A surrogate pair is 4 bytes, counted as 2 + 2
+                bytes += 2;
+                index++;
+            } else if (code > 0x7FF) {
+                bytes += 2;
+            } else if (code > 0x7F) {
+                bytes += 1;
+            }
+        }
+        return bytes;
+    }
+}
+
+/**
+ * A <url> or <sitemap> element and its content
+ */
+SitemapXML.ENTRY = /<(url|sitemap)(?:\s[^>]*)?>([\s\S]*?)<\/\1\s*>/g;
+
+/**
+ * A <loc>, <lastmod>, <changefreq> or <priority> child element
+ */
+SitemapXML.FIELD = /<(loc|lastmod|changefreq|priority)(?:\s[^>]*)?>([\s\S]*?)<\/\1\s*>/g;
+
+/**
+ * Child elements kept as metadata, in the order they are written
+ */
+SitemapXML.METADATA_FIELDS = ['lastmod', 'changefreq', 'priority'];
+
+/**
+ * <changefreq> values allowed by the protocol
+ */
+SitemapXML.CHANGEFREQ = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+/**
+ * W3C datetime, the <lastmod> format: YYYY, YYYY-MM, YYYY-MM-DD or a date with time and time zone
+ */
+SitemapXML.W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+/**
+ * <priority> values allowed by the protocol: 0.0 to 1.0
+ */
+SitemapXML.PRIORITY = /^(0(\.\d*)?|1(\.0*)?|\.\d+)$/;
+
+/**
+ * Protocol limits per sitemap file
+ */
+SitemapXML.MAX_URLS = 50000;
+SitemapXML.MAX_BYTES = 50 * 1024 * 1024;
+SitemapXML.MAX_URL_LENGTH = 2048;
+
+/**
+ * Sitemap namespace
+ */
+SitemapXML.NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+/**
+ * File names of a single sitemap and of the index of a split set
+ */
+SitemapXML.FILENAME = 'sitemap.xml';
+SitemapXML.INDEX_FILENAME = 'sitemap-index.xml';
+
+/**
+ * XML's predefined entities
+ */
+SitemapXML.ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Characters escaped in written XML
+ */
+SitemapXML.ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SitemapXML;
+}
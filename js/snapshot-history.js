@@ -0,0 +1,310 @@
+/**
+ * SnapshotHistory - Bounded undo/redo history of input/output text states
+ * Only the newest snapshot is stored as full text. Every older snapshot is
+ * stored as a line diff against the next newer one, so a history of large
+ * URL lists costs little more than the lines that actually changed.
+ * The oldest snapshots are evicted when the entry or byte budget is exceeded.
+ */
+class SnapshotHistory {
+    /**
+     * @param {Object} options - History limits
+     * @param {number} options.maxEntries - Most snapshots kept (default 50)
+     * @param {number} options.maxBytes - Approximate memory budget in bytes (default 32 MB)
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 50;
+        this.maxBytes = options.maxBytes || 32 * 1024 * 1024;
+        this.clear();
+    }
+
+    /**
+     * Remove all snapshots
+     */
+    clear() {
+        this.entries = [];
+        this.cursor = -1;
+        this.currentState = null;
+    }
+
+    /**
+     * Add a snapshot after the current one
+     * Snapshots after the current one (the redo branch) are discarded.
+     * @param {Object} state - Snapshot with input and output text
+     * @param {string} label - Description of the change, e.g. 'Clear input'
+     * @returns {boolean} False if the state equals the current snapshot
+     */
+    push(state, label = '') {
+        const snapshot = { input: state.input || '', output: state.output || '' };
+        const current = this.currentState;
+        if (current && current.input === snapshot.input && current.output === snapshot.output) {
+            return false;
+        }
+
+        // Drop the redo branch; the current snapshot becomes the newest
+        if (this.cursor < this.entries.length - 1) {
+            this.entries.length = this.cursor + 1;
+            this.storeFull(this.cursor, current);
+        }
+
+        // The previous newest snapshot becomes a diff against the new one
+        if (current) {
+            this.storeDiff(this.cursor, current, snapshot);
+        }
+
+        this.entries.push({ label, fields: null, bytes: 0 });
+        this.cursor = this.entries.length - 1;
+        this.storeFull(this.cursor, snapshot);
+        this.currentState = snapshot;
+
+        this.enforceLimits();
+        return true;
+    }
+
+    /**
+     * Get the current snapshot
+     * @returns {Object|null} Snapshot with input, output and label
+     */
+    current() {
+        return this.currentState
+            ? { ...this.currentState, label: this.entries[this.cursor].label }
+            : null;
+    }
+
+    /**
+     * Step back to the previous snapshot
+     * @returns {Object|null} Previous snapshot, or null if there is none
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return null;
+        }
+
+        const undoneLabel = this.entries[this.cursor].label;
+        this.cursor--;
+        this.currentState = this.applyDiff(this.entries[this.cursor], this.currentState);
+        return { ...this.currentState, label: undoneLabel };
+    }
+
+    /**
+     * Step forward to the next snapshot
+     * @returns {Object|null} Next snapshot, or null if there is none
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return null;
+        }
+
+        this.cursor++;
+        this.currentState = this.materialize(this.cursor);
+        return { ...this.currentState, label: this.entries[this.cursor].label };
+    }
+
+    /**
+     * Check whether there is a snapshot to go back to
+     */
+    canUndo() {
+        return this.cursor > 0;
+    }
+
+    /**
+     * Check whether there is a snapshot to go forward to
+     */
+    canRedo() {
+        return this.cursor < this.entries.length - 1;
+    }
+
+    /**
+     * Label of the change undo would revert
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.entries[this.cursor].label : '';
+    }
+
+    /**
+     * Label of the change redo would reapply
+     */
+    getRedoLabel() {
+        return this.canRedo() ? this.entries[this.cursor + 1].label : '';
+    }
+
+    /**
+     * Evict snapshots until the history fits a byte budget
+     * Oldest snapshots go first, then the redo branch; the current snapshot is always kept.
+     * @param {number} targetBytes - Budget to shrink to
+     * @returns {number} Number of snapshots evicted
+     */
+    evict(targetBytes = 0) {
+        let evicted = 0;
+
+        while (this.getByteSize() > targetBytes && this.cursor > 0) {
+            this.entries.shift();
+            this.cursor--;
+            evicted++;
+        }
+
+        while (this.getByteSize() > targetBytes && this.canRedo()) {
+            this.dropNewest();
+            evicted++;
+        }
+
+        return evicted;
+    }
+
+    /**
+     * Approximate memory used by the stored snapshots (UTF-16, two bytes per character)
+     * @returns {number} Size in bytes
+     */
+    getByteSize() {
+        return this.entries.reduce((total, entry) => total + entry.bytes, 0);
+    }
+
+    /**
+     * Get history statistics
+     * @returns {Object} Entry count, cursor position and size in bytes
+     */
+    getStats() {
+        return { entries: this.entries.length, cursor: this.cursor, bytes: this.getByteSize() };
+    }
+
+    /**
+     * Drop old snapshots beyond the entry and byte limits
+     * @private
+     */
+    enforceLimits() {
+        while (this.entries.length > this.maxEntries && this.cursor > 0) {
+            this.entries.shift();
+            this.cursor--;
+        }
+        this.evict(this.maxBytes);
+    }
+
+    /**
+     * Remove the newest snapshot; the one before it becomes the full-text snapshot
+     * @private
+     */
+    dropNewest() {
+        const last = this.entries.length - 1;
+        const state = this.materialize(last - 1);
+        this.entries.pop();
+        this.storeFull(last - 1, state);
+    }
+
+    /**
+     * Rebuild a snapshot by walking the diffs down from the newest one
+     * @private
+     */
+    materialize(index) {
+        const last = this.entries.length - 1;
+        let state = {
+            input: this.entries[last].fields.input.text,
+            output: this.entries[last].fields.output.text
+        };
+        for (let i = last - 1; i >= index; i--) {
+            state = this.applyDiff(this.entries[i], state);
+        }
+        return state;
+    }
+
+    /**
+     * Store a snapshot as full text
+     * @private
+     */
+    storeFull(index, state) {
+        const entry = this.entries[index];
+        entry.fields = { input: { text: state.input }, output: { text: state.output } };
+        entry.bytes = (state.input.length + state.output.length) * 2;
+    }
+
+    /**
+     * Store a snapshot as a diff against the next newer snapshot
+     * @private
+     */
+    storeDiff(index, state, newerState) {
+        const entry = this.entries[index];
+        entry.fields = {
+            input: SnapshotHistory.diffLines(newerState.input, state.input),
+            output: SnapshotHistory.diffLines(newerState.output, state.output)
+        };
+        entry.bytes = SnapshotHistory.diffSize(entry.fields.input) + SnapshotHistory.diffSize(entry.fields.output);
+    }
+
+    /**
+     * Rebuild an entry's snapshot from the next newer snapshot
+     * @private
+     */
+    applyDiff(entry, newerState) {
+        return {
+            input: SnapshotHistory.patchLines(newerState.input, entry.fields.input),
+            output: SnapshotHistory.patchLines(newerState.output, entry.fields.output)
+        };
+    }
+
+    /**
+     * Describe how to turn one text into another as a single changed run of lines
+     * URL lists change as a block (a cleared input, a new result set) or in a
+     * few places, so a common prefix and suffix capture most of the overlap.
+     * @param {string} base - Text the diff is applied to
+     * @param {string} target - Text the diff produces
+     * @returns {Object} Diff with prefix and suffix line counts and the replacement lines
+     */
+    static diffLines(base, target) {
+        if (base === target) {
+            return { same: true };
+        }
+
+        const baseLines = base.split('\n');
+        const targetLines = target.split('\n');
+        const maxCommon = Math.min(baseLines.length, targetLines.length);
+
+        let prefix = 0;
+        while (prefix < maxCommon && baseLines[prefix] === targetLines[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (suffix < maxCommon - prefix &&
+               baseLines[baseLines.length - 1 - suffix] === targetLines[targetLines.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        return { prefix, suffix, lines: targetLines.slice(prefix, targetLines.length - suffix) };
+    }
+
+    /**
+     * Apply a diff produced by diffLines
+     * @param {string} base - Text the diff was computed against
+     * @param {Object} diff - Diff or full-text field
+     * @returns {string} Target text
+     */
+    static patchLines(base, diff) {
+        if (diff.text !== undefined) {
+            return diff.text;
+        }
+        if (diff.same) {
+            return base;
+        }
+
+        const baseLines = base.split('\n');
+        return [
+            ...baseLines.slice(0, diff.prefix),
+            ...diff.lines,
+            ...baseLines.slice(baseLines.length - diff.suffix)
+        ].join('\n');
+    }
+
+    /**
+     * Approximate size of a stored diff in bytes
+     * @private
+     */
+    static diffSize(diff) {
+        if (diff.same) {
+            return 16;
+        }
+        return 32 + diff.lines.reduce((total, line) => total + line.length * 2 + 16, 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotHistory;
+}
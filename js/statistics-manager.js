@@ -131,6 +131,16 @@ class StatisticsManager {
                     messages.push(`${this.formatNumber(results.invalidCount)} invalid URLs skipped`);
                 }
                 
+                const parameterSummary = this.formatParameterCounts(results.parameterCounts);
+                if (parameterSummary) {
+                    messages.push(`Parameters removed: ${parameterSummary}`);
+                }
+                
+                const stepSummary = this.formatStepCounts(results.stepCounts);
+                if (stepSummary) {
+                    messages.push(`Pipeline: ${stepSummary}`);
+                }
+                
                 if (results.processingTime) {
                     messages.push(`Completed in ${this.formatTime(results.processingTime)}`);
                 }
@@ -145,6 +155,34 @@ class StatisticsManager {
         }
     }
     
+    /**
+     * Format removed parameter counts per kind, largest first
+     * @param {object} parameterCounts - Map of kind to count
+     * @returns {string} Summary such as "utm 12, facebook 3", or empty string
+     */
+    formatParameterCounts(parameterCounts) {
+        if (!parameterCounts) return '';
+        
+        return Object.entries(parameterCounts)
+            .filter(([, count]) => count > 0)
+            .sort((a, b) => b[1] - a[1])
+            .map(([kind, count]) => `${kind} ${this.formatNumber(count)}`)
+            .join(', ');
+    }
+    
+    /**
+     * Format the URL count before and after each pipeline step
+     * @param {object[]} stepCounts - Counts per step ({inputCount, outputCount})
+     * @returns {string} Summary such as "120 → 118 → 97", or empty string
+     */
+    formatStepCounts(stepCounts) {
+        if (!Array.isArray(stepCounts) || stepCounts.length === 0) return '';
+        
+        return [stepCounts[0].inputCount, ...stepCounts.map(step => step.outputCount)]
+            .map(count => this.formatNumber(count))
+            .join(' → ');
+    }
+    
     /**
      * Show error message
      * @param {string} message - Error message to display
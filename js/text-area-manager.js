@@ -7,6 +7,7 @@ class TextAreaManager {
         this.inputElement = document.getElementById(inputElementId);
         this.outputElement = document.getElementById(outputElementId);
         this.statisticsManager = statisticsManager;
+        this.inputChangeCallbacks = [];
         
         // Preview mode settings
         this.previewLineLimit = 1000;
@@ -48,6 +49,7 @@ class TextAreaManager {
             // Update stats when input changes
             this.inputElement.addEventListener('input', () => {
                 this.updateStats();
+                this.notifyInputChange();
             });
             
             // Handle paste events
@@ -74,9 +76,26 @@ class TextAreaManager {
             }
             
             this.updateStats();
+            this.notifyInputChange();
         }
     }
 
+    /**
+     * Register a callback run whenever the input text changes
+     * @param {Function} callback - Called with no arguments
+     */
+    onInputChange(callback) {
+        this.inputChangeCallbacks.push(callback);
+    }
+
+    /**
+     * Run the input change callbacks
+     * @private
+     */
+    notifyInputChange() {
+        this.inputChangeCallbacks.forEach(callback => callback());
+    }
+
     /**
      * Get text content from the input text area
      * @param {boolean} processAll - Whether to get all text or preview only
@@ -197,6 +216,22 @@ class TextAreaManager {
         this.clearOutput();
     }
 
+    /**
+     * Replace the input with the output and clear the output, ready for the next operation
+     * @param {string} text - Full output text (defaults to the output text area, which may be truncated)
+     * @returns {Promise<boolean>} False if there was no output to move
+     */
+    async moveOutputToInput(text = this.getOutputText()) {
+        if (!text || text.trim() === '') {
+            return false;
+        }
+
+        await this.setInputText(text);
+        await this.setOutputText('');
+        this.updateRemovedCount(0);
+        return true;
+    }
+
     /**
      * Get array of lines from input text
      * @param {boolean} processAll - Whether to get all lines or preview only
@@ -355,7 +390,7 @@ class TextAreaManager {
         try {
             if (navigator.clipboard && navigator.clipboard.readText) {
                 const text = await navigator.clipboard.readText();
-                this.setInputText(text);
+                await this.setInputText(text);
                 
                 // Announce to accessibility manager if available
                 if (window.AccessibilityManager) {
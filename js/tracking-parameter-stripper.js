@@ -0,0 +1,270 @@
+/**
+ * TrackingParameterStripper - Removes tracking parameters from URLs
+ * Driven by bundled rule sets (utm, fbclid, gclid, ...) plus a user-editable
+ * rule list. Rules can be scoped to domains and use * and ? wildcards in both
+ * parameter names and domain patterns.
+ */
+
+// URLParser and URLFilter are loaded globally via script tag / importScripts
+// In Node.js environment they are required from url-parser.js and url-filter.js
+
+class TrackingParameterStripper {
+    /**
+     * Create a stripper from rule sets and custom rules
+     * @param {Object} options - Stripper options
+     * @param {string[]} options.disabledRuleSets - Ids of bundled rule sets to skip
+     * @param {string} options.customRules - User rule list (see parseCustomRules)
+     */
+    constructor(options = {}) {
+        const disabled = new Set(options.disabledRuleSets || []);
+        const ruleSets = TrackingParameterStripper.RULE_SETS.filter(ruleSet => !disabled.has(ruleSet.id));
+        const customRules = TrackingParameterStripper.parseCustomRules(options.customRules || '');
+
+        const filter = TrackingParameterStripper.getURLFilter();
+        this.rules = [];
+        for (const ruleSet of [...ruleSets, ...customRules]) {
+            this.rules.push({
+                kind: ruleSet.id,
+                params: ruleSet.params.map(pattern => filter.globToRegExp(pattern)),
+                domains: (ruleSet.domains || ['*']).map(pattern => filter.globToRegExp(pattern))
+            });
+        }
+    }
+
+    /**
+     * List the bundled rule sets once per id, for display
+     * @returns {Object[]} Objects with id and name
+     */
+    static getRuleSetSummaries() {
+        const seen = new Map();
+        for (const ruleSet of this.RULE_SETS) {
+            if (!seen.has(ruleSet.id)) {
+                seen.set(ruleSet.id, { id: ruleSet.id, name: ruleSet.name });
+            }
+        }
+        return Array.from(seen.values());
+    }
+
+    /**
+     * Parse a user rule list
+     * One rule per line: a parameter pattern, optionally followed by "@" and a
+     * comma-separated list of domain patterns. Lines starting with # are comments.
+     * Example: "ref @ example.com, shop.*" or "campaign_*"
+     * @param {string} text - Rule list text
+     * @returns {Object[]} Rule sets with kind 'custom'
+     */
+    static parseCustomRules(text) {
+        const rules = [];
+        if (typeof text !== 'string') {
+            return rules;
+        }
+
+        for (const rawLine of text.split(/\r\n|\r|\n/)) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+
+            const [paramPart, domainPart] = line.split('@');
+            const param = paramPart.trim();
+            if (!param) {
+                continue;
+            }
+
+            const domains = domainPart
+                ? domainPart.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+                : ['*'];
+            rules.push({ id: 'custom', params: [param], domains: domains.length > 0 ? domains : ['*'] });
+        }
+
+        return rules;
+    }
+
+    /**
+     * Validate a user rule list
+     * @param {string} text - Rule list text
+     * @returns {string[]} Error messages, empty if the list is valid
+     */
+    static validateCustomRules(text) {
+        const errors = [];
+        (text || '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) {
+                return;
+            }
+            if ((line.match(/@/g) || []).length > 1) {
+                errors.push(`Line ${index + 1}: only one "@" is allowed`);
+            } else if (!line.split('@')[0].trim()) {
+                errors.push(`Line ${index + 1}: parameter name is missing`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Remove tracking parameters from a URL
+     * The rest of the query string is kept byte for byte, in its original order.
+     * @param {string} url - The URL string
+     * @returns {Object|null} Object with url and removed ({kind, key} list), or null if invalid
+     */
+    strip(url) {
+        const parsed = TrackingParameterStripper.getURLParser().parse(url);
+        if (!parsed || !parsed.valid) {
+            return null;
+        }
+
+        const rules = this.rules.filter(rule => this.appliesToHost(rule, parsed.hostname));
+        const removed = [];
+
+        const result = TrackingParameterStripper.getURLParser().filterQueryParameters(url, (key) => {
+            const rule = rules.find(candidate => candidate.params.some(pattern => pattern.test(key)));
+            if (rule) {
+                removed.push({ kind: rule.kind, key });
+                return false;
+            }
+            return true;
+        });
+
+        return result === null ? null : { url: result, removed };
+    }
+
+    /**
+     * Check whether a rule is scoped to a hostname
+     * Domain patterns match the host itself or any parent domain, so
+     * "youtube.com" covers www.youtube.com and "amazon.*" covers www.amazon.co.uk.
+     * @private
+     */
+    appliesToHost(rule, hostname) {
+        const labels = hostname.replace(/\.$/, '').split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (rule.domains.some(pattern => pattern.test(candidate))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Load the user's rule settings from localStorage
+     * @param {Storage} storage - Storage to read from (defaults to localStorage)
+     * @returns {Object} Settings with disabledRuleSets and customRules
+     */
+    static loadSettings(storage = TrackingParameterStripper.getStorage()) {
+        const defaults = { disabledRuleSets: [], customRules: '' };
+        if (!storage) {
+            return defaults;
+        }
+
+        try {
+            const saved = JSON.parse(storage.getItem(this.STORAGE_KEY) || 'null');
+            if (!saved || typeof saved !== 'object') {
+                return defaults;
+            }
+            return {
+                disabledRuleSets: Array.isArray(saved.disabledRuleSets) ? saved.disabledRuleSets : [],
+                customRules: typeof saved.customRules === 'string' ? saved.customRules : ''
+            };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * Save the user's rule settings to localStorage
+     * @param {Object} settings - Settings with disabledRuleSets and customRules
+     * @param {Storage} storage - Storage to write to (defaults to localStorage)
+     * @returns {boolean} True if the settings were saved
+     */
+    static saveSettings(settings, storage = TrackingParameterStripper.getStorage()) {
+        if (!storage) {
+            return false;
+        }
+
+        try {
+            storage.setItem(this.STORAGE_KEY, JSON.stringify({
+                disabledRuleSets: settings.disabledRuleSets || [],
+                customRules: settings.customRules || ''
+            }));
+            return true;
+        } catch (error) {
+            // Storage full or disabled (private browsing)
+            return false;
+        }
+    }
+
+    /**
+     * Get localStorage when available
+     * @private
+     */
+    static getStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the URL parser
+     * @private
+     */
+    static getURLParser() {
+        return typeof URLParser !== 'undefined' ? URLParser : require('./url-parser.js');
+    }
+
+    /**
+     * Get the wildcard pattern matcher
+     * @private
+     */
+    static getURLFilter() {
+        return typeof URLFilter !== 'undefined' ? URLFilter : require('./url-filter.js');
+    }
+}
+
+/**
+ * localStorage key for the user's rule settings
+ */
+TrackingParameterStripper.STORAGE_KEY = 'urlManager.trackingRules';
+
+/**
+ * Bundled rule sets
+ * Rule sets without domains apply everywhere; scoped ones only strip
+ * generic names like "ref" or "si" on the sites that use them for tracking.
+ */
+TrackingParameterStripper.RULE_SETS = [
+    { id: 'utm', name: 'UTM campaign tags', params: ['utm_*'] },
+    { id: 'facebook', name: 'Facebook', params: ['fbclid', 'fb_action_ids', 'fb_action_types', 'fb_ref', 'fb_source'] },
+    { id: 'google', name: 'Google Ads & Analytics', params: ['gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', '_ga', '_gl'] },
+    { id: 'microsoft', name: 'Microsoft Ads', params: ['msclkid'] },
+    { id: 'mailchimp', name: 'Mailchimp', params: ['mc_eid', 'mc_cid'] },
+    { id: 'hubspot', name: 'HubSpot', params: ['_hsenc', '_hsmi', '__hstc', '__hssc', '__hsfp', 'hsCtaTracking'] },
+    { id: 'marketo', name: 'Marketo', params: ['mkt_tok'] },
+    { id: 'instagram', name: 'Instagram', params: ['igshid', 'igsh'] },
+    { id: 'yandex', name: 'Yandex', params: ['yclid', '_openstat'] },
+    { id: 'tiktok', name: 'TikTok', params: ['ttclid'] },
+    { id: 'tiktok', name: 'TikTok', params: ['_r', '_t', 'is_from_webapp', 'sender_device'], domains: ['tiktok.com'] },
+    { id: 'twitter', name: 'Twitter / X', params: ['twclid'] },
+    { id: 'twitter', name: 'Twitter / X', params: ['s', 't', 'ref_src', 'ref_url'], domains: ['twitter.com', 'x.com'] },
+    { id: 'linkedin', name: 'LinkedIn', params: ['li_fat_id'] },
+    { id: 'linkedin', name: 'LinkedIn', params: ['trk', 'trkInfo', 'lipi', 'trackingId'], domains: ['linkedin.com'] },
+    {
+        id: 'amazon',
+        name: 'Amazon',
+        params: ['ref', 'ref_', 'pd_rd', 'pd_rd_*', 'pf_rd_*', '_encoding', 'qid', 'sr', 'sprefix', 'crid', 'dib', 'dib_tag'],
+        domains: ['amazon.*']
+    },
+    { id: 'youtube', name: 'YouTube', params: ['si', 'feature', 'pp'], domains: ['youtube.com', 'youtu.be'] },
+    { id: 'spotify', name: 'Spotify', params: ['si', 'context'], domains: ['spotify.com'] }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackingParameterStripper;
+} else if (typeof self !== 'undefined') {
+    // Make available in web worker environment
+    self.TrackingParameterStripper = TrackingParameterStripper;
+} else if (typeof window !== 'undefined') {
+    // Make available in browser environment
+    window.TrackingParameterStripper = TrackingParameterStripper;
+}
@@ -0,0 +1,141 @@
+/**
+ * URLDiff - Line-by-line comparison of a run's input URLs with its results
+ * Results are paired with the input line the processor reports for each.
+ * When those lines are unknown, results are matched back to input lines:
+ * identical lines are kept, the remaining results are paired with unmatched
+ * input lines (same host first, then in input order) as changes, and input
+ * lines left over were removed.
+ */
+class URLDiff {
+    /**
+     * Compare input lines with output lines
+     * @param {string[]} inputLines - URLs that went into the operation
+     * @param {string[]} outputLines - Operation results
+     * @param {Array<number|null>|null} resultLines - Input line number of each result, or null if unknown
+     * @param {number[]|null} lineNumbers - Line number of each input URL (default 1, 2, 3, ...)
+     * @returns {Object} Rows in input order ({status, input, output}) and counts per status
+     */
+    static compare(inputLines, outputLines, resultLines = null, lineNumbers = null) {
+        const rows = inputLines.map(line => ({ status: 'removed', input: line, output: null }));
+        const added = resultLines && resultLines.length === outputLines.length
+            ? URLDiff.pairByLine(rows, outputLines, resultLines, lineNumbers || inputLines.map((line, index) => index + 1))
+            : URLDiff.pairByContent(rows, outputLines);
+
+        const allRows = rows.concat(added);
+        const counts = { kept: 0, changed: 0, removed: 0, added: 0 };
+        allRows.forEach(row => {
+            counts[row.status]++;
+        });
+
+        return { rows: allRows, counts };
+    }
+
+    /**
+     * Pair each result with the input line it came from
+     * Results without an input line, such as members of a second list, were added.
+     * @private
+     */
+    static pairByLine(rows, outputLines, resultLines, lineNumbers) {
+        const rowByLine = new Map(lineNumbers.map((line, index) => [line, index]));
+        const added = [];
+        outputLines.forEach((line, index) => {
+            const rowIndex = resultLines[index] === null ? undefined : rowByLine.get(resultLines[index]);
+            const row = rowIndex === undefined ? null : rows[rowIndex];
+            if (!row || row.output !== null) {
+                added.push({ status: 'added', input: null, output: line });
+                return;
+            }
+            row.status = row.input === line ? 'kept' : 'changed';
+            row.output = line;
+        });
+        return added;
+    }
+
+    /**
+     * Pair results with input lines by content when their input lines are unknown
+     * @private
+     */
+    static pairByContent(rows, outputLines) {
+        const outputPaired = new Array(outputLines.length).fill(false);
+
+        // Unchanged lines: each output occurrence is claimed by the first unclaimed equal input
+        const outputIndex = new Map();
+        outputLines.forEach((line, index) => {
+            if (!outputIndex.has(line)) {
+                outputIndex.set(line, { indices: [], next: 0 });
+            }
+            outputIndex.get(line).indices.push(index);
+        });
+
+        rows.forEach(row => {
+            const occurrences = outputIndex.get(row.input);
+            if (occurrences && occurrences.next < occurrences.indices.length) {
+                outputPaired[occurrences.indices[occurrences.next++]] = true;
+                row.status = 'kept';
+                row.output = row.input;
+            }
+        });
+
+        // Changed lines: pair the remaining outputs with the remaining inputs
+        const unmatchedByHost = new Map();
+        const unmatched = [];
+        rows.forEach((row, index) => {
+            if (row.status !== 'removed') return;
+            unmatched.push(index);
+
+            const host = URLDiff.getHost(row.input);
+            if (!unmatchedByHost.has(host)) {
+                unmatchedByHost.set(host, { indices: [], next: 0 });
+            }
+            unmatchedByHost.get(host).indices.push(index);
+        });
+
+        const claimed = new Set();
+        const takeNext = (queue) => {
+            while (queue.next < queue.indices.length) {
+                const index = queue.indices[queue.next++];
+                if (!claimed.has(index)) {
+                    claimed.add(index);
+                    return index;
+                }
+            }
+            return -1;
+        };
+
+        const inOrder = { indices: unmatched, next: 0 };
+        const added = [];
+        outputLines.forEach((line, index) => {
+            if (outputPaired[index]) return;
+
+            const sameHost = unmatchedByHost.get(URLDiff.getHost(line));
+            let inputIndex = sameHost ? takeNext(sameHost) : -1;
+            if (inputIndex === -1) {
+                inputIndex = takeNext(inOrder);
+            }
+
+            if (inputIndex === -1) {
+                added.push({ status: 'added', input: null, output: line });
+            } else {
+                rows[inputIndex].status = 'changed';
+                rows[inputIndex].output = line;
+            }
+        });
+
+        return added;
+    }
+
+    /**
+     * Get the lowercased host of a URL line, or the whole line if it has no scheme
+     * @param {string} line - URL
+     * @returns {string} Host used to pair changed lines
+     */
+    static getHost(line) {
+        const match = /^[a-z][a-z0-9+.-]*:\/\/(?:[^@/?#]*@)?(\[[^\]]*\]|[^/?#:]*)/i.exec(line);
+        return (match ? match[1] : line).toLowerCase();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = URLDiff;
+}
@@ -0,0 +1,268 @@
+/**
+ * URLExtractor - Finds URLs in free-form text, HTML and Markdown
+ * Bare http(s)/ftp URLs are found anywhere in the text; trailing sentence
+ * punctuation and unbalanced closing brackets are left out. HTML href/src
+ * attributes (with entities decoded) and Markdown link targets, reference
+ * definitions and <autolinks> are read as a whole, so a URL inside one is
+ * reported once, with the construct it came from. Relative and
+ * protocol-relative links have no base to resolve against and are skipped.
+ */
+class URLExtractor {
+    /**
+     * Find every absolute URL in a text
+     * @param {string} text - Emails, chat logs, HTML source, Markdown, ...
+     * @returns {Object[]} Matches in text order: {url, line (1-based), source: 'text'|'html'|'markdown'}
+     */
+    static extract(text) {
+        if (!text) return [];
+
+        const matches = URLExtractor.findStructured(text);
+        const covered = matches.slice();
+        let coveredIndex = 0;
+        let coveredEnd = 0;
+
+        URLExtractor.BARE_URL.lastIndex = 0;
+        let found;
+        while ((found = URLExtractor.BARE_URL.exec(text)) !== null) {
+            const start = found.index;
+
+            // Skip URLs already read from an attribute or link
+            while (coveredIndex < covered.length && covered[coveredIndex].start <= start) {
+                coveredEnd = Math.max(coveredEnd, covered[coveredIndex].end);
+                coveredIndex++;
+            }
+            if (start < coveredEnd) continue;
+
+            // HTML source escapes "&" in text as well as in attributes
+            const url = URLExtractor.decodeEntities(URLExtractor.trimTrailing(found[0]));
+            if (URLExtractor.hasHost(url)) {
+                matches.push({ url, start, end: start + found[0].length, source: 'text' });
+            }
+        }
+
+        matches.sort((a, b) => a.start - b.start);
+        return URLExtractor.addLineNumbers(text, matches);
+    }
+
+    /**
+     * Find URLs in HTML attributes and Markdown links
+     * @param {string} text - Input text
+     * @returns {Object[]} Non-overlapping matches sorted by start, with the construct's end
+     * @private
+     */
+    static findStructured(text) {
+        const candidates = [];
+        const add = (url, start, end, source) => {
+            if (URLExtractor.ABSOLUTE_URL.test(url) && URLExtractor.hasHost(url)) {
+                candidates.push({ url, start, end, source });
+            }
+        };
+
+        let found;
+        URLExtractor.HTML_ATTRIBUTE.lastIndex = 0;
+        while ((found = URLExtractor.HTML_ATTRIBUTE.exec(text)) !== null) {
+            const value = found[2] ?? found[3] ?? found[4];
+            // Browsers drop tabs and line breaks from attribute URLs
+            add(URLExtractor.decodeEntities(value.replace(/[\t\n\r]/g, '').trim()), found.index, found.index + found[0].length, 'html');
+        }
+
+        URLExtractor.MARKDOWN_LINK_START.lastIndex = 0;
+        while ((found = URLExtractor.MARKDOWN_LINK_START.exec(text)) !== null) {
+            const target = URLExtractor.readLinkTarget(text, found.index + found[0].length);
+            if (target) {
+                add(target.url, found.index, target.end, 'markdown');
+            }
+        }
+
+        URLExtractor.MARKDOWN_REFERENCE.lastIndex = 0;
+        while ((found = URLExtractor.MARKDOWN_REFERENCE.exec(text)) !== null) {
+            add(found[1] ?? found[2], found.index, found.index + found[0].length, 'markdown');
+        }
+
+        URLExtractor.AUTOLINK.lastIndex = 0;
+        while ((found = URLExtractor.AUTOLINK.exec(text)) !== null) {
+            add(found[1], found.index, found.index + found[0].length, 'markdown');
+        }
+
+        // Keep the first construct where two overlap
+        candidates.sort((a, b) => a.start - b.start);
+        const matches = [];
+        let end = 0;
+        for (const candidate of candidates) {
+            if (candidate.start >= end) {
+                matches.push(candidate);
+                end = candidate.end;
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Read a Markdown inline link destination: <url> or url with balanced parentheses
+     * @param {string} text - Input text
+     * @param {number} position - Index just after "]("
+     * @returns {Object|null} {url, end} where end is after the closing ")"
+     * @private
+     */
+    static readLinkTarget(text, position) {
+        let index = position;
+        while (text[index] === ' ' || text[index] === '\t') index++;
+
+        let url;
+        if (text[index] === '<') {
+            const close = text.indexOf('>', index);
+            if (close === -1) return null;
+            url = text.slice(index + 1, close);
+            if (/[\n<]/.test(url)) return null;
+            // Spaces are allowed between the brackets and stand for %20
+            url = url.replace(/ /g, '%20');
+            index = close + 1;
+        } else {
+            const start = index;
+            let depth = 0;
+            for (; index < text.length; index++) {
+                const char = text[index];
+                if (/\s/.test(char)) break;
+                if (char === '(') depth++;
+                if (char === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+            }
+            url = text.slice(start, index);
+        }
+
+        // The title, if any, runs to the closing parenthesis on the same line
+        const close = text.indexOf(')', index);
+        const newline = text.indexOf('\n', index);
+        const end = close === -1 || (newline !== -1 && newline < close) ? index : close + 1;
+        return url ? { url, end } : null;
+    }
+
+    /**
+     * Drop punctuation that ends the sentence rather than the URL
+     * @param {string} url - Bare URL candidate
+     * @returns {string} URL without trailing punctuation or unbalanced closers
+     */
+    static trimTrailing(url) {
+        let result = url;
+
+        for (;;) {
+            const last = result[result.length - 1];
+            const entity = /&[a-z0-9]+;$/i.exec(result);
+
+            if (URLExtractor.TRAILING_PUNCTUATION.includes(last)) {
+                result = result.slice(0, -1);
+            } else if (entity) {
+                result = result.slice(0, entity.index);
+            } else if (URLExtractor.CLOSING_BRACKETS[last]) {
+                const opener = URLExtractor.CLOSING_BRACKETS[last];
+                const opened = result.split(opener).length - 1;
+                const closed = result.split(last).length - 1;
+                if (closed <= opened) break;
+                result = result.slice(0, -1);
+            } else {
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Decode the HTML character references found in URLs
+     * @param {string} value - Attribute value
+     * @returns {string} Decoded value
+     */
+    static decodeEntities(value) {
+        return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' || name[1] === 'X'
+                    ? parseInt(name.slice(2), 16)
+                    : parseInt(name.slice(1), 10);
+                return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+            }
+            return URLExtractor.NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+        });
+    }
+
+    /**
+     * Check that a URL has something after "scheme://"
+     * @private
+     */
+    static hasHost(url) {
+        return /^[a-z]+:\/\/[^/?#\s]/i.test(url);
+    }
+
+    /**
+     * Replace match offsets with 1-based line numbers
+     * @param {string} text - Input text
+     * @param {Object[]} matches - Matches sorted by start
+     * @returns {Object[]} {url, line, source} per match
+     * @private
+     */
+    static addLineNumbers(text, matches) {
+        let line = 1;
+        let position = 0;
+
+        return matches.map(match => {
+            let newline = text.indexOf('\n', position);
+            while (newline !== -1 && newline < match.start) {
+                line++;
+                position = newline + 1;
+                newline = text.indexOf('\n', position);
+            }
+            return { url: match.url, line, source: match.source };
+        });
+    }
+}
+
+/**
+ * Bare URL: scheme, "://" and everything up to whitespace, quotes or angle brackets
+ */
+URLExtractor.BARE_URL = /\b(?:https?|ftp):\/\/[^\s<>"`]+/gi;
+
+/**
+ * Schemes accepted from attributes and links
+ */
+URLExtractor.ABSOLUTE_URL = /^(?:https?|ftp):\/\//i;
+
+/**
+ * href/src attribute with a double-quoted, single-quoted or unquoted value
+ */
+URLExtractor.HTML_ATTRIBUTE = /(?:^|\s)(href|src)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>`=]+))/gi;
+
+/**
+ * End of a Markdown link or image text, where the destination starts
+ */
+URLExtractor.MARKDOWN_LINK_START = /\]\(/g;
+
+/**
+ * Markdown reference definition: [label]: url "optional title"
+ */
+URLExtractor.MARKDOWN_REFERENCE = /^ {0,3}\[[^\]\n]+\]:[ \t]*(?:<([^>\n]+)>|(\S+))/gm;
+
+/**
+ * Markdown autolink: <https://example.com>
+ */
+URLExtractor.AUTOLINK = /<((?:https?|ftp):\/\/[^\s<>]+)>/gi;
+
+/**
+ * Characters dropped from the end of a bare URL
+ */
+URLExtractor.TRAILING_PUNCTUATION = ['.', ',', ':', ';', '!', '?', '\'', '*', '_', '~'];
+
+/**
+ * Closing brackets dropped from the end of a bare URL unless the URL opened them
+ */
+URLExtractor.CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Named character references decoded in URLs
+ */
+URLExtractor.NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = URLExtractor;
+}
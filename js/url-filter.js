@@ -0,0 +1,172 @@
+/**
+ * URLFilter - Pattern matching for the Filter operations
+ * Supports plain substring (case-insensitive or case-sensitive), glob and
+ * JavaScript regular expression modes. Patterns are compiled once into a
+ * matcher function; invalid patterns are reported instead of thrown later.
+ * Filters can target the whole URL or a single component of a parsed URL.
+ */
+class URLFilter {
+    /**
+     * Compile a filter pattern into a matcher function
+     * @param {string} pattern - Filter pattern
+     * @param {Object} options - Matching options
+     * @param {string} options.mode - 'substring' (default), 'case-sensitive', 'glob' or 'regex'
+     * @param {string} options.flags - Regular expression flags (regex mode only)
+     * @returns {Function} Function taking a string and returning true if it matches
+     * @throws {Error} If the pattern or flags are invalid
+     */
+    static createMatcher(pattern, options = {}) {
+        const mode = options.mode || 'substring';
+
+        switch (mode) {
+            case 'substring': {
+                const needle = pattern.toLowerCase();
+                return (text) => text.toLowerCase().includes(needle);
+            }
+            case 'case-sensitive':
+                return (text) => text.includes(pattern);
+            case 'glob': {
+                const regex = this.globToRegExp(pattern);
+                return (text) => regex.test(text);
+            }
+            case 'regex': {
+                const regex = this.createRegExp(pattern, options.flags || '');
+                return (text) => regex.test(text);
+            }
+            default:
+                throw new Error(`Unknown filter mode: ${mode}`);
+        }
+    }
+
+    /**
+     * Check a pattern without throwing
+     * @param {string} pattern - Filter pattern
+     * @param {Object} options - Matching options (see createMatcher)
+     * @returns {Object} Object with isValid and, if invalid, error message
+     */
+    static validatePattern(pattern, options = {}) {
+        try {
+            this.createMatcher(pattern, options);
+            return { isValid: true, error: null };
+        } catch (error) {
+            return { isValid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the values of a URL component to match a filter against
+     * Multi-valued targets (query keys and values) return one entry per
+     * parameter; a URL matches when any of its values matches.
+     * @param {Object} parsed - Valid result of URLParser.parse()
+     * @param {string} target - One of URLFilter.TARGETS
+     * @returns {string[]} Component values (empty if the URL has none)
+     */
+    static getTargetValues(parsed, target) {
+        switch (target) {
+            case 'url':
+                return [parsed.original.trim()];
+            case 'hostname':
+                // Match both forms so "bücher" and "xn--bcher-kva" find the same host
+                return parsed.hostnameUnicode && parsed.hostnameUnicode !== parsed.hostname
+                    ? [parsed.hostname, parsed.hostnameUnicode]
+                    : [parsed.hostname];
+            case 'registrableDomain':
+                return [parsed.registrableDomain || ''];
+            case 'subdomain':
+                return parsed.subdomain ? [parsed.subdomain] : [];
+            case 'tld':
+                return parsed.tld ? [parsed.tld] : [];
+            case 'path':
+                return [parsed.path || '/'];
+            case 'filename':
+                return [this.getFilename(parsed.path)];
+            case 'extension': {
+                const filename = this.getFilename(parsed.path);
+                const lastDotIndex = filename.lastIndexOf('.');
+                return lastDotIndex > 0 ? [filename.substring(lastDotIndex + 1)] : [];
+            }
+            case 'queryKey':
+                return (parsed.parameterList || []).map(parameter => parameter.key);
+            case 'queryValue':
+                return (parsed.parameterList || []).map(parameter => parameter.value);
+            case 'fragment':
+                return parsed.fragment ? [parsed.fragment] : [];
+            case 'scheme':
+                return [parsed.protocol];
+            case 'port':
+                return parsed.port ? [parsed.port] : [];
+            default:
+                throw new Error(`Unknown filter target: ${target}`);
+        }
+    }
+
+    /**
+     * Last path segment, empty when the path ends with "/"
+     * @private
+     */
+    static getFilename(path) {
+        const segments = (path || '/').split('/');
+        return segments[segments.length - 1];
+    }
+
+    /**
+     * Compile a regular expression with a clear error for bad patterns or flags
+     * The g and y flags are rejected because they make test() stateful.
+     * @private
+     * @param {string} pattern - Regular expression source
+     * @param {string} flags - Flags from i, m, s, u
+     * @returns {RegExp} Compiled regular expression
+     */
+    static createRegExp(pattern, flags) {
+        if (!/^[imsu]*$/.test(flags) || new Set(flags).size !== flags.length) {
+            throw new Error(`Invalid regular expression flags "${flags}": use any of i, m, s, u once`);
+        }
+
+        try {
+            return new RegExp(pattern, flags);
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message.replace(/^Invalid regular expression: /, '')}`);
+        }
+    }
+
+    /**
+     * Convert a glob to an anchored, case-insensitive regular expression
+     * "*" matches any run of characters (including "/" and "."), "?" matches one
+     * character. The pattern must match the whole string, so
+     * "*.example.com/en/products/*" needs the leading "*" to cover the scheme.
+     * @param {string} glob - Glob pattern
+     * @param {Object} options - Conversion options
+     * @param {boolean} options.caseSensitive - Match case exactly (default false)
+     * @returns {RegExp} Regular expression
+     */
+    static globToRegExp(glob, options = {}) {
+        const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                           .replace(/\*/g, '.*')
+                           .replace(/\?/g, '.');
+        return new RegExp('^' + source + '$', options.caseSensitive ? '' : 'i');
+    }
+}
+
+/**
+ * Filter modes offered in the filter panel
+ */
+URLFilter.MODES = ['substring', 'case-sensitive', 'glob', 'regex'];
+
+/**
+ * URL components a filter can target; 'url' matches the whole URL string
+ */
+URLFilter.TARGETS = [
+    'url', 'hostname', 'registrableDomain', 'subdomain', 'tld', 'path', 'filename',
+    'extension', 'queryKey', 'queryValue', 'fragment', 'scheme', 'port'
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = URLFilter;
+} else if (typeof self !== 'undefined') {
+    // Make available in web worker environment
+    self.URLFilter = URLFilter;
+} else if (typeof window !== 'undefined') {
+    // Make available in browser environment
+    window.URLFilter = URLFilter;
+}
@@ -13,6 +13,22 @@ class URLManager {
         this.workerManager = null;
         this.accessibilityManager = null;
         this.clipboardUtilityManager = null;
+        this.recipeManager = null;
+        this.historyManager = null;
+        this.diffView = null;
+        this.removedItemsPane = null;
+        this.inputGutter = null;
+        this.csvPanel = null;
+        this.sitemapPanel = null;
+        this.bookmarksPanel = null;
+        this.harPanel = null;
+        this.fileDropPanel = null;
+        this.downloadMenu = null;
+        this.redirectPanel = null;
+        this.blocklistPanel = null;
+        this.listComparePanel = null;
+        this.loadedFile = null;
+        this.lastRun = null;
         
         // Application state
         this.isProcessing = false;
@@ -69,6 +85,9 @@ class URLManager {
                 this.statisticsManager
             );
             
+            // Initialize saved recipes
+            this.recipeManager = new RecipeManager(this.controlPanel, this.statisticsManager);
+            
             // Initialize URL processor
             this.urlProcessor = new URLProcessor();
             
@@ -88,6 +107,60 @@ class URLManager {
                 this.domOptimizer.resetMetrics();
             });
             
+            // Initialize undo/redo history (registers its own eviction callback)
+            this.historyManager = new HistoryManager(this.textAreaManager, this.memoryManager);
+            this.clipboardUtilityManager.setHistoryManager(this.historyManager);
+            
+            // Initialize input/output diff of the last run
+            this.diffView = new DiffView();
+            
+            // Initialize the list of dropped lines and why they were dropped
+            this.removedItemsPane = new RemovedItemsPane(this.statisticsManager);
+            
+            // Initialize line numbers and invalid line markers for the input
+            this.inputGutter = new InputGutter(this.textAreaManager, this.inputValidator);
+            this.inputGutter.setHistoryManager(this.historyManager);
+            
+            // Initialize the redirect targets and rule export
+            this.redirectPanel = new RedirectPanel(this.statisticsManager);
+            
+            // Initialize blocklist export
+            this.blocklistPanel = new BlocklistPanel(this.statisticsManager);
+            
+            // Initialize the second list of the Compare Lists operations
+            this.listComparePanel = new ListComparePanel();
+            
+            // Initialize the options of the CSV/TSV input mode
+            this.csvPanel = new CSVPanel(this.textAreaManager, this.statisticsManager);
+            this.csvPanel.onColumnsChange(labels => this.redirectPanel.setColumns(labels));
+            this.applyInputMode(this.controlPanel.getInputMode());
+            
+            // Initialize sitemap import and export
+            this.sitemapPanel = new SitemapPanel(this.textAreaManager, this.statisticsManager);
+            this.sitemapPanel.onImport(() => this.controlPanel.setInputMode('sitemap'));
+            
+            // Initialize bookmark file import and export
+            this.bookmarksPanel = new BookmarksPanel(this.textAreaManager, this.statisticsManager);
+            this.bookmarksPanel.onImport(() => this.controlPanel.setInputMode('bookmarks'));
+            
+            // Initialize HAR file import
+            this.harPanel = new HARPanel(this.textAreaManager, this.statisticsManager);
+            this.harPanel.onImport(() => this.controlPanel.setInputMode('har'));
+            
+            // Initialize drag-and-drop and streamed loading of large files
+            this.fileDropPanel = new FileDropPanel(document.querySelector('.input-section'), this.statisticsManager);
+            this.fileDropPanel.setTarget({
+                start: () => this.startLoadedFile(),
+                append: (lines, lineNumbers) => this.appendLoadedFile(lines, lineNumbers),
+                clear: () => this.clearLoadedFile()
+            });
+            // Editing the input means working on the text again
+            this.textAreaManager.onInputChange(() => this.fileDropPanel.unload());
+            
+            // Initialize downloading every result in a chosen format
+            this.downloadMenu = new DownloadMenu(this.statisticsManager);
+            this.downloadMenu.setSource(() => this.getOutputEntries());
+            
             // Check for web worker support
             this.isWorkerSupported = typeof Worker !== 'undefined';
             this.useWorker = this.isWorkerSupported;
@@ -171,6 +244,10 @@ class URLManager {
             this.processURLs(options);
         });
         
+        this.controlPanel.onInputModeChange((mode) => {
+            this.applyInputMode(mode);
+        });
+        
         // Ensure button state is updated when operation changes
         // This fixes the issue where the button doesn't become enabled after selecting an operation
         const operationSelect = document.getElementById('operation-select');
@@ -230,7 +307,55 @@ class URLManager {
      * Bind utility button events
      */
     bindUtilityButtons() {
-        // Clipboard utility manager handles all button events and visual feedback
+        // Move output to input, to chain the next operation
+        const moveOutputButton = document.getElementById('move-output-btn');
+        if (moveOutputButton) {
+            moveOutputButton.addEventListener('click', () => {
+                this.moveOutputToInput();
+            });
+        }
+        
+        // Download the CSV/TSV results
+        const downloadCSVButton = document.getElementById('download-csv-btn');
+        if (downloadCSVButton) {
+            downloadCSVButton.addEventListener('click', () => {
+                this.csvPanel?.downloadTable(this.getFullOutput());
+            });
+        }
+        
+        // Download the results as a sitemap
+        const downloadSitemapButton = document.getElementById('download-sitemap-btn');
+        if (downloadSitemapButton) {
+            downloadSitemapButton.addEventListener('click', () => {
+                this.sitemapPanel?.downloadSitemap(this.getOutputEntries());
+            });
+        }
+        
+        // Download the results as redirect rules
+        const downloadRedirectsButton = document.getElementById('download-redirects-btn');
+        if (downloadRedirectsButton) {
+            downloadRedirectsButton.addEventListener('click', () => {
+                this.redirectPanel?.downloadRedirects(this.getOutputEntries());
+            });
+        }
+        
+        // Download the results as a blocklist
+        const downloadBlocklistButton = document.getElementById('download-blocklist-btn');
+        if (downloadBlocklistButton) {
+            downloadBlocklistButton.addEventListener('click', () => {
+                this.blocklistPanel?.downloadBlocklist(this.getOutputEntries().map(entry => entry.url));
+            });
+        }
+        
+        // Download the results as a bookmark file
+        const downloadBookmarksButton = document.getElementById('download-bookmarks-btn');
+        if (downloadBookmarksButton) {
+            downloadBookmarksButton.addEventListener('click', () => {
+                this.bookmarksPanel?.downloadBookmarks(this.getOutputEntries());
+            });
+        }
+        
+        // Clipboard utility manager handles all other button events and visual feedback
         // No additional binding needed as it's initialized in initializeComponents()
         
         // The ClipboardUtilityManager automatically handles:
@@ -278,6 +403,15 @@ class URLManager {
         // Accessibility manager handles keyboard shortcuts automatically
         // Set up custom announcements for processing events
         if (this.accessibilityManager) {
+            // Alt+1 ... Alt+9 apply saved recipes
+            this.recipeManager?.registerShortcuts(this.accessibilityManager);
+            
+            // Ctrl+Z / Ctrl+Shift+Z undo and redo input/output changes
+            this.historyManager?.registerShortcuts(this.accessibilityManager);
+            
+            // F8 jumps to the next invalid input line
+            this.inputGutter?.registerShortcuts(this.accessibilityManager);
+            
             // Announce when processing starts
             this.accessibilityManager.announce('URL Manager ready. Use Tab to navigate, F6 to jump between sections.');
         }
@@ -313,12 +447,43 @@ class URLManager {
         }
         
         try {
-            // Comprehensive input validation
-            const inputText = this.textAreaManager.getInputText(options.processAll);
+            // A loaded file is processed where its lines are kept, without the input text area
+            if (this.fileDropPanel?.hasFile()) {
+                await this.processLoadedFile(options);
+                return;
+            }
+            
+            // Comprehensive input validation; a HAR file is one JSON document, so it is always read whole
+            const inputText = this.textAreaManager.getInputText(options.processAll || options.inputMode === 'har');
+            
+            // In extract, CSV, sitemap, bookmarks and HAR mode the URLs are validated on their own,
+            // each with its source line or HAR entry number
+            const table = options.inputMode === 'csv' ? this.csvPanel.readTable(inputText) : null;
+            const sitemap = options.inputMode === 'sitemap' ? SitemapXML.parse(inputText) : null;
+            const bookmarks = options.inputMode === 'bookmarks' ? BookmarksHTML.parse(inputText) : null;
+            let har = null;
+            if (options.inputMode === 'har') {
+                try {
+                    har = await this.readHAR(inputText);
+                } catch (error) {
+                    this.statisticsManager.showError(error.message);
+                    return;
+                }
+            }
+            const entries = options.inputMode === 'extract' ? URLExtractor.extract(inputText) : har || bookmarks || (table || sitemap)?.entries;
+            if (entries && entries.length === 0) {
+                this.statisticsManager.showError(this.describeNoEntries(options.inputMode));
+                return;
+            }
+            
             const formData = {
-                urls: inputText,
+                urls: entries ? entries.map(entry => entry.url).join('\n') : inputText,
                 operation: options.operation,
                 filterString: options.filterString,
+                filterMode: options.filterMode,
+                filterFlags: options.filterFlags,
+                filterExpression: options.filterExpression,
+                pipeline: options.pipeline,
                 processAll: options.processAll
             };
             
@@ -337,6 +502,9 @@ class URLManager {
             
             // Get validated URLs
             const urls = validationResult.fieldResults.urls.sanitized;
+            const inputLines = entries
+                ? this.locateEntries(entries, validationResult.fieldResults.urls, this.describeEmptyEntry(options.inputMode))
+                : this.locateInputLines(inputText, validationResult.fieldResults.urls);
             
             if (urls.length === 0) {
                 this.statisticsManager.showError('No valid URLs found in input');
@@ -351,14 +519,27 @@ class URLManager {
                 this.statisticsManager.hidePreviewIndicator();
             }
             
+            // Keep unrecorded typing undoable before the output is replaced
+            this.historyManager?.checkpoint();
+            
             // Start processing
             this.startProcessing(options);
             
             // Route to appropriate processing method
-            const processingOptions = this.mapOperationOptions(options);
+            const processingOptions = {
+                ...this.mapOperationOptions(options),
+                hostDisplay: options.hostDisplay,
+                lineNumbers: inputLines.lineNumbers,
+                // Sitemap <lastmod>, <changefreq> and <priority>, bookmark folders, titles and
+                // add dates, HAR request details and redirect targets travel with their URLs
+                metadata: this.addRedirectTargets(sitemap || bookmarks || har ? inputLines.metadata : null, inputLines.lineNumbers, table)
+            };
+            processingOptions.listB = this.getListB(processingOptions);
             let results;
             
-            if (this.useWorker && this.workerManager && urls.length > 1000) {
+            // Pipelines, dedupes, sorts and list comparisons run in one pass, in the worker whenever there is one
+            const preferWorker = urls.length > 1000 || URLProcessor.WHOLE_LIST_OPERATIONS.includes(processingOptions.operation);
+            if (this.useWorker && this.workerManager && preferWorker) {
                 // Use web worker for large datasets
                 results = await this.processWithWorker(urls, processingOptions);
             } else {
@@ -366,8 +547,19 @@ class URLManager {
                 results = await this.processWithMainThread(urls, processingOptions);
             }
             
-            // Handle results
-            this.handleProcessingResults(results);
+            // Handle results; CSV results are shown as rows with their other columns
+            const rows = table && results.success && inputLines.lineNumbers
+                ? CSVPanel.formatResults(table, results.results, results.resultLines)
+                : null;
+            if (table && results.success && !rows) {
+                this.statisticsManager.showWarning('Could not match the results to their rows; showing URLs only');
+            }
+            this.handleProcessingResults(rows ? { ...results, results: rows } : results);
+            if (results.success) {
+                this.setLastRun(results.results, results.resultMetadata);
+            }
+            this.diffView?.setRun(urls, results.results, results.resultLines, inputLines.lineNumbers);
+            this.removedItemsPane?.setItems(inputLines.removedItems.concat(results.removedItems || []));
             
         } catch (error) {
             this.handleProcessingError(error, options);
@@ -376,18 +568,282 @@ class URLManager {
         }
     }
     
+    /**
+     * Process the lines of the loaded file
+     * Lines are not validated up front; the processor drops invalid ones as it goes.
+     * @param {Object} options - Processing options from control panel
+     * @private
+     */
+    async processLoadedFile(options) {
+        const validationResult = this.inputValidator.validateForm({
+            urls: null,
+            operation: options.operation,
+            filterString: options.filterString,
+            filterMode: options.filterMode,
+            filterFlags: options.filterFlags,
+            filterExpression: options.filterExpression,
+            pipeline: options.pipeline
+        });
+        if (!validationResult.isValid) {
+            this.handleValidationErrors(validationResult);
+            return;
+        }
+        
+        if (this.loadedFile.inWorker && !this.workerManager?.isWorkerReady()) {
+            this.fileDropPanel.unload();
+            this.statisticsManager.showError('The loaded file was lost when the background worker stopped; load it again');
+            return;
+        }
+        
+        this.statisticsManager.hidePreviewIndicator();
+        this.historyManager?.checkpoint();
+        this.startProcessing(options);
+        
+        const processingOptions = {
+            ...this.mapOperationOptions(options),
+            hostDisplay: options.hostDisplay
+        };
+        processingOptions.listB = this.getListB(processingOptions);
+        const results = this.loadedFile.inWorker
+            ? await this.processWithWorker(null, processingOptions)
+            : await this.processWithMainThread(this.loadedFile.lines, { ...processingOptions, lineNumbers: this.loadedFile.lineNumbers });
+        
+        this.handleProcessingResults(results);
+        if (results.success) {
+            this.setLastRun(results.results, null);
+        }
+        // The file's lines are not kept in the page, so there is nothing to compare the output with
+        this.diffView?.clear();
+        this.removedItemsPane?.setItems(results.removedItems || []);
+    }
+    
+    /**
+     * Start keeping the lines of a file being loaded, in the worker when it is ready
+     * @private
+     */
+    startLoadedFile() {
+        this.clearLoadedFile();
+        if (this.useWorker && this.workerManager?.isWorkerReady()) {
+            this.loadedFile = { inWorker: true };
+            this.workerManager.startFile();
+        } else {
+            this.loadedFile = { inWorker: false, lines: [], lineNumbers: [] };
+        }
+    }
+    
+    /**
+     * Keep a chunk of lines of the file being loaded
+     * @param {string[]} lines - Lines of the chunk
+     * @param {number[]} lineNumbers - File line number of each line
+     * @private
+     */
+    appendLoadedFile(lines, lineNumbers) {
+        if (!this.loadedFile) return;
+        
+        if (this.loadedFile.inWorker) {
+            this.workerManager.appendFileLines(lines, lineNumbers);
+            return;
+        }
+        for (let index = 0; index < lines.length; index++) {
+            this.loadedFile.lines.push(lines[index]);
+            this.loadedFile.lineNumbers.push(lineNumbers[index]);
+        }
+    }
+    
+    /**
+     * Drop the lines of the loaded file
+     * @private
+     */
+    clearLoadedFile() {
+        if (this.loadedFile?.inWorker) {
+            this.workerManager?.clearFile();
+        }
+        this.loadedFile = null;
+    }
+    
+    /**
+     * Match validated URLs to their input lines and list the lines validation dropped
+     * Blank lines after the last URL are trailing newlines and are not listed.
+     * @param {string} text - Input text that was validated
+     * @param {Object} urlsResult - InputValidator.validateURLs() result
+     * @returns {Object} lineNumbers of the validated URLs, removedItems for empty and rejected lines
+     * @private
+     */
+    locateInputLines(text, urlsResult) {
+        const lines = text.split(/\r\n|\r|\n/);
+        // Rejected URLs are numbered among the non-empty lines
+        const rejected = new Map(urlsResult.details.map(detail => [detail.lineNumber, detail]));
+        
+        let lastLine = lines.length;
+        while (lastLine > 0 && lines[lastLine - 1].trim() === '') {
+            lastLine--;
+        }
+        
+        const lineNumbers = [];
+        const removedItems = [];
+        let urlNumber = 0;
+        
+        for (let index = 0; index < lastLine; index++) {
+            const line = index + 1;
+            const url = lines[index].trim();
+            
+            if (url === '') {
+                removedItems.push({ line, url, reason: 'empty', message: 'Empty line' });
+                continue;
+            }
+            
+            const detail = rejected.get(++urlNumber);
+            if (detail) {
+                removedItems.push({ line, url, reason: 'invalid', message: this.describeRejection(detail) });
+            } else {
+                lineNumbers.push(line);
+            }
+        }
+        
+        return {
+            // Fall back to counting from 1 if the validator's view of the lines differs
+            lineNumbers: lineNumbers.length === urlsResult.sanitized.length ? lineNumbers : null,
+            removedItems
+        };
+    }
+    
+    /**
+     * Give URLs extracted from text or read from a CSV column or sitemap the input lines they
+     * came from, and list the ones validation dropped
+     * @param {Object[]} entries - {url, line, metadata} per URL, as validated
+     * @param {Object} urlsResult - InputValidator.validateURLs() result for the entries' URLs
+     * @param {string} emptyMessage - Removed item message for entries without a URL
+     * @returns {Object} lineNumbers and metadata of the validated URLs, removedItems for empty and rejected URLs
+     * @private
+     */
+    locateEntries(entries, urlsResult, emptyMessage = 'Empty URL cell') {
+        // Rejected URLs are numbered among the non-empty entries
+        const rejected = new Map(urlsResult.details.map(detail => [detail.lineNumber, detail]));
+        const lineNumbers = [];
+        const metadata = [];
+        const removedItems = [];
+        let urlNumber = 0;
+        
+        entries.forEach(({ url, line, metadata: entryMetadata }) => {
+            if (url.trim() === '') {
+                removedItems.push({ line, url, reason: 'empty', message: emptyMessage });
+                return;
+            }
+            
+            const detail = rejected.get(++urlNumber);
+            if (detail) {
+                removedItems.push({ line, url, reason: 'invalid', message: this.describeRejection(detail) });
+            } else {
+                lineNumbers.push(line);
+                metadata.push(entryMetadata || null);
+            }
+        });
+        
+        const isMatched = lineNumbers.length === urlsResult.sanitized.length;
+        return {
+            lineNumbers: isMatched ? lineNumbers : null,
+            metadata: isMatched ? metadata : null,
+            removedItems
+        };
+    }
+    
+    /**
+     * Read the requests of a HAR file, in the web worker when there is one
+     * @param {string} text - HAR JSON
+     * @returns {Promise<Object[]>} Request entries, see HARReader.parse()
+     * @throws {Error} If the text is not a HAR file
+     * @private
+     */
+    async readHAR(text) {
+        if (!this.useWorker || !this.workerManager?.isWorkerReady()) {
+            return HARReader.parse(text);
+        }
+        
+        this.controlPanel.showLoading('Reading HAR file...');
+        try {
+            return await this.workerManager.parseHAR(text);
+        } finally {
+            this.controlPanel.hideLoading();
+        }
+    }
+    
+    /**
+     * Error message for input without any URL entries
+     * @param {string} inputMode - 'extract', 'csv', 'sitemap', 'bookmarks' or 'har'
+     * @returns {string} Message
+     * @private
+     */
+    describeNoEntries(inputMode) {
+        switch (inputMode) {
+            case 'csv':
+                return 'No rows found in input';
+            case 'sitemap':
+                return 'No <url> or <sitemap> entries found in input';
+            case 'bookmarks':
+                return 'No bookmarks found in input';
+            case 'har':
+                return 'No requests found in HAR file';
+            default:
+                return 'No URLs found in input';
+        }
+    }
+    
+    /**
+     * Removed item message for an entry without a URL
+     * @param {string} inputMode - 'extract', 'csv', 'sitemap', 'bookmarks' or 'har'
+     * @returns {string} Message
+     * @private
+     */
+    describeEmptyEntry(inputMode) {
+        switch (inputMode) {
+            case 'sitemap':
+                return 'Empty <loc>';
+            case 'bookmarks':
+                return 'Bookmark without an address';
+            case 'har':
+                return 'Request without a URL';
+            default:
+                return 'Empty URL cell';
+        }
+    }
+    
+    /**
+     * Removed item message for a URL the validator rejected
+     * @param {Object} detail - Validation detail of one URL
+     * @returns {string} Message such as "Invalid URL: URL contains whitespace"
+     * @private
+     */
+    describeRejection(detail) {
+        const error = (detail.errors[0]?.message || 'Invalid URL format').replace(/^Line \d+: /, '');
+        return /^invalid url/i.test(error) ? error : `Invalid URL: ${error}`;
+    }
+    
     /**
      * Map control panel options to processing options
      * @param {Object} options - Control panel options
      * @returns {Object} Processing options
      */
     mapOperationOptions(options) {
-        const { operation, filterString } = options;
+        const { operation, filterString, filterTarget, filterMode, filterFlags } = options;
         
         switch (operation) {
             case 'removeParams':
                 return { operation: 'removeParameters' };
                 
+            case 'removeTracking':
+                return {
+                    operation: 'removeTracking',
+                    disabledRuleSets: options.trackingRules?.disabledRuleSets || [],
+                    customRules: options.trackingRules?.customRules || '',
+                    cacheResults: false
+                };
+                
+            case 'keepParamsList':
+                return { operation: 'filterParameters', type: 'keep', parameters: options.parameterList };
+                
+            case 'removeParamsList':
+                return { operation: 'filterParameters', type: 'remove', parameters: options.parameterList };
+                
             case 'deduplicateTLD':
                 return { operation: 'deduplicate', type: 'tld' };
                 
@@ -398,10 +854,31 @@ class URLManager {
                 return { operation: 'deduplicate', type: 'full' };
                 
             case 'filterRemove':
-                return { operation: 'filter', type: 'exclude', filterString };
+                return { operation: 'filter', type: 'exclude', filterString, target: filterTarget, mode: filterMode, flags: filterFlags };
                 
             case 'filterKeep':
-                return { operation: 'filter', type: 'include', filterString };
+                return { operation: 'filter', type: 'include', filterString, target: filterTarget, mode: filterMode, flags: filterFlags };
+                
+            case 'filterAdvanced':
+                // Parsed once here; the worker only compiles the syntax tree
+                return {
+                    operation: 'filterExpression',
+                    type: 'include',
+                    expression: FilterExpression.parse(options.filterExpression),
+                    source: options.filterExpression
+                };
+                
+            case 'keepIPHosts':
+                return { operation: 'filterHosts', type: 'include', hostClass: 'ip' };
+                
+            case 'removeIPHosts':
+                return { operation: 'filterHosts', type: 'exclude', hostClass: 'ip' };
+                
+            case 'keepPrivateHosts':
+                return { operation: 'filterHosts', type: 'include', hostClass: 'private' };
+                
+            case 'removePrivateHosts':
+                return { operation: 'filterHosts', type: 'exclude', hostClass: 'private' };
                 
             case 'keepTLD':
                 return { operation: 'keepTLDOnly' };
@@ -409,9 +886,18 @@ class URLManager {
             case 'trimLastPath':
                 return { operation: 'trimLastPath' };
                 
+            case 'normalize':
+                return { operation: 'normalize', steps: options.normalizeSteps };
+                
             case 'extractTLD':
                 return { operation: 'extractTLD' };
                 
+            case 'hostsToUnicode':
+                return { operation: 'convertHosts', type: 'unicode' };
+                
+            case 'hostsToPunycode':
+                return { operation: 'convertHosts', type: 'ascii' };
+                
             case 'sortByDomain':
                 return { operation: 'sortByDomain' };
                 
@@ -421,19 +907,76 @@ class URLManager {
             case 'sortByFilename':
                 return { operation: 'sortByFilename' };
                 
+            case 'sortByLastmod':
+                return { operation: 'sortByMetadata', field: 'lastmod' };
+                
+            case 'sortByPriority':
+                return { operation: 'sortByMetadata', field: 'priority' };
+                
+            case 'sortByFolder':
+                return { operation: 'sortByMetadata', field: 'folder' };
+                
+            case 'sortBySize':
+                return { operation: 'sortByMetadata', field: 'size' };
+                
+            case 'sortByTime':
+                return { operation: 'sortByMetadata', field: 'time' };
+                
+            case 'compareUnion':
+                return { operation: 'compareLists', type: 'union', key: options.compareKey };
+                
+            case 'compareIntersection':
+                return { operation: 'compareLists', type: 'intersection', key: options.compareKey };
+                
+            case 'compareAMinusB':
+                return { operation: 'compareLists', type: 'aMinusB', key: options.compareKey };
+                
+            case 'compareBMinusA':
+                return { operation: 'compareLists', type: 'bMinusA', key: options.compareKey };
+                
+            case 'compareSymmetricDifference':
+                return { operation: 'compareLists', type: 'symmetricDifference', key: options.compareKey };
+                
+            case 'pipeline':
+                return { operation: 'pipeline', pipeline: options.pipeline.map(step => this.mapOperationOptions(step)) };
+                
             default:
                 throw new Error(`Unknown operation: ${operation}`);
         }
     }
     
+    /**
+     * Get list B when the processing options compare lists
+     * The list goes to the processor (or worker) once per run, not with each step.
+     * @param {Object} processingOptions - Options from mapOperationOptions()
+     * @returns {string[]|null} Lines of list B, or null if no step needs them
+     * @private
+     */
+    getListB(processingOptions) {
+        const steps = processingOptions.operation === 'pipeline' ? processingOptions.pipeline : [processingOptions];
+        return steps.some(step => step.operation === 'compareLists')
+            ? this.listComparePanel?.getList() || []
+            : null;
+    }
+    
     /**
      * Process URLs using web worker
-     * @param {string[]} urls - URLs to process
+     * @param {string[]|null} urls - URLs to process, or null for the file loaded into the worker
      * @param {Object} options - Processing options
      * @returns {Promise} Processing results
      */
     async processWithWorker(urls, options) {
-        return await this.workerManager.processURLs(urls, options.operation, options);
+        const result = urls
+            ? await this.workerManager.processURLs(urls, options.operation, options)
+            : await this.workerManager.processFile(options.operation, options);
+        
+        // Worker statistics arrive nested; flatten them like main-thread results
+        return {
+            ...result.stats,
+            success: result.success,
+            results: result.results,
+            errors: result.errors
+        };
     }
     
     /**
@@ -451,6 +994,11 @@ class URLManager {
             this.controlPanel.updateLoadingMessage('Processing URLs...');
         }
         
+        // Dedupes, sorts and list comparisons, alone or as pipeline steps, need the whole list, so they are not chunked
+        if (URLProcessor.WHOLE_LIST_OPERATIONS.includes(options.operation)) {
+            return await this.urlProcessor.process(urls, options.operation, options);
+        }
+        
         // Process in chunks to prevent UI blocking
         const results = await this.processInChunks(urls, options);
         
@@ -483,7 +1031,9 @@ class URLManager {
                 progressCallback: (progress) => {
                     this.handleOptimizedProgress(progress, urls.length);
                 },
-                ...options
+                ...options,
+                // Every operation now reports per-URL removed items, which cache hits would lose
+                cacheResults: false
             }
         );
         
@@ -495,6 +1045,10 @@ class URLManager {
                 outputCount: optimizedResult.stats.outputCount,
                 removedCount: optimizedResult.stats.removedCount,
                 invalidCount: optimizedResult.stats.invalidCount,
+                parameterCounts: optimizedResult.stats.parameterCounts,
+                removedItems: optimizedResult.stats.removedItems,
+                resultLines: optimizedResult.stats.resultLines,
+                resultMetadata: optimizedResult.stats.resultMetadata,
                 processingTime: optimizedResult.stats.processingTime,
                 performanceMetrics: optimizedResult.performanceMetrics
             };
@@ -569,6 +1123,15 @@ class URLManager {
         
         this.controlPanel.showLoading('Starting...');
         this.controlPanel.setEnabled(false);
+        this.csvPanel?.setEnabled(false);
+        this.sitemapPanel?.setEnabled(false);
+        this.bookmarksPanel?.setEnabled(false);
+        this.harPanel?.setEnabled(false);
+        this.fileDropPanel?.setEnabled(false);
+        this.downloadMenu?.setEnabled(false);
+        this.redirectPanel?.setEnabled(false);
+        this.blocklistPanel?.setEnabled(false);
+        this.listComparePanel?.setEnabled(false);
         this.statisticsManager.showProcessingStarted(options);
         
         // Accessibility announcement
@@ -590,6 +1153,15 @@ class URLManager {
         
         this.controlPanel.hideLoading();
         this.controlPanel.setEnabled(true);
+        this.csvPanel?.setEnabled(true);
+        this.sitemapPanel?.setEnabled(true);
+        this.bookmarksPanel?.setEnabled(true);
+        this.harPanel?.setEnabled(true);
+        this.fileDropPanel?.setEnabled(true);
+        this.downloadMenu?.setEnabled(true);
+        this.redirectPanel?.setEnabled(true);
+        this.blocklistPanel?.setEnabled(true);
+        this.listComparePanel?.setEnabled(true);
         this.statisticsManager.hideProgress();
         this.updateUI();
     }
@@ -623,6 +1195,14 @@ class URLManager {
                 this.textAreaManager.setOutputLines(results.results);
             }
             
+            if (results.stepCounts && results.stepCounts.length > 0) {
+                this.controlPanel.showPipelineCounts(results.stepCounts);
+            }
+            this.listComparePanel?.showCounts(results.listCounts || null);
+            
+            // Record the full results, not the possibly truncated rendering
+            this.historyManager?.record('Process URLs', { output: results.results.join('\n') });
+            
             // Update statistics with performance information
             this.statisticsManager.showProcessingCompleted(results);
             
@@ -969,10 +1549,12 @@ class URLManager {
         // Calculate timeout based on operation complexity and data size
         const baseTimeout = 30000; // 30 seconds base
         const perUrlTimeout = 10; // 10ms per URL
-        const urls = this.textAreaManager.getInputLines(options.processAll);
+        const urlCount = this.fileDropPanel?.hasFile()
+            ? this.fileDropPanel.getFile().lineCount
+            : this.textAreaManager.getInputLines(options.processAll).length;
         
         const calculatedTimeout = Math.min(
-            baseTimeout + (urls.length * perUrlTimeout),
+            baseTimeout + (urlCount * perUrlTimeout),
             this.maxProcessingTime
         );
         
@@ -1073,6 +1655,105 @@ class URLManager {
         }
     }
     
+    /**
+     * Apply an input mode: invalid line markers only make sense when every line is a URL
+     * @param {string} mode - 'lines', 'extract', 'csv', 'sitemap', 'bookmarks' or 'har'
+     */
+    applyInputMode(mode) {
+        this.inputGutter?.setValidationEnabled(mode === 'lines');
+        this.csvPanel?.setVisible(mode === 'csv');
+        this.redirectPanel?.setInputMode(mode);
+    }
+    
+    /**
+     * Add each URL's redirect target to its metadata
+     * Targets come from the target column of the URL's CSV row, or from the
+     * line of the target list with the same number as the URL's input line.
+     * @param {Object[]|null} metadata - Metadata of each URL, if the input had any
+     * @param {number[]|null} lineNumbers - Input line of each URL
+     * @param {Object|null} table - CSVPanel.readTable() result in CSV mode
+     * @returns {Object[]|null} Metadata with targets, or the given metadata when there are no targets
+     * @private
+     */
+    addRedirectTargets(metadata, lineNumbers, table) {
+        const column = table ? this.redirectPanel?.getTargetColumn() ?? null : null;
+        const list = this.redirectPanel?.getTargetList();
+        if (!lineNumbers || (column === null && !list)) {
+            return metadata;
+        }
+        
+        const cells = column !== null
+            ? new Map(table.lines.map((line, index) => [line, table.records[index][column]]))
+            : null;
+        return lineNumbers.map((line, index) => {
+            const target = ((cells ? cells.get(line) : list[line - 1]) || '').trim();
+            const existing = metadata ? metadata[index] : null;
+            return target ? { ...existing, target } : existing;
+        });
+    }
+    
+    /**
+     * Get the full output text
+     * The output text area may only show the first results of a large run.
+     * @returns {string} Output text
+     */
+    getFullOutput() {
+        return this.historyManager
+            ? this.historyManager.getCurrentOutput()
+            : this.textAreaManager.getOutputText();
+    }
+    
+    /**
+     * Remember the URLs of the last run with their metadata, for downloads and sitemap and bookmark exports
+     * @param {string[]} urls - Processed URLs
+     * @param {Object[]|null} metadata - Metadata of each URL, if the input had any
+     * @private
+     */
+    setLastRun(urls, metadata) {
+        this.lastRun = {
+            entries: urls.map((url, index) => ({ url, metadata: metadata ? metadata[index] : null })),
+            output: this.getFullOutput()
+        };
+    }
+    
+    /**
+     * Get the output URLs with their metadata
+     * Metadata is known while the output is still the last run's; after edits,
+     * undo or chaining, each output line is a URL without metadata.
+     * @returns {Object[]} {url, metadata} per URL
+     */
+    getOutputEntries() {
+        const output = this.getFullOutput();
+        if (this.lastRun && this.lastRun.output === output) {
+            return this.lastRun.entries;
+        }
+        return output.split('\n')
+            .map(line => line.trim())
+            .filter(url => url !== '')
+            .map(url => ({ url, metadata: null }));
+    }
+    
+    /**
+     * Replace the input with the full results of the last run and clear the output
+     */
+    async moveOutputToInput() {
+        const output = this.getFullOutput();
+        
+        this.historyManager?.checkpoint();
+        const moved = await this.textAreaManager.moveOutputToInput(output);
+        if (!moved) {
+            this.clipboardUtilityManager.showFeedback('Output is empty', 'info');
+            return;
+        }
+        
+        this.historyManager?.record('Move output to input', { input: output, output: '' });
+        this.diffView?.clear();
+        this.removedItemsPane?.clear();
+        this.updateUI();
+        this.clipboardUtilityManager.showFeedback('Output moved to input', 'success');
+        this.textAreaManager.focusInput();
+    }
+    
     /**
      * Reset application to initial state
      */
@@ -1087,7 +1768,11 @@ class URLManager {
             }
         }
         
+        this.historyManager?.checkpoint();
         this.textAreaManager.clearAll();
+        this.historyManager?.record('Reset', { input: '', output: '' });
+        this.diffView?.clear();
+        this.removedItemsPane?.clear();
         this.controlPanel.reset();
         this.statisticsManager.resetStatistics();
         this.statisticsManager.hideError();
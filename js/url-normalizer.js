@@ -0,0 +1,218 @@
+/**
+ * URLNormalizer - RFC 3986 syntax-based normalization
+ * Works on the raw URL string so every step can be switched on or off
+ * independently; the URL API always applies all of them at once.
+ */
+class URLNormalizer {
+    /**
+     * Normalize a URL string
+     * Steps follow RFC 3986 section 6.2: case and percent-encoding normalization,
+     * then dot-segment removal, then scheme-based default port removal.
+     * @param {string} url - The URL string (with or without protocol)
+     * @param {Object} steps - Steps to apply, all enabled by default
+     * @param {boolean} steps.lowercaseSchemeHost - Lowercase scheme and host
+     * @param {boolean} steps.removeDefaultPort - Drop :80 for http and :443 for https
+     * @param {boolean} steps.resolveDotSegments - Resolve . and .. path segments
+     * @param {boolean} steps.uppercasePercentEncoding - Uppercase percent-encoding hex digits
+     * @param {boolean} steps.decodeUnreserved - Decode percent-encoded unreserved characters
+     * @returns {string|null} Normalized URL or null if it cannot be split into components
+     */
+    static normalize(url, steps = {}) {
+        if (!url || typeof url !== 'string' || url.trim() === '') {
+            return null;
+        }
+
+        const options = { ...this.DEFAULT_STEPS, ...steps };
+        const parts = this.split(url.trim());
+        if (!parts) {
+            return null;
+        }
+
+        if (options.lowercaseSchemeHost) {
+            parts.scheme = parts.scheme.toLowerCase();
+            parts.host = parts.host.toLowerCase();
+        }
+
+        if (options.uppercasePercentEncoding || options.decodeUnreserved) {
+            for (const component of ['userinfo', 'host', 'path', 'query', 'fragment']) {
+                parts[component] = this.normalizePercentEncoding(parts[component], options);
+            }
+        }
+
+        if (options.resolveDotSegments && parts.path) {
+            parts.path = this.removeDotSegments(parts.path);
+        }
+
+        if (options.removeDefaultPort && parts.port !== null) {
+            const defaultPort = this.DEFAULT_PORTS[parts.scheme.toLowerCase()];
+            if (parts.port === '' || parts.port === defaultPort) {
+                parts.port = null;
+            }
+        }
+
+        return this.join(parts);
+    }
+
+    /**
+     * Split a URL into its RFC 3986 components
+     * Scheme-less input such as "example.com/path" is read as authority plus path.
+     * @private
+     * @param {string} url - The URL string
+     * @returns {Object|null} Components, or null if the URL has no host
+     */
+    static split(url) {
+        const match = /^(?:([a-zA-Z][a-zA-Z0-9+.-]*):)?(?:\/\/([^\/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/.exec(url);
+        if (!match) {
+            return null;
+        }
+
+        let [, scheme = '', authority, path, query = null, fragment = null] = match;
+        let hasSlashes = authority !== undefined;
+
+        // Without "//" the leading segment is the host (the app accepts "example.com/path")
+        if (!hasSlashes) {
+            if (scheme && !/^\d+$/.test(path.split('/')[0])) {
+                return null;
+            }
+            const hostEnd = path.indexOf('/');
+            authority = (scheme ? scheme + ':' : '') + (hostEnd >= 0 ? path.slice(0, hostEnd) : path);
+            path = hostEnd >= 0 ? path.slice(hostEnd) : '';
+            scheme = '';
+        }
+
+        const at = authority.lastIndexOf('@');
+        const userinfo = at >= 0 ? authority.slice(0, at) : null;
+        const hostPort = authority.slice(at + 1);
+        const portMatch = /^(\[[^\]]*\]|[^:]*)(?::(\d*))?$/.exec(hostPort);
+        if (!portMatch || !portMatch[1]) {
+            return null;
+        }
+
+        return {
+            scheme,
+            hasSlashes,
+            userinfo,
+            host: portMatch[1],
+            port: portMatch[2] !== undefined ? portMatch[2] : null,
+            path,
+            query,
+            fragment
+        };
+    }
+
+    /**
+     * Reassemble URL components into a string
+     * @private
+     */
+    static join(parts) {
+        let url = '';
+        if (parts.scheme) {
+            url += parts.scheme + ':';
+        }
+        if (parts.hasSlashes) {
+            url += '//';
+        }
+        if (parts.userinfo !== null) {
+            url += parts.userinfo + '@';
+        }
+        url += parts.host;
+        if (parts.port !== null) {
+            url += ':' + parts.port;
+        }
+        url += parts.path;
+        if (parts.query !== null) {
+            url += '?' + parts.query;
+        }
+        if (parts.fragment !== null) {
+            url += '#' + parts.fragment;
+        }
+        return url;
+    }
+
+    /**
+     * Uppercase percent-encoding hex digits and/or decode unreserved characters
+     * Unreserved characters are ALPHA / DIGIT / "-" / "." / "_" / "~" (RFC 3986 section 2.3)
+     * @private
+     */
+    static normalizePercentEncoding(value, options) {
+        if (value === null || !value.includes('%')) {
+            return value;
+        }
+
+        return value.replace(/%([0-9a-fA-F]{2})/g, (encoded, hex) => {
+            const char = String.fromCharCode(parseInt(hex, 16));
+            if (options.decodeUnreserved && /[A-Za-z0-9\-._~]/.test(char)) {
+                return char;
+            }
+            return options.uppercasePercentEncoding ? '%' + hex.toUpperCase() : encoded;
+        });
+    }
+
+    /**
+     * Remove dot segments from a path (RFC 3986 section 5.2.4)
+     * @private
+     * @param {string} path - Path component
+     * @returns {string} Path without . and .. segments
+     */
+    static removeDotSegments(path) {
+        let input = path;
+        const output = [];
+
+        while (input.length > 0) {
+            if (input.startsWith('../')) {
+                input = input.slice(3);
+            } else if (input.startsWith('./')) {
+                input = input.slice(2);
+            } else if (input.startsWith('/./')) {
+                input = input.slice(2);
+            } else if (input === '/.') {
+                input = '/';
+            } else if (input.startsWith('/../')) {
+                input = input.slice(3);
+                output.pop();
+            } else if (input === '/..') {
+                input = '/';
+                output.pop();
+            } else if (input === '.' || input === '..') {
+                input = '';
+            } else {
+                const nextSlash = input.indexOf('/', 1);
+                const segmentEnd = nextSlash >= 0 ? nextSlash : input.length;
+                output.push(input.slice(0, segmentEnd));
+                input = input.slice(segmentEnd);
+            }
+        }
+
+        return output.join('');
+    }
+}
+
+/**
+ * Normalization steps applied when none are specified
+ */
+URLNormalizer.DEFAULT_STEPS = {
+    lowercaseSchemeHost: true,
+    removeDefaultPort: true,
+    resolveDotSegments: true,
+    uppercasePercentEncoding: true,
+    decodeUnreserved: true
+};
+
+/**
+ * Default ports removed by the removeDefaultPort step
+ */
+URLNormalizer.DEFAULT_PORTS = {
+    http: '80',
+    https: '443'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = URLNormalizer;
+} else if (typeof self !== 'undefined') {
+    // Make available in web worker environment
+    self.URLNormalizer = URLNormalizer;
+} else if (typeof window !== 'undefined') {
+    // Make available in browser environment
+    window.URLNormalizer = URLNormalizer;
+}
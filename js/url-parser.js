@@ -56,17 +56,24 @@ class URLParser {
             }
 
             const hostname = urlObj.hostname.toLowerCase();
-            const domainParts = this.extractDomainParts(hostname);
+            const hostType = this.getHostClassifier().getHostType(hostname);
+            const domainParts = this.extractDomainParts(hostname, hostType);
             
             return {
                 original: url,
                 protocol: urlObj.protocol.replace(':', ''),
                 hostname: hostname,
+                hostnameUnicode: this.getPunycode().toUnicode(hostname),
+                hostType: hostType,
                 domain: domainParts.domain,
                 subdomain: domainParts.subdomain,
                 tld: domainParts.tld,
+                publicSuffix: domainParts.publicSuffix,
+                registrableDomain: domainParts.registrableDomain,
                 path: urlObj.pathname,
                 parameters: this.parseParameters(urlObj.search),
+                parameterList: this.parseParameterList(urlObj.search),
+                query: urlObj.search.replace(/^\?/, ''),
                 fragment: urlObj.hash.replace('#', ''),
                 port: urlObj.port,
                 valid: true
@@ -119,6 +126,60 @@ class URLParser {
         return parsed && parsed.valid ? parsed.tld : null;
     }
 
+    /**
+     * Extract the public suffix (effective TLD) from a URL
+     * Example: https://www.example.co.uk -> co.uk
+     * @param {string} url - The URL string
+     * @returns {string|null} The public suffix or null if invalid
+     */
+    static getPublicSuffix(url) {
+        const parsed = this.parse(url);
+        return parsed && parsed.valid ? parsed.publicSuffix || null : null;
+    }
+
+    /**
+     * Extract the registrable domain (public suffix plus one label) from a URL
+     * Example: https://foo.bar.github.io/page -> bar.github.io
+     * @param {string} url - The URL string
+     * @returns {string|null} The registrable domain or null if invalid or none
+     */
+    static getRegistrableDomain(url) {
+        const parsed = this.parse(url);
+        return parsed && parsed.valid ? parsed.registrableDomain || null : null;
+    }
+
+    /**
+     * Get the host type of a URL
+     * @param {string} url - The URL string
+     * @returns {string|null} 'ipv4', 'ipv6', 'dns' or 'single-label', or null if invalid
+     */
+    static getHostType(url) {
+        const parsed = this.parse(url);
+        return parsed && parsed.valid ? parsed.hostType : null;
+    }
+
+    /**
+     * Check if a URL's host is an IPv4 or IPv6 address
+     * @param {string} url - The URL string
+     * @returns {boolean} True if the host is an IP literal
+     */
+    static isIPHost(url) {
+        const parsed = this.parse(url);
+        return Boolean(parsed && parsed.valid && this.getHostClassifier().isIP(parsed.hostType));
+    }
+
+    /**
+     * Check if a URL's host is loopback, private or link-local
+     * Covers 127/8, 10/8, 172.16/12, 192.168/16, 169.254/16, ::1, fc00::/7,
+     * fe80::/10, localhost and other single-label intranet names
+     * @param {string} url - The URL string
+     * @returns {boolean} True if the host is not publicly routable
+     */
+    static isPrivateHost(url) {
+        const parsed = this.parse(url);
+        return Boolean(parsed && parsed.valid && this.getHostClassifier().isPrivate(parsed.hostname, parsed.hostType));
+    }
+
     /**
      * Check if a URL has a subdomain
      * @param {string} url - The URL string
@@ -156,6 +217,123 @@ class URLParser {
         }
     }
 
+    /**
+     * Remove selected query parameters from a URL
+     * The kept parameters stay exactly as entered, in their original order,
+     * including repeated keys; the rest of the URL is not touched.
+     * @param {string} url - The URL string
+     * @param {Function} keep - Called with (key, value) for each parameter; return false to remove it
+     * @returns {string|null} URL with filtered query string or null if invalid
+     */
+    static filterQueryParameters(url, keep) {
+        if (!this.isValid(url)) {
+            return null;
+        }
+
+        const trimmed = url.trim();
+        const hashIndex = trimmed.indexOf('#');
+        const beforeHash = hashIndex >= 0 ? trimmed.slice(0, hashIndex) : trimmed;
+        const fragment = hashIndex >= 0 ? trimmed.slice(hashIndex) : '';
+        const queryIndex = beforeHash.indexOf('?');
+
+        if (queryIndex < 0) {
+            return trimmed;
+        }
+
+        const kept = beforeHash.slice(queryIndex + 1).split('&').filter(pair => {
+            if (pair === '') {
+                return false;
+            }
+            const separator = pair.indexOf('=');
+            const key = this.decodeQueryComponent(separator >= 0 ? pair.slice(0, separator) : pair);
+            const value = separator >= 0 ? this.decodeQueryComponent(pair.slice(separator + 1)) : '';
+            return keep(key, value);
+        });
+
+        return beforeHash.slice(0, queryIndex) + (kept.length > 0 ? '?' + kept.join('&') : '') + fragment;
+    }
+
+    /**
+     * Decode a query string key or value, leaving malformed escapes as entered
+     * @private
+     * @param {string} component - Raw key or value
+     * @returns {string} Decoded text
+     */
+    static decodeQueryComponent(component) {
+        try {
+            return decodeURIComponent(component.replace(/\+/g, ' '));
+        } catch (error) {
+            return component;
+        }
+    }
+
+    /**
+     * Rewrite the host of a URL in Unicode or ASCII (punycode) form
+     * Only the host is touched; the rest of the URL string is kept as entered.
+     * Example: https://xn--bcher-kva.de/path -> https://bücher.de/path
+     * @param {string} url - The URL string
+     * @param {string} form - Target form: 'unicode' or 'ascii'
+     * @returns {string|null} URL with converted host, the URL unchanged if it has nothing to convert,
+     *                        or null if invalid
+     */
+    static convertHost(url, form) {
+        // Fast path: nothing to convert, so the URL is not parsed at all
+        if ((form === 'unicode' && !/xn--/i.test(url)) || (form === 'ascii' && !/[^\x00-\x7f]/.test(url))) {
+            return url;
+        }
+
+        if (!this.isValid(url)) {
+            return null;
+        }
+
+        const range = this.findHostRange(url);
+        if (!range) {
+            return url;
+        }
+
+        const host = url.slice(range.start, range.end);
+        const punycode = this.getPunycode();
+        const converted = form === 'ascii' ? punycode.toASCII(host) : punycode.toUnicode(host);
+
+        return url.slice(0, range.start) + converted + url.slice(range.end);
+    }
+
+    /**
+     * Locate the host inside a raw URL string
+     * @private
+     * @param {string} url - The URL string (with or without protocol)
+     * @returns {Object|null} Object with start and end indexes, or null if no host
+     */
+    static findHostRange(url) {
+        const schemeMatch = /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//.exec(url);
+        const authorityStart = schemeMatch ? schemeMatch[0].length : (url.startsWith('//') ? 2 : 0);
+        const authorityEndMatch = /[\/?#]/.exec(url.slice(authorityStart));
+        const authorityEnd = authorityEndMatch ? authorityStart + authorityEndMatch.index : url.length;
+        const authority = url.slice(authorityStart, authorityEnd);
+
+        const start = authorityStart + authority.lastIndexOf('@') + 1;
+        const hostAndPort = url.slice(start, authorityEnd);
+        if (!hostAndPort) {
+            return null;
+        }
+
+        if (hostAndPort.startsWith('[')) {
+            const closing = hostAndPort.indexOf(']');
+            return { start, end: closing >= 0 ? start + closing + 1 : authorityEnd };
+        }
+
+        const colon = hostAndPort.lastIndexOf(':');
+        return { start, end: colon >= 0 ? start + colon : authorityEnd };
+    }
+
+    /**
+     * Get the punycode converter used for internationalized hostnames
+     * @returns {Punycode} Punycode class
+     */
+    static getPunycode() {
+        return typeof Punycode !== 'undefined' ? Punycode : require('./punycode.js');
+    }
+
     /**
      * Normalize URL string for consistent parsing
      * @private
@@ -170,103 +348,132 @@ class URLParser {
 
     /**
      * Extract domain parts (subdomain, domain, TLD) from hostname
+     * Uses the Public Suffix List so multi-label suffixes like co.uk, github.io
+     * or s3.amazonaws.com are kept out of the registrable domain.
+     * IP addresses and single-label hosts (localhost) have no suffix and are
+     * their own registrable domain.
      * @private
      * @param {string} hostname - The hostname to parse
-     * @returns {Object} Object with subdomain, domain, and tld
+     * @param {string} hostType - Host type from HostClassifier.getHostType()
+     * @returns {Object} Object with subdomain, domain, tld, publicSuffix and registrableDomain
      */
-    static extractDomainParts(hostname) {
+    static extractDomainParts(hostname, hostType = this.getHostClassifier().getHostType(hostname)) {
+        const empty = { subdomain: '', domain: '', tld: '', publicSuffix: '', registrableDomain: '' };
         if (!hostname) {
-            return { subdomain: '', domain: '', tld: '' };
+            return empty;
         }
 
-        const parts = hostname.split('.');
-        
-        if (parts.length < 2) {
-            return { subdomain: '', domain: hostname, tld: '' };
+        if (hostType !== 'dns') {
+            return { ...empty, domain: hostname, registrableDomain: hostname };
         }
 
-        // Handle common TLD patterns
-        const tld = parts[parts.length - 1];
-        let domain, subdomain;
-
-        if (parts.length === 2) {
-            // Simple case: domain.tld
-            domain = parts[0];
-            subdomain = '';
-        } else if (parts.length === 3) {
-            // Could be subdomain.domain.tld or domain.co.uk style
-            if (this.isCommonSecondLevelTLD(parts[parts.length - 2], tld)) {
-                // Handle cases like example.co.uk
-                domain = parts[parts.length - 3];
-                subdomain = parts.slice(0, -3).join('.');
-            } else {
-                // Standard subdomain.domain.tld
-                domain = parts[parts.length - 2];
-                subdomain = parts.slice(0, -2).join('.');
-            }
-        } else {
-            // Multiple subdomains or complex TLD
-            if (this.isCommonSecondLevelTLD(parts[parts.length - 2], tld)) {
-                domain = parts[parts.length - 3];
-                subdomain = parts.slice(0, -3).join('.');
-            } else {
-                domain = parts[parts.length - 2];
-                subdomain = parts.slice(0, -2).join('.');
-            }
-        }
+        const parts = hostname.replace(/\.$/, '').split('.');
+
+        const split = this.getPublicSuffixList().split(hostname);
 
         return {
-            subdomain: subdomain || '',
-            domain: domain || '',
-            tld: tld || ''
+            subdomain: split.subdomain,
+            domain: split.domain,
+            tld: parts[parts.length - 1],
+            publicSuffix: split.publicSuffix,
+            registrableDomain: split.registrableDomain
         };
     }
 
     /**
-     * Check if a combination represents a common second-level TLD
-     * @private
-     * @param {string} secondLevel - Second level domain part
-     * @param {string} topLevel - Top level domain part
-     * @returns {boolean} True if it's a common second-level TLD
+     * Build the RFC 3986 canonical form of a URL for exact comparisons
+     * Scheme and host are case-insensitive, the path, query and fragment are not.
+     * Example: HTTP://Example.com:80/a/../B%7e -> http://example.com/B~
+     * @param {string} url - The URL string
+     * @returns {string|null} Canonical URL or null if invalid
      */
-    static isCommonSecondLevelTLD(secondLevel, topLevel) {
-        const commonSecondLevel = {
-            'co': ['uk', 'jp', 'kr', 'za', 'nz'],
-            'com': ['au', 'br', 'mx'],
-            'net': ['au'],
-            'org': ['au', 'uk'],
-            'gov': ['uk', 'au'],
-            'edu': ['au'],
-            'ac': ['uk']
-        };
+    static getCanonicalKey(url) {
+        if (!this.isValid(url)) {
+            return null;
+        }
 
-        return commonSecondLevel[secondLevel] && 
-               commonSecondLevel[secondLevel].includes(topLevel);
+        const trimmed = url.trim();
+        const ascii = this.convertHost(trimmed, 'ascii') || trimmed;
+        return this.getURLNormalizer().normalize(ascii) || ascii.toLowerCase();
+    }
+
+    /**
+     * Get the normalizer used for canonical URL forms
+     * @returns {URLNormalizer} URLNormalizer class
+     */
+    static getURLNormalizer() {
+        return typeof URLNormalizer !== 'undefined' ? URLNormalizer : require('./url-normalizer.js');
+    }
+
+    /**
+     * Get the host classifier used for IP and localhost detection
+     * @returns {HostClassifier} HostClassifier class
+     */
+    static getHostClassifier() {
+        return typeof HostClassifier !== 'undefined' ? HostClassifier : require('./host-classifier.js');
+    }
+
+    /**
+     * Get the public suffix list used for domain extraction
+     * @returns {PublicSuffixList} Shared public suffix list instance
+     */
+    static getPublicSuffixList() {
+        const List = typeof PublicSuffixList !== 'undefined'
+            ? PublicSuffixList
+            : require('./public-suffix-list.js');
+        return List.getDefault();
     }
 
     /**
      * Parse URL parameters into an object
+     * Repeated keys (?tag=a&tag=b) are collected into an array of values.
      * @private
      * @param {string} search - The search string from URL
      * @returns {Object} Object with parameter key-value pairs
      */
     static parseParameters(search) {
         const params = {};
+
+        for (const { key, value } of this.parseParameterList(search)) {
+            if (!Object.prototype.hasOwnProperty.call(params, key)) {
+                params[key] = value;
+            } else if (Array.isArray(params[key])) {
+                params[key].push(value);
+            } else {
+                params[key] = [params[key], value];
+            }
+        }
+
+        return params;
+    }
+
+    /**
+     * Parse URL parameters into an ordered list, keeping repeated keys
+     * @private
+     * @param {string} search - The search string from URL
+     * @returns {Object[]} Array of { key, value } in query string order
+     */
+    static parseParameterList(search) {
+        const list = [];
         if (!search || search.length <= 1) {
-            return params;
+            return list;
         }
 
         // Remove leading '?' if present
         const queryString = search.startsWith('?') ? search.slice(1) : search;
         
         queryString.split('&').forEach(param => {
-            const [key, value] = param.split('=');
+            const separator = param.indexOf('=');
+            const key = this.decodeQueryComponent(separator >= 0 ? param.slice(0, separator) : param);
             if (key) {
-                params[decodeURIComponent(key)] = value ? decodeURIComponent(value) : '';
+                list.push({
+                    key: key,
+                    value: separator >= 0 ? this.decodeQueryComponent(param.slice(separator + 1)) : ''
+                });
             }
         });
 
-        return params;
+        return list;
     }
 
     /**
@@ -286,7 +493,7 @@ class URLParser {
     /**
      * Get domain for comparison in deduplication operations
      * @param {string} url - The URL string
-     * @param {string} type - Type of comparison ('tld', 'domain', 'full')
+     * @param {string} type - Type of comparison ('tld', 'registrable', 'domain', 'canonical', 'full')
      * @returns {string|null} Comparison key or null if invalid
      */
     static getComparisonKey(url, type) {
@@ -297,13 +504,18 @@ class URLParser {
 
         switch (type) {
             case 'tld':
-                return parsed.tld;
+                // IP addresses and single-label hosts have no suffix; each is its own group
+                return parsed.hostType === 'dns' ? parsed.publicSuffix || parsed.tld : parsed.hostname;
+            case 'registrable':
+                return parsed.registrableDomain || parsed.hostname;
             case 'domain':
                 return parsed.hostname;
+            case 'canonical':
+                return this.getCanonicalKey(parsed.original);
             case 'full':
-                return parsed.original.toLowerCase();
             default:
-                return parsed.original.toLowerCase();
+                // Compare hosts in ASCII form so bücher.de and xn--bcher-kva.de match
+                return (this.convertHost(parsed.original.trim(), 'ascii') || parsed.original).toLowerCase();
         }
     }
 }
@@ -146,6 +146,100 @@ runner.test('Parse Australian domain (com.au)', function() {
     this.assertEqual(result.tld, 'au');
 });
 
+// Public Suffix List tests
+runner.test('Parse private-section suffixes (github.io, s3.amazonaws.com)', function() {
+    const pages = URLParser.parse('https://foo.github.io/repo');
+    this.assertEqual(pages.domain, 'foo');
+    this.assertEqual(pages.subdomain, '');
+    this.assertEqual(pages.publicSuffix, 'github.io');
+    this.assertEqual(pages.registrableDomain, 'foo.github.io');
+
+    const bucket = URLParser.parse('https://x.s3.amazonaws.com/key');
+    this.assertEqual(bucket.registrableDomain, 'x.s3.amazonaws.com');
+    this.assertEqual(bucket.subdomain, '');
+});
+
+runner.test('Parse ICANN second-level suffixes (co.in, gov.br)', function() {
+    const india = URLParser.parse('https://www.example.co.in');
+    this.assertEqual(india.domain, 'example');
+    this.assertEqual(india.subdomain, 'www');
+    this.assertEqual(india.publicSuffix, 'co.in');
+    this.assertEqual(india.tld, 'in');
+
+    this.assertEqual(URLParser.getRegistrableDomain('bar.gov.br'), 'bar.gov.br');
+    this.assertEqual(URLParser.getPublicSuffix('bar.gov.br'), 'gov.br');
+});
+
+runner.test('Apply wildcard and exception rules', function() {
+    // *.kawasaki.jp makes every label under kawasaki.jp a public suffix
+    this.assertEqual(URLParser.getRegistrableDomain('https://a.b.other.kawasaki.jp'), 'b.other.kawasaki.jp');
+    // !city.kawasaki.jp is an exception to that wildcard
+    this.assertEqual(URLParser.getRegistrableDomain('https://www.city.kawasaki.jp'), 'city.kawasaki.jp');
+});
+
+runner.test('Hostname that is itself a public suffix has no registrable domain', function() {
+    const result = URLParser.parse('https://github.io');
+    this.assertTrue(result.valid);
+    this.assertEqual(result.domain, '');
+    this.assertEqual(result.registrableDomain, '');
+    this.assertNull(URLParser.getRegistrableDomain('https://co.uk'));
+});
+
+runner.test('Load a public suffix list from text', function() {
+    const PSL = typeof PublicSuffixList !== 'undefined' ? PublicSuffixList : require('./public-suffix-list.js');
+    const list = PSL.fromText([
+        '// ===BEGIN ICANN DOMAINS===',
+        'uk',
+        'co.uk',
+        '// ===END ICANN DOMAINS===',
+        '// ===BEGIN PRIVATE DOMAINS===',
+        'blogspot.co.uk',
+        '// ===END PRIVATE DOMAINS==='
+    ].join('\n'));
+
+    this.assertEqual(list.getRegistrableDomain('a.b.blogspot.co.uk'), 'b.blogspot.co.uk');
+    this.assertEqual(list.getRegistrableDomain('a.b.blogspot.co.uk', { includePrivate: false }), 'blogspot.co.uk');
+    this.assertEqual(list.getPublicSuffix('x.blogspot.co.uk').section, 'private');
+    this.assertEqual(list.getPublicSuffix('example.test').section, 'default');
+});
+
+runner.test('Parse repeated parameters without collapsing them', function() {
+    const result = URLParser.parse('https://example.com/?tag=a&q=x%3Dy&tag=b&flag');
+    this.assertEqual(JSON.stringify(result.parameters.tag), JSON.stringify(['a', 'b']));
+    this.assertEqual(result.parameters.q, 'x=y');
+    this.assertEqual(result.parameters.flag, '');
+    this.assertEqual(result.parameterList.map(param => param.key).join(','), 'tag,q,tag,flag');
+});
+
+runner.test('Filter query parameters keeps order, repeats and fragment', function() {
+    const url = 'https://example.com/list?tag=a&utm_source=x&tag=b&page=2#top';
+    const result = URLParser.filterQueryParameters(url, key => key !== 'utm_source');
+    this.assertEqual(result, 'https://example.com/list?tag=a&tag=b&page=2#top');
+    this.assertEqual(URLParser.filterQueryParameters('https://example.com/?a=1#x', () => false), 'https://example.com/#x');
+    this.assertEqual(URLParser.filterQueryParameters('https://example.com/path', () => false), 'https://example.com/path');
+    this.assertNull(URLParser.filterQueryParameters('://invalid', () => true));
+});
+
+runner.test('Parse internationalized hostnames', function() {
+    const unicode = URLParser.parse('https://bücher.de/katalog');
+    this.assertTrue(unicode.valid);
+    this.assertEqual(unicode.hostname, 'xn--bcher-kva.de');
+    this.assertEqual(unicode.hostnameUnicode, 'bücher.de');
+
+    const ascii = URLParser.parse('https://shop.xn--bcher-kva.de');
+    this.assertEqual(ascii.hostnameUnicode, 'shop.bücher.de');
+    this.assertEqual(ascii.registrableDomain, 'xn--bcher-kva.de');
+});
+
+runner.test('Convert hosts between Unicode and punycode', function() {
+    this.assertEqual(URLParser.convertHost('https://bücher.de:8080/Pfad?q=1', 'ascii'), 'https://xn--bcher-kva.de:8080/Pfad?q=1');
+    this.assertEqual(URLParser.convertHost('https://user@xn--bcher-kva.de/', 'unicode'), 'https://user@bücher.de/');
+    this.assertEqual(URLParser.convertHost('bücher.de/path', 'ascii'), 'xn--bcher-kva.de/path');
+    this.assertEqual(URLParser.convertHost('https://example.com/ü', 'ascii'), 'https://example.com/ü');
+    this.assertNull(URLParser.convertHost('://ü', 'ascii'));
+    this.assertEqual(URLParser.convertHost('://invalid', 'ascii'), '://invalid');
+});
+
 // Validation tests
 runner.test('Validate valid URLs', function() {
     this.assertTrue(URLParser.isValid('https://example.com'));
@@ -244,6 +338,45 @@ runner.test('Handle IP addresses', function() {
     this.assertEqual(result.port, '8080');
 });
 
+runner.test('Detect host types', function() {
+    this.assertEqual(URLParser.parse('http://192.168.1.10/admin').hostType, 'ipv4');
+    this.assertEqual(URLParser.parse('http://[::1]:8080/').hostType, 'ipv6');
+    this.assertEqual(URLParser.parse('http://localhost:3000').hostType, 'single-label');
+    this.assertEqual(URLParser.parse('https://www.example.com').hostType, 'dns');
+});
+
+runner.test('IP and single-label hosts are not split on dots', function() {
+    const ipv4 = URLParser.parse('http://192.168.1.10/admin');
+    this.assertEqual(ipv4.domain, '192.168.1.10');
+    this.assertEqual(ipv4.subdomain, '');
+    this.assertEqual(ipv4.tld, '');
+    this.assertEqual(ipv4.registrableDomain, '192.168.1.10');
+
+    const ipv6 = URLParser.parse('http://[::1]:8080/');
+    this.assertEqual(ipv6.hostname, '[::1]');
+    this.assertEqual(ipv6.registrableDomain, '[::1]');
+
+    this.assertEqual(URLParser.getRegistrableDomain('http://localhost:3000'), 'localhost');
+    this.assertEqual(URLParser.getComparisonKey('http://10.0.0.1/a', 'tld'), '10.0.0.1');
+    this.assertFalse(URLParser.hasSubdomain('http://192.168.1.10'));
+});
+
+runner.test('Detect IP, private and loopback hosts', function() {
+    this.assertTrue(URLParser.isIPHost('http://8.8.8.8'));
+    this.assertTrue(URLParser.isIPHost('http://[2001:db8::1]/'));
+    this.assertFalse(URLParser.isIPHost('http://localhost'));
+
+    this.assertTrue(URLParser.isPrivateHost('http://127.0.0.1:8000'));
+    this.assertTrue(URLParser.isPrivateHost('http://172.20.1.1'));
+    this.assertTrue(URLParser.isPrivateHost('http://[fd12:3456::1]/'));
+    this.assertTrue(URLParser.isPrivateHost('http://[::ffff:192.168.0.1]/'));
+    this.assertTrue(URLParser.isPrivateHost('http://localhost:3000'));
+    this.assertTrue(URLParser.isPrivateHost('http://intranet/wiki'));
+    this.assertFalse(URLParser.isPrivateHost('http://172.32.0.1'));
+    this.assertFalse(URLParser.isPrivateHost('http://[2001:db8::1]/'));
+    this.assertFalse(URLParser.isPrivateHost('https://example.com'));
+});
+
 runner.test('Handle localhost', function() {
     const result = URLParser.parse('http://localhost:3000');
     this.assertTrue(result.valid);
@@ -256,10 +389,42 @@ runner.test('Get comparison keys for deduplication', function() {
     const url = 'https://www.example.com/path';
     
     this.assertEqual(URLParser.getComparisonKey(url, 'tld'), 'com');
+    this.assertEqual(URLParser.getComparisonKey(url, 'registrable'), 'example.com');
     this.assertEqual(URLParser.getComparisonKey(url, 'domain'), 'www.example.com');
     this.assertEqual(URLParser.getComparisonKey(url, 'full'), url.toLowerCase());
 });
 
+runner.test('Canonical comparison key follows RFC 3986 normalization', function() {
+    const key = URLParser.getComparisonKey('HTTP://Example.COM:80/a/./b/../Docs/%7euser', 'canonical');
+    this.assertEqual(key, 'http://example.com/a/Docs/~user');
+    this.assertEqual(URLParser.getComparisonKey('https://example.com:443/x%2f', 'canonical'), 'https://example.com/x%2F');
+    this.assertEqual(URLParser.getComparisonKey('https://bücher.de/Page', 'canonical'), 'https://xn--bcher-kva.de/Page');
+    this.assertNull(URLParser.getComparisonKey('://invalid', 'canonical'));
+});
+
+runner.test('Normalize URLs step by step', function() {
+    const Normalizer = typeof URLNormalizer !== 'undefined' ? URLNormalizer : require('./url-normalizer.js');
+    const url = 'HTTP://User@Example.COM:80/a/./b/../c/%7e%2f?q=%3d#F%2a';
+
+    this.assertEqual(Normalizer.normalize(url), 'http://User@example.com/a/c/~%2F?q=%3D#F%2A');
+    this.assertEqual(Normalizer.normalize(url, { lowercaseSchemeHost: false }), 'HTTP://User@Example.COM/a/c/~%2F?q=%3D#F%2A');
+    this.assertEqual(Normalizer.normalize(url, { removeDefaultPort: false }), 'http://User@example.com:80/a/c/~%2F?q=%3D#F%2A');
+    this.assertEqual(Normalizer.normalize(url, { resolveDotSegments: false }), 'http://User@example.com/a/./b/../c/~%2F?q=%3D#F%2A');
+    this.assertEqual(Normalizer.normalize(url, { uppercasePercentEncoding: false }), 'http://User@example.com/a/c/~%2f?q=%3d#F%2a');
+    this.assertEqual(Normalizer.normalize(url, { decodeUnreserved: false }), 'http://User@example.com/a/c/%7E%2F?q=%3D#F%2A');
+    this.assertEqual(Normalizer.normalize('Example.com:8080/a/../b'), 'example.com:8080/b');
+    this.assertEqual(Normalizer.normalize('https://example.com:8443/'), 'https://example.com:8443/');
+});
+
+runner.test('Comparison keys treat Unicode and punycode hosts as equal', function() {
+    const unicode = 'https://bücher.de/page';
+    const ascii = 'https://xn--bcher-kva.de/page';
+
+    this.assertEqual(URLParser.getComparisonKey(unicode, 'full'), URLParser.getComparisonKey(ascii, 'full'));
+    this.assertEqual(URLParser.getComparisonKey(unicode, 'domain'), URLParser.getComparisonKey(ascii, 'domain'));
+    this.assertEqual(URLParser.getComparisonKey(unicode, 'registrable'), 'xn--bcher-kva.de');
+});
+
 runner.test('Get full domain', function() {
     this.assertEqual(URLParser.getFullDomain('https://www.example.com'), 'www.example.com');
     this.assertEqual(URLParser.getFullDomain('https://api.v2.example.com'), 'api.v2.example.com');
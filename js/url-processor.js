@@ -14,8 +14,23 @@ class URLProcessor {
             outputCount: 0,
             removedCount: 0,
             invalidCount: 0,
-            processingTime: 0
+            processingTime: 0,
+            parameterCounts: {},
+            stepCounts: [],
+            removedItems: [],
+            resultLines: null,
+            resultMetadata: null,
+            listCounts: null
         };
+
+        // Input line numbers of the current step's URLs, for removed items
+        this.lineNumbers = null;
+        // Sitemap or bookmark metadata of the current step's URLs, for metadata filters and sorts
+        this.metadata = null;
+        // Second list that compareLists() combines the URLs with
+        this.listB = null;
+        this.stepDropped = new Set();
+        this.stepOrder = null;
         
         // Initialize performance optimizer if available
         this.performanceOptimizer = null;
@@ -51,9 +66,15 @@ class URLProcessor {
             let results = [];
 
             // Use performance optimizer for large datasets
-            if (this.performanceOptimizer && urls.length > 1000) {
+            // Pipelines, dedupes, sorts and list comparisons always run over the whole list so
+            // they see every URL
+            if (this.performanceOptimizer && urls.length > 1000 && !URLProcessor.WHOLE_LIST_OPERATIONS.includes(operation)) {
+                // Each batch reports only its own counts and removed items; processBatches adds them up
                 const processingFunction = (batchUrls, batchOptions) => {
-                    return this.processSync(batchUrls, operation, batchOptions);
+                    this.resetStats();
+                    const batchResults = this.processSync(batchUrls, operation, batchOptions);
+                    this.stats.outputCount = batchResults.length;
+                    return this.createProcessingResult(true, batchResults, []);
                 };
                 
                 const optimizedResult = await this.performanceOptimizer.processBatches(
@@ -68,10 +89,16 @@ class URLProcessor {
                 
                 if (optimizedResult.success) {
                     results = optimizedResult.results;
+                    this.resetStats();
+                    this.stats.inputCount = urls.length;
                     this.stats.outputCount = optimizedResult.stats.outputCount;
                     this.stats.invalidCount = optimizedResult.stats.invalidCount;
                     this.stats.processingTime = optimizedResult.stats.processingTime;
                     this.stats.removedCount = this.stats.inputCount - this.stats.outputCount;
+                    this.stats.resultLines = optimizedResult.stats.resultLines;
+                    this.stats.resultMetadata = optimizedResult.stats.resultMetadata;
+                    this.stats.parameterCounts = optimizedResult.stats.parameterCounts;
+                    this.stats.removedItems = optimizedResult.stats.removedItems;
                     
                     const finalResult = this.createProcessingResult(true, results, []);
                     finalResult.performanceMetrics = optimizedResult.performanceMetrics;
@@ -100,21 +127,70 @@ class URLProcessor {
      * @param {string[]} urls - Array of URL strings to process
      * @param {string} operation - Type of operation to perform
      * @param {Object} options - Additional options for the operation
-     * @returns {string[]} Processed URLs
+     * @param {number[]} options.lineNumbers - Input line number of each URL (default 1, 2, 3, ...)
+     * @param {Object[]} options.metadata - Sitemap, bookmark, HAR or redirect target metadata (e.g. {lastmod, priority} or {target}) of each URL, or null
+     * @param {string[]} options.listB - Lines of the second list for compareLists steps
+     * @returns {string[]} Processed URLs; stats.resultLines and stats.resultMetadata hold the
+     *                     input line number and metadata of each
      */
     processSync(urls, operation, options = {}) {
-        // Route to appropriate processing method
+        // Removed items point back at input lines; options.lineNumbers maps batches to them
+        this.lineNumbers = options.lineNumbers || urls.map((url, index) => index + 1);
+        this.metadata = options.metadata || null;
+        this.listB = options.listB || null;
+        this.stepDropped = new Set();
+
+        // Pipelines carry the line numbers step by step; other operations are one step
+        const results = operation === 'pipeline'
+            ? this.routeOperation(urls, operation, options)
+            : this.runStep(urls, operation, options);
+
+        // Input line of each result, so callers can bring along data that belongs to it
+        this.stats.resultLines = this.lineNumbers;
+        this.stats.resultMetadata = this.metadata;
+
+        // Explicit host conversions are not overridden by the display mode
+        if (operation === 'convertHosts' ||
+            (operation === 'pipeline' && options.pipeline.some(step => step.operation === 'convertHosts'))) {
+            return results;
+        }
+        return this.applyHostDisplay(results, options.hostDisplay);
+    }
+
+    /**
+     * Route to the processing method for an operation
+     * @param {string[]} urls - Array of URL strings to process
+     * @param {string} operation - Type of operation to perform
+     * @param {Object} options - Additional options for the operation
+     * @returns {string[]} Processed URLs
+     * @private
+     */
+    routeOperation(urls, operation, options = {}) {
         switch (operation) {
+            case 'pipeline':
+                return this.runPipeline(urls, options.pipeline);
             case 'removeParameters':
                 return this.removeParameters(urls);
+            case 'removeTracking':
+                return this.removeTracking(urls, options);
+            case 'filterParameters':
+                return this.filterParameters(urls, options.type, options.parameters);
             case 'deduplicate':
                 return this.deduplicate(urls, options.type || 'full');
+            case 'compareLists':
+                return this.compareLists(urls, options.type, options.key || 'full');
             case 'filter':
-                return this.filter(urls, options.type, options.filterString);
+                return this.filter(urls, options.type, options.filterString, options);
+            case 'filterHosts':
+                return this.filterHosts(urls, options.type, options.hostClass);
+            case 'filterExpression':
+                return this.filterExpression(urls, options.type, options.expression, options.source);
             case 'keepTLDOnly':
                 return this.keepTLDOnly(urls);
             case 'trimLastPath':
                 return this.trimLastPath(urls);
+            case 'normalize':
+                return this.normalize(urls, options.steps);
             case 'extractTLD':
                 return this.extractTLD(urls);
             case 'sortByDomain':
@@ -123,6 +199,10 @@ class URLProcessor {
                 return this.sortByLength(urls);
             case 'sortByFilename':
                 return this.sortByFilename(urls);
+            case 'sortByMetadata':
+                return this.sortByMetadata(urls, options.field);
+            case 'convertHosts':
+                return this.convertHosts(urls, options.type || 'unicode');
             default:
                 throw new Error(`Unknown operation: ${operation}`);
         }
@@ -136,9 +216,9 @@ class URLProcessor {
     removeParameters(urls) {
         const results = [];
         
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -148,13 +228,211 @@ class URLProcessor {
             if (cleanedUrl !== null) {
                 results.push(cleanedUrl);
             } else {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Run several operations in order, each on the previous step's output
+     * Input and output counts per step are kept in stats.stepCounts.
+     * Example: removeTracking -> normalize -> deduplicate (full) -> sortByDomain
+     * @param {string[]} urls - Array of URL strings
+     * @param {Object[]} steps - Processing options per step, each with an operation
+     * @returns {string[]} Output of the last step
+     */
+    runPipeline(urls, steps) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Pipeline must contain at least one step');
+        }
+
+        let current = urls;
+        this.stats.stepCounts = [];
+
+        steps.forEach((step, index) => {
+            if (!step || step.operation === 'pipeline') {
+                throw new Error(`Step ${index + 1}: pipelines cannot contain pipelines`);
+            }
+
+            const inputCount = current.length;
+            try {
+                current = this.runStep(current, step.operation, step);
+            } catch (error) {
+                throw new Error(`Step ${index + 1} (${step.operation}): ${error.message}`);
+            }
+
+            this.stats.stepCounts.push({ operation: step.operation, inputCount, outputCount: current.length });
+        });
+
+        return current;
+    }
+
+    /**
+     * Run one pipeline step and carry the input line numbers and metadata over to its results
+     * @private
+     */
+    runStep(urls, operation, options) {
+        const lineNumbers = this.lineNumbers;
+        const metadata = this.metadata;
+        this.stepDropped = new Set();
+        this.stepOrder = null;
+
+        const results = this.routeOperation(urls, operation, options);
+
+        // Sorts report their new order; other steps keep the order of what they did not drop.
+        // A null in the order is a result with no input line, such as a member of list B
+        const kept = this.stepOrder || urls.map((url, index) => index).filter(index => !this.stepDropped.has(index));
+        const carry = (values) => values && kept.length === results.length
+            ? kept.map(index => index === null ? null : values[index])
+            : null;
+        this.lineNumbers = carry(lineNumbers);
+        this.metadata = carry(metadata);
+
+        return results;
+    }
+
+    /**
+     * Remove tracking parameters using the bundled and custom rule sets
+     * Counts of removed parameters per kind are kept in stats.parameterCounts.
+     * @param {string[]} urls - Array of URL strings
+     * @param {Object} options - Stripper options (disabledRuleSets, customRules)
+     * @returns {string[]} Array of URLs without tracking parameters
+     */
+    removeTracking(urls, options = {}) {
+        const Stripper = typeof TrackingParameterStripper !== 'undefined'
+            ? TrackingParameterStripper
+            : require('./tracking-parameter-stripper.js');
+        const stripper = new Stripper(options);
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const stripped = stripper.strip(url.trim());
+
+            if (stripped === null) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+
+            for (const { kind } of stripped.removed) {
+                this.stats.parameterCounts[kind] = (this.stats.parameterCounts[kind] || 0) + 1;
+            }
+            results.push(stripped.url);
+        }
+
+        return results;
+    }
+
+    /**
+     * Keep only, or remove, the listed query parameters
+     * The query string is rebuilt from the remaining parameters in their original
+     * order, so repeated keys such as ?tag=a&tag=b survive.
+     * Example (remove utm_*): ?id=1&utm_source=x&tag=a&tag=b -> ?id=1&tag=a&tag=b
+     * @param {string[]} urls - Array of URL strings
+     * @param {string} mode - 'keep' to keep only listed parameters, 'remove' to drop them
+     * @param {string[]} patterns - Parameter names; * and ? wildcards are supported
+     * @returns {string[]} Array of URLs with filtered parameters
+     */
+    filterParameters(urls, mode, patterns) {
+        if (mode !== 'keep' && mode !== 'remove') {
+            throw new Error(`Unknown parameter filter mode: ${mode}`);
+        }
+        if (!Array.isArray(patterns) || patterns.length === 0) {
+            throw new Error('At least one parameter name is required');
+        }
+
+        const matchers = patterns.map(pattern => this.createWildcardMatcher(pattern));
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const filtered = URLParser.filterQueryParameters(url.trim(), (key) => {
+                const listed = matchers.some(matcher => matcher.test(key));
+                return mode === 'keep' ? listed : !listed;
+            });
+
+            if (filtered !== null) {
+                results.push(filtered);
+            } else {
+                this.dropInvalid(index, url);
             }
         }
 
         return results;
     }
 
+    /**
+     * Build a case-insensitive matcher for a wildcard pattern (* and ?)
+     * @param {string} pattern - Wildcard pattern such as utm_*
+     * @returns {RegExp} Anchored regular expression
+     * @private
+     */
+    createWildcardMatcher(pattern) {
+        return this.getURLFilter().globToRegExp(pattern);
+    }
+
+    /**
+     * Get the filter pattern matcher
+     * @private
+     */
+    getURLFilter() {
+        return typeof URLFilter !== 'undefined' ? URLFilter : require('./url-filter.js');
+    }
+
+    /**
+     * Convert the host of each URL to Unicode or punycode (ASCII) form
+     * Example: https://xn--bcher-kva.de/path -> https://bücher.de/path
+     * @param {string[]} urls - Array of URL strings
+     * @param {string} form - Target form: 'unicode' or 'ascii'
+     * @returns {string[]} Array of URLs with converted hosts
+     */
+    convertHosts(urls, form = 'unicode') {
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            // convertHost passes URLs with nothing to convert through without checking them
+            const converted = URLParser.isValid(url.trim()) ? URLParser.convertHost(url.trim(), form) : null;
+
+            if (converted !== null) {
+                results.push(converted);
+            } else {
+                this.dropInvalid(index, url);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Show hosts in the selected display form across all output
+     * @param {string[]} results - Processed URLs or domains
+     * @param {string} hostDisplay - Display mode: 'unicode', 'ascii' or empty to keep as is
+     * @returns {string[]} Results with hosts in the display form
+     * @private
+     */
+    applyHostDisplay(results, hostDisplay) {
+        if (hostDisplay !== 'unicode' && hostDisplay !== 'ascii') {
+            return results;
+        }
+
+        return results.map(result => URLParser.convertHost(result, hostDisplay) || result);
+    }
+
     /**
      * Deduplicate URLs based on specified criteria
      * @param {string[]} urls - Array of URL strings
@@ -163,11 +441,11 @@ class URLProcessor {
      */
     deduplicate(urls, type = 'full') {
         const results = [];
-        const seen = new Set();
+        const seen = new Map(); // Comparison key -> index of its first URL
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -175,14 +453,16 @@ class URLProcessor {
             const comparisonKey = this.getDeduplicationKey(trimmedUrl, type);
 
             if (comparisonKey === null) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
             // Only add if we haven't seen this key before (preserves first occurrence)
             if (!seen.has(comparisonKey)) {
-                seen.add(comparisonKey);
+                seen.set(comparisonKey, index);
                 results.push(trimmedUrl);
+            } else {
+                this.dropDuplicate(index, url, seen.get(comparisonKey));
             }
         }
 
@@ -209,14 +489,15 @@ class URLProcessor {
     }
 
     /**
-     * Extract TLD for deduplication (keeps one URL per TLD like .com, .org)
+     * Extract TLD for deduplication (keeps one URL per public suffix like .com, .co.uk)
+     * IP addresses and single-label hosts are keyed by their own host.
      * @param {string} url - The URL string
      * @returns {string|null} TLD key or null if invalid
      * @private
      */
     getTLDKey(url) {
-        const tld = URLParser.getTLD(url);
-        return tld ? tld.toLowerCase() : null;
+        const suffix = URLParser.getComparisonKey(url, 'tld');
+        return suffix ? suffix.toLowerCase() : null;
     }
 
     /**
@@ -232,48 +513,240 @@ class URLProcessor {
 
     /**
      * Extract full URL for exact deduplication
+     * Uses the RFC 3986 canonical form, so only scheme and host are compared
+     * case-insensitively and Unicode and punycode hosts match.
      * @param {string} url - The URL string
      * @returns {string|null} Full URL key or null if invalid
      * @private
      */
     getFullURLKey(url) {
-        // Validate URL first
-        if (!URLParser.isValid(url)) {
-            return null;
+        return URLParser.getCanonicalKey(url);
+    }
+
+    /**
+     * Combine the URLs (list A) with a second list (list B) as sets
+     * URLs are compared by URLParser.getComparisonKey(), so comparing by host makes
+     * every URL of a host one member. Each member is kept once, as its first URL;
+     * members from list A come first, then those only in list B. Unique members per
+     * bucket are counted in stats.listCounts.
+     * Example (aMinusB, by host): A a.com/1, b.com/2 and B b.com/3 -> a.com/1
+     * @param {string[]} urls - Array of URL strings (list A)
+     * @param {string} type - One of the keys of URLProcessor.LIST_OPERATIONS
+     * @param {string} key - One of the keys of URLProcessor.LIST_COMPARISONS
+     * @returns {string[]} URLs of the members in the operation's buckets
+     */
+    compareLists(urls, type, key = 'full') {
+        const buckets = URLProcessor.LIST_OPERATIONS[type];
+        if (!buckets) {
+            throw new Error(`Unknown list operation: ${type}`);
         }
-        return url.toLowerCase();
+        if (!URLProcessor.LIST_COMPARISONS[key]) {
+            throw new Error(`Unknown list comparison: ${key}`);
+        }
+
+        // Comparison key -> first URL of list B; lines of B that are not URLs are only counted
+        const membersB = new Map();
+        let invalidB = 0;
+        for (const url of this.listB || []) {
+            if (typeof url !== 'string' || url.trim() === '') {
+                continue;
+            }
+            const comparisonKey = URLParser.getComparisonKey(url.trim(), key);
+            if (comparisonKey === null) {
+                invalidB++;
+            } else if (!membersB.has(comparisonKey)) {
+                membersB.set(comparisonKey, url.trim());
+            }
+        }
+
+        const results = [];
+        const order = []; // Index in list A of each result, null for members of list B only
+        const seen = new Map(); // Comparison key -> index of its first URL
+        const counts = { onlyA: 0, both: 0, onlyB: 0, invalidB };
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            const comparisonKey = URLParser.getComparisonKey(trimmedUrl, key);
+
+            if (comparisonKey === null) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+            if (seen.has(comparisonKey)) {
+                this.dropDuplicate(index, url, seen.get(comparisonKey));
+                continue;
+            }
+            seen.set(comparisonKey, index);
+
+            const bucket = membersB.has(comparisonKey) ? 'both' : 'onlyA';
+            counts[bucket]++;
+            if (buckets.includes(bucket)) {
+                results.push(trimmedUrl);
+                order.push(index);
+            } else {
+                this.dropFiltered(index, url, `${URLProcessor.LIST_BUCKETS[bucket]}, compared by ${URLProcessor.LIST_COMPARISONS[key]}`);
+            }
+        }
+
+        for (const [comparisonKey, url] of membersB) {
+            if (!seen.has(comparisonKey)) {
+                counts.onlyB++;
+                if (buckets.includes('onlyB')) {
+                    results.push(url);
+                    order.push(null);
+                }
+            }
+        }
+
+        this.stepOrder = order;
+        this.stats.listCounts = counts;
+        return results;
     }
 
     /**
      * Filter URLs based on include/exclude criteria
+     * Example (glob, include): *.example.com/en/products/* keeps https://shop.example.com/en/products/42
      * @param {string[]} urls - Array of URL strings
      * @param {string} filterType - 'include' or 'exclude'
-     * @param {string} filterString - String to match against
+     * @param {string} filterString - Pattern to match against
+     * @param {Object} options - Matching options
+     * @param {string} options.mode - 'substring' (default), 'case-sensitive', 'glob' or 'regex'
+     * @param {string} options.flags - Regular expression flags for regex mode
+     * @param {string} options.target - URL component to match (see URLFilter.TARGETS), 'url' by default
      * @returns {string[]} Array of filtered URLs
      */
-    filter(urls, filterType, filterString) {
+    filter(urls, filterType, filterString, options = {}) {
         if (!filterString || typeof filterString !== 'string' || filterString.trim() === '') {
             throw new Error('Filter string is required for filter operations');
         }
 
+        // Invalid regular expressions throw here with a readable message
+        const matches = this.getURLFilter().createMatcher(filterString, options);
+        const target = options.target || 'url';
+        if (!this.getURLFilter().TARGETS.includes(target)) {
+            throw new Error(`Unknown filter target: ${target}`);
+        }
+
+        const rule = this.describeFilter(filterType, `${target} ${this.describeMatch(filterString, options)}`);
         const results = [];
-        const searchString = filterString.toLowerCase();
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
             const trimmedUrl = url.trim();
-            const urlLower = trimmedUrl.toLowerCase();
-            const containsString = urlLower.includes(searchString);
+            let containsString;
+
+            if (target === 'url') {
+                containsString = matches(trimmedUrl);
+            } else {
+                // Component targets need a parsed URL
+                const parsed = URLParser.parse(trimmedUrl);
+                if (!parsed.valid) {
+                    this.dropInvalid(index, url);
+                    continue;
+                }
+                containsString = this.getURLFilter().getTargetValues(parsed, target).some(matches);
+            }
 
             // Include or exclude based on filter type
             if (filterType === 'include' && containsString) {
                 results.push(trimmedUrl);
             } else if (filterType === 'exclude' && !containsString) {
                 results.push(trimmedUrl);
+            } else {
+                this.dropFiltered(index, url, rule);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Filter URLs with a boolean expression over their components
+     * Example: host ends ".example.com" AND NOT path contains "/tag/"
+     * @param {string[]} urls - Array of URL strings
+     * @param {string} filterType - 'include' to keep matching URLs, 'exclude' to remove them
+     * @param {Object|string} expression - Syntax tree from FilterExpression.parse(), or expression text
+     * @returns {string[]} Array of filtered URLs
+     */
+    filterExpression(urls, filterType, expression, source = '') {
+        if (!expression) {
+            throw new Error('Filter expression is required for advanced filter operations');
+        }
+
+        const Expression = typeof FilterExpression !== 'undefined' ? FilterExpression : require('./filter-expression.js');
+        const matches = Expression.compile(expression);
+        const text = typeof expression === 'string' ? expression : source;
+        const rule = this.describeFilter(filterType, text ? `expression ${text}` : 'advanced filter expression');
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            const parsed = URLParser.parse(trimmedUrl);
+            if (!parsed.valid) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+
+            if (matches(parsed, this.metadata ? this.metadata[index] : null) === (filterType !== 'exclude')) {
+                results.push(trimmedUrl);
+            } else {
+                this.dropFiltered(index, url, rule);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Filter URLs by the kind of host they point to
+     * @param {string[]} urls - Array of URL strings
+     * @param {string} filterType - 'include' or 'exclude'
+     * @param {string} hostClass - 'ip' for IPv4/IPv6 hosts, 'private' for loopback,
+     *                             private and link-local hosts
+     * @returns {string[]} Array of filtered URLs
+     */
+    filterHosts(urls, filterType, hostClass) {
+        if (hostClass !== 'ip' && hostClass !== 'private') {
+            throw new Error(`Unknown host class: ${hostClass}`);
+        }
+
+        const rule = this.describeFilter(filterType, hostClass === 'ip' ? 'IP address hosts' : 'private hosts');
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            if (!URLParser.isValid(trimmedUrl)) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+
+            const matches = hostClass === 'ip'
+                ? URLParser.isIPHost(trimmedUrl)
+                : URLParser.isPrivateHost(trimmedUrl);
+
+            if ((filterType === 'include' && matches) || (filterType === 'exclude' && !matches)) {
+                results.push(trimmedUrl);
+            } else {
+                this.dropFiltered(index, url, rule);
             }
         }
 
@@ -288,9 +761,9 @@ class URLProcessor {
     keepTLDOnly(urls) {
         const results = [];
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -302,8 +775,40 @@ class URLProcessor {
                 if (URLParser.isValid(trimmedUrl)) {
                     results.push(trimmedUrl);
                 } else {
-                    this.stats.invalidCount++;
+                    this.dropInvalid(index, url);
                 }
+            } else {
+                this.dropFiltered(index, url, 'keep URLs without subdomains');
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Normalize URLs to their RFC 3986 canonical form
+     * Example: HTTP://Example.com:80/a/./b/../%7euser -> http://example.com/a/~user
+     * @param {string[]} urls - Array of URL strings
+     * @param {Object} steps - Normalization steps to apply (see URLNormalizer.normalize)
+     * @returns {string[]} Array of normalized URLs
+     */
+    normalize(urls, steps = {}) {
+        const normalizer = URLParser.getURLNormalizer();
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            const normalized = URLParser.isValid(trimmedUrl) ? normalizer.normalize(trimmedUrl, steps) : null;
+
+            if (normalized !== null) {
+                results.push(normalized);
+            } else {
+                this.dropInvalid(index, url);
             }
         }
 
@@ -319,9 +824,9 @@ class URLProcessor {
     trimLastPath(urls) {
         const results = [];
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -329,7 +834,7 @@ class URLProcessor {
             
             // Validate URL first
             if (!URLParser.isValid(trimmedUrl)) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
@@ -353,7 +858,7 @@ class URLProcessor {
                 urlObj.pathname = path;
                 results.push(urlObj.toString());
             } catch (error) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url, error.message);
             }
         }
 
@@ -361,18 +866,19 @@ class URLProcessor {
     }
 
     /**
-     * Extract only the top-level domain (TLD) from URLs
+     * Extract only the registrable domain from URLs
      * Example: https://www.example.com/path -> example.com
+     * Example: https://foo.bar.github.io/path -> bar.github.io
      * @param {string[]} urls - Array of URL strings
      * @returns {string[]} Array of TLD-only domains
      */
     extractTLD(urls) {
         const results = [];
-        const seen = new Set(); // To avoid duplicate TLDs
+        const seen = new Map(); // Domain -> index of its first URL
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -380,28 +886,127 @@ class URLProcessor {
             const parsed = URLParser.parse(trimmedUrl);
             
             if (!parsed.valid) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
             // Extract the base domain (without subdomain)
-            const domain = parsed.domain;
-            const tld = parsed.tld;
+            const baseDomain = parsed.registrableDomain;
             
-            if (domain && tld) {
-                const baseDomain = `${domain}.${tld}`;
+            if (baseDomain) {
                 if (!seen.has(baseDomain)) {
-                    seen.add(baseDomain);
+                    seen.set(baseDomain, index);
                     results.push(baseDomain);
+                } else {
+                    this.dropDuplicate(index, url, seen.get(baseDomain));
                 }
             } else {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url, 'No registrable domain');
             }
         }
 
         return results;
     }
 
+    /**
+     * Record an empty line that was dropped
+     * @param {number} index - Position in the current step's input
+     * @param {string} url - Dropped line
+     * @private
+     */
+    dropEmpty(index, url) {
+        this.stats.invalidCount++;
+        this.recordRemoval(index, url, 'empty', 'Empty line');
+    }
+
+    /**
+     * Record a URL that was dropped because it could not be processed
+     * @param {number} index - Position in the current step's input
+     * @param {string} url - Dropped URL
+     * @param {string} error - Reason; defaults to the URLParser error
+     * @private
+     */
+    dropInvalid(index, url, error = null) {
+        this.stats.invalidCount++;
+        const reason = error || URLParser.parse(String(url).trim()).error || 'Invalid URL';
+        this.recordRemoval(index, url, 'invalid', /^invalid url/i.test(reason) ? reason : `Invalid URL: ${reason}`);
+    }
+
+    /**
+     * Record a URL that was dropped as a duplicate of an earlier one
+     * @param {number} index - Position in the current step's input
+     * @param {string} url - Dropped URL
+     * @param {number} firstIndex - Position of the URL that was kept
+     * @private
+     */
+    dropDuplicate(index, url, firstIndex) {
+        const firstLine = this.getLineNumber(firstIndex);
+        this.recordRemoval(index, url, 'duplicate',
+            firstLine !== null ? `Duplicate of line ${firstLine}` : 'Duplicate', { duplicateOf: firstLine });
+    }
+
+    /**
+     * Record a URL that was dropped by a filter
+     * @param {number} index - Position in the current step's input
+     * @param {string} url - Dropped URL
+     * @param {string} rule - Filter description from describeFilter()
+     * @private
+     */
+    dropFiltered(index, url, rule) {
+        this.recordRemoval(index, url, 'filtered', `Filtered by rule: ${rule}`, { rule });
+    }
+
+    /**
+     * Add an entry to stats.removedItems
+     * Entries have the input line number, the URL, a reason code
+     * ('empty', 'invalid', 'duplicate' or 'filtered') and a readable message.
+     * @private
+     */
+    recordRemoval(index, url, reason, message, details = {}) {
+        this.stepDropped.add(index);
+        this.stats.removedItems.push({
+            line: this.getLineNumber(index),
+            url: typeof url === 'string' ? url.trim() : '',
+            reason,
+            message,
+            ...details
+        });
+    }
+
+    /**
+     * Input line number of a position in the current step's input
+     * @returns {number|null} Line number, or null if unknown
+     * @private
+     */
+    getLineNumber(index) {
+        return this.lineNumbers ? this.lineNumbers[index] : null;
+    }
+
+    /**
+     * Describe a filter rule, e.g. 'remove host matches glob "*.example.com"'
+     * @private
+     */
+    describeFilter(filterType, condition) {
+        return `${filterType === 'exclude' ? 'remove' : 'keep'} ${condition}`;
+    }
+
+    /**
+     * Describe how a filter pattern is matched
+     * @private
+     */
+    describeMatch(filterString, options = {}) {
+        switch (options.mode) {
+            case 'case-sensitive':
+                return `contains "${filterString}" (case-sensitive)`;
+            case 'glob':
+                return `matches glob "${filterString}"`;
+            case 'regex':
+                return `matches /${filterString}/${options.flags || ''}`;
+            default:
+                return `contains "${filterString}"`;
+        }
+    }
+
     /**
      * Create a standardized processing result object
      * @param {boolean} success - Whether the operation was successful
@@ -416,6 +1021,12 @@ class URLProcessor {
             outputCount: this.stats.outputCount,
             removedCount: this.stats.removedCount,
             invalidCount: this.stats.invalidCount,
+            parameterCounts: { ...this.stats.parameterCounts },
+            stepCounts: [...this.stats.stepCounts],
+            removedItems: this.stats.removedItems,
+            resultLines: this.stats.resultLines,
+            resultMetadata: this.stats.resultMetadata,
+            listCounts: this.stats.listCounts,
             results: results || [],
             errors: errors || [],
             processingTime: Math.round(this.stats.processingTime * 100) / 100 // Round to 2 decimal places
@@ -432,7 +1043,13 @@ class URLProcessor {
             outputCount: 0,
             removedCount: 0,
             invalidCount: 0,
-            processingTime: 0
+            processingTime: 0,
+            parameterCounts: {},
+            stepCounts: [],
+            removedItems: [],
+            resultLines: null,
+            resultMetadata: null,
+            listCounts: null
         };
     }
 
@@ -453,9 +1070,9 @@ class URLProcessor {
         const validUrls = [];
 
         // Filter and collect valid URLs with their domains
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -463,18 +1080,21 @@ class URLProcessor {
             const parsed = URLParser.parse(trimmedUrl);
             
             if (!parsed.valid) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
             validUrls.push({
                 original: trimmedUrl,
-                domain: parsed.hostname.toLowerCase()
+                index,
+                // IP addresses sort numerically rather than character by character
+                domain: URLParser.getHostClassifier().getSortKey(parsed.hostname, parsed.hostType)
             });
         }
 
         // Sort by domain
         validUrls.sort((a, b) => a.domain.localeCompare(b.domain));
+        this.stepOrder = validUrls.map(item => item.index);
 
         return validUrls.map(item => item.original);
     }
@@ -488,25 +1108,77 @@ class URLProcessor {
         const validUrls = [];
 
         // Filter valid URLs
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
             const trimmedUrl = url.trim();
             
             if (URLParser.isValid(trimmedUrl)) {
-                validUrls.push(trimmedUrl);
+                validUrls.push({ original: trimmedUrl, index });
             } else {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
             }
         }
 
         // Sort by length
-        validUrls.sort((a, b) => a.length - b.length);
+        validUrls.sort((a, b) => a.original.length - b.original.length);
+        this.stepOrder = validUrls.map(item => item.index);
 
-        return validUrls;
+        return validUrls.map(item => item.original);
+    }
+
+    /**
+     * Sort URLs by metadata: newest lastmod, highest priority, largest size or
+     * slowest time first, or bookmark folders A to Z
+     * URLs without a value for the field follow the others in their input order.
+     * @param {string[]} urls - Array of URL strings
+     * @param {string} field - 'lastmod', 'priority', 'size', 'time' or 'folder'
+     * @returns {string[]} Array of sorted URLs
+     */
+    sortByMetadata(urls, field) {
+        const kind = URLProcessor.METADATA_SORT_KINDS[field];
+        if (!kind) {
+            throw new Error(`Cannot sort by metadata field: ${field}`);
+        }
+
+        const validUrls = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            if (!URLParser.isValid(trimmedUrl)) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+
+            const value = this.metadata && this.metadata[index] ? this.metadata[index][field] : '';
+            let key = null;
+            if (kind === 'text') {
+                key = value ? String(value).toLowerCase() : null;
+            } else {
+                const number = kind === 'date' ? Date.parse(value) : parseFloat(value);
+                key = isNaN(number) ? null : number;
+            }
+            validUrls.push({ original: trimmedUrl, index, key });
+        }
+
+        // Sorting is stable, so ties and URLs without a value keep their order
+        validUrls.sort((a, b) => {
+            if (a.key === null || b.key === null) {
+                return (a.key === null) - (b.key === null);
+            }
+            return kind === 'text' ? a.key.localeCompare(b.key) : b.key - a.key;
+        });
+        this.stepOrder = validUrls.map(item => item.index);
+
+        return validUrls.map(item => item.original);
     }
 
     /**
@@ -518,9 +1190,9 @@ class URLProcessor {
         const validUrls = [];
 
         // Filter and collect valid URLs with their filenames
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -528,7 +1200,7 @@ class URLProcessor {
             const parsed = URLParser.parse(trimmedUrl);
             
             if (!parsed.valid) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
@@ -554,12 +1226,14 @@ class URLProcessor {
 
             validUrls.push({
                 original: trimmedUrl,
+                index,
                 filename: filename.toLowerCase()
             });
         }
 
         // Sort by filename
         validUrls.sort((a, b) => a.filename.localeCompare(b.filename));
+        this.stepOrder = validUrls.map(item => item.index);
 
         return validUrls.map(item => item.original);
     }
@@ -596,6 +1270,54 @@ class URLProcessor {
     }
 }
 
+/**
+ * How sortByMetadata() compares each field: dates and numbers largest first, text A to Z
+ */
+URLProcessor.METADATA_SORT_KINDS = {
+    lastmod: 'date',
+    priority: 'number',
+    size: 'number',
+    time: 'number',
+    folder: 'text'
+};
+
+/**
+ * Buckets each list operation keeps: members only in list A, in both lists, and only in list B
+ */
+URLProcessor.LIST_OPERATIONS = {
+    union: ['onlyA', 'both', 'onlyB'],
+    intersection: ['both'],
+    aMinusB: ['onlyA'],
+    bMinusA: ['onlyB'],
+    symmetricDifference: ['onlyA', 'onlyB']
+};
+
+/**
+ * What compareLists() compares, as URLParser.getComparisonKey() types, with their descriptions
+ */
+URLProcessor.LIST_COMPARISONS = {
+    full: 'full URL',
+    canonical: 'canonical URL',
+    domain: 'host',
+    registrable: 'registrable domain'
+};
+
+/**
+ * Descriptions of the list A buckets for removed items
+ */
+URLProcessor.LIST_BUCKETS = {
+    onlyA: 'only in list A',
+    both: 'also in list B'
+};
+
+/**
+ * Operations that need every URL at once and are never split into batches
+ */
+URLProcessor.WHOLE_LIST_OPERATIONS = [
+    'pipeline', 'compareLists', 'deduplicate', 'extractTLD',
+    'sortByDomain', 'sortByLength', 'sortByFilename', 'sortByMetadata'
+];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = URLProcessor;
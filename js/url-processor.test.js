@@ -200,6 +200,205 @@ function runTests() {
         assertEqual(result.results[0], 'http://example.com', 'Should preserve first occurrence');
     });
 
+    test('deduplicate - TLD uses public suffix list', () => {
+        const urls = [
+            'https://example.co.uk',
+            'https://another.uk',
+            'https://third.co.uk',
+            'https://foo.github.io'
+        ];
+        
+        const results = new URLProcessor().deduplicate(urls, 'tld');
+        
+        assertArrayEqual(results, ['https://example.co.uk', 'https://another.uk', 'https://foo.github.io'], 'Should keep one URL per public suffix');
+    });
+
+    test('extractTLD - returns registrable domains', () => {
+        const urls = [
+            'https://www.example.co.uk/page',
+            'https://foo.github.io/repo',
+            'https://bar.foo.github.io',
+            'https://x.s3.amazonaws.com/key',
+            'https://shop.example.co.in'
+        ];
+        
+        const results = new URLProcessor().extractTLD(urls);
+        
+        assertArrayEqual(results, ['example.co.uk', 'foo.github.io', 'x.s3.amazonaws.com', 'example.co.in'], 'Should extract registrable domains');
+    });
+
+    test('convertHosts - converts between Unicode and punycode', () => {
+        const urls = [
+            'https://bücher.de/katalog?id=1',
+            'https://xn--mnchen-3ya.de:8080/',
+            'https://example.com/path'
+        ];
+        
+        const converter = new URLProcessor();
+        
+        assertArrayEqual(converter.convertHosts(urls, 'ascii'), [
+            'https://xn--bcher-kva.de/katalog?id=1',
+            'https://xn--mnchen-3ya.de:8080/',
+            'https://example.com/path'
+        ], 'Should convert hosts to punycode');
+        assertArrayEqual(converter.convertHosts(urls, 'unicode'), [
+            'https://bücher.de/katalog?id=1',
+            'https://münchen.de:8080/',
+            'https://example.com/path'
+        ], 'Should convert hosts to Unicode');
+        assertArrayEqual(converter.convertHosts(['not-a-url', 'https://example.com/'], 'unicode'), ['https://example.com/'],
+            'Should still drop invalid lines that have nothing to convert');
+    });
+
+    test('hostDisplay - deduplicates both forms and displays the chosen one', () => {
+        const urls = [
+            'https://bücher.de/page',
+            'https://xn--bcher-kva.de/page',
+            'https://www.example.com'
+        ];
+        
+        const converter = new URLProcessor();
+        const unique = converter.deduplicate(urls, 'full');
+        
+        assertArrayEqual(unique, ['https://bücher.de/page', 'https://www.example.com'], 'Should treat both host forms as duplicates');
+        assertArrayEqual(converter.applyHostDisplay(unique, 'ascii'), ['https://xn--bcher-kva.de/page', 'https://www.example.com'], 'Should display punycode hosts');
+        assertArrayEqual(converter.applyHostDisplay(['xn--bcher-kva.de'], 'unicode'), ['bücher.de'], 'Should display Unicode hosts');
+    });
+
+    test('IP and localhost hosts - domain operations', () => {
+        const urls = [
+            'http://192.168.1.10/admin',
+            'http://192.168.1.9/login',
+            'http://[::1]:8080/',
+            'http://localhost:3000/app',
+            'https://www.example.com'
+        ];
+        
+        const hostProcessor = new URLProcessor();
+        
+        assertArrayEqual(hostProcessor.extractTLD(urls), ['192.168.1.10', '192.168.1.9', '[::1]', 'localhost', 'example.com'], 'Should extract hosts as their own domain');
+        assertArrayEqual(hostProcessor.deduplicate(urls, 'tld'), urls, 'Should keep each IP and localhost host separately');
+        assertArrayEqual(hostProcessor.keepTLDOnly(urls), urls.slice(0, 4), 'IP hosts have no subdomains');
+        assertArrayEqual(hostProcessor.sortByDomain(urls).filter(url => url.includes('192.168')), ['http://192.168.1.9/login', 'http://192.168.1.10/admin'], 'Should sort IPv4 addresses numerically');
+        assertEqual(hostProcessor.getStats().invalidCount, 0, 'Should not count IP hosts as invalid');
+    });
+
+    test('filterHosts - keep or remove IP and private hosts', () => {
+        const urls = [
+            'http://10.0.0.5/status',
+            'http://8.8.8.8',
+            'http://[::1]/',
+            'http://localhost:3000',
+            'https://example.com'
+        ];
+        
+        const hostProcessor = new URLProcessor();
+        
+        assertArrayEqual(hostProcessor.filterHosts(urls, 'include', 'ip'), urls.slice(0, 3), 'Should keep IP hosts');
+        assertArrayEqual(hostProcessor.filterHosts(urls, 'exclude', 'ip'), urls.slice(3), 'Should remove IP hosts');
+        assertArrayEqual(hostProcessor.filterHosts(urls, 'include', 'private'), [urls[0], urls[2], urls[3]], 'Should keep private and loopback hosts');
+        assertArrayEqual(hostProcessor.filterHosts(urls, 'exclude', 'private'), [urls[1], urls[4]], 'Should remove private and loopback hosts');
+    });
+
+    test('normalize - applies selected RFC 3986 steps', () => {
+        const urls = [
+            'HTTPS://Example.COM:443/docs/./api/../Guide%7e',
+            'http://example.com:8080/a/%2f',
+            '://invalid'
+        ];
+        
+        const normalizer = new URLProcessor();
+        
+        assertArrayEqual(normalizer.normalize(urls), ['https://example.com/docs/Guide~', 'http://example.com:8080/a/%2F'], 'Should normalize with all steps');
+        assertEqual(normalizer.getStats().invalidCount, 1, 'Should count the invalid URL');
+        assertArrayEqual(normalizer.normalize(urls.slice(0, 1), { resolveDotSegments: false, removeDefaultPort: false }), ['https://example.com:443/docs/./api/../Guide~'], 'Should skip disabled steps');
+    });
+
+    test('deduplicate - full URL uses canonical form and keeps path case', () => {
+        const urls = [
+            'https://example.com/Docs/Page',
+            'HTTPS://EXAMPLE.COM:443/Docs/./Page',
+            'https://example.com/docs/page',
+            'https://example.com/Docs/%50age'
+        ];
+        
+        const result = new URLProcessor().deduplicate(urls, 'full');
+        
+        assertArrayEqual(result, ['https://example.com/Docs/Page', 'https://example.com/docs/page'], 'Should treat case-sensitive paths as different');
+    });
+
+    test('removeTracking - strips tracking parameters and counts them per kind', () => {
+        const urls = [
+            'https://example.com/search?q=shoes&utm_source=news&utm_medium=email&page=2',
+            'https://example.com/post?fbclid=abc&ref=home',
+            'https://www.amazon.co.uk/dp/B00X?ref=sr_1&pd_rd_w=1&pd_rd=2&psc=1',
+            'https://www.youtube.com/watch?v=abc&si=xyz',
+            'https://example.org/?si=keep'
+        ];
+        
+        const tracker = new URLProcessor();
+        const results = tracker.removeTracking(urls);
+        
+        assertArrayEqual(results, [
+            'https://example.com/search?q=shoes&page=2',
+            'https://example.com/post?ref=home',
+            'https://www.amazon.co.uk/dp/B00X?psc=1',
+            'https://www.youtube.com/watch?v=abc',
+            'https://example.org/?si=keep'
+        ], 'Should only strip tracking parameters on their domains');
+        assertEqual(JSON.stringify(tracker.getStats().parameterCounts), JSON.stringify({ utm: 2, facebook: 1, amazon: 3, youtube: 1 }), 'Should count removed parameters per kind');
+    });
+
+    test('removeTracking - custom rules and disabled rule sets', () => {
+        const urls = ['https://shop.example.com/item?campaign_id=7&utm_source=x&ref=abc'];
+        
+        const results = new URLProcessor().removeTracking(urls, {
+            disabledRuleSets: ['utm'],
+            customRules: '# internal\ncampaign_*\nref @ example.com'
+        });
+        
+        assertArrayEqual(results, ['https://shop.example.com/item?utm_source=x'], 'Should apply custom rules and skip disabled sets');
+    });
+
+    test('removeTracking - rule settings persist in storage', () => {
+        const Stripper = typeof TrackingParameterStripper !== 'undefined' ? TrackingParameterStripper : require('./tracking-parameter-stripper.js');
+        const values = {};
+        const storage = {
+            getItem: key => (key in values ? values[key] : null),
+            setItem: (key, value) => { values[key] = String(value); }
+        };
+        
+        assertEqual(Stripper.saveSettings({ disabledRuleSets: ['amazon'], customRules: 'x_*' }, storage), true, 'Should save settings');
+        assertEqual(JSON.stringify(Stripper.loadSettings(storage)), JSON.stringify({ disabledRuleSets: ['amazon'], customRules: 'x_*' }), 'Should load saved settings');
+        assertEqual(Stripper.validateCustomRules('a @ b @ c\n@ example.com').length, 2, 'Should report invalid rule lines');
+    });
+
+    test('filterParameters - keep or remove listed parameters with wildcards', () => {
+        const urls = [
+            'https://example.com/list?id=7&utm_source=x&tag=a&utm_medium=y&tag=b#top',
+            'https://example.com/plain'
+        ];
+        
+        const paramProcessor = new URLProcessor();
+        
+        assertArrayEqual(paramProcessor.filterParameters(urls, 'remove', ['utm_*']), [
+            'https://example.com/list?id=7&tag=a&tag=b#top',
+            'https://example.com/plain'
+        ], 'Should remove matching parameters and keep order and repeats');
+        assertArrayEqual(paramProcessor.filterParameters(urls, 'keep', ['tag', 'i?']), [
+            'https://example.com/list?id=7&tag=a&tag=b#top',
+            'https://example.com/plain'
+        ], 'Should keep only listed parameters');
+        
+        let threw = false;
+        try {
+            paramProcessor.filterParameters(urls, 'keep', []);
+        } catch (error) {
+            threw = true;
+        }
+        assertEqual(threw, true, 'Should require at least one parameter name');
+    });
+
     // Test filtering functionality
     test('filter - include URLs containing string', () => {
         const urls = [
@@ -243,6 +442,180 @@ function runTests() {
         assertEqual(result.errors.length > 0, true, 'Should have error message');
     });
 
+    test('filter - glob and regex modes', () => {
+        const urls = [
+            'https://shop.example.com/en/products/42',
+            'https://example.com/en/products/7',
+            'https://shop.example.com/blog/Products',
+            'https://other.org/products/1'
+        ];
+        
+        assertArrayEqual(processor.filter(urls, 'include', '*.example.com/*/products/*', { mode: 'glob' }),
+            ['https://shop.example.com/en/products/42'], 'Glob should match the whole URL');
+        assertArrayEqual(processor.filter(urls, 'exclude', '/products/\\d+$', { mode: 'regex' }),
+            ['https://shop.example.com/blog/Products'], 'Regex should exclude URLs ending in a product id');
+        assertArrayEqual(processor.filter(urls, 'include', 'PRODUCTS$', { mode: 'regex', flags: 'i' }),
+            ['https://shop.example.com/blog/Products'], 'Regex flags should be applied');
+        assertArrayEqual(processor.filter(urls, 'include', 'Products', { mode: 'case-sensitive' }),
+            ['https://shop.example.com/blog/Products'], 'Case-sensitive mode should match case');
+    });
+
+    test('filter - component targets', () => {
+        const urls = [
+            'https://rapid.com/docs',
+            'https://api.example.com/v1/users.json?campaign=spring',
+            'https://example.com/blog/post.html?campaign=api',
+            'https://staging.example.com/blog/draft.html#api'
+        ];
+        
+        assertArrayEqual(processor.filter(urls, 'include', 'api', { target: 'subdomain' }),
+            ['https://api.example.com/v1/users.json?campaign=spring'], 'Should match the subdomain only');
+        assertArrayEqual(processor.filter(urls, 'include', 'api', { target: 'hostname' }),
+            urls.slice(0, 2), 'Should match hostnames only');
+        assertArrayEqual(processor.filter(urls, 'include', 'api', { target: 'queryValue' }),
+            ['https://example.com/blog/post.html?campaign=api'], 'Should match query values only');
+        assertArrayEqual(processor.filter(urls, 'include', 'api', { target: 'fragment' }),
+            ['https://staging.example.com/blog/draft.html#api'], 'Should match the fragment only');
+        assertArrayEqual(processor.filter(urls, 'exclude', 'staging', { target: 'subdomain' }),
+            urls.slice(0, 3), 'Should exclude by subdomain');
+        assertArrayEqual(processor.filter(urls, 'include', 'json', { target: 'extension' }),
+            ['https://api.example.com/v1/users.json?campaign=spring'], 'Should match the file extension');
+        assertArrayEqual(processor.filter(urls, 'include', 'post.*', { target: 'filename', mode: 'glob' }),
+            ['https://example.com/blog/post.html?campaign=api'], 'Glob should match the whole filename');
+        assertArrayEqual(processor.filter(urls, 'include', 'example.com', { target: 'registrableDomain', mode: 'case-sensitive' }),
+            urls.slice(1), 'Should match the registrable domain');
+    });
+
+    test('filterExpression - boolean expressions over URL components', () => {
+        const urls = [
+            'https://www.example.com/blog/post?page=2',
+            'https://www.example.com/tag/news?page=2',
+            'https://staging.example.com/blog/post?page=3',
+            'https://example.org/blog/post?page=1',
+            'https://shop.example.com/blog/post'
+        ];
+        
+        assertArrayEqual(processor.filterExpression(urls, 'include', 'host ends ".example.com" AND NOT path ~ /\\/tag\\// AND param:page exists'),
+            ['https://www.example.com/blog/post?page=2', 'https://staging.example.com/blog/post?page=3'], 'Should combine predicates with AND and NOT');
+        assertArrayEqual(processor.filterExpression(urls, 'include', 'path contains /blog/ and not (subdomain is staging or domain = example.org)'),
+            ['https://www.example.com/blog/post?page=2', 'https://shop.example.com/blog/post'], 'Should honour parentheses and lowercase keywords');
+        assertArrayEqual(processor.filterExpression(urls, 'exclude', 'param:page = 2 OR NOT key exists'),
+            ['https://staging.example.com/blog/post?page=3', 'https://example.org/blog/post?page=1'], 'Should remove matching URLs in exclude mode');
+    });
+
+    test('filterExpression - syntax errors report the column', () => {
+        let error = null;
+        try {
+            processor.filterExpression(['https://example.com'], 'include', 'host ends ".com" AND path');
+        } catch (e) {
+            error = e;
+        }
+        assertEqual(error !== null, true, 'Should throw on a syntax error');
+        assertEqual(error.column, 26, 'Should point at the missing operator');
+        assertEqual(error.message.startsWith('Column 26:'), true, 'Should mention the column in the message');
+    });
+
+    test('filter - invalid regex reports a clear error', () => {
+        let message = '';
+        try {
+            processor.filter(['https://example.com'], 'include', '(unclosed', { mode: 'regex' });
+        } catch (error) {
+            message = error.message;
+        }
+        assertEqual(message.startsWith('Invalid regular expression'), true, 'Should explain the invalid pattern');
+    });
+
+    test('runPipeline - runs steps in order and counts each step', () => {
+        const urls = [
+            'https://www.example.com/a?utm_source=x',
+            'HTTPS://WWW.EXAMPLE.COM/a',
+            'https://blog.test.org/b?fbclid=1',
+            'https://api.example.com/c'
+        ];
+
+        const results = processor.runPipeline(urls, [
+            { operation: 'removeTracking' },
+            { operation: 'normalize' },
+            { operation: 'deduplicate', type: 'full' },
+            { operation: 'sortByDomain' }
+        ]);
+
+        assertArrayEqual(results, ['https://api.example.com/c', 'https://blog.test.org/b', 'https://www.example.com/a'],
+            'Should strip, normalize, deduplicate and sort');
+        assertArrayEqual(processor.stats.stepCounts.map(step => `${step.inputCount}->${step.outputCount}`),
+            ['4->4', '4->4', '4->3', '3->3'], 'Should record input and output counts per step');
+    });
+
+    test('runPipeline - reports the failing step', () => {
+        let message = '';
+        try {
+            processor.runPipeline(['https://example.com'], [
+                { operation: 'normalize' },
+                { operation: 'filter', type: 'include', filterString: '(', mode: 'regex' }
+            ]);
+        } catch (error) {
+            message = error.message;
+        }
+        assertEqual(message.startsWith('Step 2 (filter): Invalid regular expression'), true, 'Should prefix the step number');
+
+        message = '';
+        try {
+            processor.runPipeline(['https://example.com'], [{ operation: 'pipeline', pipeline: [] }]);
+        } catch (error) {
+            message = error.message;
+        }
+        assertEqual(message, 'Step 1: pipelines cannot contain pipelines', 'Should reject nested pipelines');
+    });
+
+    // Test set operations between two lists
+    test('compareLists - combines two lists and counts each bucket', () => {
+        const listA = ['https://a.com/1', 'https://b.com/2', 'HTTPS://B.COM/2', 'https://www.c.com/3', 'not-a-url'];
+        const listB = ['https://b.com/2', 'https://c.com/3', 'https://d.com/4', '', 'https://d.com/4'];
+        const run = (type, key) => new URLProcessor().processSync(listA, 'compareLists', { type, key, listB });
+
+        assertArrayEqual(run('union', 'full'), ['https://a.com/1', 'https://b.com/2', 'https://www.c.com/3', 'https://c.com/3', 'https://d.com/4'],
+            'Union should keep each member once, list A first');
+        assertArrayEqual(run('intersection', 'full'), ['https://b.com/2'], 'Intersection should keep members of both lists');
+        assertArrayEqual(run('aMinusB', 'full'), ['https://a.com/1', 'https://www.c.com/3'], 'A minus B should keep members only in A');
+        assertArrayEqual(run('bMinusA', 'full'), ['https://c.com/3', 'https://d.com/4'], 'B minus A should keep members only in B');
+        assertArrayEqual(run('symmetricDifference', 'registrable'), ['https://a.com/1', 'https://d.com/4'],
+            'Registrable domains should match www.c.com with c.com');
+
+        const compared = new URLProcessor();
+        compared.processSync(listA, 'compareLists', { type: 'intersection', key: 'domain', listB });
+        assertEqual(JSON.stringify(compared.stats.listCounts), JSON.stringify({ onlyA: 2, both: 1, onlyB: 2, invalidB: 0 }),
+            'Should count unique members per bucket');
+        assertArrayEqual(compared.stats.removedItems.map(item => `${item.line} ${item.reason}`),
+            ['1 filtered', '3 duplicate', '4 filtered', '5 invalid'], 'Should report list A lines that were left out');
+        assertEqual(compared.stats.removedItems[0].message, 'Filtered by rule: only in list A, compared by host', 'Should say which bucket a line was in');
+    });
+
+    test('compareLists - keeps the lines and metadata of list A results', () => {
+        const union = new URLProcessor();
+        union.processSync(['https://a.com/1', 'https://b.com/2'], 'compareLists', {
+            type: 'union',
+            listB: ['https://c.com/3'],
+            metadata: [{ title: 'A' }, { title: 'B' }],
+            lineNumbers: [10, 20]
+        });
+        assertArrayEqual(union.stats.resultLines, [10, 20, null], 'Should keep list A lines and give list B members none');
+        assertArrayEqual(union.stats.resultMetadata, [{ title: 'A' }, { title: 'B' }, null], 'Should keep list A metadata');
+
+        const piped = new URLProcessor();
+        const results = piped.processSync(['https://b.com/2', 'https://a.com/1'], 'pipeline', {
+            listB: ['https://c.com/3'],
+            lineNumbers: [10, 20],
+            pipeline: [
+                { operation: 'compareLists', type: 'union', key: 'full' },
+                { operation: 'filter', type: 'exclude', filterString: 'a.com' }
+            ]
+        });
+        assertArrayEqual(results, ['https://b.com/2', 'https://c.com/3'], 'Should filter after the union');
+        assertArrayEqual(piped.stats.removedItems.map(item => `${item.line} ${item.reason}`), ['20 filtered'],
+            'Should report the input line of a result dropped after the union');
+        assertArrayEqual(piped.stats.resultLines, [10, null], 'Should carry the lines through later steps');
+    });
+
     // Test keepTLDOnly functionality
     test('keepTLDOnly - removes subdomains', () => {
         const urls = [
@@ -306,6 +679,442 @@ function runTests() {
         assertEqual(Array.isArray(result.invalid), true, 'Should have invalid array');
     });
 
+    // Test removed item reporting
+    test('removedItems - reports why each line was dropped', () => {
+        const urls = ['https://a.com/x?u=1', 'https://a.com/x?u=2', 'https://c.net/tag/1', 'https://b.org/'];
+        const removedProcessor = new URLProcessor();
+        const results = removedProcessor.processSync(urls, 'pipeline', {
+            lineNumbers: [2, 3, 5, 6],
+            pipeline: [
+                { operation: 'removeParameters' },
+                { operation: 'sortByDomain' },
+                { operation: 'deduplicate', type: 'full' },
+                { operation: 'filter', type: 'exclude', filterString: '/tag/', mode: 'substring' }
+            ]
+        });
+        const removed = removedProcessor.getStats().removedItems;
+
+        assertArrayEqual(results, ['https://a.com/x', 'https://b.org/'], 'Should process the pipeline');
+        assertArrayEqual(removed.map(item => [item.line, item.reason]), [[3, 'duplicate'], [5, 'filtered']], 'Should keep input line numbers across steps');
+        assertEqual(removed[0].message, 'Duplicate of line 2', 'Should name the line that was kept');
+        assertEqual(removed[1].message, 'Filtered by rule: remove url contains "/tag/"', 'Should describe the filter rule');
+    });
+
+    // Test the input/output diff of a run
+    test('URLDiff - marks changed, kept and removed lines', () => {
+        const Diff = typeof URLDiff !== 'undefined' ? URLDiff : require('./url-diff.js');
+        const urls = [
+            'https://example.com/a?x=1',
+            'https://test.org/b',
+            'https://example.com/a?x=2'
+        ];
+        const results = processor.deduplicate(processor.removeParameters(urls), 'full');
+        const { rows, counts } = Diff.compare(urls, results);
+
+        assertArrayEqual(rows.map(row => row.status), ['changed', 'kept', 'removed'], 'Should classify each input line');
+        assertEqual(rows[0].output, 'https://example.com/a', 'Should pair the changed line with its new value');
+        assertEqual(counts.changed, 1, 'Should count changed lines');
+        assertEqual(counts.removed, 1, 'Should count removed lines');
+    });
+
+    test('URLDiff - pairs changed lines by host before input order', () => {
+        const Diff = typeof URLDiff !== 'undefined' ? URLDiff : require('./url-diff.js');
+        const urls = ['https://b.example.com/x/y', 'https://a.example.com/x/y'];
+        const results = processor.sortByDomain(processor.trimLastPath(urls));
+        const { rows } = Diff.compare(urls, results);
+
+        assertEqual(rows[0].output, 'https://b.example.com/x', 'Should pair results from the same host');
+        assertEqual(rows[1].output, 'https://a.example.com/x', 'Should pair results from the same host');
+    });
+
+    test('URLDiff - pairs results with the input lines the processor reports', () => {
+        const Diff = typeof URLDiff !== 'undefined' ? URLDiff : require('./url-diff.js');
+        const urls = ['https://a.com/long/path?x=1', 'https://a.com/s?y=2'];
+        const lineNumbers = [3, 7];
+        const sorted = new URLProcessor();
+        const results = sorted.processSync(urls, 'pipeline', {
+            lineNumbers,
+            pipeline: [{ operation: 'removeParameters' }, { operation: 'sortByLength' }]
+        });
+        const { rows } = Diff.compare(urls, results, sorted.stats.resultLines, lineNumbers);
+
+        assertArrayEqual(rows.map(row => `${row.status} ${row.input} → ${row.output}`), [
+            'changed https://a.com/long/path?x=1 → https://a.com/long/path',
+            'changed https://a.com/s?y=2 → https://a.com/s'
+        ], 'Should follow each URL through a reordering pipeline');
+
+        const filtered = new URLProcessor();
+        const inputs = ['https://a.com/1?x=1', 'https://a.com/2?x=2'];
+        const kept = filtered.processSync(inputs, 'pipeline', {
+            pipeline: [{ operation: 'filter', type: 'exclude', filterString: '/1' }, { operation: 'removeParameters' }]
+        });
+        assertArrayEqual(Diff.compare(inputs, kept, filtered.stats.resultLines).rows.map(row => `${row.status} ${row.output}`),
+            ['removed null', 'changed https://a.com/2'], 'Should pair a result after a filter with its own input');
+
+        const union = new URLProcessor();
+        const combined = union.processSync(['https://a.com/'], 'compareLists', { type: 'union', listB: ['https://b.com/'] });
+        assertArrayEqual(Diff.compare(['https://a.com/'], combined, union.stats.resultLines).rows.map(row => row.status),
+            ['kept', 'added'], 'Should add results that have no input line');
+    });
+
+    // Test URL extraction from free-form text
+    test('URLExtractor - trims sentence punctuation and keeps balanced parentheses', () => {
+        const Extractor = typeof URLExtractor !== 'undefined' ? URLExtractor : require('./url-extractor.js');
+        const text = 'See https://example.com/report.pdf, then\n(https://en.wikipedia.org/wiki/Foo_(bar)) or "https://a.io/?x=1"!';
+
+        assertArrayEqual(Extractor.extract(text), [
+            { url: 'https://example.com/report.pdf', line: 1, source: 'text' },
+            { url: 'https://en.wikipedia.org/wiki/Foo_(bar)', line: 2, source: 'text' },
+            { url: 'https://a.io/?x=1', line: 2, source: 'text' }
+        ], 'Should find each URL once with its line');
+    });
+
+    test('URLExtractor - reads HTML attributes and Markdown links', () => {
+        const Extractor = typeof URLExtractor !== 'undefined' ? URLExtractor : require('./url-extractor.js');
+        const text = [
+            '<a href="https://shop.com/?a=1&amp;b=2">Shop</a> <img src=\'/local.png\'>',
+            'Read [the docs](https://docs.io/a_(b) "Title") or <ftp://files.org/pub/>',
+            '[ref]: https://ref.org/path'
+        ].join('\n');
+
+        assertArrayEqual(Extractor.extract(text).map(match => [match.url, match.line, match.source]), [
+            ['https://shop.com/?a=1&b=2', 1, 'html'],
+            ['https://docs.io/a_(b)', 2, 'markdown'],
+            ['ftp://files.org/pub/', 2, 'markdown'],
+            ['https://ref.org/path', 3, 'markdown']
+        ], 'Should decode attributes, skip relative links and read link targets');
+    });
+
+    // Test CSV records and tracing results back to their rows
+    test('CSVTable - parses quoted fields and formats them back', () => {
+        const Table = typeof CSVTable !== 'undefined' ? CSVTable : require('./csv-table.js');
+        const text = 'title,url\r\n"Hello, ""world""",https://a.com/\r\n\r\n"Two\nlines",https://b.com/\n';
+        const { records, lines } = Table.parse(text, Table.detectDelimiter(text));
+
+        assertArrayEqual(records, [
+            ['title', 'url'],
+            ['Hello, "world"', 'https://a.com/'],
+            ['Two\nlines', 'https://b.com/']
+        ], 'Should unquote fields and skip blank lines');
+        assertArrayEqual(lines, [1, 2, 4], 'Should record the line each row starts on');
+        assertEqual(Table.formatRecord(records[1]), '"Hello, ""world""",https://a.com/', 'Should quote fields that need it');
+        assertEqual(Table.guessURLColumn(records, true), 1, 'Should find the URL column');
+        assertEqual(Table.detectDelimiter('a\tb,c\td'), '\t', 'Should detect tabs');
+    });
+
+    test('CSVTable - guesses the URL column of a large table', () => {
+        const Table = typeof CSVTable !== 'undefined' ? CSVTable : require('./csv-table.js');
+        const records = [['id', 'page']];
+        for (let i = 0; i < 200000; i++) {
+            records.push([String(i), `https://example.com/${i}`]);
+        }
+
+        assertEqual(Table.guessURLColumn(records, true), 1, 'Should not run out of stack on 200k rows');
+    });
+
+    test('WHOLE_LIST_OPERATIONS - keeps dedupes and sorts out of batches', () => {
+        for (const operation of ['deduplicate', 'extractTLD', 'sortByDomain', 'sortByLength', 'sortByFilename']) {
+            assertEqual(URLProcessor.WHOLE_LIST_OPERATIONS.includes(operation), true, `Should run ${operation} over the whole list`);
+        }
+        assertEqual(URLProcessor.WHOLE_LIST_OPERATIONS.includes('removeParameters'), false, 'Should still batch per-URL operations');
+    });
+
+    test('resultLines - reports the input line of each result', () => {
+        const urls = ['https://b.com/?x=1', 'https://a.com/', 'not a url', 'https://b.com/?x=2'];
+        const lineNumbers = [2, 4, 6, 8];
+
+        processor.processSync(urls, 'pipeline', {
+            lineNumbers,
+            pipeline: [{ operation: 'removeParameters' }, { operation: 'deduplicate', type: 'full' }, { operation: 'sortByDomain' }]
+        });
+        assertArrayEqual(processor.stats.resultLines, [4, 2], 'Should follow rows through dedupe and sort');
+
+        processor.processSync(urls, 'filter', { lineNumbers, type: 'include', filterString: 'b.com' });
+        assertArrayEqual(processor.stats.resultLines, [2, 8], 'Should follow rows through a single operation');
+    });
+
+    // Test sitemap reading, writing and metadata operations
+    test('SitemapXML - reads entries with metadata and splits large sets', () => {
+        const Sitemap = typeof SitemapXML !== 'undefined' ? SitemapXML : require('./sitemap-xml.js');
+        const xml = '<?xml version="1.0"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+            '<!-- <url><loc>https://skipped.com/</loc></url> -->\n' +
+            '<url><loc>https://a.com/?x=1&amp;y=2</loc><lastmod>2023-06-01</lastmod><priority>0.8</priority></url>\n' +
+            '<url><loc><![CDATA[https://b.com/&]]></loc><changefreq>daily</changefreq></url>\n</urlset>';
+        const { type, entries } = Sitemap.parse(xml);
+
+        assertEqual(type, 'urlset', 'Should detect a urlset');
+        assertArrayEqual(entries, [
+            { url: 'https://a.com/?x=1&y=2', line: 4, metadata: { lastmod: '2023-06-01', priority: '0.8' } },
+            { url: 'https://b.com/&', line: 5, metadata: { changefreq: 'daily' } }
+        ], 'Should decode entities and CDATA and skip comments');
+
+        const files = Sitemap.build(entries.concat(entries), { maxURLs: 3, baseUrl: 'https://a.com' });
+        assertArrayEqual(files.map(file => file.name), ['sitemap-1.xml', 'sitemap-2.xml', 'sitemap-index.xml'], 'Should split at the URL limit');
+        assertEqual(files[0].content.includes('<loc>https://a.com/?x=1&amp;y=2</loc>'), true, 'Should escape locations');
+        assertEqual(files[2].content.includes('<loc>https://a.com/sitemap-2.xml</loc>'), true, 'Should link the set from the index');
+    });
+
+    test('sortByMetadata and metadata filters - use sitemap fields', () => {
+        const urls = ['https://a.com/1', 'https://a.com/2', 'https://a.com/3'];
+        const metadata = [{ lastmod: '2023-01-01', priority: '0.3' }, { lastmod: '2024-05-01' }, null];
+
+        assertArrayEqual(processor.processSync(urls, 'sortByMetadata', { metadata, field: 'lastmod' }),
+            ['https://a.com/2', 'https://a.com/1', 'https://a.com/3'], 'Should put the newest first and URLs without a date last');
+        assertArrayEqual(processor.stats.resultMetadata, [metadata[1], metadata[0], null], 'Should carry the metadata along');
+
+        assertArrayEqual(processor.processSync(urls, 'filterExpression', { metadata, type: 'include', expression: 'lastmod before 2024-01-01 OR priority > 0.5' }),
+            ['https://a.com/1'], 'Should compare dates and numbers');
+        assertArrayEqual(processor.processSync(urls, 'filterExpression', { type: 'include', expression: 'NOT lastmod exists' }),
+            urls, 'Should find no metadata for plain URLs');
+    });
+
+    test('sortByMetadata - sorts more than one batch of URLs as one list', () => {
+        const urls = [];
+        const metadata = [];
+        for (let i = 0; i < 1500; i++) {
+            urls.push(`https://a.com/${i}`);
+            metadata.push({ lastmod: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().slice(0, 10) });
+        }
+
+        assertEqual(URLProcessor.WHOLE_LIST_OPERATIONS.includes('sortByMetadata'), true, 'Should never split a metadata sort into batches');
+        const results = processor.processSync(urls, 'sortByMetadata', { metadata, field: 'lastmod' });
+        assertArrayEqual([results[0], results[1], results[1499]], ['https://a.com/1499', 'https://a.com/1498', 'https://a.com/0'], 'Should put the newest of all URLs first');
+    });
+
+    // Test bookmark files and folder metadata
+    test('BookmarksHTML - reads folders, titles and dates and writes them back', () => {
+        const Bookmarks = typeof BookmarksHTML !== 'undefined' ? BookmarksHTML : require('./bookmarks-html.js');
+        const html = '<!DOCTYPE NETSCAPE-Bookmark-file-1>\n<DL><p>\n' +
+            '    <DT><H3 PERSONAL_TOOLBAR_FOLDER="true">Bar</H3>\n    <DL><p>\n' +
+            '        <DT><H3>Dev &amp; Ops</H3>\n        <DL><p>\n' +
+            '            <DT><A HREF="https://dev.io/?a=1&amp;b=2" ADD_DATE="1700000000">Dev</A>\n' +
+            '        </DL><p>\n' +
+            '        <DT><A HREF="https://bar.com/">Bar link</A>\n    </DL><p>\n' +
+            '    <DT><A HREF="https://top.com/">Top</A>\n</DL><p>';
+        const entries = Bookmarks.parse(html);
+
+        assertArrayEqual(entries.map(entry => [entry.url, entry.line, entry.metadata.folder, entry.metadata.title]), [
+            ['https://dev.io/?a=1&b=2', 7, 'Bar/Dev & Ops', 'Dev'],
+            ['https://bar.com/', 9, 'Bar', 'Bar link'],
+            ['https://top.com/', 11, undefined, 'Top']
+        ], 'Should keep the folder path and title of each bookmark');
+        assertEqual(entries[0].metadata.added, '2023-11-14T22:13:20.000Z', 'Should read the add date');
+
+        const written = Bookmarks.build([entries[2], entries[0], entries[1]]);
+        assertArrayEqual(Bookmarks.parse(written).map(entry => [entry.url, entry.metadata.folder, entry.metadata.added]), [
+            ['https://top.com/', undefined, undefined],
+            ['https://dev.io/?a=1&b=2', 'Bar/Dev & Ops', '2023-11-14T22:13:20.000Z'],
+            ['https://bar.com/', 'Bar', undefined]
+        ], 'Should write the folders back around their bookmarks');
+    });
+
+    test('sortByMetadata and metadata filters - use bookmark folders', () => {
+        const urls = ['https://a.com/', 'https://b.com/', 'https://c.com/'];
+        const metadata = [{ folder: 'Work/Tools' }, null, { folder: 'Reading' }];
+
+        assertArrayEqual(processor.processSync(urls, 'sortByMetadata', { metadata, field: 'folder' }),
+            ['https://c.com/', 'https://a.com/', 'https://b.com/'], 'Should sort folders A to Z with loose bookmarks last');
+        assertArrayEqual(processor.processSync(urls, 'filterExpression', { metadata, type: 'exclude', expression: 'folder starts Work/' }),
+            ['https://b.com/', 'https://c.com/'], 'Should filter on the folder path');
+    });
+
+    // Test HAR network logs and request metadata
+    test('HARReader - reads requests with method, status, type, size and time', () => {
+        const Reader = typeof HARReader !== 'undefined' ? HARReader : require('./har-reader.js');
+        const har = JSON.stringify({ log: { entries: [
+            { request: { method: 'get', url: 'https://a.com/' }, response: { status: 200, bodySize: 512, content: { size: 2048, mimeType: 'text/html; charset=utf-8' } }, time: 120.456 },
+            { request: { method: 'GET', url: 'https://a.com/logo.png' }, response: { status: 404, bodySize: 90, content: { size: -1, mimeType: 'text/plain' } }, time: 8, _resourceType: 'Image' },
+            { request: { method: 'POST', url: 'https://api.a.com/track' }, response: { status: 0, bodySize: -1, content: { size: -1 } }, time: -1 }
+        ] } });
+
+        assertArrayEqual(Reader.parse(har), [
+            { url: 'https://a.com/', line: 1, metadata: { method: 'GET', status: 200, mime: 'text/html', type: 'document', size: 2048, time: 120.46 } },
+            { url: 'https://a.com/logo.png', line: 2, metadata: { method: 'GET', status: 404, mime: 'text/plain', type: 'image', size: 90, time: 8 } },
+            { url: 'https://api.a.com/track', line: 3, metadata: { method: 'POST', status: 0 } }
+        ], 'Should prefer the recorded resource type and fall back to the body size');
+
+        let error = null;
+        try {
+            Reader.parse('{"log": {}}');
+        } catch (e) {
+            error = e;
+        }
+        assertEqual(error && error.message, 'Not a HAR file: log.entries is missing', 'Should reject JSON that is not a HAR log');
+    });
+
+    test('sortByMetadata and metadata filters - use HAR request fields', () => {
+        const urls = ['https://a.com/', 'https://a.com/logo.png', 'https://a.com/app.js', 'https://a.com/blocked'];
+        const metadata = [
+            { status: 200, type: 'document', size: 2048, time: 120 },
+            { status: 404, type: 'image', size: 90, time: 8 },
+            { status: 200, type: 'script', size: 40960, time: 300 },
+            { status: 0 }
+        ];
+
+        assertArrayEqual(processor.processSync(urls, 'sortByMetadata', { metadata, field: 'size' }),
+            ['https://a.com/app.js', 'https://a.com/', 'https://a.com/logo.png', 'https://a.com/blocked'], 'Should put the largest first');
+        assertArrayEqual(processor.processSync(urls, 'sortByMetadata', { metadata, field: 'time' }),
+            ['https://a.com/app.js', 'https://a.com/', 'https://a.com/logo.png', 'https://a.com/blocked'], 'Should put the slowest first');
+        assertArrayEqual(processor.processSync(urls, 'filterExpression', { metadata, type: 'include', expression: 'status >= 400 OR status = 0' }),
+            ['https://a.com/logo.png', 'https://a.com/blocked'], 'Should compare status codes, including 0');
+        assertArrayEqual(processor.processSync(urls, 'filterExpression', { metadata, type: 'include', expression: 'type is image OR size > 10000' }),
+            ['https://a.com/logo.png', 'https://a.com/app.js'], 'Should filter on type and size');
+    });
+
+    test('sortByMetadata - sorts a HAR log larger than one batch by size and time', () => {
+        const Reader = typeof HARReader !== 'undefined' ? HARReader : require('./har-reader.js');
+        const entries = [];
+        for (let i = 0; i < 1500; i++) {
+            entries.push({ request: { method: 'GET', url: `https://a.com/${i}` }, response: { status: 200, bodySize: i, content: { size: i } }, time: 1500 - i });
+        }
+        const parsed = Reader.parse(JSON.stringify({ log: { entries } }));
+        const urls = parsed.map(entry => entry.url);
+        const metadata = parsed.map(entry => entry.metadata);
+
+        const bySize = processor.processSync(urls, 'sortByMetadata', { metadata, field: 'size' });
+        assertArrayEqual([bySize[0], bySize[1499]], ['https://a.com/1499', 'https://a.com/0'], 'Should put the largest of all requests first');
+        const byTime = processor.processSync(urls, 'sortByMetadata', { metadata, field: 'time' });
+        assertArrayEqual([byTime[0], byTime[1499]], ['https://a.com/0', 'https://a.com/1499'], 'Should put the slowest of all requests first');
+    });
+
+    // Test streamed file reading
+    test('LineStreamReader - cuts chunks at line and record ends', () => {
+        const Reader = typeof LineStreamReader !== 'undefined' ? LineStreamReader : require('./line-stream-reader.js');
+        const readAll = (reader, chunks) => {
+            const read = { lines: [], lineNumbers: [] };
+            for (const chunk of [...chunks.map(text => reader.push(text)), reader.end()]) {
+                read.lines.push(...chunk.lines);
+                read.lineNumbers.push(...chunk.lineNumbers);
+            }
+            return read;
+        };
+
+        assertArrayEqual(readAll(new Reader(), ['https://a.com/\r', '\nhttps://b', '.com/\n\nhttps://c.com/\r']), {
+            lines: ['https://a.com/', 'https://b.com/', '', 'https://c.com/'],
+            lineNumbers: [1, 2, 3, 4]
+        }, 'Should join lines split across chunks, including \\r\\n');
+
+        const csv = { delimiter: null, hasHeader: true };
+        assertArrayEqual(readAll(new Reader({ csv }), ['title,url\n"Two\nlines",https://a.', 'com/\n"Quote "', '"d",https://b.com/\n']), {
+            lines: ['https://a.com/', 'https://b.com/'],
+            lineNumbers: [2, 4]
+        }, 'Should keep quoted line breaks inside their record and read the URL column');
+    });
+
+    // Test downloadable result files
+    test('ResultExporter - writes text, CSV with components, JSON Lines and Markdown', () => {
+        const Exporter = typeof ResultExporter !== 'undefined' ? ResultExporter : require('./result-exporter.js');
+        const entries = [
+            { url: 'https://www.example.co.uk/a,b?x=1#top', metadata: { title: 'Docs [v2]' } },
+            { url: 'not a url', metadata: null }
+        ];
+
+        assertEqual(Exporter.build(entries, 'text'), 'https://www.example.co.uk/a,b?x=1#top\nnot a url\n', 'Should write one result per line');
+        assertEqual(Exporter.build(entries, 'csv'), [
+            'url,scheme,host,domain,tld,path,query,fragment',
+            '"https://www.example.co.uk/a,b?x=1#top",https,www.example.co.uk,example.co.uk,uk,"/a,b",x=1,top',
+            'not a url,,,,,,,',
+            ''
+        ].join('\n'), 'Should quote cells and leave components empty for lines that are not URLs');
+        assertArrayEqual(Exporter.build(entries, 'jsonl').trim().split('\n').map(line => JSON.parse(line)), [
+            { url: 'https://www.example.co.uk/a,b?x=1#top', scheme: 'https', host: 'www.example.co.uk', domain: 'example.co.uk', tld: 'uk', path: '/a,b', query: 'x=1', fragment: 'top', metadata: { title: 'Docs [v2]' } },
+            { url: 'not a url' }
+        ], 'Should write one JSON object per result with its metadata');
+        assertEqual(Exporter.build([...entries, { url: 'https://a.com/(x)', metadata: null }], 'markdown'),
+            '- [Docs \\[v2\\]](https://www.example.co.uk/a,b?x=1#top)\n- not a url\n- [https://a.com/(x)](https://a.com/%28x%29)\n',
+            'Should link titles and escape Markdown characters');
+        assertEqual(Exporter.getFileName('jsonl', true), 'urls.jsonl.gz', 'Should add .gz to gzipped file names');
+    });
+
+    // Test redirect rules
+    test('RedirectMap - finds loops and chains and writes escaped rules', () => {
+        const Redirects = typeof RedirectMap !== 'undefined' ? RedirectMap : require('./redirect-map.js');
+        const entries = (pairs) => pairs.map(([url, target]) => ({ url, metadata: target === null ? null : { target } }));
+
+        const { pairs, missing, invalid } = Redirects.pair(entries([
+            ['https://old.com/about', '/team'],
+            ['https://old.com/team', 'https://new.com/people'],
+            ['https://old.com/a b?x=1', '/new$page'],
+            ['https://old.com/none', null],
+            ['https://old.com/relative', 'page']
+        ]));
+        assertEqual(missing, 1, 'Should count results without a target');
+        assertEqual(invalid, 1, 'Should count targets that are neither URLs nor root paths');
+
+        const problems = Redirects.check(pairs);
+        assertArrayEqual(problems.chains, [['https://old.com/about', 'https://old.com/team', 'https://new.com/people']], 'Should find chains');
+        assertArrayEqual(problems.loops, [], 'Should find no loops');
+        assertArrayEqual(Redirects.flatten(pairs).map(pair => pair.to), [
+            'https://new.com/people', 'https://new.com/people', 'https://old.com/new$page'
+        ], 'Should point chains at their final target');
+
+        const looped = Redirects.check(Redirects.pair(entries([
+            ['https://a.com/1', '/2'], ['https://a.com/2', '/1#top'], ['https://a.com/3', '/4'], ['https://a.com/3', '/5']
+        ])).pairs);
+        assertArrayEqual(looped.loops, [['https://a.com/1', 'https://a.com/2', 'https://a.com/1']], 'Should find loops, ignoring fragments');
+        assertArrayEqual(looped.conflicts, [{ from: 'https://a.com/3', targets: ['https://a.com/4', 'https://a.com/5'] }], 'Should find old URLs with two targets');
+
+        const redirects = Redirects.flatten(pairs);
+        assertEqual(Redirects.build(redirects, 'nginx').content, [
+            '# Use in a server block: if ($redirect_uri) { return 301 $redirect_uri; }',
+            'map $request_uri $redirect_uri {',
+            '    /about https://new.com/people;',
+            '    /team https://new.com/people;',
+            '    /a%20b?x=1 /new%24page;',
+            '}',
+            ''
+        ].join('\n'), 'Should write an nginx map without variables in the values');
+        assertEqual(Redirects.build(redirects, 'apacheRewrite').content.split('\n').slice(-3).join('\n'),
+            'RewriteCond %{QUERY_STRING} ^x=1$\nRewriteRule "^/?a b$" /new\\$page [R=301,L,NE,QSD]\n',
+            'Should match the decoded path and query and escape back-references');
+        const alias = Redirects.build(redirects, 'apacheRedirect');
+        assertEqual(alias.content, 'RedirectMatch 301 ^/about$ https://new.com/people\nRedirectMatch 301 ^/team$ https://new.com/people\n', 'Should write anchored RedirectMatch lines');
+        assertEqual(alias.skipped.length, 1, 'Should skip old URLs with a query string for RedirectMatch');
+        const nested = Redirects.build(Redirects.flatten(Redirects.pair(entries([
+            ['https://a.com/blog', '/news'], ['https://a.com/blog/post.html', '/news/$1']
+        ])).pairs), 'apacheRedirect');
+        assertEqual(nested.content, 'RedirectMatch 301 ^/blog$ /news\nRedirectMatch 301 ^/blog/post\\.html$ /news/\\$1\n',
+            'Should redirect a parent path without catching its children');
+        assertEqual(Redirects.build(redirects.slice(0, 1), 'redirects').content, '/about https://new.com/people 301\n', 'Should write _redirects lines');
+    });
+
+    // Test blocklist files
+    test('Blocklist - writes hosts, Adblock, dnsmasq and RPZ lists and collapses subdomains', () => {
+        const List = typeof Blocklist !== 'undefined' ? Blocklist : require('./blocklist.js');
+        const urls = [
+            'https://ads.tracker.com/pixel',
+            'https://cdn.ads.tracker.com/x.js',
+            'https://ads.tracker.com/other',
+            'https://foo.github.io/',
+            'https://bar.github.io/',
+            'https://bücher.de/',
+            'http://192.168.0.1/',
+            'http://localhost:8080/'
+        ];
+
+        const hosts = List.build(urls, { format: 'hosts', level: 'host' });
+        assertEqual(hosts.content, [
+            '# Blocklist: 5 hosts',
+            '0.0.0.0 ads.tracker.com',
+            '0.0.0.0 cdn.ads.tracker.com',
+            '0.0.0.0 foo.github.io',
+            '0.0.0.0 bar.github.io',
+            '0.0.0.0 xn--bcher-kva.de',
+            ''
+        ].join('\n'), 'Should write each unique host in punycode');
+        assertEqual(hosts.skipped, 2, 'Should skip IP addresses and single-label hosts');
+
+        assertEqual(List.build(urls, { format: 'hosts', level: 'host', collapse: true }).content.split('\n')[1],
+            '0.0.0.0 ads.tracker.com cdn.ads.tracker.com', 'Should list collapsed hosts on one line');
+        assertEqual(List.build(urls, { format: 'adblock', level: 'host', collapse: true }).content,
+            '[Adblock Plus 2.0]\n! Blocklist: 4 domains\n||ads.tracker.com^\n||foo.github.io^\n||bar.github.io^\n||xn--bcher-kva.de^\n',
+            'Should collapse hosts under their common parent, never a public suffix');
+        assertEqual(List.build(urls.slice(0, 2), { format: 'dnsmasq', level: 'registrable' }).content,
+            '# Blocklist: 1 domain\naddress=/tracker.com/0.0.0.0\n', 'Should block registrable domains');
+        assertEqual(List.build(['https://a.x.example.com/', 'https://b.x.example.com/'], { format: 'rpz', collapse: true }).content,
+            '; Blocklist: 1 domain\nx.example.com CNAME .\n*.x.example.com CNAME .\n', 'Should write RPZ lines for the parent and its subdomains');
+    });
+
     console.log(`\nTest Results: ${testsPassed}/${testsTotal} tests passed`);
     
     if (testsPassed === testsTotal) {
@@ -1,8 +1,23 @@
 /**
  * Standalone URL Processing Web Worker
- * Includes all necessary code for URL processing without external dependencies
+ * Includes all necessary code for URL processing; only the bundled
+ * Public Suffix List, the punycode converter, the host classifier, the
+ * URL normalizer, the tracking parameter rules and the HAR reader are
+ * loaded from separate files
  */
 
+importScripts(
+    './public-suffix-data.js',
+    './public-suffix-list.js',
+    './punycode.js',
+    './host-classifier.js',
+    './url-normalizer.js',
+    './tracking-parameter-stripper.js',
+    './url-filter.js',
+    './filter-expression.js',
+    './har-reader.js'
+);
+
 /**
  * URLParser - Utility class for parsing and validating URLs
  */
@@ -51,17 +66,23 @@ class URLParser {
             }
 
             const hostname = urlObj.hostname.toLowerCase();
-            const domainParts = this.extractDomainParts(hostname);
+            const hostType = HostClassifier.getHostType(hostname);
+            const domainParts = this.extractDomainParts(hostname, hostType);
             
             return {
                 original: url,
                 protocol: urlObj.protocol.replace(':', ''),
                 hostname: hostname,
+                hostnameUnicode: Punycode.toUnicode(hostname),
+                hostType: hostType,
                 domain: domainParts.domain,
                 subdomain: domainParts.subdomain,
                 tld: domainParts.tld,
+                publicSuffix: domainParts.publicSuffix,
+                registrableDomain: domainParts.registrableDomain,
                 path: urlObj.pathname,
                 parameters: this.parseParameters(urlObj.search),
+                parameterList: this.parseParameterList(urlObj.search),
                 fragment: urlObj.hash.replace('#', ''),
                 port: urlObj.port,
                 valid: true
@@ -98,6 +119,52 @@ class URLParser {
         return parsed && parsed.valid ? parsed.tld : null;
     }
 
+    static getPublicSuffix(url) {
+        const parsed = this.parse(url);
+        return parsed && parsed.valid ? parsed.publicSuffix || null : null;
+    }
+
+    static getComparisonKey(url, type) {
+        const parsed = this.parse(url);
+        if (!parsed || !parsed.valid) {
+            return null;
+        }
+
+        switch (type) {
+            case 'tld':
+                return parsed.hostType === 'dns' ? parsed.publicSuffix || parsed.tld : parsed.hostname;
+            case 'registrable':
+                return parsed.registrableDomain || parsed.hostname;
+            case 'domain':
+                return parsed.hostname;
+            case 'canonical':
+                return this.getCanonicalKey(parsed.original);
+            case 'full':
+            default:
+                return (this.convertHost(parsed.original.trim(), 'ascii') || parsed.original).toLowerCase();
+        }
+    }
+
+    static getCanonicalKey(url) {
+        if (!this.isValid(url)) {
+            return null;
+        }
+
+        const trimmed = url.trim();
+        const ascii = this.convertHost(trimmed, 'ascii') || trimmed;
+        return URLNormalizer.normalize(ascii) || ascii.toLowerCase();
+    }
+
+    static isIPHost(url) {
+        const parsed = this.parse(url);
+        return Boolean(parsed && parsed.valid && HostClassifier.isIP(parsed.hostType));
+    }
+
+    static isPrivateHost(url) {
+        const parsed = this.parse(url);
+        return Boolean(parsed && parsed.valid && HostClassifier.isPrivate(parsed.hostname, parsed.hostType));
+    }
+
     static hasSubdomain(url) {
         const parsed = this.parse(url);
         return parsed && parsed.valid && parsed.subdomain && parsed.subdomain.length > 0;
@@ -124,6 +191,42 @@ class URLParser {
         }
     }
 
+    static filterQueryParameters(url, keep) {
+        if (!this.isValid(url)) {
+            return null;
+        }
+
+        const trimmed = url.trim();
+        const hashIndex = trimmed.indexOf('#');
+        const beforeHash = hashIndex >= 0 ? trimmed.slice(0, hashIndex) : trimmed;
+        const fragment = hashIndex >= 0 ? trimmed.slice(hashIndex) : '';
+        const queryIndex = beforeHash.indexOf('?');
+
+        if (queryIndex < 0) {
+            return trimmed;
+        }
+
+        const kept = beforeHash.slice(queryIndex + 1).split('&').filter(pair => {
+            if (pair === '') {
+                return false;
+            }
+            const separator = pair.indexOf('=');
+            const key = this.decodeQueryComponent(separator >= 0 ? pair.slice(0, separator) : pair);
+            const value = separator >= 0 ? this.decodeQueryComponent(pair.slice(separator + 1)) : '';
+            return keep(key, value);
+        });
+
+        return beforeHash.slice(0, queryIndex) + (kept.length > 0 ? '?' + kept.join('&') : '') + fragment;
+    }
+
+    static decodeQueryComponent(component) {
+        try {
+            return decodeURIComponent(component.replace(/\+/g, ' '));
+        } catch (error) {
+            return component;
+        }
+    }
+
     static getFullDomain(url) {
         const parsed = this.parse(url);
         if (!parsed || !parsed.valid) {
@@ -133,85 +236,114 @@ class URLParser {
         return parsed.hostname;
     }
 
+    static convertHost(url, form) {
+        // Nothing to convert: skip parsing
+        if ((form === 'unicode' && !/xn--/i.test(url)) || (form === 'ascii' && !/[^\x00-\x7f]/.test(url))) {
+            return url;
+        }
+
+        if (!this.isValid(url)) {
+            return null;
+        }
+
+        const range = this.findHostRange(url);
+        if (!range) {
+            return url;
+        }
+
+        const host = url.slice(range.start, range.end);
+        const converted = form === 'ascii' ? Punycode.toASCII(host) : Punycode.toUnicode(host);
+
+        return url.slice(0, range.start) + converted + url.slice(range.end);
+    }
+
+    static findHostRange(url) {
+        const schemeMatch = /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//.exec(url);
+        const authorityStart = schemeMatch ? schemeMatch[0].length : (url.startsWith('//') ? 2 : 0);
+        const authorityEndMatch = /[\/?#]/.exec(url.slice(authorityStart));
+        const authorityEnd = authorityEndMatch ? authorityStart + authorityEndMatch.index : url.length;
+        const authority = url.slice(authorityStart, authorityEnd);
+
+        const start = authorityStart + authority.lastIndexOf('@') + 1;
+        const hostAndPort = url.slice(start, authorityEnd);
+        if (!hostAndPort) {
+            return null;
+        }
+
+        if (hostAndPort.startsWith('[')) {
+            const closing = hostAndPort.indexOf(']');
+            return { start, end: closing >= 0 ? start + closing + 1 : authorityEnd };
+        }
+
+        const colon = hostAndPort.lastIndexOf(':');
+        return { start, end: colon >= 0 ? start + colon : authorityEnd };
+    }
+
     static normalizeUrl(url) {
         return url.trim()
                   .replace(/\s+/g, '')
                   .replace(/\/+$/, '');
     }
 
-    static extractDomainParts(hostname) {
+    static extractDomainParts(hostname, hostType = HostClassifier.getHostType(hostname)) {
+        const empty = { subdomain: '', domain: '', tld: '', publicSuffix: '', registrableDomain: '' };
         if (!hostname) {
-            return { subdomain: '', domain: '', tld: '' };
+            return empty;
         }
 
-        const parts = hostname.split('.');
-        
-        if (parts.length < 2) {
-            return { subdomain: '', domain: hostname, tld: '' };
+        if (hostType !== 'dns') {
+            return { ...empty, domain: hostname, registrableDomain: hostname };
         }
 
-        const tld = parts[parts.length - 1];
-        let domain, subdomain;
+        const parts = hostname.replace(/\.$/, '').split('.');
 
-        if (parts.length === 2) {
-            domain = parts[0];
-            subdomain = '';
-        } else if (parts.length === 3) {
-            if (this.isCommonSecondLevelTLD(parts[parts.length - 2], tld)) {
-                domain = parts[parts.length - 3];
-                subdomain = parts.slice(0, -3).join('.');
-            } else {
-                domain = parts[parts.length - 2];
-                subdomain = parts.slice(0, -2).join('.');
-            }
-        } else {
-            if (this.isCommonSecondLevelTLD(parts[parts.length - 2], tld)) {
-                domain = parts[parts.length - 3];
-                subdomain = parts.slice(0, -3).join('.');
-            } else {
-                domain = parts[parts.length - 2];
-                subdomain = parts.slice(0, -2).join('.');
-            }
-        }
+        const split = PublicSuffixList.getDefault().split(hostname);
 
         return {
-            subdomain: subdomain || '',
-            domain: domain || '',
-            tld: tld || ''
+            subdomain: split.subdomain,
+            domain: split.domain,
+            tld: parts[parts.length - 1],
+            publicSuffix: split.publicSuffix,
+            registrableDomain: split.registrableDomain
         };
     }
 
-    static isCommonSecondLevelTLD(secondLevel, topLevel) {
-        const commonSecondLevel = {
-            'co': ['uk', 'jp', 'kr', 'za', 'nz'],
-            'com': ['au', 'br', 'mx'],
-            'net': ['au'],
-            'org': ['au', 'uk'],
-            'gov': ['uk', 'au'],
-            'edu': ['au'],
-            'ac': ['uk']
-        };
+    static parseParameters(search) {
+        const params = {};
 
-        return commonSecondLevel[secondLevel] && 
-               commonSecondLevel[secondLevel].includes(topLevel);
+        for (const { key, value } of this.parseParameterList(search)) {
+            if (!Object.prototype.hasOwnProperty.call(params, key)) {
+                params[key] = value;
+            } else if (Array.isArray(params[key])) {
+                params[key].push(value);
+            } else {
+                params[key] = [params[key], value];
+            }
+        }
+
+        return params;
     }
 
-    static parseParameters(search) {
-        const params = {};
+    static parseParameterList(search) {
+        const list = [];
         if (!search || search.length <= 1) {
-            return params;
+            return list;
         }
 
         const queryString = search.startsWith('?') ? search.slice(1) : search;
         
         queryString.split('&').forEach(param => {
-            const [key, value] = param.split('=');
+            const separator = param.indexOf('=');
+            const key = this.decodeQueryComponent(separator >= 0 ? param.slice(0, separator) : param);
             if (key) {
-                params[decodeURIComponent(key)] = value ? decodeURIComponent(value) : '';
+                list.push({
+                    key: key,
+                    value: separator >= 0 ? this.decodeQueryComponent(param.slice(separator + 1)) : ''
+                });
             }
         });
 
-        return params;
+        return list;
     }
 }
 
@@ -225,8 +357,23 @@ class URLProcessor {
             outputCount: 0,
             removedCount: 0,
             invalidCount: 0,
-            processingTime: 0
+            processingTime: 0,
+            parameterCounts: {},
+            stepCounts: [],
+            removedItems: [],
+            resultLines: null,
+            resultMetadata: null,
+            listCounts: null
         };
+
+        // Input line numbers of the current step's URLs, for removed items
+        this.lineNumbers = null;
+        // Sitemap or bookmark metadata of the current step's URLs, for metadata filters and sorts
+        this.metadata = null;
+        // Second list that compareLists() combines the URLs with
+        this.listB = null;
+        this.stepDropped = new Set();
+        this.stepOrder = null;
     }
 
     process(urls, operation, options = {}) {
@@ -244,38 +391,19 @@ class URLProcessor {
                 throw new Error('Operation type must be specified');
             }
 
-            let results = [];
-
-            switch (operation) {
-                case 'removeParameters':
-                    results = this.removeParameters(urls);
-                    break;
-                case 'deduplicate':
-                    results = this.deduplicate(urls, options.type || 'full');
-                    break;
-                case 'filter':
-                    results = this.filter(urls, options.type, options.filterString);
-                    break;
-                case 'keepTLDOnly':
-                    results = this.keepTLDOnly(urls);
-                    break;
-                case 'trimLastPath':
-                    results = this.trimLastPath(urls);
-                    break;
-                case 'extractTLD':
-                    results = this.extractTLD(urls);
-                    break;
-                case 'sortByDomain':
-                    results = this.sortByDomain(urls);
-                    break;
-                case 'sortByLength':
-                    results = this.sortByLength(urls);
-                    break;
-                case 'sortByFilename':
-                    results = this.sortByFilename(urls);
-                    break;
-                default:
-                    throw new Error(`Unknown operation: ${operation}`);
+            this.lineNumbers = options.lineNumbers || urls.map((url, index) => index + 1);
+            this.metadata = options.metadata || null;
+            this.listB = options.listB || null;
+            this.stepDropped = new Set();
+            let results = operation === 'pipeline'
+                ? this.routeOperation(urls, operation, options)
+                : this.runStep(urls, operation, options);
+            this.stats.resultLines = this.lineNumbers;
+            this.stats.resultMetadata = this.metadata;
+
+            if (operation !== 'convertHosts' &&
+                !(operation === 'pipeline' && options.pipeline.some(step => step.operation === 'convertHosts'))) {
+                results = this.applyHostDisplay(results, options.hostDisplay);
             }
 
             this.stats.outputCount = results.length;
@@ -290,12 +418,101 @@ class URLProcessor {
         }
     }
 
+    routeOperation(urls, operation, options = {}) {
+        switch (operation) {
+            case 'pipeline':
+                return this.runPipeline(urls, options.pipeline);
+            case 'removeParameters':
+                return this.removeParameters(urls);
+            case 'removeTracking':
+                return this.removeTracking(urls, options);
+            case 'filterParameters':
+                return this.filterParameters(urls, options.type, options.parameters);
+            case 'deduplicate':
+                return this.deduplicate(urls, options.type || 'full');
+            case 'compareLists':
+                return this.compareLists(urls, options.type, options.key || 'full');
+            case 'filter':
+                return this.filter(urls, options.type, options.filterString, options);
+            case 'filterHosts':
+                return this.filterHosts(urls, options.type, options.hostClass);
+            case 'filterExpression':
+                return this.filterExpression(urls, options.type, options.expression, options.source);
+            case 'keepTLDOnly':
+                return this.keepTLDOnly(urls);
+            case 'trimLastPath':
+                return this.trimLastPath(urls);
+            case 'normalize':
+                return this.normalize(urls, options.steps);
+            case 'extractTLD':
+                return this.extractTLD(urls);
+            case 'sortByDomain':
+                return this.sortByDomain(urls);
+            case 'sortByLength':
+                return this.sortByLength(urls);
+            case 'sortByFilename':
+                return this.sortByFilename(urls);
+            case 'sortByMetadata':
+                return this.sortByMetadata(urls, options.field);
+            case 'convertHosts':
+                return this.convertHosts(urls, options.type || 'unicode');
+            default:
+                throw new Error(`Unknown operation: ${operation}`);
+        }
+    }
+
+    runPipeline(urls, steps) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Pipeline must contain at least one step');
+        }
+
+        let current = urls;
+        this.stats.stepCounts = [];
+
+        steps.forEach((step, index) => {
+            if (!step || step.operation === 'pipeline') {
+                throw new Error(`Step ${index + 1}: pipelines cannot contain pipelines`);
+            }
+
+            const inputCount = current.length;
+            try {
+                current = this.runStep(current, step.operation, step);
+            } catch (error) {
+                throw new Error(`Step ${index + 1} (${step.operation}): ${error.message}`);
+            }
+
+            this.stats.stepCounts.push({ operation: step.operation, inputCount, outputCount: current.length });
+        });
+
+        return current;
+    }
+
+    runStep(urls, operation, options) {
+        const lineNumbers = this.lineNumbers;
+        const metadata = this.metadata;
+        this.stepDropped = new Set();
+        this.stepOrder = null;
+
+        const results = this.routeOperation(urls, operation, options);
+
+        // Sorts report their new order; other steps keep the order of what they did not drop.
+        // A null in the order is a result with no input line, such as a member of list B
+        const kept = this.stepOrder || urls.map((url, index) => index).filter(index => !this.stepDropped.has(index));
+        const carry = (values) => values && kept.length === results.length
+            ? kept.map(index => index === null ? null : values[index])
+            : null;
+        this.lineNumbers = carry(lineNumbers);
+        this.metadata = carry(metadata);
+
+        return results;
+    }
+
     removeParameters(urls) {
         const results = [];
         
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -304,20 +521,111 @@ class URLProcessor {
             if (cleanedUrl !== null) {
                 results.push(cleanedUrl);
             } else {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
+            }
+        }
+
+        return results;
+    }
+
+    removeTracking(urls, options = {}) {
+        const stripper = new TrackingParameterStripper(options);
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const stripped = stripper.strip(url.trim());
+
+            if (stripped === null) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+
+            for (const { kind } of stripped.removed) {
+                this.stats.parameterCounts[kind] = (this.stats.parameterCounts[kind] || 0) + 1;
+            }
+            results.push(stripped.url);
+        }
+
+        return results;
+    }
+
+    filterParameters(urls, mode, patterns) {
+        if (mode !== 'keep' && mode !== 'remove') {
+            throw new Error(`Unknown parameter filter mode: ${mode}`);
+        }
+        if (!Array.isArray(patterns) || patterns.length === 0) {
+            throw new Error('At least one parameter name is required');
+        }
+
+        const matchers = patterns.map(pattern => this.createWildcardMatcher(pattern));
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const filtered = URLParser.filterQueryParameters(url.trim(), (key) => {
+                const listed = matchers.some(matcher => matcher.test(key));
+                return mode === 'keep' ? listed : !listed;
+            });
+
+            if (filtered !== null) {
+                results.push(filtered);
+            } else {
+                this.dropInvalid(index, url);
+            }
+        }
+
+        return results;
+    }
+
+    createWildcardMatcher(pattern) {
+        return URLFilter.globToRegExp(pattern);
+    }
+
+    convertHosts(urls, form = 'unicode') {
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const converted = URLParser.isValid(url.trim()) ? URLParser.convertHost(url.trim(), form) : null;
+
+            if (converted !== null) {
+                results.push(converted);
+            } else {
+                this.dropInvalid(index, url);
             }
         }
 
         return results;
     }
 
+    applyHostDisplay(results, hostDisplay) {
+        if (hostDisplay !== 'unicode' && hostDisplay !== 'ascii') {
+            return results;
+        }
+
+        return results.map(result => URLParser.convertHost(result, hostDisplay) || result);
+    }
+
     deduplicate(urls, type = 'full') {
         const results = [];
-        const seen = new Set();
+        const seen = new Map(); // Comparison key -> index of its first URL
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -325,13 +633,15 @@ class URLProcessor {
             const comparisonKey = this.getDeduplicationKey(trimmedUrl, type);
 
             if (comparisonKey === null) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
             if (!seen.has(comparisonKey)) {
-                seen.add(comparisonKey);
+                seen.set(comparisonKey, index);
                 results.push(trimmedUrl);
+            } else {
+                this.dropDuplicate(index, url, seen.get(comparisonKey));
             }
         }
 
@@ -351,8 +661,8 @@ class URLProcessor {
     }
 
     getTLDKey(url) {
-        const tld = URLParser.getTLD(url);
-        return tld ? tld.toLowerCase() : null;
+        const suffix = URLParser.getComparisonKey(url, 'tld');
+        return suffix ? suffix.toLowerCase() : null;
     }
 
     getDomainKey(url) {
@@ -361,34 +671,189 @@ class URLProcessor {
     }
 
     getFullURLKey(url) {
-        if (!URLParser.isValid(url)) {
-            return null;
+        return URLParser.getCanonicalKey(url);
+    }
+
+    compareLists(urls, type, key = 'full') {
+        const buckets = URLProcessor.LIST_OPERATIONS[type];
+        if (!buckets) {
+            throw new Error(`Unknown list operation: ${type}`);
+        }
+        if (!URLProcessor.LIST_COMPARISONS[key]) {
+            throw new Error(`Unknown list comparison: ${key}`);
+        }
+
+        // Comparison key -> first URL of list B; lines of B that are not URLs are only counted
+        const membersB = new Map();
+        let invalidB = 0;
+        for (const url of this.listB || []) {
+            if (typeof url !== 'string' || url.trim() === '') {
+                continue;
+            }
+            const comparisonKey = URLParser.getComparisonKey(url.trim(), key);
+            if (comparisonKey === null) {
+                invalidB++;
+            } else if (!membersB.has(comparisonKey)) {
+                membersB.set(comparisonKey, url.trim());
+            }
         }
-        return url.toLowerCase();
+
+        const results = [];
+        const order = []; // Index in list A of each result, null for members of list B only
+        const seen = new Map(); // Comparison key -> index of its first URL
+        const counts = { onlyA: 0, both: 0, onlyB: 0, invalidB };
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            const comparisonKey = URLParser.getComparisonKey(trimmedUrl, key);
+
+            if (comparisonKey === null) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+            if (seen.has(comparisonKey)) {
+                this.dropDuplicate(index, url, seen.get(comparisonKey));
+                continue;
+            }
+            seen.set(comparisonKey, index);
+
+            const bucket = membersB.has(comparisonKey) ? 'both' : 'onlyA';
+            counts[bucket]++;
+            if (buckets.includes(bucket)) {
+                results.push(trimmedUrl);
+                order.push(index);
+            } else {
+                this.dropFiltered(index, url, `${URLProcessor.LIST_BUCKETS[bucket]}, compared by ${URLProcessor.LIST_COMPARISONS[key]}`);
+            }
+        }
+
+        for (const [comparisonKey, url] of membersB) {
+            if (!seen.has(comparisonKey)) {
+                counts.onlyB++;
+                if (buckets.includes('onlyB')) {
+                    results.push(url);
+                    order.push(null);
+                }
+            }
+        }
+
+        this.stepOrder = order;
+        this.stats.listCounts = counts;
+        return results;
     }
 
-    filter(urls, filterType, filterString) {
+    filter(urls, filterType, filterString, options = {}) {
         if (!filterString || typeof filterString !== 'string' || filterString.trim() === '') {
             throw new Error('Filter string is required for filter operations');
         }
 
+        const matches = URLFilter.createMatcher(filterString, options);
+        const target = options.target || 'url';
+        if (!URLFilter.TARGETS.includes(target)) {
+            throw new Error(`Unknown filter target: ${target}`);
+        }
+
+        const rule = this.describeFilter(filterType, `${target} ${this.describeMatch(filterString, options)}`);
         const results = [];
-        const searchString = filterString.toLowerCase();
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
             const trimmedUrl = url.trim();
-            const urlLower = trimmedUrl.toLowerCase();
-            const containsString = urlLower.includes(searchString);
+            let containsString;
+
+            if (target === 'url') {
+                containsString = matches(trimmedUrl);
+            } else {
+                const parsed = URLParser.parse(trimmedUrl);
+                if (!parsed.valid) {
+                    this.dropInvalid(index, url);
+                    continue;
+                }
+                containsString = URLFilter.getTargetValues(parsed, target).some(matches);
+            }
 
             if (filterType === 'include' && containsString) {
                 results.push(trimmedUrl);
             } else if (filterType === 'exclude' && !containsString) {
                 results.push(trimmedUrl);
+            } else {
+                this.dropFiltered(index, url, rule);
+            }
+        }
+
+        return results;
+    }
+
+    filterExpression(urls, filterType, expression, source = '') {
+        if (!expression) {
+            throw new Error('Filter expression is required for advanced filter operations');
+        }
+
+        const matches = FilterExpression.compile(expression);
+        const text = typeof expression === 'string' ? expression : source;
+        const rule = this.describeFilter(filterType, text ? `expression ${text}` : 'advanced filter expression');
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            const parsed = URLParser.parse(trimmedUrl);
+            if (!parsed.valid) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+
+            if (matches(parsed, this.metadata ? this.metadata[index] : null) === (filterType !== 'exclude')) {
+                results.push(trimmedUrl);
+            } else {
+                this.dropFiltered(index, url, rule);
+            }
+        }
+
+        return results;
+    }
+
+    filterHosts(urls, filterType, hostClass) {
+        if (hostClass !== 'ip' && hostClass !== 'private') {
+            throw new Error(`Unknown host class: ${hostClass}`);
+        }
+
+        const rule = this.describeFilter(filterType, hostClass === 'ip' ? 'IP address hosts' : 'private hosts');
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            if (!URLParser.isValid(trimmedUrl)) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+
+            const matches = hostClass === 'ip'
+                ? URLParser.isIPHost(trimmedUrl)
+                : URLParser.isPrivateHost(trimmedUrl);
+
+            if ((filterType === 'include' && matches) || (filterType === 'exclude' && !matches)) {
+                results.push(trimmedUrl);
+            } else {
+                this.dropFiltered(index, url, rule);
             }
         }
 
@@ -398,9 +863,9 @@ class URLProcessor {
     keepTLDOnly(urls) {
         const results = [];
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -410,8 +875,32 @@ class URLProcessor {
                 if (URLParser.isValid(trimmedUrl)) {
                     results.push(trimmedUrl);
                 } else {
-                    this.stats.invalidCount++;
+                    this.dropInvalid(index, url);
                 }
+            } else {
+                this.dropFiltered(index, url, 'keep URLs without subdomains');
+            }
+        }
+
+        return results;
+    }
+
+    normalize(urls, steps = {}) {
+        const results = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            const normalized = URLParser.isValid(trimmedUrl) ? URLNormalizer.normalize(trimmedUrl, steps) : null;
+
+            if (normalized !== null) {
+                results.push(normalized);
+            } else {
+                this.dropInvalid(index, url);
             }
         }
 
@@ -421,16 +910,16 @@ class URLProcessor {
     trimLastPath(urls) {
         const results = [];
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
             const trimmedUrl = url.trim();
             
             if (!URLParser.isValid(trimmedUrl)) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
@@ -452,7 +941,7 @@ class URLProcessor {
                 urlObj.pathname = path;
                 results.push(urlObj.toString());
             } catch (error) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url, error.message);
             }
         }
 
@@ -461,11 +950,11 @@ class URLProcessor {
 
     extractTLD(urls) {
         const results = [];
-        const seen = new Set();
+        const seen = new Map(); // Domain -> index of its first URL
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -473,21 +962,21 @@ class URLProcessor {
             const parsed = URLParser.parse(trimmedUrl);
             
             if (!parsed.valid) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
-            const domain = parsed.domain;
-            const tld = parsed.tld;
+            const baseDomain = parsed.registrableDomain;
             
-            if (domain && tld) {
-                const baseDomain = `${domain}.${tld}`;
+            if (baseDomain) {
                 if (!seen.has(baseDomain)) {
-                    seen.add(baseDomain);
+                    seen.set(baseDomain, index);
                     results.push(baseDomain);
+                } else {
+                    this.dropDuplicate(index, url, seen.get(baseDomain));
                 }
             } else {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url, 'No registrable domain');
             }
         }
 
@@ -497,9 +986,9 @@ class URLProcessor {
     sortByDomain(urls) {
         const validUrls = [];
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -507,48 +996,94 @@ class URLProcessor {
             const parsed = URLParser.parse(trimmedUrl);
             
             if (!parsed.valid) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
             validUrls.push({
                 original: trimmedUrl,
-                domain: parsed.hostname.toLowerCase()
+                index,
+                domain: HostClassifier.getSortKey(parsed.hostname, parsed.hostType)
             });
         }
 
         validUrls.sort((a, b) => a.domain.localeCompare(b.domain));
+        this.stepOrder = validUrls.map(item => item.index);
         return validUrls.map(item => item.original);
     }
 
     sortByLength(urls) {
         const validUrls = [];
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
             const trimmedUrl = url.trim();
             
             if (URLParser.isValid(trimmedUrl)) {
-                validUrls.push(trimmedUrl);
+                validUrls.push({ original: trimmedUrl, index });
+            } else {
+                this.dropInvalid(index, url);
+            }
+        }
+
+        validUrls.sort((a, b) => a.original.length - b.original.length);
+        this.stepOrder = validUrls.map(item => item.index);
+        return validUrls.map(item => item.original);
+    }
+
+    sortByMetadata(urls, field) {
+        const kind = URLProcessor.METADATA_SORT_KINDS[field];
+        if (!kind) {
+            throw new Error(`Cannot sort by metadata field: ${field}`);
+        }
+
+        const validUrls = [];
+
+        for (const [index, url] of urls.entries()) {
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                this.dropEmpty(index, url);
+                continue;
+            }
+
+            const trimmedUrl = url.trim();
+            if (!URLParser.isValid(trimmedUrl)) {
+                this.dropInvalid(index, url);
+                continue;
+            }
+
+            const value = this.metadata && this.metadata[index] ? this.metadata[index][field] : '';
+            let key = null;
+            if (kind === 'text') {
+                key = value ? String(value).toLowerCase() : null;
             } else {
-                this.stats.invalidCount++;
+                const number = kind === 'date' ? Date.parse(value) : parseFloat(value);
+                key = isNaN(number) ? null : number;
             }
+            validUrls.push({ original: trimmedUrl, index, key });
         }
 
-        validUrls.sort((a, b) => a.length - b.length);
-        return validUrls;
+        // Sorting is stable, so ties and URLs without a value keep their order
+        validUrls.sort((a, b) => {
+            if (a.key === null || b.key === null) {
+                return (a.key === null) - (b.key === null);
+            }
+            return kind === 'text' ? a.key.localeCompare(b.key) : b.key - a.key;
+        });
+        this.stepOrder = validUrls.map(item => item.index);
+
+        return validUrls.map(item => item.original);
     }
 
     sortByFilename(urls) {
         const validUrls = [];
 
-        for (const url of urls) {
+        for (const [index, url] of urls.entries()) {
             if (!url || typeof url !== 'string' || url.trim() === '') {
-                this.stats.invalidCount++;
+                this.dropEmpty(index, url);
                 continue;
             }
 
@@ -556,7 +1091,7 @@ class URLProcessor {
             const parsed = URLParser.parse(trimmedUrl);
             
             if (!parsed.valid) {
-                this.stats.invalidCount++;
+                this.dropInvalid(index, url);
                 continue;
             }
 
@@ -579,14 +1114,69 @@ class URLProcessor {
 
             validUrls.push({
                 original: trimmedUrl,
+                index,
                 filename: filename.toLowerCase()
             });
         }
 
         validUrls.sort((a, b) => a.filename.localeCompare(b.filename));
+        this.stepOrder = validUrls.map(item => item.index);
         return validUrls.map(item => item.original);
     }
 
+    dropEmpty(index, url) {
+        this.stats.invalidCount++;
+        this.recordRemoval(index, url, 'empty', 'Empty line');
+    }
+
+    dropInvalid(index, url, error = null) {
+        this.stats.invalidCount++;
+        const reason = error || URLParser.parse(String(url).trim()).error || 'Invalid URL';
+        this.recordRemoval(index, url, 'invalid', /^invalid url/i.test(reason) ? reason : `Invalid URL: ${reason}`);
+    }
+
+    dropDuplicate(index, url, firstIndex) {
+        const firstLine = this.getLineNumber(firstIndex);
+        this.recordRemoval(index, url, 'duplicate',
+            firstLine !== null ? `Duplicate of line ${firstLine}` : 'Duplicate', { duplicateOf: firstLine });
+    }
+
+    dropFiltered(index, url, rule) {
+        this.recordRemoval(index, url, 'filtered', `Filtered by rule: ${rule}`, { rule });
+    }
+
+    recordRemoval(index, url, reason, message, details = {}) {
+        this.stepDropped.add(index);
+        this.stats.removedItems.push({
+            line: this.getLineNumber(index),
+            url: typeof url === 'string' ? url.trim() : '',
+            reason,
+            message,
+            ...details
+        });
+    }
+
+    getLineNumber(index) {
+        return this.lineNumbers ? this.lineNumbers[index] : null;
+    }
+
+    describeFilter(filterType, condition) {
+        return `${filterType === 'exclude' ? 'remove' : 'keep'} ${condition}`;
+    }
+
+    describeMatch(filterString, options = {}) {
+        switch (options.mode) {
+            case 'case-sensitive':
+                return `contains "${filterString}" (case-sensitive)`;
+            case 'glob':
+                return `matches glob "${filterString}"`;
+            case 'regex':
+                return `matches /${filterString}/${options.flags || ''}`;
+            default:
+                return `contains "${filterString}"`;
+        }
+    }
+
     createProcessingResult(success, results, errors) {
         return {
             success: success,
@@ -594,6 +1184,12 @@ class URLProcessor {
             outputCount: this.stats.outputCount,
             removedCount: this.stats.removedCount,
             invalidCount: this.stats.invalidCount,
+            parameterCounts: { ...this.stats.parameterCounts },
+            stepCounts: [...this.stats.stepCounts],
+            removedItems: this.stats.removedItems,
+            resultLines: this.stats.resultLines,
+            resultMetadata: this.stats.resultMetadata,
+            listCounts: this.stats.listCounts,
             results: results || [],
             errors: errors || [],
             processingTime: Math.round(this.stats.processingTime * 100) / 100
@@ -606,29 +1202,115 @@ class URLProcessor {
             outputCount: 0,
             removedCount: 0,
             invalidCount: 0,
-            processingTime: 0
+            processingTime: 0,
+            parameterCounts: {},
+            stepCounts: [],
+            removedItems: [],
+            resultLines: null,
+            resultMetadata: null,
+            listCounts: null
         };
     }
 }
 
+/**
+ * How sortByMetadata() compares each field: dates and numbers largest first, text A to Z
+ */
+URLProcessor.METADATA_SORT_KINDS = {
+    lastmod: 'date',
+    priority: 'number',
+    size: 'number',
+    time: 'number',
+    folder: 'text'
+};
+
+/**
+ * Buckets each list operation keeps: members only in list A, in both lists, and only in list B
+ */
+URLProcessor.LIST_OPERATIONS = {
+    union: ['onlyA', 'both', 'onlyB'],
+    intersection: ['both'],
+    aMinusB: ['onlyA'],
+    bMinusA: ['onlyB'],
+    symmetricDifference: ['onlyA', 'onlyB']
+};
+
+/**
+ * What compareLists() compares, as URLParser.getComparisonKey() types, with their descriptions
+ */
+URLProcessor.LIST_COMPARISONS = {
+    full: 'full URL',
+    canonical: 'canonical URL',
+    domain: 'host',
+    registrable: 'registrable domain'
+};
+
+/**
+ * Descriptions of the list A buckets for removed items
+ */
+URLProcessor.LIST_BUCKETS = {
+    onlyA: 'only in list A',
+    both: 'also in list B'
+};
+
+/**
+ * Operations that need every URL at once and are never split into batches
+ */
+URLProcessor.WHOLE_LIST_OPERATIONS = [
+    'pipeline', 'compareLists', 'deduplicate', 'extractTLD',
+    'sortByDomain', 'sortByLength', 'sortByFilename', 'sortByMetadata'
+];
+
 /**
  * Worker configuration
  */
 const BATCH_SIZE = 1000;
 const PROGRESS_INTERVAL = 100;
 
+/**
+ * Lines of the file streamed in from the page, and their line numbers
+ */
+let fileLines = null;
+let fileLineNumbers = null;
+
 /**
  * Main message handler for the web worker
  */
 self.onmessage = function(event) {
-    const { id, operation, urls, options } = event.data;
+    const { id, task, operation, urls, options } = event.data;
+    
+    // Large HAR files are parsed here so the page stays responsive
+    if (task === 'parseHAR') {
+        parseHAR(id, event.data.text);
+        return;
+    }
+    
+    // Files are streamed in chunk by chunk and kept here, so their text never passes through the page
+    if (task === 'fileStart') {
+        fileLines = [];
+        fileLineNumbers = [];
+        return;
+    }
+    if (task === 'fileLines') {
+        appendFileLines(event.data.lines, event.data.lineNumbers);
+        return;
+    }
+    if (task === 'fileClear') {
+        fileLines = null;
+        fileLineNumbers = null;
+        return;
+    }
     
     try {
-        if (!operation || !Array.isArray(urls)) {
-            throw new Error('Invalid input: operation and urls array are required');
+        const fromFile = event.data.source === 'file';
+        const input = fromFile ? fileLines : urls;
+        
+        if (!operation || !Array.isArray(input)) {
+            throw new Error(fromFile ? 'No file is loaded' : 'Invalid input: operation and urls array are required');
         }
 
-        processURLsWithProgress(id, operation, urls, options || {});
+        const processingOptions = fromFile ? { ...options, lineNumbers: fileLineNumbers } : options || {};
+        processURLsWithProgress(id, operation, input, processingOptions);
         
     } catch (error) {
         self.postMessage({
@@ -640,6 +1322,34 @@ self.onmessage = function(event) {
     }
 };
 
+function appendFileLines(lines, lineNumbers) {
+    // Chunks still in flight after the file was cleared are dropped
+    if (!fileLines) return;
+    for (let index = 0; index < lines.length; index++) {
+        fileLines.push(lines[index]);
+        fileLineNumbers.push(lineNumbers[index]);
+    }
+}
+
+// HAR parse failures are reported with the result, not as worker errors that start the fallback
+function parseHAR(id, text) {
+    try {
+        self.postMessage({
+            id: id,
+            type: 'parsed',
+            entries: HARReader.parse(text),
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        self.postMessage({
+            id: id,
+            type: 'parsed',
+            error: error.message,
+            timestamp: Date.now()
+        });
+    }
+}
+
 function processURLsWithProgress(id, operation, urls, options) {
     const startTime = performance.now();
     const totalUrls = urls.length;
@@ -651,7 +1361,8 @@ function processURLsWithProgress(id, operation, urls, options) {
         timestamp: Date.now()
     });
 
-    const useBatchProcessing = totalUrls > BATCH_SIZE;
+    // Pipelines, dedupes, sorts and list comparisons run over the whole list so they see every URL
+    const useBatchProcessing = totalUrls > BATCH_SIZE && !URLProcessor.WHOLE_LIST_OPERATIONS.includes(operation);
     
     if (useBatchProcessing) {
         processBatches(id, operation, urls, options, startTime);
@@ -669,8 +1380,13 @@ function processBatches(id, operation, urls, options, startTime) {
         inputCount: totalUrls,
         outputCount: 0,
         removedCount: 0,
-        invalidCount: 0
+        invalidCount: 0,
+        parameterCounts: {},
+        removedItems: [],
+        resultLines: [],
+        resultMetadata: options.metadata ? [] : null
     };
+    const lineNumbers = options.lineNumbers || urls.map((url, index) => index + 1);
 
     let lastProgressTime = performance.now();
 
@@ -680,12 +1396,26 @@ function processBatches(id, operation, urls, options, startTime) {
         const batchUrls = urls.slice(startIndex, endIndex);
         
         const processor = new URLProcessor();
-        const batchResult = processor.process(batchUrls, operation, options);
+        const batchResult = processor.process(batchUrls, operation, {
+            ...options,
+            lineNumbers: lineNumbers.slice(startIndex, endIndex),
+            metadata: options.metadata ? options.metadata.slice(startIndex, endIndex) : null
+        });
         
         if (batchResult.success) {
             allResults = allResults.concat(batchResult.results);
             totalStats.outputCount += batchResult.outputCount;
             totalStats.invalidCount += batchResult.invalidCount;
+            totalStats.removedItems = totalStats.removedItems.concat(batchResult.removedItems);
+            totalStats.resultLines = totalStats.resultLines && batchResult.resultLines
+                ? totalStats.resultLines.concat(batchResult.resultLines)
+                : null;
+            totalStats.resultMetadata = totalStats.resultMetadata && batchResult.resultMetadata
+                ? totalStats.resultMetadata.concat(batchResult.resultMetadata)
+                : null;
+            for (const [kind, count] of Object.entries(batchResult.parameterCounts || {})) {
+                totalStats.parameterCounts[kind] = (totalStats.parameterCounts[kind] || 0) + count;
+            }
         }
         
         processedUrls += batchUrls.length;
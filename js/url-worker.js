@@ -5,7 +5,7 @@
  */
 
 // Import URLParser and URLProcessor for worker environment
-importScripts('./url-parser.js', './url-processor.js');
+importScripts('./public-suffix-data.js', './public-suffix-list.js', './punycode.js', './host-classifier.js', './url-normalizer.js', './url-parser.js', './tracking-parameter-stripper.js', './url-filter.js', './filter-expression.js', './har-reader.js', './url-processor.js');
 
 /**
  * Worker configuration
@@ -13,20 +13,52 @@ importScripts('./url-parser.js', './url-processor.js');
 const BATCH_SIZE = 1000; // Process URLs in batches of 1000
 const PROGRESS_INTERVAL = 100; // Report progress every 100ms
 
+/**
+ * Lines of the file streamed in from the page, and their line numbers
+ */
+let fileLines = null;
+let fileLineNumbers = null;
+
 /**
  * Main message handler for the web worker
  */
 self.onmessage = function(event) {
-    const { id, operation, urls, options } = event.data;
+    const { id, task, operation, urls, options } = event.data;
+    
+    // Large HAR files are parsed here so the page stays responsive
+    if (task === 'parseHAR') {
+        parseHAR(id, event.data.text);
+        return;
+    }
+    
+    // Files are streamed in chunk by chunk and kept here, so their text never passes through the page
+    if (task === 'fileStart') {
+        fileLines = [];
+        fileLineNumbers = [];
+        return;
+    }
+    if (task === 'fileLines') {
+        appendFileLines(event.data.lines, event.data.lineNumbers);
+        return;
+    }
+    if (task === 'fileClear') {
+        fileLines = null;
+        fileLineNumbers = null;
+        return;
+    }
     
     try {
+        const fromFile = event.data.source === 'file';
+        const input = fromFile ? fileLines : urls;
+        
         // Validate input
-        if (!operation || !Array.isArray(urls)) {
-            throw new Error('Invalid input: operation and urls array are required');
+        if (!operation || !Array.isArray(input)) {
+            throw new Error(fromFile ? 'No file is loaded' : 'Invalid input: operation and urls array are required');
         }
 
-        // Process URLs based on operation type
-        processURLsWithProgress(id, operation, urls, options || {});
+        // Process URLs based on operation type; a loaded file brings its own line numbers
+        const processingOptions = fromFile ? { ...options, lineNumbers: fileLineNumbers } : options || {};
+        processURLsWithProgress(id, operation, input, processingOptions);
         
     } catch (error) {
         // Send error response
@@ -39,6 +71,45 @@ self.onmessage = function(event) {
     }
 };
 
+/**
+ * Add a chunk of streamed file lines
+ * Chunks still in flight after the file was cleared are dropped.
+ * @param {string[]} lines - Lines of the chunk
+ * @param {number[]} lineNumbers - File line number of each line
+ */
+function appendFileLines(lines, lineNumbers) {
+    if (!fileLines) return;
+    for (let index = 0; index < lines.length; index++) {
+        fileLines.push(lines[index]);
+        fileLineNumbers.push(lineNumbers[index]);
+    }
+}
+
+/**
+ * Parse a HAR file
+ * Failures are reported with the result rather than as worker errors, which
+ * would start the main-thread fallback.
+ * @param {string} id - Unique identifier for this request
+ * @param {string} text - HAR JSON
+ */
+function parseHAR(id, text) {
+    try {
+        self.postMessage({
+            id: id,
+            type: 'parsed',
+            entries: HARReader.parse(text),
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        self.postMessage({
+            id: id,
+            type: 'parsed',
+            error: error.message,
+            timestamp: Date.now()
+        });
+    }
+}
+
 /**
  * Process URLs with progress reporting and batch processing
  * @param {string} id - Unique identifier for this processing request
@@ -58,8 +129,8 @@ function processURLsWithProgress(id, operation, urls, options) {
         timestamp: Date.now()
     });
 
-    // Determine if we should use batch processing
-    const useBatchProcessing = totalUrls > BATCH_SIZE;
+    // Determine if we should use batch processing; dedupes, sorts and list comparisons need every URL at once
+    const useBatchProcessing = totalUrls > BATCH_SIZE && !URLProcessor.WHOLE_LIST_OPERATIONS.includes(operation);
     
     if (useBatchProcessing) {
         processBatches(id, operation, urls, options, startTime);
@@ -97,6 +97,86 @@ class WorkerManager {
         });
     }
 
+    /**
+     * Process the lines of the file loaded into the worker
+     * @param {string} operation - Operation type
+     * @param {Object} options - Processing options; line numbers come from the file
+     * @returns {Promise} Promise that resolves with processing results
+     */
+    async processFile(operation, options = {}) {
+        if (!this.isReady || !this.worker) {
+            throw new Error('Worker not initialized. Call initialize() first.');
+        }
+
+        return new Promise((resolve, reject) => {
+            const requestId = this.generateRequestId();
+
+            this.pendingRequests.set(requestId, {
+                resolve,
+                reject,
+                startTime: Date.now()
+            });
+
+            this.worker.postMessage({
+                id: requestId,
+                operation: operation,
+                source: 'file',
+                options: options
+            });
+        });
+    }
+
+    /**
+     * Start loading a file into the worker, replacing any loaded before
+     */
+    startFile() {
+        this.worker?.postMessage({ task: 'fileStart' });
+    }
+
+    /**
+     * Add a chunk of lines to the file loaded into the worker
+     * @param {string[]} lines - Lines of the chunk
+     * @param {number[]} lineNumbers - File line number of each line
+     */
+    appendFileLines(lines, lineNumbers) {
+        this.worker?.postMessage({ task: 'fileLines', lines, lineNumbers });
+    }
+
+    /**
+     * Drop the file loaded into the worker
+     */
+    clearFile() {
+        this.worker?.postMessage({ task: 'fileClear' });
+    }
+
+    /**
+     * Parse a HAR file in the web worker
+     * @param {string} text - HAR JSON
+     * @returns {Promise<Object[]>} Promise that resolves with the request entries (see HARReader.parse())
+     *                              and rejects if the text is not a HAR file
+     */
+    async parseHAR(text) {
+        if (!this.isReady || !this.worker) {
+            throw new Error('Worker not initialized. Call initialize() first.');
+        }
+
+        return new Promise((resolve, reject) => {
+            const requestId = this.generateRequestId();
+
+            this.pendingRequests.set(requestId, {
+                resolve,
+                reject,
+                startTime: Date.now()
+            });
+
+            this.worker.postMessage({
+                id: requestId,
+                task: 'parseHAR',
+                text: text
+            });
+        });
+    }
+
     /**
      * Set callback for progress updates
      * @param {Function} callback - Progress callback function
@@ -146,6 +226,10 @@ class WorkerManager {
                 this.handleErrorMessage(data);
                 break;
                 
+            case 'parsed':
+                this.handleParsedMessage(data);
+                break;
+                
             case 'ready':
                 // Already handled in initialize()
                 break;
@@ -227,6 +311,27 @@ class WorkerManager {
         }
     }
 
+    /**
+     * Handle the result of parsing a file in the worker
+     * @param {Object} data - Parsed message data
+     * @private
+     */
+    handleParsedMessage(data) {
+        const request = this.pendingRequests.get(data.id);
+        if (!request) {
+            console.warn('Received parse result for unknown request:', data.id);
+            return;
+        }
+
+        this.pendingRequests.delete(data.id);
+
+        if (data.error) {
+            request.reject(new Error(data.error));
+        } else {
+            request.resolve(data.entries);
+        }
+    }
+
     /**
      * Handle error message from worker
      * @param {Object} data - Error message data
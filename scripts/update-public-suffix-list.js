@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Regenerates js/public-suffix-data.js from a local copy of public_suffix_list.dat
+ *
+ * Usage: node scripts/update-public-suffix-list.js path/to/public_suffix_list.dat
+ *
+ * Download the latest list from https://publicsuffix.org/list/public_suffix_list.dat
+ * and pass the saved file to this script. Comments are stripped, the ICANN and
+ * private section markers are kept so the parser can tell the sections apart.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'js', 'public-suffix-data.js');
+
+function main() {
+    const inputFile = process.argv[2];
+    if (!inputFile) {
+        console.error('Usage: node scripts/update-public-suffix-list.js <public_suffix_list.dat>');
+        process.exit(1);
+    }
+
+    const text = fs.readFileSync(inputFile, 'utf8');
+    const lines = [];
+    let ruleCount = 0;
+
+    for (const rawLine of text.split(/\r\n|\r|\n/)) {
+        const line = rawLine.trim();
+        if (line.startsWith('//')) {
+            if (/===(BEGIN|END) (ICANN|PRIVATE) DOMAINS===/.test(line)) {
+                lines.push(line);
+            }
+            continue;
+        }
+
+        const rule = line.split(/\s/)[0];
+        if (rule) {
+            if (rule.includes('`') || rule.includes('\\') || rule.includes('${')) {
+                throw new Error(`Unexpected characters in rule: ${rule}`);
+            }
+            lines.push(rule);
+            ruleCount++;
+        }
+    }
+
+    if (!lines.some(line => line.includes('===BEGIN PRIVATE DOMAINS==='))) {
+        throw new Error('Input does not look like a public suffix list (no private section marker)');
+    }
+
+    const output = [
+        '/**',
+        ' * Bundled offline copy of the Public Suffix List (https://publicsuffix.org/list/)',
+        ' * Generated by scripts/update-public-suffix-list.js - do not edit by hand.',
+        ` * Rules: ${ruleCount}, generated: ${new Date().toISOString().slice(0, 10)}`,
+        ' *',
+        ' * This Source Code Form is subject to the terms of the Mozilla Public License,',
+        ' * v. 2.0. If a copy of the MPL was not distributed with this file, You can',
+        ' * obtain one at https://mozilla.org/MPL/2.0/.',
+        ' */',
+        'const PUBLIC_SUFFIX_DATA = `' + lines.join('\n') + '`;',
+        '',
+        '// Export for use in other modules',
+        "if (typeof module !== 'undefined' && module.exports) {",
+        '    module.exports = PUBLIC_SUFFIX_DATA;',
+        "} else if (typeof self !== 'undefined') {",
+        '    // Make available in web worker environment',
+        '    self.PUBLIC_SUFFIX_DATA = PUBLIC_SUFFIX_DATA;',
+        "} else if (typeof window !== 'undefined') {",
+        '    // Make available in browser environment',
+        '    window.PUBLIC_SUFFIX_DATA = PUBLIC_SUFFIX_DATA;',
+        '}',
+        ''
+    ].join('\n');
+
+    fs.writeFileSync(OUTPUT_FILE, output);
+    console.log(`Wrote ${ruleCount} rules to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main();
@@ -1,4 +1,6 @@
 import { test, expect } from '@playwright/test';
+import * as fs from 'fs';
+import * as zlib from 'zlib';
 
 test.describe('URL Manager Functionality Tests', () => {
   test.beforeEach(async ({ page }) => {
@@ -135,6 +137,723 @@ test.describe('URL Manager Functionality Tests', () => {
     expect(outputLines[2]).toContain('zebra.html');
   });
 
+  test('Remove Tracking Parameters should keep other parameters and remember rule sets', async ({ page }) => {
+    const inputTextarea = page.locator('#input-textarea');
+    const cleanModifySelect = page.locator('#clean-modify-select');
+    const processButton = page.locator('#process-btn');
+    const outputTextarea = page.locator('#output-textarea');
+    
+    await inputTextarea.fill('https://example.com/search?q=shoes&utm_source=news&fbclid=abc&page=2');
+    await cleanModifySelect.selectOption('removeTracking');
+    
+    // Rule set checkboxes are shown for this operation; disable the Facebook set
+    await expect(page.locator('.tracking-options-group')).toBeVisible();
+    await page.locator('input[name="tracking-rule-set"][value="facebook"]').uncheck();
+    
+    await processButton.click();
+    
+    await page.waitForFunction(() => {
+      const output = document.querySelector('#output-textarea').value;
+      return output.length > 0;
+    });
+    
+    await expect(outputTextarea).toHaveValue('https://example.com/search?q=shoes&fbclid=abc&page=2');
+    
+    // The disabled rule set is restored after a reload
+    await page.reload();
+    await page.waitForFunction(() => window.urlManagerInstance != null);
+    await expect(page.locator('input[name="tracking-rule-set"][value="facebook"]')).not.toBeChecked();
+  });
+
+  test('Regex filter mode should validate the pattern and filter URLs', async ({ page }) => {
+    const inputTextarea = page.locator('#input-textarea');
+    const filterSelect = page.locator('#filter-select');
+    const filterInput = page.locator('#filter-input');
+    const processButton = page.locator('#process-btn');
+    const outputTextarea = page.locator('#output-textarea');
+    
+    await inputTextarea.fill('https://example.com/tag/12\nhttps://example.com/about\nhttps://example.com/TAG/7');
+    await filterSelect.selectOption('filterKeep');
+    await page.locator('#filter-mode-select').selectOption('regex');
+    await expect(page.locator('#filter-flags-input')).toBeVisible();
+    
+    // Invalid patterns are reported while typing
+    await filterInput.fill('/tag/(\\d+');
+    await expect(page.locator('#error-message')).toContainText('Invalid regular expression');
+    
+    await filterInput.fill('/tag/\\d+$');
+    await page.locator('#filter-flags-input').fill('i');
+    await processButton.click();
+    
+    await page.waitForFunction(() => {
+      const output = document.querySelector('#output-textarea').value;
+      return output.length > 0;
+    });
+    
+    await expect(outputTextarea).toHaveValue('https://example.com/tag/12\nhttps://example.com/TAG/7');
+  });
+
+  test('Advanced filter should report syntax errors and keep matching URLs', async ({ page }) => {
+    const inputTextarea = page.locator('#input-textarea');
+    const expressionInput = page.locator('#filter-expression-input');
+    const outputTextarea = page.locator('#output-textarea');
+    
+    await inputTextarea.fill('https://www.example.com/blog/a\nhttps://staging.example.com/blog/b\nhttps://www.example.com/about');
+    await page.locator('#filter-select').selectOption('filterAdvanced');
+    await expect(page.locator('.filter-expression-group')).toBeVisible();
+    
+    await expressionInput.fill('path contains /blog/ AND NOT');
+    await expect(page.locator('#error-message')).toContainText('Column 29');
+    
+    await expressionInput.fill('path contains /blog/ AND NOT subdomain is staging');
+    await page.locator('#process-btn').click();
+    
+    await page.waitForFunction(() => {
+      const output = document.querySelector('#output-textarea').value;
+      return output.length > 0;
+    });
+    
+    await expect(outputTextarea).toHaveValue('https://www.example.com/blog/a');
+  });
+
+  test('Pipeline should run enabled steps in order and show step counts', async ({ page }) => {
+    const inputTextarea = page.locator('#input-textarea');
+    const outputTextarea = page.locator('#output-textarea');
+    const steps = page.locator('#pipeline-steps .pipeline-step');
+
+    await inputTextarea.fill('https://b.example.com/?utm_source=x\nhttps://b.example.com/\nhttps://a.example.com/');
+
+    await page.locator('#clean-modify-select').selectOption('removeTracking');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#sort-select').selectOption('sortByDomain');
+    await page.locator('#add-step-btn').click();
+    await expect(steps).toHaveCount(3);
+
+    // Move the sort step to the top, then switch it off
+    await steps.nth(2).locator('button[data-action="up"]').click();
+    await steps.nth(1).locator('button[data-action="up"]').click();
+    await expect(steps.nth(0)).toContainText('Sort');
+    await steps.nth(0).locator('input[name="pipeline-step-enabled"]').uncheck();
+
+    await page.locator('#run-pipeline-btn').click();
+    await page.waitForFunction(() => {
+      const output = document.querySelector('#output-textarea').value;
+      return output.length > 0;
+    });
+
+    await expect(outputTextarea).toHaveValue('https://b.example.com/\nhttps://a.example.com/');
+    await expect(steps.nth(1).locator('.pipeline-step-counts')).toHaveText('3 → 3');
+    await expect(steps.nth(2).locator('.pipeline-step-counts')).toHaveText('3 → 2');
+  });
+
+  test('Recipes should be saved, applied, renamed, deleted and imported', async ({ page }) => {
+    const recipes = page.locator('#recipe-list .recipe-item');
+    page.on('dialog', dialog => dialog.accept());
+
+    await page.locator('#filter-select').selectOption('filterKeep');
+    await page.locator('#filter-mode-select').selectOption('glob');
+    await page.locator('#filter-input').fill('*.example.com/*');
+    await page.locator('#recipe-name-input').fill('Example hosts');
+    await page.locator('#save-recipe-btn').click();
+    await expect(recipes).toHaveCount(1);
+
+    // Recipes survive a reload and restore the settings with one click
+    await page.reload();
+    await page.waitForFunction(() => window.urlManagerInstance != null);
+    await expect(page.locator('#filter-select')).toHaveValue('');
+    await recipes.first().locator('button[data-action="apply"]').click();
+    await expect(page.locator('#filter-select')).toHaveValue('filterKeep');
+    await expect(page.locator('#filter-mode-select')).toHaveValue('glob');
+    await expect(page.locator('#filter-input')).toHaveValue('*.example.com/*');
+
+    await recipes.first().locator('button[data-action="rename"]').click();
+    await page.locator('.recipe-rename-input').fill('Example sites');
+    await page.locator('.recipe-rename-input').press('Enter');
+    await expect(recipes.first()).toContainText('Example sites');
+
+    // Export, delete, then import the exported file again
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#export-recipes-btn').click();
+    const download = await downloadPromise;
+    const exported = JSON.parse(fs.readFileSync(await download.path(), 'utf8'));
+    expect(exported.format).toBe('url-manager-recipes');
+    expect(exported.version).toBe(1);
+
+    await recipes.first().locator('button[data-action="delete"]').click();
+    await expect(recipes).toHaveCount(0);
+
+    await page.locator('#import-recipes-input').setInputFiles({
+      name: 'recipes.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify(exported))
+    });
+    await expect(recipes).toHaveCount(1);
+    await expect(recipes.first()).toContainText('Example sites');
+
+    // Files from a newer version are rejected
+    await page.locator('#import-recipes-input').setInputFiles({
+      name: 'future.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify({ ...exported, version: 99 }))
+    });
+    await expect(page.locator('#error-message')).toContainText('Unsupported recipe file version: 99');
+  });
+
+  test('Alt+digit should apply a recipe even when Option changes the typed character', async ({ page }) => {
+    await page.locator('#filter-select').selectOption('filterKeep');
+    await page.locator('#filter-input').fill('example.com');
+    await page.locator('#recipe-name-input').fill('Example');
+    await page.locator('#save-recipe-btn').click();
+    await page.locator('#filter-select').selectOption('');
+
+    // Option+1 on a macOS keyboard reports the character it types, not the digit
+    await page.evaluate(() => {
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: '¡', code: 'Digit1', altKey: true, bubbles: true }));
+    });
+    await expect(page.locator('#filter-select')).toHaveValue('filterKeep');
+    await expect(page.locator('#filter-input')).toHaveValue('example.com');
+  });
+
+  test('Undo and redo should restore input and output snapshots', async ({ page }) => {
+    const inputTextarea = page.locator('#input-textarea');
+    const outputTextarea = page.locator('#output-textarea');
+    const undoButton = page.locator('#undo-btn');
+    const redoButton = page.locator('#redo-btn');
+    const urls = 'https://zebra.com/\nhttps://apple.com/';
+
+    await expect(undoButton).toBeDisabled();
+    await inputTextarea.fill(urls);
+    await page.locator('#sort-select').selectOption('sortByDomain');
+    await page.locator('#process-btn').click();
+    await expect(outputTextarea).toHaveValue('https://apple.com/\nhttps://zebra.com/');
+
+    await page.locator('#clear-output-btn').click();
+    await expect(outputTextarea).toHaveValue('');
+    await page.locator('#clear-input-btn').click();
+    await expect(inputTextarea).toHaveValue('');
+
+    // Buttons step back through clear input, then clear output
+    await undoButton.click();
+    await expect(inputTextarea).toHaveValue(urls);
+    await expect(outputTextarea).toHaveValue('');
+    await undoButton.click();
+    await expect(outputTextarea).toHaveValue('https://apple.com/\nhttps://zebra.com/');
+
+    // Keyboard: undo the processing run, then redo it
+    await outputTextarea.focus();
+    await page.keyboard.press('Control+z');
+    await expect(outputTextarea).toHaveValue('');
+    await expect(inputTextarea).toHaveValue(urls);
+    await page.keyboard.press('Control+Shift+z');
+    await expect(outputTextarea).toHaveValue('https://apple.com/\nhttps://zebra.com/');
+
+    await redoButton.click();
+    await redoButton.click();
+    await expect(inputTextarea).toHaveValue('');
+    await expect(redoButton).toBeDisabled();
+  });
+
+  test('Diff view should show kept, changed and removed lines, and output can be used as input', async ({ page }) => {
+    const inputTextarea = page.locator('#input-textarea');
+    const outputTextarea = page.locator('#output-textarea');
+    const rows = page.locator('#diff-table-body .diff-row');
+
+    await expect(page.locator('#show-diff-btn')).toBeDisabled();
+    await inputTextarea.fill('https://example.com/a?x=1\nhttps://test.org/b\nhttps://test.org/b');
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#process-btn').click();
+    await expect(outputTextarea).toHaveValue('https://example.com/a?x=1\nhttps://test.org/b');
+
+    await page.locator('#show-diff-btn').click();
+    await expect(page.locator('#diff-section')).toBeVisible();
+    await expect(page.locator('#diff-summary')).toHaveText('2 kept • 0 changed • 1 removed');
+    await expect(rows.nth(2)).toHaveClass(/diff-row-removed/);
+
+    // Chain a second operation on the results
+    await page.locator('#move-output-btn').click();
+    await expect(inputTextarea).toHaveValue('https://example.com/a?x=1\nhttps://test.org/b');
+    await expect(outputTextarea).toHaveValue('');
+    await expect(page.locator('#diff-section')).toBeHidden();
+
+    await page.locator('#clean-modify-select').selectOption('removeParams');
+    await page.locator('#process-btn').click();
+    await expect(outputTextarea).toHaveValue('https://example.com/a\nhttps://test.org/b');
+
+    await page.locator('#show-diff-btn').click();
+    await page.locator('#diff-status-filter').selectOption('changed');
+    await expect(rows).toHaveCount(1);
+    await expect(rows.first().locator('.diff-input')).toHaveText('https://example.com/a?x=1');
+    await expect(rows.first().locator('.diff-output')).toHaveText('https://example.com/a');
+  });
+
+  test('Removed items pane should list dropped lines with reasons', async ({ page }) => {
+    const rows = page.locator('#removed-table-body .removed-row');
+
+    await expect(page.locator('#removed-section')).toBeHidden();
+    await page.locator('#input-textarea').fill('https://a.com/\n\nhttps://a.com/\nhttps://b.org/');
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#process-btn').click();
+    await expect(page.locator('#output-textarea')).toHaveValue('https://a.com/\nhttps://b.org/');
+
+    await expect(page.locator('#removed-toggle-btn')).toHaveText('Removed Items (2)');
+    await page.locator('#removed-toggle-btn').click();
+    await expect(page.locator('#removed-toggle-btn')).toHaveAttribute('aria-expanded', 'true');
+    await expect(rows).toHaveCount(2);
+    await expect(rows.nth(0)).toContainText('Empty line');
+    await expect(rows.nth(1).locator('.removed-line')).toHaveText('3');
+    await expect(rows.nth(1).locator('.removed-reason')).toHaveText('Duplicate of line 1');
+
+    await page.locator('#removed-reason-filter').selectOption('duplicate');
+    await expect(rows).toHaveCount(1);
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#download-removed-btn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('removed-urls.tsv');
+    expect(fs.readFileSync(await download.path(), 'utf8')).toBe(
+      'line\turl\treason\tmessage\n3\thttps://a.com/\tduplicate\tDuplicate of line 1'
+    );
+  });
+
+  test('Input gutter should number lines and mark invalid ones', async ({ page }) => {
+    const inputTextarea = page.locator('#input-textarea');
+    const invalidNumbers = page.locator('#input-gutter .gutter-line-invalid');
+
+    await expect(page.locator('#next-invalid-btn')).toBeDisabled();
+    await inputTextarea.fill('https://a.com/\nnot a url\nhttps://b.org/\nbad<url>.com');
+    await expect(page.locator('#invalid-lines-status')).toHaveText('2 invalid lines');
+    await expect(page.locator('#input-gutter .gutter-line')).toHaveCount(4);
+    await expect(invalidNumbers).toHaveText(['2', '4']);
+    await expect(invalidNumbers.first()).toHaveAttribute('title', 'Line 2: URL contains whitespace');
+    await expect(page.locator('#input-highlights .input-highlight-invalid')).toHaveCount(2);
+
+    // F8 selects the next invalid line after the caret
+    await inputTextarea.focus();
+    await inputTextarea.evaluate((el: HTMLTextAreaElement) => el.setSelectionRange(0, 0));
+    await page.keyboard.press('F8');
+    expect(await inputTextarea.evaluate((el: HTMLTextAreaElement) =>
+      el.value.slice(el.selectionStart, el.selectionEnd))).toBe('not a url');
+    await page.locator('#next-invalid-btn').click();
+    expect(await inputTextarea.evaluate((el: HTMLTextAreaElement) =>
+      el.value.slice(el.selectionStart, el.selectionEnd))).toBe('bad<url>.com');
+
+    await page.locator('#remove-invalid-btn').click();
+    await expect(inputTextarea).toHaveValue('https://a.com/\nhttps://b.org/');
+    await expect(page.locator('#invalid-lines-status')).toHaveText('');
+    await expect(page.locator('#remove-invalid-btn')).toBeDisabled();
+
+    await page.locator('#undo-btn').click();
+    await expect(inputTextarea).toHaveValue('https://a.com/\nnot a url\nhttps://b.org/\nbad<url>.com');
+  });
+
+  test('Extract mode should find URLs in text, HTML and Markdown', async ({ page }) => {
+    const text = [
+      'Hi, the report is at https://example.com/report.pdf.',
+      '<a href="https://shop.com/?a=1&amp;b=2">Shop</a>',
+      'Docs: [guide](https://docs.io/guide "Guide") and (https://en.wikipedia.org/wiki/Foo_(bar)).',
+      'Again: https://example.com/report.pdf'
+    ].join('\n');
+
+    await page.locator('#input-mode-select').selectOption('extract');
+    await page.locator('#input-textarea').fill(text);
+    await expect(page.locator('#invalid-lines-status')).toHaveText('');
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#process-btn').click();
+
+    await expect(page.locator('#output-textarea')).toHaveValue([
+      'https://example.com/report.pdf',
+      'https://shop.com/?a=1&b=2',
+      'https://docs.io/guide',
+      'https://en.wikipedia.org/wiki/Foo_(bar)'
+    ].join('\n'));
+
+    // The duplicate is reported on the line it was found on
+    await page.locator('#removed-toggle-btn').click();
+    const row = page.locator('#removed-table-body .removed-row');
+    await expect(row).toHaveCount(1);
+    await expect(row.locator('.removed-line')).toHaveText('4');
+  });
+
+  test('CSV mode should process the URL column and keep the other columns', async ({ page }) => {
+    const csv = [
+      'title,url,clicks',
+      '"Shop, main",https://shop.com/?utm_source=mail,5',
+      'Docs,https://docs.io/,7',
+      'Empty,,1',
+      'Shop again,https://shop.com/,2'
+    ].join('\n');
+
+    await page.locator('#input-mode-select').selectOption('csv');
+    await expect(page.locator('.csv-options-group')).toBeVisible();
+    await page.locator('#input-textarea').fill(csv);
+    await expect(page.locator('#csv-column-select')).toHaveValue('1');
+    await expect(page.locator('#csv-column-select option')).toHaveText(['title', 'url', 'clicks']);
+
+    await page.locator('#clean-modify-select').selectOption('removeTracking');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#sort-select').selectOption('sortByDomain');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#run-pipeline-btn').click();
+
+    const output = [
+      'title,url,clicks',
+      'Docs,https://docs.io/,7',
+      '"Shop, main",https://shop.com/,5'
+    ].join('\n');
+    await expect(page.locator('#output-textarea')).toHaveValue(output);
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#download-csv-btn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('urls.csv');
+    expect(fs.readFileSync(await download.path(), 'utf8')).toBe(output);
+  });
+
+  test('Sitemap mode should filter on lastmod and download a sitemap with the metadata', async ({ page }) => {
+    const sitemap = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      '  <url><loc>https://example.com/old?a=1&amp;b=2</loc><lastmod>2023-05-01</lastmod><priority>0.4</priority></url>',
+      '  <url><loc>https://example.com/new</loc><lastmod>2024-03-01</lastmod></url>',
+      '  <url><loc>https://example.com/oldest</loc><lastmod>2021-01-01</lastmod><priority>0.9</priority></url>',
+      '</urlset>'
+    ].join('\n');
+
+    await page.locator('#input-mode-select').selectOption('sitemap');
+    await page.locator('#input-textarea').fill(sitemap);
+
+    await page.locator('#filter-select').selectOption('filterAdvanced');
+    await page.locator('#filter-expression-input').fill('lastmod before 2024-01-01');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#sort-select').selectOption('sortByPriority');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#run-pipeline-btn').click();
+
+    await expect(page.locator('#output-textarea')).toHaveValue('https://example.com/oldest\nhttps://example.com/old?a=1&b=2');
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#download-sitemap-btn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('sitemap.xml');
+    const xml = fs.readFileSync(await download.path(), 'utf8');
+    expect(xml).toContain('<loc>https://example.com/oldest</loc>\n    <lastmod>2021-01-01</lastmod>\n    <priority>0.9</priority>');
+    expect(xml).toContain('<loc>https://example.com/old?a=1&amp;b=2</loc>');
+    expect(xml).not.toContain('/new');
+  });
+
+  test('Sort by lastmod should sort a sitemap larger than one batch as one list', async ({ page }) => {
+    const entries = [];
+    for (let i = 0; i < 1500; i++) {
+      const lastmod = new Date(Date.UTC(2020, 0, 1 + i)).toISOString().slice(0, 10);
+      entries.push(`  <url><loc>https://example.com/page-${i}</loc><lastmod>${lastmod}</lastmod></url>`);
+    }
+    const sitemap = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...entries,
+      '</urlset>'
+    ].join('\n');
+
+    await page.locator('#input-mode-select').selectOption('sitemap');
+    await page.locator('#input-textarea').fill(sitemap);
+    await page.locator('#sort-select').selectOption('sortByLastmod');
+    await page.locator('#process-btn').click();
+    await expect(page.locator('#output-textarea')).not.toHaveValue('');
+
+    const outputLines = (await page.locator('#output-textarea').inputValue()).split('\n');
+    expect(outputLines).toHaveLength(1500);
+    expect(outputLines[0]).toBe('https://example.com/page-1499');
+    expect(outputLines[1]).toBe('https://example.com/page-1498');
+    expect(outputLines[1499]).toBe('https://example.com/page-0');
+  });
+
+  test('Bookmarks mode should clean bookmarks and download them in their folders', async ({ page }) => {
+    const bookmarks = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<DL><p>',
+      '    <DT><H3>Reading</H3>',
+      '    <DL><p>',
+      '        <DT><A HREF="https://blog.com/post?utm_source=rss" ADD_DATE="1700000000">Post</A>',
+      '        <DT><A HREF="https://blog.com/post">Post again</A>',
+      '    </DL><p>',
+      '    <DT><A HREF="https://top.com/">Top</A>',
+      '</DL><p>'
+    ].join('\n');
+
+    await page.locator('#input-mode-select').selectOption('bookmarks');
+    await page.locator('#input-textarea').fill(bookmarks);
+
+    await page.locator('#clean-modify-select').selectOption('removeTracking');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#run-pipeline-btn').click();
+
+    await expect(page.locator('#output-textarea')).toHaveValue('https://blog.com/post\nhttps://top.com/');
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#download-bookmarks-btn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('bookmarks.html');
+    const html = fs.readFileSync(await download.path(), 'utf8');
+    expect(html).toContain('<!DOCTYPE NETSCAPE-Bookmark-file-1>');
+    expect(html).toContain('<DT><H3>Reading</H3>\n    <DL><p>\n        <DT><A HREF="https://blog.com/post" ADD_DATE="1700000000">Post</A>\n    </DL><p>');
+    expect(html).toContain('<DT><A HREF="https://top.com/">Top</A>');
+  });
+
+  test('HAR import should filter requests on status and type and sort them by size', async ({ page }) => {
+    const entry = (url: string, status: number, mimeType: string, size: number) => ({
+      request: { method: 'GET', url },
+      response: { status, bodySize: size, content: { size, mimeType } },
+      time: 10
+    });
+    const har = JSON.stringify({
+      log: {
+        version: '1.2',
+        entries: [
+          entry('https://example.com/', 200, 'text/html', 5000),
+          entry('https://example.com/missing.js', 404, 'text/html', 300),
+          entry('https://example.com/logo.png', 200, 'image/png', 1200),
+          entry('https://example.com/hero.jpg', 200, 'image/jpeg', 90000)
+        ]
+      }
+    }, null, 2);
+
+    await page.locator('#import-har-input').setInputFiles({
+      name: 'example.har',
+      mimeType: 'application/json',
+      buffer: Buffer.from(har)
+    });
+    await expect(page.locator('#input-mode-select')).toHaveValue('har');
+
+    await page.locator('#filter-select').selectOption('filterAdvanced');
+    await page.locator('#filter-expression-input').fill('status >= 400 OR type is image');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#sort-select').selectOption('sortBySize');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#run-pipeline-btn').click();
+
+    await expect(page.locator('#output-textarea')).toHaveValue([
+      'https://example.com/hero.jpg',
+      'https://example.com/logo.png',
+      'https://example.com/missing.js'
+    ].join('\n'));
+  });
+
+  test('HAR sort by size should sort a log larger than one batch as one list', async ({ page }) => {
+    const entries = [];
+    for (let i = 0; i < 1500; i++) {
+      entries.push({
+        request: { method: 'GET', url: `https://example.com/asset-${i}` },
+        response: { status: 200, bodySize: i, content: { size: i, mimeType: 'text/plain' } },
+        time: 10
+      });
+    }
+
+    await page.locator('#import-har-input').setInputFiles({
+      name: 'large.har',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify({ log: { version: '1.2', entries } }))
+    });
+    await expect(page.locator('#input-mode-select')).toHaveValue('har');
+
+    await page.locator('#sort-select').selectOption('sortBySize');
+    await page.locator('#process-btn').click();
+    await expect(page.locator('#output-textarea')).not.toHaveValue('');
+
+    const outputLines = (await page.locator('#output-textarea').inputValue()).split('\n');
+    expect(outputLines).toHaveLength(1500);
+    expect(outputLines[0]).toBe('https://example.com/asset-1499');
+    expect(outputLines[1499]).toBe('https://example.com/asset-0');
+  });
+
+  test('Opened .gz files should stream to processing without filling the input area', async ({ page }) => {
+    const lines = [];
+    for (let i = 0; i < 3000; i++) {
+      lines.push(`https://example.com/page-${i % 1500}?utm_source=feed`);
+    }
+
+    await page.locator('#open-file-input').setInputFiles({
+      name: 'urls.txt.gz',
+      mimeType: 'application/gzip',
+      buffer: zlib.gzipSync(lines.join('\n'))
+    });
+
+    await expect(page.locator('#file-load-status')).toContainText('urls.txt.gz: 3,000 lines loaded');
+    await expect(page.locator('#input-textarea')).toHaveValue('');
+
+    await page.locator('#clean-modify-select').selectOption('removeTracking');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#run-pipeline-btn').click();
+
+    const output = await page.locator('#output-textarea').inputValue();
+    expect(output.split('\n')).toHaveLength(1500);
+    expect(output.startsWith('https://example.com/page-0\nhttps://example.com/page-1\n')).toBe(true);
+
+    // Typing in the input goes back to processing the text
+    await page.locator('#input-textarea').fill('https://typed.com/');
+    await expect(page.locator('#file-load-bar')).toBeHidden();
+  });
+
+  test('Deduplicate on an opened file should drop copies that fall in different batches', async ({ page }) => {
+    const lines = [];
+    for (let i = 0; i < 3000; i++) {
+      lines.push(`https://example.com/page-${i % 1200}`);
+    }
+
+    await page.locator('#open-file-input').setInputFiles({
+      name: 'urls.txt',
+      mimeType: 'text/plain',
+      buffer: Buffer.from(lines.join('\n'))
+    });
+    await expect(page.locator('#file-load-status')).toContainText('3,000 lines loaded');
+
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#process-btn').click();
+    await expect(page.locator('#output-textarea')).not.toHaveValue('');
+
+    const outputLines = (await page.locator('#output-textarea').inputValue()).split('\n');
+    expect(outputLines).toHaveLength(1200);
+    expect(outputLines[1199]).toBe('https://example.com/page-1199');
+  });
+
+  test('Download menu should save every result, not just the ones the output area shows', async ({ page }) => {
+    const lines = [];
+    for (let i = 0; i < 12000; i++) {
+      lines.push(`https://www.example.com/page-${i}?id=${i}#top`);
+    }
+
+    await page.locator('#open-file-input').setInputFiles({
+      name: 'urls.txt',
+      mimeType: 'text/plain',
+      buffer: Buffer.from(lines.join('\n'))
+    });
+    await expect(page.locator('#file-load-status')).toContainText('12,000 lines loaded');
+
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#run-pipeline-btn').click();
+    await expect(page.locator('#output-textarea')).not.toHaveValue('');
+
+    await page.locator('#download-results-btn').click();
+    await expect(page.locator('#download-results-btn')).toHaveAttribute('aria-expanded', 'true');
+    await page.locator('#download-gzip-checkbox').check();
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#download-menu [data-format="csv"]').click();
+    const download = await downloadPromise;
+    await expect(page.locator('#download-menu')).toBeHidden();
+
+    expect(download.suggestedFilename()).toBe('urls.csv.gz');
+    const rows = zlib.gunzipSync(fs.readFileSync(await download.path())).toString('utf8').trim().split('\n');
+    expect(rows).toHaveLength(12001);
+    expect(rows[0]).toBe('url,scheme,host,domain,tld,path,query,fragment');
+    expect(rows[12000]).toBe('https://www.example.com/page-11999?id=11999#top,https,www.example.com,example.com,com,/page-11999,id=11999,top');
+  });
+
+  test('Redirect export should pair a CSV target column with the processed old URLs', async ({ page }) => {
+    const csv = [
+      'url,new',
+      'https://old.com/about?utm_source=feed,/team',
+      'https://old.com/team,https://new.com/people',
+      'https://old.com/about,/ignored-duplicate',
+      'https://old.com/a;b.html,/new page?x=$1'
+    ].join('\n');
+
+    await page.locator('#input-mode-select').selectOption('csv');
+    await page.locator('#input-textarea').fill(csv);
+    await expect(page.locator('#csv-column-select')).toHaveValue('0');
+    await expect(page.locator('.redirect-column-group')).toBeVisible();
+    await expect(page.locator('#redirect-column-select')).toHaveValue('1');
+
+    await page.locator('#clean-modify-select').selectOption('removeTracking');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#run-pipeline-btn').click();
+    await expect(page.locator('#output-textarea')).not.toHaveValue('');
+
+    await page.locator('#redirect-format-select').selectOption('nginx');
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#download-redirects-btn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('redirects-nginx.conf');
+    expect(fs.readFileSync(await download.path(), 'utf8')).toBe([
+      '# Use in a server block: if ($redirect_uri) { return 301 $redirect_uri; }',
+      'map $request_uri $redirect_uri {',
+      '    /about https://new.com/people;',
+      '    /team https://new.com/people;',
+      '    "/a;b.html" /new%20page?x=%241;',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  test('Redirect export should refuse to write a loop', async ({ page }) => {
+    await page.locator('#input-textarea').fill('https://old.com/a\nhttps://old.com/b');
+    await page.locator('#redirect-targets-input').fill('/b\n/a');
+
+    await page.locator('#deduplicate-select').selectOption('deduplicateFull');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#run-pipeline-btn').click();
+    await expect(page.locator('#output-textarea')).toHaveValue('https://old.com/a\nhttps://old.com/b');
+
+    let downloaded = false;
+    page.on('download', () => { downloaded = true; });
+    await page.locator('#download-redirects-btn').click();
+    await expect(page.locator('#error-message')).toContainText('Redirect loop: https://old.com/a → https://old.com/b → https://old.com/a');
+    expect(downloaded).toBe(false);
+  });
+
+  test('Blocklist export should collapse subdomains into Adblock rules', async ({ page }) => {
+    await page.locator('#input-textarea').fill([
+      'https://ads.tracker.com/pixel.gif',
+      'https://cdn.ads.tracker.com/tag.js',
+      'https://foo.github.io/',
+      'https://bar.github.io/',
+      'http://192.168.0.1/'
+    ].join('\n'));
+
+    await page.locator('#deduplicate-select').selectOption('deduplicateDomain');
+    await page.locator('#add-step-btn').click();
+    await page.locator('#run-pipeline-btn').click();
+    await expect(page.locator('#output-textarea')).not.toHaveValue('');
+
+    await page.locator('#blocklist-format-select').selectOption('adblock');
+    await page.locator('#blocklist-collapse-checkbox').check();
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#download-blocklist-btn').click();
+    const download = await downloadPromise;
+    expect(download.suggestedFilename()).toBe('blocklist-adblock.txt');
+    expect(fs.readFileSync(await download.path(), 'utf8')).toBe(
+      '[Adblock Plus 2.0]\n! Blocklist: 3 domains\n||ads.tracker.com^\n||foo.github.io^\n||bar.github.io^\n'
+    );
+  });
+
+  test('Compare lists should subtract list B by host and count each bucket', async ({ page }) => {
+    await page.locator('#input-textarea').fill([
+      'https://a.com/new-page',
+      'https://b.com/kept',
+      'https://b.com/other',
+      'https://c.com/'
+    ].join('\n'));
+    await page.locator('#list-b-input').fill('https://b.com/\nhttps://d.com/\nhttps://e.com/');
+
+    await page.locator('#compare-select').selectOption('compareAMinusB');
+    await expect(page.locator('.compare-options-group')).toBeVisible();
+    await page.locator('#compare-key-select').selectOption('domain');
+    await page.locator('#process-btn').click();
+
+    await expect(page.locator('#output-textarea')).toHaveValue('https://a.com/new-page\nhttps://c.com/');
+    await expect(page.locator('#list-compare-counts')).toHaveText('Only in A: 2 · In both: 1 · Only in B: 2');
+  });
+
   test('Check if sort operations are implemented in URLProcessor', async ({ page }) => {
     // Check if the sorting methods exist in the URLProcessor
     const hasSortMethods = await page.evaluate(() => {